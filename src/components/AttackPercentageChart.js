@@ -8,13 +8,50 @@ import {
   XAxis,
   YAxis,
 } from 'recharts'
-import { api } from '@/services/api.js'
+import { Link, useSearchParams } from 'react-router-dom'
+import ChartPresetManager from '@/components/ChartPresetManager.js'
+import CustomMetricEditor from '@/components/CustomMetricEditor.js'
+import { fetchDetailedMatchReports } from '@/services/matchReportHistory.js'
 import { useAuth } from '@/hooks/useAuth.js'
+import { useChartPresets } from '@/hooks/useChartPresets.js'
+import { MOVING_AVERAGE_OPTIONS, applyMovingAverage, parseSharedChartPreset } from '@/utils/chartPresets.js'
+import { compileCustomMetrics } from '@/utils/customMetrics.js'
+import {
+  CUSTOM_METRICS_EVENT,
+  deleteCustomMetric,
+  listCustomMetrics,
+  saveCustomMetric,
+} from '@/utils/customMetricsStorage.js'
+import { evaluateMetricExpression } from '@/utils/metricExpression.js'
+import {
+  EMPTY_REPORT_FILTERS,
+  applyReportFiltersToParams,
+  buildReportFilterOptions,
+  buildSeasonPresets,
+  filterMatchReports,
+  findSeasonPreset,
+  hasActiveReportFilters,
+  parseReportFilters,
+} from '@/utils/matchReportFilters.js'
+import {
+  buildPlayerDirectory,
+  buildPlayerHistory,
+  buildPlayerSummaryPath,
+  buildTeamHistory,
+  mergeSeriesHistories,
+  parseStatValue,
+  resolvePlayerFilter,
+} from '@/utils/playerStatsHistory.js'
 
 
-const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', { day: '2-digit', month: 'short' })
 const DEFAULT_MATCH_LIMIT = 12
+// A filtered window can reach further back than the latest games, so it looks at a wider slice of the history.
+const FILTERED_MATCH_LIMIT = 100
+const FILTER_INPUT_CLASS = 'rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-teal-500 focus:outline-none'
 const LINE_COLORS = ['#2dd4bf', '#f97316', '#38bdf8', '#f472b6', '#a78bfa', '#facc15', '#4ade80']
+// With several players on the chart each one keeps a color and each metric gets its own dash pattern.
+const STAT_DASHES = [undefined, '6 3', '2 4', '10 4 2 4']
+const OWN_SERIES_KEY = 'me'
 const STAT_PRIORITY = ['Pts%', 'Attack', 'Ataque', 'Exc%', 'Tot', 'Vote', 'Total Err Points']
 const EXCLUDED_STAT_KEYS = new Set(['vote', '1', '2', '3', '4', '5'])
 const TOTAL_ERROR_METRIC = 'Total Err Points'
@@ -31,56 +68,6 @@ const PRESET_OPTIONS = [
   },
 ]
 
-const normalizeName = (value) => {
-  if (!value || typeof value !== 'string') return ''
-  return value
-    .normalize('NFD')
-    .replace(/[^A-Za-z0-9]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .toLowerCase()
-    .trim()
-}
-
-const normalizeTeamName = (value) => normalizeName(value)
-
-const normalizePlayerNumber = (value) => {
-  if (value === null || value === undefined) return null
-  const digits = String(value).replace(/[^0-9]/g, '').trim()
-  if (!digits) return null
-  const normalized = Number(digits)
-  if (Number.isNaN(normalized)) return null
-  return String(normalized)
-}
-
-const resolvePlayerFilter = (user) => {
-  const primaryTeam = user?.currentTeam ?? user?.actualTeam ?? user?.teamHistory?.[0]?.teamName
-  const primaryNumber = user?.playerNumber ?? user?.teamHistory?.[0]?.playerNumber
-  const teamName = normalizeTeamName(primaryTeam)
-  const playerNumber = normalizePlayerNumber(primaryNumber)  
-
-  return {
-    team: teamName,
-    number: playerNumber,
-  }
-}
-
-const resolveMatchDate = (report) => {
-  const source = report?.matchDate || report?.generatedAt || report?.createdAt
-  if (!source) return null
-  const value = new Date(source)
-  if (Number.isNaN(value.getTime())) return null
-  return value
-}
-
-const parseStatValue = (value) => {
-  if (value === null || value === undefined) return 0
-  if (typeof value === 'number' && !Number.isNaN(value)) return value
-  const normalized = String(value).replace('%', '').replace(',', '.').trim()
-  if (!normalized || normalized === '.' || normalized === '-') return 0
-  const numeric = Number(normalized)
-  return Number.isNaN(numeric) ? 0 : numeric
-}
-
 const computeTotalErrorPoints = (stats = {}) =>
   TOTAL_ERROR_COMPONENTS.reduce((total, key) => total + parseStatValue(stats?.[key]), 0)
 
@@ -91,71 +78,84 @@ const computeServesErrPerPts = (stats = {}) => {
   return servesErr / servesPts
 }
 
-const resolveStatValue = (statKey, stats = {}) => {
+// `customMetrics` maps the user's metric names to their compiled formulas.
+const resolveStatValue = (statKey, stats = {}, customMetrics = null) => {
+  const customMetric = customMetrics?.get(statKey)
+  if (customMetric) return evaluateMetricExpression(customMetric.ast, stats)
   if (statKey === TOTAL_ERROR_METRIC) return computeTotalErrorPoints(stats)
   if (statKey === SERVES_ERR_PER_PTS_METRIC) return computeServesErrPerPts(stats)
   return parseStatValue(stats?.[statKey])
 }
 
-const buildPlayerHistory = (reports, playerFilter) => {
-  if (!playerFilter?.number) {
-    return { rows: [], statKeys: [], playerName: null }
-  }
+// Data keys use the series key, which is unique per team and shirt number; labels like "#7 Ana" can repeat.
+const buildSeriesDataKey = (series, statKey, isSingleSeries) =>
+  (isSingleSeries ? statKey : `${series.key} · ${statKey}`)
 
-  const rows = []
-  const statKeys = new Set()
-  let detectedName = null
-
-  reports.forEach((report) => {
-    const matchDate = resolveMatchDate(report)
-    const timestamp = matchDate ? matchDate.getTime() : Date.now()
-    const dateLabel = matchDate ? DATE_FORMATTER.format(matchDate) : null
-    const baseLabels = Array.isArray(report?.columnLabels)
-      ? report.columnLabels.map((label) => (typeof label === 'string' ? label.trim() : '')).filter(Boolean)
-      : []
-
-    report?.teams?.forEach((team) => {
-      const normalizedTeam = normalizeTeamName(team?.team || team?.teamName || team?.name)
-      const shouldMatchByTeam = Boolean(playerFilter.team)
-      const teamMatches = (() => {
-        if (!shouldMatchByTeam) return true
-        if (!normalizedTeam) return true
-        if (normalizedTeam === playerFilter.team) return true
-        if (normalizedTeam.includes(playerFilter.team)) return true
-        if (playerFilter.team.includes(normalizedTeam)) return true
-        return false
-      })()
-      if (!teamMatches) return
-
-      team?.players?.forEach((player) => {
-        const playerNumber = normalizePlayerNumber(player?.number)
-        const numberMatches = Boolean(playerNumber && playerNumber === playerFilter.number)
-        if (!numberMatches) return
-
-        detectedName = player?.name || detectedName
-        const labels = baseLabels.length ? baseLabels : Object.keys(player?.stats || {})
-        const stats = {}
-        labels.forEach((label) => {
-          if (!label) return
-          const rawValue = player?.stats?.[label]
-          if (rawValue !== undefined) {
-            stats[label] = rawValue
-            statKeys.add(label)
-          }
-        })
+const buildSeriesLineName = (series, statKey, isSingleSeries) =>
+  (isSingleSeries ? statKey : `${series.label} · ${statKey}`)
 
-        rows.push({
-          matchId: report?.matchId || `${player?.name}-${rows.length + 1}`,
-          timestamp,
-          dateLabel,
-          stats,
-        })
-      })
+// Averages over the games a series played, skipping games where a metric has no value (a custom formula that
+// divided by zero); the serve ratio is recomputed from the averaged components.
+const computeAverageStats = (rowsStats, selectedStats, formatValue, customMetrics) => {
+  if (!selectedStats.length || !rowsStats.length) return []
+
+  const totals = {}
+  const counts = {}
+  selectedStats.forEach((key) => {
+    if (key !== SERVES_ERR_PER_PTS_METRIC) {
+      totals[key] = 0
+      counts[key] = 0
+    }
+  })
+
+  const includesServesRatio = selectedStats.includes(SERVES_ERR_PER_PTS_METRIC)
+  let totalServesErr = 0
+  let totalServesPts = 0
+
+  rowsStats.forEach((stats) => {
+    selectedStats.forEach((statKey) => {
+      if (statKey === SERVES_ERR_PER_PTS_METRIC) return
+      const value = resolveStatValue(statKey, stats, customMetrics)
+      if (value === null) return
+      totals[statKey] += value
+      counts[statKey] += 1
     })
+    if (includesServesRatio) {
+      totalServesErr += parseStatValue(stats?.['Serves Err'])
+      totalServesPts += parseStatValue(stats?.['Serves Pts'])
+    }
+  })
+
+  const averages = new Map()
+  Object.entries(totals).forEach(([key, sum]) => {
+    averages.set(key, counts[key] ? sum / counts[key] : null)
   })
 
-  rows.sort((a, b) => a.timestamp - b.timestamp)
-  return { rows, statKeys: Array.from(statKeys), playerName: detectedName }
+  return selectedStats.map((statKey) => {
+    if (statKey === SERVES_ERR_PER_PTS_METRIC) {
+      if (!includesServesRatio) return { key: statKey, value: 0 }
+
+      const servesErrAvg = averages.get('Serves Err')
+      const servesPtsAvg = averages.get('Serves Pts')
+
+      if (servesErrAvg !== undefined && servesPtsAvg !== undefined) {
+        const roundedErr = Number(formatValue(servesErrAvg, 'Serves Err'))
+        const roundedPts = Number(formatValue(servesPtsAvg, 'Serves Pts'))
+        if (roundedPts) {
+          return { key: statKey, value: roundedErr / roundedPts }
+        }
+        return { key: statKey, value: roundedErr || 0 }
+      }
+
+      const ratio = totalServesPts ? totalServesErr / totalServesPts : totalServesErr || 0
+      return { key: statKey, value: ratio }
+    }
+
+    return {
+      key: statKey,
+      value: averages.get(statKey) ?? null,
+    }
+  })
 }
 
 const sortStatKeys = (keys) => {
@@ -200,11 +200,11 @@ const ChartTooltipContent = ({
     <div className="rounded-lg border border-slate-800 bg-slate-900 px-3 py-2 text-xs text-slate-100">
       <p className="font-semibold">{label}</p>
       <ul className="mt-1 space-y-1">
-        {payload.map((entry) => (
+        {payload.filter((entry) => entry.value !== null && entry.value !== undefined).map((entry) => (
           <li key={entry.dataKey} className="flex items-center gap-2">
             <span className="h-2 w-2 rounded-full" style={{ backgroundColor: entry.color }} />
             <span>
-              {entry.dataKey}: {formatValue(entry.value, entry.dataKey)}
+              {entry.name}: {formatValue(entry.value, entry.dataKey)}
             </span>
           </li>
         ))}
@@ -214,7 +214,8 @@ const ChartTooltipContent = ({
 }
 
 const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateChange }) => {
-  const { user } = useAuth()
+  const { user, userId } = useAuth()
+  const [searchParams, setSearchParams] = useSearchParams()
   const [reports, setReports] = useState([])
   const [selectedStats, setSelectedStats] = useState([])
   const [statMenuOpen, setStatMenuOpen] = useState(false)
@@ -225,43 +226,44 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
   const [error, setError] = useState(null)
   const [tooltipEnabled, setTooltipEnabled] = useState(true)
   const [legendStats, setLegendStats] = useState(null)
+  const reportFilters = useMemo(() => parseReportFilters(searchParams), [searchParams])
+  const filtersActive = hasActiveReportFilters(reportFilters)
+  const fetchLimit = filtersActive ? Math.max(matchLimit, FILTERED_MATCH_LIMIT) : matchLimit
+  const { from: filterFrom, to: filterTo } = reportFilters
+  const [reportsTruncated, setReportsTruncated] = useState(false)
+  const [selectedPlayerKeys, setSelectedPlayerKeys] = useState([])
+  const [showTeamAggregate, setShowTeamAggregate] = useState(false)
+  const [playerMenuOpen, setPlayerMenuOpen] = useState(false)
+  const playerMenuRef = useRef(null)
+  const [storedMetrics, setStoredMetrics] = useState(() => listCustomMetrics(userId))
+  const [metricEditorOpen, setMetricEditorOpen] = useState(false)
+  const [movingAverageWindow, setMovingAverageWindow] = useState(0)
+  const [presetManagerOpen, setPresetManagerOpen] = useState(false)
+  const { presets: userPresets, savePresets, syncError: presetSyncError } = useChartPresets()
+  const sharedPreset = useMemo(() => parseSharedChartPreset(searchParams), [searchParams])
+  const sharedPresetAppliedRef = useRef(false)
 
   const fetchReports = useCallback(async () => {
     try {
       setLoading(true)
       setError(null)
-      const response = await api.stats.listMatchReports({ limit: matchLimit })      
-      const items = Array.isArray(response?.items) ? response.items : []
-      const matchIds = items.map((item) => item.matchId).filter(Boolean)
-
-      if (!matchIds.length) {
-        setReports([])
-        return
-      }
-
-      const detailedResults = await Promise.allSettled(
-        matchIds.map((matchId) => api.stats.getMatchReport(matchId))
-      )      
-
-      const validReports = detailedResults
-        .filter((item) => item.status === 'fulfilled' && item.value)
-        .map((item) => item.value)
-
-      validReports.sort((a, b) => {
-        const dateA = resolveMatchDate(a)?.getTime() || 0
-        const dateB = resolveMatchDate(b)?.getTime() || 0
-        return dateA - dateB
+      // The player directory spans every saved report, not just the ones matching the coach's own team and number.
+      const { reports: fetched, truncated } = await fetchDetailedMatchReports({
+        limit: fetchLimit,
+        from: filterFrom,
+        to: filterTo,
+        allPlayers: true,
       })
-      
-
-      setReports(validReports)
+      setReports(fetched)
+      setReportsTruncated(truncated)
     } catch (err) {
       setReports([])
+      setReportsTruncated(false)
       setError(err?.message || 'Falha ao buscar relatórios para o gráfico.')
     } finally {
       setLoading(false)
     }
-  }, [matchLimit])
+  }, [fetchLimit, filterFrom, filterTo])
 
   useEffect(() => {
     fetchReports()
@@ -269,31 +271,153 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
 
   useEffect(() => {
     if (typeof window === 'undefined') return undefined
-    const handleMatchSaved = () => {
+    const handleReportsChanged = () => {
       fetchReports()
     }
-    window.addEventListener('matchreport:saved', handleMatchSaved)
+    window.addEventListener('matchreport:saved', handleReportsChanged)
+    window.addEventListener('matchreport:deleted', handleReportsChanged)
     return () => {
-      window.removeEventListener('matchreport:saved', handleMatchSaved)
+      window.removeEventListener('matchreport:saved', handleReportsChanged)
+      window.removeEventListener('matchreport:deleted', handleReportsChanged)
     }
   }, [fetchReports])
 
+  useEffect(() => {
+    setStoredMetrics(listCustomMetrics(userId))
+    if (typeof window === 'undefined') return undefined
+    const handleMetricsUpdated = () => setStoredMetrics(listCustomMetrics(userId))
+    window.addEventListener(CUSTOM_METRICS_EVENT, handleMetricsUpdated)
+    return () => {
+      window.removeEventListener(CUSTOM_METRICS_EVENT, handleMetricsUpdated)
+    }
+  }, [userId])
+
+  const customMetrics = useMemo(() => compileCustomMetrics(storedMetrics), [storedMetrics])
+  const customMetricMap = useMemo(() => new Map(customMetrics.map((metric) => [metric.name, metric])), [customMetrics])
+
   const playerFilter = useMemo(() => resolvePlayerFilter(user), [user])
 
-  const playerHistory = useMemo(
-    () => buildPlayerHistory(reports, playerFilter),
-    [reports, playerFilter],    
-  )  
+  const seasonPresets = useMemo(() => buildSeasonPresets(user?.teamHistory), [user?.teamHistory])
+  const activeSeason = findSeasonPreset(seasonPresets, reportFilters)
+  const filterOptions = useMemo(() => buildReportFilterOptions(reports, playerFilter), [reports, playerFilter])
+
+  const updateReportFilters = useCallback((changes) => {
+    setSearchParams(
+      (prev) => applyReportFiltersToParams(prev, { ...parseReportFilters(prev), ...changes }),
+      { replace: true },
+    )
+  }, [setSearchParams])
+
+  const handleSeasonChange = (presetId) => {
+    const preset = seasonPresets.find((item) => item.id === presetId)
+    updateReportFilters({ from: preset?.from ?? '', to: preset?.to ?? '' })
+  }
+
+  const windowReports = useMemo(
+    () => filterMatchReports(reports, reportFilters, playerFilter),
+    [reports, reportFilters, playerFilter],
+  )
+
+  const playerDirectory = useMemo(() => buildPlayerDirectory(reports), [reports])
+
+  const pickedPlayers = useMemo(
+    () => selectedPlayerKeys
+      .map((key) => playerDirectory.find((entry) => entry.key === key))
+      .filter(Boolean),
+    [playerDirectory, selectedPlayerKeys],
+  )
+
+  const ownHistory = useMemo(() => buildPlayerHistory(windowReports, playerFilter), [windowReports, playerFilter])
+
+  // Without a pick the chart follows the signed-in player; picks come from every player found in the reports.
+  const series = useMemo(() => {
+    const playerSeries = pickedPlayers.length
+      ? pickedPlayers.map((entry) => {
+          const teamFilter = { team: entry.normalizedTeam, exact: true }
+          const history = buildPlayerHistory(windowReports, { ...teamFilter, number: entry.number })
+          const name = history.playerName || entry.name
+          return {
+            key: entry.key,
+            label: name ? `#${entry.number} ${name}` : `#${entry.number}`,
+            teamFilter,
+            summaryPath: buildPlayerSummaryPath(entry.team, entry.number),
+            ...history,
+          }
+        })
+      : [{
+          key: OWN_SERIES_KEY,
+          label: ownHistory.playerName || user?.name || 'Me',
+          teamFilter: playerFilter,
+          // The summary matches teams exactly, so it links the team name as the reports spell it.
+          summaryPath: buildPlayerSummaryPath(ownHistory.teamName || playerFilter.teamName, playerFilter.number),
+          ...ownHistory,
+        }]
+    // Two picks can share a shirt number and name on different teams; their labels then name the team.
+    const labelCounts = new Map()
+    playerSeries.forEach(({ label }) => labelCounts.set(label, (labelCounts.get(label) ?? 0) + 1))
+    pickedPlayers.forEach((entry, index) => {
+      const item = playerSeries[index]
+      if (labelCounts.get(item.label) > 1) item.label = `${item.label} (${entry.team})`
+    })
+    if (!showTeamAggregate) return playerSeries
+
+    const teamFilters = new Map()
+    playerSeries.forEach(({ teamFilter }) => {
+      if (teamFilter?.team && !teamFilters.has(teamFilter.team)) teamFilters.set(teamFilter.team, teamFilter)
+    })
+    const teamSeries = Array.from(teamFilters.values())
+      .map((teamFilter) => {
+        const history = buildTeamHistory(windowReports, teamFilter)
+        return { key: `team::${teamFilter.team}`, label: `${history.teamName} (team)`, isTeam: true, teamFilter, ...history }
+      })
+      .filter((item) => item.rows.length)
+    return [...playerSeries, ...teamSeries]
+  }, [ownHistory, pickedPlayers, playerFilter, showTeamAggregate, windowReports, user?.name])
+
+  const isSingleSeries = series.length === 1
+  const primaryHistory = series[0]
+
+  const seriesStatKeys = useMemo(() => Array.from(new Set(series.flatMap((item) => item.statKeys))), [series])
+
+  const columnOptions = useMemo(
+    () => sortStatKeys(seriesStatKeys.filter((label) => !EXCLUDED_STAT_KEYS.has((label || '').toLowerCase()))),
+    [seriesStatKeys],
+  )
+
+  // A custom metric is offered only when every column it reads is on the chart.
+  const availableCustomMetrics = useMemo(
+    () => customMetrics.filter((metric) => metric.columns.every((label) => seriesStatKeys.includes(label))),
+    [customMetrics, seriesStatKeys],
+  )
 
   const statOptions = useMemo(() => {
-    const filtered = playerHistory.statKeys.filter((label) => !EXCLUDED_STAT_KEYS.has((label || '').toLowerCase()))
-    const hasErrorComponents = playerHistory.statKeys.some((label) => TOTAL_ERROR_COMPONENTS.includes(label))
-    const hasServesErrAndPts = playerHistory.statKeys.includes('Serves Err') && playerHistory.statKeys.includes('Serves Pts')
-    const derived = [...filtered]
+    const hasErrorComponents = seriesStatKeys.some((label) => TOTAL_ERROR_COMPONENTS.includes(label))
+    const hasServesErrAndPts = seriesStatKeys.includes('Serves Err') && seriesStatKeys.includes('Serves Pts')
+    const derived = [...columnOptions]
     if (hasErrorComponents) derived.push(TOTAL_ERROR_METRIC)
     if (hasServesErrAndPts) derived.push(SERVES_ERR_PER_PTS_METRIC)
-    return sortStatKeys(derived)
-  }, [playerHistory.statKeys])
+    return [...sortStatKeys(derived), ...availableCustomMetrics.map((metric) => metric.name)]
+  }, [availableCustomMetrics, columnOptions, seriesStatKeys])
+
+  const presetOptions = useMemo(
+    () => (availableCustomMetrics.length
+      ? [...PRESET_OPTIONS, { label: 'My metrics', metrics: availableCustomMetrics.map((metric) => metric.name) }]
+      : PRESET_OPTIONS),
+    [availableCustomMetrics],
+  )
+
+  const reservedMetricNames = useMemo(
+    () => [...seriesStatKeys, TOTAL_ERROR_METRIC, SERVES_ERR_PER_PTS_METRIC, ...storedMetrics.map((metric) => metric.name)],
+    [seriesStatKeys, storedMetrics],
+  )
+
+  const handleSaveCustomMetric = (metric) => {
+    saveCustomMetric(userId, metric)
+  }
+
+  const handleDeleteCustomMetric = (metricId) => {
+    deleteCustomMetric(userId, metricId)
+  }
 
   useEffect(() => {
     if (!statOptions.length) {
@@ -311,16 +435,19 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
     })
   }, [statOptions])
 
-  const useDateLabel = useMemo(() => playerHistory.rows.length > 1 && playerHistory.rows.some((row) => row.dateLabel), [playerHistory.rows])
+  const mergedRows = useMemo(() => mergeSeriesHistories(series), [series])
+
+  const useDateLabel = useMemo(() => mergedRows.length > 1 && mergedRows.some((row) => row.dateLabel), [mergedRows])
 
   const chartRows = useMemo(
     () =>
-      playerHistory.rows.map((row, index) => ({
+      mergedRows.map((row, index) => ({
         matchId: row.matchId,
         label: useDateLabel && row.dateLabel ? row.dateLabel : `Jogo ${index + 1}`,
-        stats: row.stats,
+        stats: isSingleSeries ? row.statsBySeries[primaryHistory.key] : null,
+        statsBySeries: row.statsBySeries,
       })),
-    [playerHistory.rows, useDateLabel],
+    [isSingleSeries, mergedRows, primaryHistory.key, useDateLabel],
   )
 
   const latestRowStats = useMemo(() => (chartRows.length ? chartRows[chartRows.length - 1].stats : null), [chartRows])
@@ -340,19 +467,38 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
     if (!selectedStats.length) return []
     return chartRows.map((row) => {
       const entry = { matchId: row.matchId, label: row.label }
-      selectedStats.forEach((statKey) => {
-        entry[statKey] = resolveStatValue(statKey, row.stats)
+      series.forEach((item) => {
+        const stats = row.statsBySeries[item.key]
+        selectedStats.forEach((statKey) => {
+          entry[buildSeriesDataKey(item, statKey, isSingleSeries)] = stats ? resolveStatValue(statKey, stats, customMetricMap) : null
+        })
       })
       entry.__stats = row.stats
       return entry
     })
-  }, [chartRows, selectedStats])
+  }, [chartRows, customMetricMap, isSingleSeries, selectedStats, series])
+
+  const lineDefinitions = useMemo(
+    () => series.flatMap((item, seriesIndex) => selectedStats.map((statKey, statIndex) => ({
+      dataKey: buildSeriesDataKey(item, statKey, isSingleSeries),
+      name: buildSeriesLineName(item, statKey, isSingleSeries),
+      stroke: LINE_COLORS[(isSingleSeries ? statIndex : seriesIndex) % LINE_COLORS.length],
+      strokeDasharray: isSingleSeries ? undefined : STAT_DASHES[statIndex % STAT_DASHES.length],
+      strokeWidth: item.isTeam ? 3 : 2,
+    }))),
+    [isSingleSeries, selectedStats, series],
+  )
+
+  const displayData = useMemo(
+    () => applyMovingAverage(chartData, lineDefinitions.map((line) => line.dataKey), movingAverageWindow),
+    [chartData, lineDefinitions, movingAverageWindow],
+  )
 
   const formatValue = useCallback((value, statKey) => {
-    if (value === null || value === undefined) return '0'
+    if (value === null || value === undefined) return '—'
     const numeric = typeof value === 'number' ? value : Number(value)
-    if (!Number.isFinite(numeric)) return '0'
-    if (statKey === SERVES_ERR_PER_PTS_METRIC) {
+    if (!Number.isFinite(numeric)) return '—'
+    if (statKey?.endsWith(SERVES_ERR_PER_PTS_METRIC)) {
       return numeric.toFixed(2)
     }
     if (statKey?.includes('%')) {
@@ -362,64 +508,25 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
   }, [])
 
   const averageStats = useMemo(() => {
-    if (!selectedStats.length || !chartRows.length) return []
-
-    const totals = selectedStats.reduce((acc, key) => {
-      if (key !== SERVES_ERR_PER_PTS_METRIC) {
-        acc[key] = 0
-      }
-      return acc
-    }, {})
-
-    const includesServesRatio = selectedStats.includes(SERVES_ERR_PER_PTS_METRIC)
-    let totalServesErr = 0
-    let totalServesPts = 0
-
-    chartRows.forEach((row) => {
-      const stats = row.stats
-      selectedStats.forEach((statKey) => {
-        if (statKey === SERVES_ERR_PER_PTS_METRIC) return
-        const value = resolveStatValue(statKey, stats)
-        totals[statKey] = (totals[statKey] || 0) + value
-      })
-      if (includesServesRatio) {
-        totalServesErr += parseStatValue(stats?.['Serves Err'])
-        totalServesPts += parseStatValue(stats?.['Serves Pts'])
-      }
-    })
-
-    const gamesCount = chartRows.length
-    const averages = new Map()
-    Object.entries(totals).forEach(([key, sum]) => {
-      averages.set(key, gamesCount ? sum / gamesCount : 0)
-    })
-
-    return selectedStats.map((statKey) => {
-      if (statKey === SERVES_ERR_PER_PTS_METRIC) {
-        if (!includesServesRatio) return { key: statKey, value: 0 }
-
-        const servesErrAvg = averages.get('Serves Err')
-        const servesPtsAvg = averages.get('Serves Pts')
-
-        if (servesErrAvg !== undefined && servesPtsAvg !== undefined) {
-          const roundedErr = Number(formatValue(servesErrAvg, 'Serves Err'))
-          const roundedPts = Number(formatValue(servesPtsAvg, 'Serves Pts'))
-          if (roundedPts) {
-            return { key: statKey, value: roundedErr / roundedPts }
-          }
-          return { key: statKey, value: roundedErr || 0 }
-        }
-
-        const ratio = totalServesPts ? totalServesErr / totalServesPts : totalServesErr || 0
-        return { key: statKey, value: ratio }
-      }
-
-      return {
-        key: statKey,
-        value: averages.get(statKey) ?? 0,
-      }
+    if (isSingleSeries) {
+      return computeAverageStats(chartRows.map((row) => row.stats), selectedStats, formatValue, customMetricMap).map((average, index) => ({
+        ...average,
+        label: average.key,
+        statKey: average.key,
+        color: LINE_COLORS[index % LINE_COLORS.length],
+      }))
+    }
+    return series.flatMap((item, seriesIndex) => {
+      const rowsStats = chartRows.map((row) => row.statsBySeries[item.key]).filter(Boolean)
+      return computeAverageStats(rowsStats, selectedStats, formatValue, customMetricMap).map((average) => ({
+        ...average,
+        key: buildSeriesDataKey(item, average.key, false),
+        label: buildSeriesLineName(item, average.key, false),
+        statKey: average.key,
+        color: LINE_COLORS[seriesIndex % LINE_COLORS.length],
+      }))
     })
-  }, [chartRows, formatValue, selectedStats])
+  }, [chartRows, customMetricMap, formatValue, isSingleSeries, selectedStats, series])
 
   const totalErrorComponentColors = useMemo(() => {
     const baseOffset = selectedStats.length % LINE_COLORS.length
@@ -434,8 +541,13 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
     }, {})
   }, [selectedStats])
 
-  const missingPlayerNumber = !playerFilter.number
-  const displayName = playerHistory.playerName || user?.name || 'seu atleta'
+  const missingPlayerNumber = !pickedPlayers.length && !playerFilter.number
+  const displayName = isSingleSeries && primaryHistory.key !== OWN_SERIES_KEY
+    ? primaryHistory.label
+    : primaryHistory.playerName || user?.name || 'seu atleta'
+  const chartTitle = isSingleSeries
+    ? `Tracking History ${displayName}`
+    : `Comparing ${series.map((item) => item.label).join(' vs ')}`
   const isEmptyState = !loading && (!chartData.length || !selectedStats.length)
   const formatAxisValue = (value) => {
     const primaryStat = selectedStats[0] || ''
@@ -460,6 +572,35 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
     setSelectedStats(availablePreset)
   }, [statOptions])
 
+  const togglePlayerSelection = (playerKey) => {
+    setSelectedPlayerKeys((prev) => (
+      prev.includes(playerKey) ? prev.filter((key) => key !== playerKey) : [...prev, playerKey]
+    ))
+  }
+
+  const playerGroups = useMemo(() => {
+    const groups = new Map()
+    playerDirectory.forEach((entry) => {
+      const group = groups.get(entry.normalizedTeam) ?? { team: entry.team, players: [] }
+      group.players.push(entry)
+      groups.set(entry.normalizedTeam, group)
+    })
+    return Array.from(groups.entries()).map(([key, group]) => ({ key, ...group }))
+  }, [playerDirectory])
+
+  const applyChartPreset = useCallback((preset) => {
+    applyPresetMetrics(preset.stats)
+    setMovingAverageWindow(preset.movingAverage ?? 0)
+    setShowTeamAggregate(Boolean(preset.showTeamAggregate))
+  }, [applyPresetMetrics])
+
+  // A shared preset link is applied once, as soon as there are metrics to pick from.
+  useEffect(() => {
+    if (!sharedPreset || sharedPresetAppliedRef.current || !statOptions.length) return
+    sharedPresetAppliedRef.current = true
+    applyChartPreset(sharedPreset)
+  }, [applyChartPreset, sharedPreset, statOptions.length])
+
   const handleApplySelection = () => {
     if (!selectedStats.length && statOptions.length) {
       setSelectedStats([statOptions[0]])
@@ -482,6 +623,21 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
     }
   }, [statMenuOpen])
 
+  useEffect(() => {
+    if (!playerMenuOpen) return undefined
+    const handleClickOutside = (event) => {
+      if (playerMenuRef.current && !playerMenuRef.current.contains(event.target)) {
+        setPlayerMenuOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    document.addEventListener('touchstart', handleClickOutside)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+      document.removeEventListener('touchstart', handleClickOutside)
+    }
+  }, [playerMenuOpen])
+
   useEffect(() => {
     const handlePointerDown = (event) => {
       if (!chartContainerRef.current) return
@@ -501,19 +657,76 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
 
   useEffect(() => {
     if (typeof onDataStateChange !== 'function') return
-    const hasData = !loading && !isEmptyState
+    // A filter that leaves nothing to show must keep the chart (and its filters) on screen.
+    const hasData = !loading && (!isEmptyState || filtersActive)
     onDataStateChange({ isLoading: loading, hasData })
-  }, [isEmptyState, loading, onDataStateChange])
+  }, [filtersActive, isEmptyState, loading, onDataStateChange])
 
   return (
     <section className="flex min-w-0 w-full flex-col gap-4 rounded-2xl border border-slate-800 bg-slate-900/40 p-1">
       <header className="flex flex-wrap items-center justify-between gap-4 p-4">
         <div>
           <p className="text-xs uppercase tracking-wide text-slate-500">My stats</p>
-          <h2 className="text-lg font-semibold text-slate-100">Tracking History {displayName}</h2>
+          <h2 className="text-lg font-semibold text-slate-100">{chartTitle}</h2>
           <p className="text-xs text-slate-500">Select a metric for your chart.</p>
+          {isSingleSeries && primaryHistory.summaryPath && (
+            <Link to={primaryHistory.summaryPath} className="text-xs text-teal-300 hover:underline">
+              Season summary
+            </Link>
+          )}
         </div>
         <div className="flex flex-wrap items-center gap-2">
+          <div className="relative" ref={playerMenuRef}>
+            <button
+              type="button"
+              className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-teal-500 focus:outline-none"
+              onClick={() => setPlayerMenuOpen((prev) => !prev)}
+              disabled={loading || !playerDirectory.length}
+            >
+              {selectedPlayerKeys.length ? `${selectedPlayerKeys.length} selected players` : 'Compare players'}
+            </button>
+            {playerMenuOpen && (
+              <div className="absolute right-0 z-20 mt-2 w-64 rounded-lg border border-slate-700 bg-slate-900/95 p-3 shadow-xl">
+                <label className="mb-3 flex items-center gap-2 text-sm text-slate-100">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-slate-600 bg-slate-800 text-teal-400 focus:ring-teal-500"
+                    checked={showTeamAggregate}
+                    onChange={() => setShowTeamAggregate((prev) => !prev)}
+                  />
+                  <span>Show team line</span>
+                </label>
+                <div className="flex max-h-72 flex-col gap-3 overflow-y-auto">
+                  {playerGroups.map((group) => (
+                    <div key={group.key}>
+                      <p className="mb-1 text-xs uppercase tracking-wide text-slate-500">{group.team}</p>
+                      <div className="flex flex-col gap-1">
+                        {group.players.map((entry) => (
+                          <label key={entry.key} className="flex items-center gap-2 text-sm text-slate-100">
+                            <input
+                              type="checkbox"
+                              className="h-4 w-4 rounded border-slate-600 bg-slate-800 text-teal-400 focus:ring-teal-500"
+                              checked={selectedPlayerKeys.includes(entry.key)}
+                              onChange={() => togglePlayerSelection(entry.key)}
+                            />
+                            <span>#{entry.number} {entry.name}</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="mt-3 w-full rounded-md border border-slate-700 px-3 py-2 text-sm text-slate-100 hover:bg-slate-800 disabled:cursor-not-allowed disabled:opacity-40"
+                  onClick={() => setSelectedPlayerKeys([])}
+                  disabled={!selectedPlayerKeys.length}
+                >
+                  Back to my stats
+                </button>
+              </div>
+            )}
+          </div>
           <div className="relative" ref={statMenuRef}>
             <button
               type="button"
@@ -527,7 +740,7 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
               <div className="absolute right-[-82px] z-20 mt-2 w-44 rounded-lg border border-slate-700 bg-slate-900/95 p-3 shadow-xl">
                 <p className="mb-2 text-xs uppercase tracking-wide text-slate-500">Available Metrics</p>
                 <div className="mb-3 space-y-2">
-                  {PRESET_OPTIONS.map((preset) => {
+                  {presetOptions.map((preset) => {
                     const disabled = !preset.metrics.every((metric) => statOptions.includes(metric))
                     return (
                       <button
@@ -544,6 +757,20 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
                       </button>
                     )
                   })}
+                  {userPresets.map((preset) => (
+                    <button
+                      key={preset.id}
+                      type="button"
+                      className="w-full rounded border border-sky-500/40 bg-sky-500/10 px-2 py-1 text-xs font-semibold text-sky-300 hover:bg-sky-500/20 disabled:cursor-not-allowed disabled:opacity-40"
+                      onClick={() => {
+                        applyChartPreset(preset)
+                        setStatMenuOpen(false)
+                      }}
+                      disabled={!preset.stats.some((metric) => statOptions.includes(metric))}
+                    >
+                      {preset.name}
+                    </button>
+                  ))}
                 </div>
                 <div className="flex max-h-60 flex-col gap-1 overflow-y-auto">
                   {statOptions.map((label) => {
@@ -571,6 +798,22 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
               </div>
             )}
           </div>
+          <button
+            type="button"
+            onClick={() => setPresetManagerOpen((prev) => !prev)}
+            className="btn-secondary"
+            disabled={loading}
+          >
+            Presets
+          </button>
+          <button
+            type="button"
+            onClick={() => setMetricEditorOpen((prev) => !prev)}
+            className="btn-secondary"
+            disabled={loading || !columnOptions.length}
+          >
+            Custom metrics
+          </button>
           <button
             type="button"
             onClick={fetchReports}
@@ -582,6 +825,121 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
         </div>
       </header>
 
+      {presetManagerOpen && (
+        <div className="px-4">
+          <ChartPresetManager
+            presets={userPresets}
+            currentSelection={{ stats: selectedStats, movingAverage: movingAverageWindow, showTeamAggregate }}
+            onChange={savePresets}
+            onApply={applyChartPreset}
+            onClose={() => setPresetManagerOpen(false)}
+            syncError={presetSyncError}
+          />
+        </div>
+      )}
+
+      {metricEditorOpen && (
+        <div className="px-4">
+          <CustomMetricEditor
+            metrics={storedMetrics}
+            labels={columnOptions}
+            reservedNames={reservedMetricNames}
+            onSave={handleSaveCustomMetric}
+            onDelete={handleDeleteCustomMetric}
+            onClose={() => setMetricEditorOpen(false)}
+          />
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-3 px-4" aria-label="Filtros do gráfico">
+        {seasonPresets.length > 0 && (
+          <label className="flex flex-col gap-1 text-xs text-slate-400">
+            Season
+            <select
+              className={FILTER_INPUT_CLASS}
+              value={activeSeason?.id ?? ''}
+              onChange={(event) => handleSeasonChange(event.target.value)}
+            >
+              <option value="">{reportFilters.from || reportFilters.to ? 'Custom range' : 'All'}</option>
+              {seasonPresets.map((preset) => (
+                <option key={preset.id} value={preset.id}>{preset.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          From
+          <input
+            type="date"
+            className={FILTER_INPUT_CLASS}
+            value={reportFilters.from}
+            max={reportFilters.to || undefined}
+            onChange={(event) => updateReportFilters({ from: event.target.value })}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          To
+          <input
+            type="date"
+            className={FILTER_INPUT_CLASS}
+            value={reportFilters.to}
+            min={reportFilters.from || undefined}
+            onChange={(event) => updateReportFilters({ to: event.target.value })}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          Opponent
+          <select
+            className={FILTER_INPUT_CLASS}
+            value={reportFilters.opponent}
+            onChange={(event) => updateReportFilters({ opponent: event.target.value })}
+          >
+            <option value="">All</option>
+            {filterOptions.opponents.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        {filterOptions.competitions.length > 0 && (
+          <label className="flex flex-col gap-1 text-xs text-slate-400">
+            Competition
+            <select
+              className={FILTER_INPUT_CLASS}
+              value={reportFilters.competition}
+              onChange={(event) => updateReportFilters({ competition: event.target.value })}
+            >
+              <option value="">All</option>
+              {filterOptions.competitions.map((competition) => (
+                <option key={competition} value={competition}>{competition}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          Moving average
+          <select
+            className={FILTER_INPUT_CLASS}
+            value={movingAverageWindow}
+            onChange={(event) => setMovingAverageWindow(Number(event.target.value))}
+          >
+            {MOVING_AVERAGE_OPTIONS.map((option) => (
+              <option key={option} value={option}>{option ? `${option} games` : 'Off'}</option>
+            ))}
+          </select>
+        </label>
+        {filtersActive && (
+          <button type="button" className="btn-secondary" onClick={() => updateReportFilters(EMPTY_REPORT_FILTERS)}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {filtersActive && reportsTruncated && !loading && (
+        <p className="px-4 text-xs text-amber-300">
+          Só as {fetchLimit} partidas mais recentes do período foram carregadas; partidas mais antigas podem não aparecer.
+        </p>
+      )}
+
       {!loading && !isEmptyState && averageStats.length > 0 && (
         <div className="flex justify-end px-4">
           <div className="w-full rounded-2xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200 sm:w-auto sm:min-w-[260px]">
@@ -593,15 +951,13 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
               <span className="text-xs text-slate-500">{selectedStats.length} metrics</span>
             </div>
             <ul className="mt-3 space-y-2">
-              {averageStats.map(({ key, value }) => {
-                const colorIndex = selectedStats.indexOf(key)
-                const color = LINE_COLORS[colorIndex !== -1 ? colorIndex % LINE_COLORS.length : 0]
-                const formattedValue = formatValue(value, key)
+              {averageStats.map(({ key, label, statKey, value, color }) => {
+                const formattedValue = formatValue(value, statKey)
                 return (
                   <li key={`average-${key}`} className="flex items-center justify-between gap-3">
                     <div className="flex items-center gap-2 text-slate-300">
                       <span className="h-2 w-2 rounded-full" style={{ backgroundColor: color }} />
-                      <span>{key}</span>
+                      <span>{label}</span>
                     </div>
                     <span className="font-semibold text-slate-100">{formattedValue}</span>
                   </li>
@@ -625,7 +981,11 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
       {loading ? (
         <p className="text-sm text-slate-400">Carregando dados para o gráfico...</p>
       ) : isEmptyState ? (
-        <p className="text-sm text-slate-400">Nenhum relatório com estatísticas disponíveis para {displayName}.</p>
+        <p className="text-sm text-slate-400">
+          {filtersActive
+            ? 'Nenhum jogo encontrado para os filtros selecionados.'
+            : `Nenhum relatório com estatísticas disponíveis para ${displayName}.`}
+        </p>
       ) : (
         <div
           className="chart-focus-guard w-full min-w-0 select-none -mx-4 sm:-mx-8 focus:outline-none focus-visible:outline-none focus:ring-0 focus-visible:ring-0"
@@ -638,7 +998,7 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
           <div className="h-80 w-full">
             <ResponsiveContainer minWidth={100} minHeight={100}>
               <LineChart
-                data={chartData}
+                data={displayData}
                 margin={{ top: 10, right: 8, left: -18, bottom: 0 }}
                 onMouseLeave={() => updateLegendStats(latestRowStats || null)}
               >
@@ -663,29 +1023,49 @@ const AttackPercentageChart = ({ matchLimit = DEFAULT_MATCH_LIMIT, onDataStateCh
                   )}
                   wrapperStyle={{ outline: 'none', border: 'none', boxShadow: 'none', background: 'transparent' }}
                 />
-                {selectedStats.map((statKey, index) => {
-                  const stroke = LINE_COLORS[index % LINE_COLORS.length]
-                  return (
-                    <Line
-                      key={statKey}
-                      type="monotone"
-                      dataKey={statKey}
-                      stroke={stroke}
-                      name={statKey}
-                      strokeWidth={2}
-                      dot={{ r: 3, strokeWidth: 2, stroke: '#0f172a', fill: stroke }}
-                      activeDot={{ r: 5, strokeWidth: 2, stroke: '#0f172a', fill: stroke }}
-                    />
-                  )
-                })}
+                {lineDefinitions.map(({ dataKey, name, stroke, strokeDasharray, strokeWidth }) => (
+                  <Line
+                    key={dataKey}
+                    type="monotone"
+                    dataKey={dataKey}
+                    stroke={stroke}
+                    name={name}
+                    strokeWidth={strokeWidth}
+                    strokeDasharray={strokeDasharray}
+                    connectNulls
+                    dot={{ r: 3, strokeWidth: 2, stroke: '#0f172a', fill: stroke }}
+                    activeDot={{ r: 5, strokeWidth: 2, stroke: '#0f172a', fill: stroke }}
+                  />
+                ))}
               </LineChart>
             </ResponsiveContainer>
           </div>
-          {(selectedStats.length > 1 || selectedStats.includes(TOTAL_ERROR_METRIC)) && (
+          {!isSingleSeries && (
+            <div className="mb-7 mt-3 flex flex-wrap gap-4 text-xs text-slate-400 pl-4 sm:pl-6">
+              {series.map((item, index) => (
+                <div key={`${item.key}-legend`} className="flex items-center gap-2">
+                  <span
+                    className={item.isTeam ? 'h-1 w-6 rounded-full' : 'h-0.5 w-6 rounded-full'}
+                    style={{ backgroundColor: LINE_COLORS[index % LINE_COLORS.length] }}
+                  />
+                  <span>{item.label}</span>
+                </div>
+              ))}
+              {selectedStats.map((statKey, index) => (
+                <div key={`${statKey}-dash-legend`} className="flex items-center gap-2">
+                  <svg width="24" height="4" aria-hidden="true">
+                    <line x1="0" y1="2" x2="24" y2="2" stroke="#94a3b8" strokeWidth="2" strokeDasharray={STAT_DASHES[index % STAT_DASHES.length]} />
+                  </svg>
+                  <span>{statKey}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {isSingleSeries && (selectedStats.length > 1 || selectedStats.includes(TOTAL_ERROR_METRIC)) && (
             <div className="mb-7 mt-3 flex flex-wrap gap-4 text-xs text-slate-400 pl-4 sm:pl-6">
               {selectedStats.map((statKey, index) => {
                 const statsSource = legendStats || latestRowStats
-                const legendValue = resolveStatValue(statKey, statsSource || {})
+                const legendValue = resolveStatValue(statKey, statsSource || {}, customMetricMap)
                 return (
                   <div key={`${statKey}-legend`} className="flex flex-col gap-1">
                   <div className="flex items-center gap-2">
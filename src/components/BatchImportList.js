@@ -0,0 +1,154 @@
+import { BATCH_STATUS, describeBatchTeams, summarizeBatch } from "@/utils/matchReportBatch.js"
+
+const STATUS_STYLES = {
+  [BATCH_STATUS.QUEUED]: { label: "Na fila", color: "#475569", background: "#f1f5f9" },
+  [BATCH_STATUS.PARSING]: { label: "Lendo...", color: "#1d4ed8", background: "#dbeafe" },
+  [BATCH_STATUS.PARSED]: { label: "Pronto", color: "#047857", background: "#d1fae5" },
+  [BATCH_STATUS.INVALID]: { label: "Erro de validação", color: "#b45309", background: "#fef3c7" },
+  [BATCH_STATUS.DUPLICATE]: { label: "Duplicado", color: "#9333ea", background: "#f3e8ff" },
+  [BATCH_STATUS.ERROR]: { label: "Erro", color: "#b91c1c", background: "#fee2e2" },
+  [BATCH_STATUS.SAVING]: { label: "Salvando...", color: "#1d4ed8", background: "#dbeafe" },
+  [BATCH_STATUS.SAVED]: { label: "Salvo", color: "#0f172a", background: "#e2e8f0" },
+}
+
+const REVIEWABLE_STATUSES = new Set([BATCH_STATUS.PARSED, BATCH_STATUS.INVALID, BATCH_STATUS.DUPLICATE])
+
+const buttonStyle = {
+  padding: "4px 10px",
+  borderRadius: 999,
+  border: "1px solid #94a3b8",
+  background: "#f8fafc",
+  color: "#0f172a",
+  cursor: "pointer",
+  fontSize: 12,
+}
+
+const resolveStatusLabel = (entry) => {
+  const base = STATUS_STYLES[entry.status]?.label ?? entry.status
+  if (entry.status === BATCH_STATUS.PARSING && entry.progress) {
+    const stage = entry.progress.stage === "ocr" ? " (OCR)" : ""
+    return `${base}${stage} ${entry.progress.page}/${entry.progress.pageCount}`
+  }
+  return base
+}
+
+const BatchImportList = ({
+  entries,
+  activeId,
+  isSaving = false,
+  onReview,
+  onRemove,
+  onToggleAccepted,
+  onSaveAll,
+  onCancel,
+  onClearFinished,
+}) => {
+  if (!Array.isArray(entries) || !entries.length) return null
+  const summary = summarizeBatch(entries)
+
+  return (
+    <section
+      aria-label="Importação em lote"
+      style={{ margin: "16px 0", padding: 12, borderRadius: 12, border: "1px solid #cbd5f5", background: "#ffffff" }}
+    >
+      <header style={{ display: "flex", flexWrap: "wrap", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+        <strong style={{ color: "#0f172a" }}>
+          {summary.total} arquivos • {summary.savable} prontos • {summary.saved} salvos
+        </strong>
+        <div style={{ display: "flex", gap: 8 }}>
+          {summary.pending > 0 && (
+            <button type="button" onClick={onCancel} style={buttonStyle}>
+              Cancelar leitura
+            </button>
+          )}
+          {summary.saved > 0 && (
+            <button type="button" onClick={onClearFinished} style={buttonStyle}>
+              Limpar salvos
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onSaveAll}
+            disabled={isSaving || summary.savable === 0}
+            style={{
+              ...buttonStyle,
+              border: "none",
+              background: isSaving || summary.savable === 0 ? "#94a3b8" : "#0f172a",
+              color: "#f8fafc",
+              fontWeight: 600,
+              cursor: isSaving || summary.savable === 0 ? "not-allowed" : "pointer",
+            }}
+          >
+            {isSaving ? "Salvando..." : `Salvar todos (${summary.savable})`}
+          </button>
+        </div>
+      </header>
+      <ul style={{ listStyle: "none", margin: "12px 0 0", padding: 0, display: "flex", flexDirection: "column", gap: 6 }}>
+        {entries.map((entry) => {
+          const statusStyle = STATUS_STYLES[entry.status] ?? STATUS_STYLES[BATCH_STATUS.ERROR]
+          const teams = describeBatchTeams(entry)
+          const isActive = entry.id === activeId
+          return (
+            <li
+              key={entry.id}
+              style={{
+                display: "flex",
+                flexWrap: "wrap",
+                alignItems: "center",
+                gap: 10,
+                padding: "6px 8px",
+                borderRadius: 8,
+                background: isActive ? "#eef2ff" : "transparent",
+                fontSize: 13,
+                color: "#0f172a",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={entry.accepted}
+                disabled={entry.status === BATCH_STATUS.SAVED}
+                onChange={(event) => onToggleAccepted?.(entry.id, event.target.checked)}
+                aria-label={`Incluir ${entry.fileName} no lote`}
+              />
+              <div style={{ flex: 1, minWidth: 180 }}>
+                <div style={{ fontWeight: 600 }}>{entry.fileName}</div>
+                <div style={{ color: "#64748b" }}>
+                  {[teams, entry.report?.matchDate, entry.message].filter(Boolean).join(" • ")}
+                </div>
+              </div>
+              <span
+                style={{
+                  padding: "2px 8px",
+                  borderRadius: 999,
+                  fontSize: 12,
+                  fontWeight: 600,
+                  color: statusStyle.color,
+                  background: statusStyle.background,
+                }}
+              >
+                {resolveStatusLabel(entry)}
+              </span>
+              {REVIEWABLE_STATUSES.has(entry.status) && (
+                <button type="button" onClick={() => onReview?.(entry.id)} disabled={isActive} style={buttonStyle}>
+                  {isActive ? "Em revisão" : "Revisar"}
+                </button>
+              )}
+              {entry.status !== BATCH_STATUS.SAVING && (
+                <button
+                  type="button"
+                  onClick={() => onRemove?.(entry.id)}
+                  aria-label={`Remover ${entry.fileName} do lote`}
+                  style={buttonStyle}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
+
+export default BatchImportList
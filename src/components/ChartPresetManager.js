@@ -0,0 +1,156 @@
+import { useState } from 'react'
+import {
+  addChartPreset,
+  buildChartPresetUrl,
+  moveChartPreset,
+  removeChartPreset,
+  renameChartPreset,
+  validateChartPresetName,
+} from '@/utils/chartPresets.js'
+
+const INPUT_CLASS = 'rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-teal-500 focus:outline-none'
+const LINK_BUTTON_CLASS = 'text-xs text-teal-300 hover:underline disabled:cursor-not-allowed disabled:opacity-40 disabled:no-underline'
+
+const copyToClipboard = async (text) => {
+  if (typeof navigator !== 'undefined' && navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text)
+    return true
+  }
+  return false
+}
+
+// Saves the chart's current metrics and settings under a name; the list order is the order shown in the metric menu.
+const ChartPresetManager = ({ presets, currentSelection, onChange, onApply, onClose, syncError }) => {
+  const [name, setName] = useState('')
+  const [renaming, setRenaming] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const nameError = name ? validateChartPresetName(name, presets) : null
+  const renameError = renaming ? validateChartPresetName(renaming.name, presets, { ignoreId: renaming.id }) : null
+
+  const handleSave = (event) => {
+    event.preventDefault()
+    if (validateChartPresetName(name, presets) || !currentSelection.stats.length) return
+    onChange(addChartPreset(presets, { name, ...currentSelection }))
+    setName('')
+  }
+
+  const handleRename = (event) => {
+    event.preventDefault()
+    if (!renaming || renameError) return
+    onChange(renameChartPreset(presets, renaming.id, renaming.name))
+    setRenaming(null)
+  }
+
+  const handleShare = async (preset) => {
+    const url = buildChartPresetUrl(preset, window.location.origin)
+    try {
+      const copied = await copyToClipboard(url)
+      setNotice(copied ? `Link for "${preset.name}" copied.` : url)
+    } catch {
+      setNotice(url)
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200" aria-label="Presets do gráfico">
+      <div className="mb-3 flex items-center justify-between gap-3">
+        <p className="text-xs uppercase tracking-wide text-slate-500">My presets</p>
+        <button type="button" className="text-xs text-slate-400 hover:text-slate-200" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <form onSubmit={handleSave} className="mb-4 flex flex-wrap items-end gap-2">
+        <label className="flex flex-1 flex-col gap-1 text-xs text-slate-400">
+          Save current metrics as
+          <input
+            type="text"
+            className={INPUT_CLASS}
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder={currentSelection.stats.join(' + ')}
+          />
+        </label>
+        <button type="submit" className="btn-primary" disabled={!name.trim() || Boolean(nameError) || !currentSelection.stats.length}>
+          Save preset
+        </button>
+        {nameError && <p className="w-full text-xs text-amber-300">{nameError}</p>}
+      </form>
+
+      {presets.length === 0 ? (
+        <p className="text-xs text-slate-500">No saved presets yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {presets.map((preset, index) => (
+            <li key={preset.id} className="flex flex-wrap items-center justify-between gap-2">
+              {renaming?.id === preset.id ? (
+                <form onSubmit={handleRename} className="flex flex-1 flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    className={INPUT_CLASS}
+                    value={renaming.name}
+                    onChange={(event) => setRenaming({ id: preset.id, name: event.target.value })}
+                    aria-label={`Novo nome para ${preset.name}`}
+                  />
+                  <button type="submit" className={LINK_BUTTON_CLASS} disabled={Boolean(renameError)}>Save</button>
+                  <button type="button" className="text-xs text-slate-400 hover:underline" onClick={() => setRenaming(null)}>
+                    Cancel
+                  </button>
+                  {renameError && <p className="w-full text-xs text-amber-300">{renameError}</p>}
+                </form>
+              ) : (
+                <button type="button" className="text-left" onClick={() => onApply(preset)}>
+                  <span className="font-semibold text-slate-100">{preset.name}</span>
+                  <span className="block text-xs text-slate-400">
+                    {preset.stats.join(' + ')}
+                    {preset.movingAverage ? ` · ${preset.movingAverage}-game average` : ''}
+                    {preset.showTeamAggregate ? ' · team line' : ''}
+                  </span>
+                </button>
+              )}
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  className={LINK_BUTTON_CLASS}
+                  onClick={() => onChange(moveChartPreset(presets, preset.id, -1))}
+                  disabled={index === 0}
+                  aria-label={`Mover ${preset.name} para cima`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className={LINK_BUTTON_CLASS}
+                  onClick={() => onChange(moveChartPreset(presets, preset.id, 1))}
+                  disabled={index === presets.length - 1}
+                  aria-label={`Mover ${preset.name} para baixo`}
+                >
+                  ↓
+                </button>
+                <button type="button" className={LINK_BUTTON_CLASS} onClick={() => setRenaming({ id: preset.id, name: preset.name })}>
+                  Rename
+                </button>
+                <button type="button" className={LINK_BUTTON_CLASS} onClick={() => handleShare(preset)}>
+                  Share
+                </button>
+                <button
+                  type="button"
+                  className="text-xs text-red-300 hover:underline"
+                  onClick={() => onChange(removeChartPreset(presets, preset.id))}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {notice && <p className="mt-3 break-all text-xs text-slate-400">{notice}</p>}
+      {syncError && <p className="mt-3 text-xs text-amber-300">{syncError}</p>}
+    </div>
+  )
+}
+
+export default ChartPresetManager
@@ -0,0 +1,164 @@
+import { MAPPING_TARGETS, validateColumnMapping } from "@/services/spreadsheetImport.js"
+
+const FIELD_OPTIONS = [
+  { value: MAPPING_TARGETS.TEAM, label: "Time" },
+  { value: MAPPING_TARGETS.NUMBER, label: "Número" },
+  { value: MAPPING_TARGETS.NAME, label: "Nome" },
+]
+const SAMPLE_ROW_COUNT = 3
+const HEADER_ROW_CHOICES = 10
+const HEADER_PREVIEW_CELLS = 4
+
+const selectStyle = { padding: "4px 6px", borderRadius: 6, border: "1px solid #cbd5f5" }
+
+const describeRow = (row, index) => {
+  const cells = row.filter(Boolean)
+  const preview = cells.slice(0, HEADER_PREVIEW_CELLS).join(", ")
+  return `Linha ${index + 1}: ${preview}${cells.length > HEADER_PREVIEW_CELLS ? "…" : ""}`
+}
+
+const buttonStyle = {
+  padding: "6px 14px",
+  borderRadius: 999,
+  border: "1px solid #94a3b8",
+  background: "#f8fafc",
+  color: "#0f172a",
+  cursor: "pointer",
+  fontWeight: 600,
+}
+
+const ColumnMappingStep = ({
+  fileName,
+  sheets = [],
+  sheetIndex = 0,
+  headerRowIndex = 0,
+  table,
+  mapping,
+  columnLabels,
+  defaultTeam = "",
+  onMappingChange,
+  onDefaultTeamChange,
+  onSheetChange,
+  onHeaderRowChange,
+  onConfirm,
+  onCancel,
+}) => {
+  const problem = validateColumnMapping(mapping, { defaultTeam })
+  const hasTeamColumn = mapping.includes(MAPPING_TARGETS.TEAM)
+  const sampleRows = table.rows.slice(0, SAMPLE_ROW_COUNT)
+  const headerRowChoices = (sheets[sheetIndex]?.rows ?? [])
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => row.some(Boolean))
+    .slice(0, HEADER_ROW_CHOICES)
+
+  return (
+    <section
+      aria-label="Mapeamento de colunas"
+      style={{ margin: "16px 0", padding: 12, borderRadius: 12, border: "1px solid #cbd5f5", background: "#ffffff" }}
+    >
+      <header style={{ marginBottom: 8 }}>
+        <strong style={{ color: "#0f172a" }}>{fileName}</strong>
+        <p style={{ margin: "4px 0 0", fontSize: 13, color: "#64748b" }}>
+          Indique o que cada coluna da planilha representa. Colunas ignoradas não são importadas.
+        </p>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 12, marginTop: 8, fontSize: 13, color: "#475569" }}>
+          {sheets.length > 1 && (
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              Planilha
+              <select value={sheetIndex} onChange={(event) => onSheetChange?.(Number(event.target.value))} style={selectStyle}>
+                {sheets.map((sheet, index) => (
+                  <option key={`${sheet.name}-${index}`} value={index}>{sheet.name || `Planilha ${index + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            Linha de cabeçalho
+            <select
+              value={headerRowIndex}
+              onChange={(event) => onHeaderRowChange?.(Number(event.target.value))}
+              style={selectStyle}
+            >
+              {headerRowChoices.map(({ row, index }) => (
+                <option key={index} value={index}>{describeRow(row, index)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </header>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr>
+              {table.headers.map((header, index) => (
+                <th key={`${header}-${index}`} style={{ padding: "4px 8px", textAlign: "left", color: "#0f172a" }}>
+                  <div>{header}</div>
+                  <select
+                    value={mapping[index]}
+                    onChange={(event) => onMappingChange?.(index, event.target.value)}
+                    aria-label={`Destino da coluna ${header}`}
+                    style={{ ...selectStyle, marginTop: 4 }}
+                  >
+                    <option value={MAPPING_TARGETS.IGNORE}>Ignorar</option>
+                    {FIELD_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                    {columnLabels.map((label) => (
+                      <option key={label} value={label}>{/^\d+$/.test(label) ? `Set ${label}` : label}</option>
+                    ))}
+                  </select>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sampleRows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {row.map((cell, cellIndex) => (
+                  <td key={cellIndex} style={{ padding: "4px 8px", color: "#475569", borderTop: "1px solid #e2e8f0" }}>
+                    {cell}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <footer style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 12, marginTop: 12 }}>
+        {!hasTeamColumn && (
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#475569" }}>
+            Time
+            <input
+              type="text"
+              value={defaultTeam}
+              onChange={(event) => onDefaultTeamChange?.(event.target.value)}
+              style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #cbd5f5" }}
+            />
+          </label>
+        )}
+        {problem && <span style={{ color: "#b45309", fontSize: 13 }}>{problem}</span>}
+        <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+          <button type="button" onClick={onCancel} style={buttonStyle}>
+            Cancelar
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={Boolean(problem)}
+            style={{
+              ...buttonStyle,
+              border: "none",
+              background: problem ? "#94a3b8" : "#0f172a",
+              color: "#f8fafc",
+              cursor: problem ? "not-allowed" : "pointer",
+            }}
+          >
+            Importar
+          </button>
+        </div>
+      </footer>
+    </section>
+  )
+}
+
+export default ColumnMappingStep
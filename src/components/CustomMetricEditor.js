@@ -0,0 +1,128 @@
+import { useState } from 'react'
+import { validateCustomMetric } from '@/utils/customMetrics.js'
+
+const EMPTY_DRAFT = { id: null, name: '', expression: '' }
+const INPUT_CLASS = 'w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-teal-500 focus:outline-none'
+
+// Formula editor for user metrics; columns can be typed by name or inserted from the list below the formula.
+const CustomMetricEditor = ({ metrics = [], labels = [], reservedNames = [], onSave, onDelete, onClose }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [touched, setTouched] = useState(false)
+
+  const editing = metrics.find((metric) => metric.id === draft.id) ?? null
+  const { metric, error } = validateCustomMetric(draft, {
+    labels,
+    reservedNames: reservedNames.filter((name) => name !== editing?.name),
+  })
+
+  const updateDraft = (changes) => {
+    setTouched(true)
+    setDraft((prev) => ({ ...prev, ...changes }))
+  }
+
+  const insertColumn = (label) => {
+    updateDraft({ expression: `${draft.expression.trimEnd()}${draft.expression.trim() ? ' ' : ''}[${label}]` })
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (!metric) return
+    onSave?.(metric)
+    setDraft(EMPTY_DRAFT)
+    setTouched(false)
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200" aria-label="Métricas personalizadas">
+      <div className="mb-3 flex items-center justify-between gap-3">
+        <p className="text-xs uppercase tracking-wide text-slate-500">Custom metrics</p>
+        <button type="button" className="text-xs text-slate-400 hover:text-slate-200" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {metrics.length > 0 && (
+        <ul className="mb-4 space-y-2">
+          {metrics.map((item) => (
+            <li key={item.id} className="flex flex-wrap items-center justify-between gap-2">
+              <div>
+                <p className="font-semibold text-slate-100">{item.name}</p>
+                <p className="text-xs text-slate-400">{item.expression}</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  className="text-xs text-teal-300 hover:underline"
+                  onClick={() => {
+                    setDraft({ id: item.id, name: item.name, expression: item.expression })
+                    setTouched(false)
+                  }}
+                >
+                  Edit
+                </button>
+                <button type="button" className="text-xs text-red-300 hover:underline" onClick={() => onDelete?.(item.id)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          Name
+          <input
+            type="text"
+            className={INPUT_CLASS}
+            value={draft.name}
+            onChange={(event) => updateDraft({ name: event.target.value })}
+            placeholder="Attack efficiency"
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          Formula
+          <textarea
+            className={`${INPUT_CLASS} font-mono`}
+            rows={2}
+            value={draft.expression}
+            onChange={(event) => updateDraft({ expression: event.target.value })}
+            placeholder="(Attacks Pts - Attacks Err - Attacks Blocked) / Attacks Tot"
+          />
+        </label>
+        <div className="flex max-h-24 flex-wrap gap-1 overflow-y-auto">
+          {labels.map((label) => (
+            <button
+              key={label}
+              type="button"
+              className="rounded border border-slate-700 px-2 py-0.5 text-xs text-slate-300 hover:border-teal-500"
+              onClick={() => insertColumn(label)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {touched && error && <p className="text-xs text-amber-300">{error}</p>}
+        <div className="flex justify-end gap-2">
+          {draft.id && (
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => {
+                setDraft(EMPTY_DRAFT)
+                setTouched(false)
+              }}
+            >
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="btn-primary" disabled={!metric}>
+            {draft.id ? 'Update metric' : 'Add metric'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default CustomMetricEditor
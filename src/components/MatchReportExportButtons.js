@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import {
+  buildExportFileName,
+  buildMatchReportCsv,
+  buildMatchReportSheets,
+  downloadBlob,
+} from '@/utils/matchReportExport.js'
+
+// Everything is generated in the browser; PDF goes through the print dialog and the print stylesheet.
+const MatchReportExportButtons = ({ report, disabled = false }) => {
+  const [exporting, setExporting] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleCsv = () => {
+    setError(null)
+    const blob = new Blob([buildMatchReportCsv(report)], { type: 'text/csv;charset=utf-8' })
+    downloadBlob(blob, buildExportFileName(report, 'csv'))
+  }
+
+  const handleXlsx = async () => {
+    try {
+      setExporting('xlsx')
+      setError(null)
+      const { default: writeXlsxFile } = await import('write-excel-file/browser')
+      await writeXlsxFile(buildMatchReportSheets(report)).toFile(buildExportFileName(report, 'xlsx'))
+    } catch (err) {
+      console.error(err)
+      setError('Falha ao gerar a planilha.')
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  const handlePrint = () => {
+    setError(null)
+    window.print()
+  }
+
+  const isDisabled = disabled || !report?.teams?.length
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 print:hidden" aria-label="Exportar relatório">
+      <button type="button" onClick={handleCsv} className="btn-secondary" disabled={isDisabled}>
+        CSV
+      </button>
+      <button type="button" onClick={handleXlsx} className="btn-secondary" disabled={isDisabled || exporting === 'xlsx'}>
+        {exporting === 'xlsx' ? 'Gerando...' : 'XLSX'}
+      </button>
+      <button type="button" onClick={handlePrint} className="btn-secondary" disabled={isDisabled}>
+        PDF / Imprimir
+      </button>
+      {error && <span className="text-sm text-red-300">{error}</span>}
+    </div>
+  )
+}
+
+export default MatchReportExportButtons
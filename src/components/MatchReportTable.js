@@ -1,3 +1,7 @@
+import { LOW_CONFIDENCE_THRESHOLD } from "@/services/matchReportParser.js"
+import { buildProfileColumnGroups, getFormatProfile } from "@/services/pdfFormatProfiles.js"
+import { buildCellErrorKey } from "@/utils/matchReportEditing.js"
+
 const HEADER_BORDER_COLOR = "#1e293b"
 const BODY_BORDER_COLOR = "#e2e8f0"
 const EMPTY_VALUE_PLACEHOLDER = "."
@@ -25,28 +29,77 @@ const resolveColumnValue = (player, columnLabels, index) => {
   return EMPTY_VALUE_PLACEHOLDER
 }
 
-const MatchReportTable = ({ teams, columnLabels, setColumnCount }) => {
+const ERROR_BORDER_COLOR = "#dc2626"
+const LOW_CONFIDENCE_BORDER_COLOR = "#f59e0b"
+
+const resolveLowConfidence = (player, index) => {
+  const confidence = player?.columnConfidence?.[index]
+  return typeof confidence === "number" && confidence < LOW_CONFIDENCE_THRESHOLD ? confidence : null
+}
+
+const describeLowConfidence = (confidence) =>
+  confidence === null ? undefined : `Leitura com baixa confiança (${Math.round(confidence * 100)}%)`
+
+// Inputs commit on blur so a whole edit becomes a single undo step.
+const EditableCell = ({ value, error, warning, onCommit, ariaLabel, type = "text", width = 56 }) => (
+  <input
+    key={String(value)}
+    type={type}
+    defaultValue={value}
+    aria-label={ariaLabel}
+    aria-invalid={Boolean(error)}
+    title={error ?? warning}
+    onBlur={(event) => {
+      if (event.target.value !== String(value)) onCommit(event.target.value)
+    }}
+    onKeyDown={(event) => {
+      if (event.key === "Enter") event.currentTarget.blur()
+    }}
+    style={{
+      width,
+      padding: "4px 6px",
+      borderRadius: 6,
+      border: `1px solid ${error ? ERROR_BORDER_COLOR : warning ? LOW_CONFIDENCE_BORDER_COLOR : "#cbd5f5"}`,
+      background: error ? "#fef2f2" : warning ? "#fffbeb" : "#ffffff",
+      color: "#0f172a",
+      fontFamily: "monospace",
+      fontSize: 13,
+    }}
+  />
+)
+
+const MatchReportTable = ({
+  teams,
+  columnLabels,
+  setColumnCount,
+  formatProfileId,
+  editable = false,
+  cellErrors = {},
+  onCellChange,
+  onPlayerFieldChange,
+  onAddPlayer,
+  onRemovePlayer,
+  onMovePlayer,
+}) => {
   if (!Array.isArray(teams) || teams.length === 0) return null
   const safeColumnLabels = Array.isArray(columnLabels) ? columnLabels : []
   const safeSetCount = Number.isFinite(setColumnCount) && setColumnCount > 0 ? setColumnCount : safeColumnLabels.length
+  const profile = getFormatProfile(formatProfileId)
+  const columnGroups = buildProfileColumnGroups(profile, profile.hasSetColumns ? safeSetCount : 0)
 
   return (
     <>
-      {teams.map(({ team, players: teamPlayers = [] }) => {
+      {teams.map(({ team, players: teamPlayers = [], totals }) => {
         const upperHeaderCells = [
           { key: "team", label: team, span: 2 },
-          { key: "set", label: "Set", span: safeSetCount },
-          { key: "vote", label: "Vote", span: 1 },
-          { key: "points", label: "Points", span: 3 },
-          { key: "serve", label: "Serve", span: 3 },
-          { key: "reception", label: "Reception", span: 4 },
-          { key: "attack", label: "Attack", span: 5 },
-          { key: "bkpts", label: "BK Pts", span: 1 },
+          ...columnGroups,
+          ...(editable ? [{ key: "actions", label: "", span: 1 }] : []),
         ]
+        const otherTeams = teams.map((entry) => entry.team).filter((name) => name !== team)
         const dividerSet = buildGroupDividerSet(upperHeaderCells)
 
         return (
-          <section key={team} style={{ marginBottom: 32 }}>
+          <section key={team} className="match-report-team" style={{ marginBottom: 32 }}>
             <header style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 12 }}>
               <h4 style={{ margin: 0 }}>{team}</h4>
               <span style={{ fontSize: 13, color: "#475569" }}>{teamPlayers.length} atletas</span>
@@ -113,12 +166,13 @@ const MatchReportTable = ({ teams, columnLabels, setColumnCount }) => {
                         {label}
                       </th>
                     ))}
+                    {editable && <th style={{ padding: "8px 10px" }} aria-label="Ações" />}
                   </tr>
                 </thead>
                 <tbody>
                   {teamPlayers.map((player, index) => {
                     const fallbackName = player?.name || 'player'
-                    const playerKey = `${team}-${player.number}-${fallbackName}-${index}`
+                    const playerKey = player.rowId ?? `${team}-${player.number}-${fallbackName}-${index}`
 
                     return (
                       <tr key={playerKey} title={player.lineText}>
@@ -132,7 +186,18 @@ const MatchReportTable = ({ teams, columnLabels, setColumnCount }) => {
                             zIndex: 1,
                           }}
                         >
-                          {player.number}
+                          {editable ? (
+                            <EditableCell
+                              type="number"
+                              width={52}
+                              value={player.number}
+                              error={cellErrors[buildCellErrorKey(player.rowId, "number")]}
+                              ariaLabel={`Número de ${fallbackName}`}
+                              onCommit={(value) => onPlayerFieldChange?.(player.rowId, "number", value)}
+                            />
+                          ) : (
+                            player.number
+                          )}
                         </td>
                         <td
                           style={{
@@ -140,29 +205,143 @@ const MatchReportTable = ({ teams, columnLabels, setColumnCount }) => {
                             borderLeft: dividerSet.has(1) ? `1px solid ${BODY_BORDER_COLOR}` : "none",
                           }}
                         >
-                          {player.name}
+                          {editable ? (
+                            <EditableCell
+                              width={160}
+                              value={player.name ?? ""}
+                              ariaLabel={`Nome do atleta ${player.number}`}
+                              onCommit={(value) => onPlayerFieldChange?.(player.rowId, "name", value)}
+                            />
+                          ) : (
+                            player.name
+                          )}
                         </td>
-                        {safeColumnLabels.map((label, index) => (
-                          <td
-                            key={`${playerKey}-col-${index}`}
-                            style={{
-                              padding: "8px 10px",
-                              borderLeft: dividerSet.has(index + 2)
-                                ? `1px solid ${BODY_BORDER_COLOR}`
-                                : "none",
-                            }}
-                          >
-                            <div style={{ fontFamily: "monospace", fontSize: 13 }}>
-                              {resolveColumnValue(player, safeColumnLabels, index)}
-                            </div>
+                        {safeColumnLabels.map((label, index) => {
+                          const lowConfidence = resolveLowConfidence(player, index)
+                          return (
+                            <td
+                              key={`${playerKey}-col-${index}`}
+                              data-low-confidence={lowConfidence === null ? undefined : "true"}
+                              style={{
+                                padding: "8px 10px",
+                                borderLeft: dividerSet.has(index + 2)
+                                  ? `1px solid ${BODY_BORDER_COLOR}`
+                                  : "none",
+                              }}
+                            >
+                              {editable ? (
+                                <EditableCell
+                                  value={resolveColumnValue(player, safeColumnLabels, index)}
+                                  error={cellErrors[buildCellErrorKey(player.rowId, index)]}
+                                  warning={describeLowConfidence(lowConfidence)}
+                                  ariaLabel={`${label} de ${fallbackName}`}
+                                  onCommit={(value) => onCellChange?.(player.rowId, index, value)}
+                                />
+                              ) : (
+                                <div
+                                  title={describeLowConfidence(lowConfidence)}
+                                  style={{
+                                    fontFamily: "monospace",
+                                    fontSize: 13,
+                                    ...(lowConfidence === null ? {} : { color: LOW_CONFIDENCE_BORDER_COLOR }),
+                                  }}
+                                >
+                                  {resolveColumnValue(player, safeColumnLabels, index)}
+                                </div>
+                              )}
+                            </td>
+                          )
+                        })}
+                        {editable && (
+                          <td style={{ padding: "8px 10px", whiteSpace: "nowrap" }}>
+                            {otherTeams.length > 0 && (
+                              <select
+                                value=""
+                                aria-label={`Mover ${fallbackName} para outro time`}
+                                onChange={(event) => {
+                                  if (event.target.value) onMovePlayer?.(player.rowId, event.target.value)
+                                }}
+                                style={{ marginRight: 6, padding: "4px 6px", borderRadius: 6, fontSize: 12 }}
+                              >
+                                <option value="">Mover para...</option>
+                                {otherTeams.map((name) => (
+                                  <option key={name} value={name}>{name}</option>
+                                ))}
+                              </select>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => onRemovePlayer?.(player.rowId)}
+                              aria-label={`Remover ${fallbackName}`}
+                              style={{
+                                border: "1px solid #fecaca",
+                                background: "#fee2e2",
+                                color: "#b91c1c",
+                                borderRadius: 6,
+                                padding: "2px 8px",
+                                cursor: "pointer",
+                              }}
+                            >
+                              ×
+                            </button>
                           </td>
-                        ))}
+                        )}
                       </tr>
                     )
                   })}
                 </tbody>
+                {totals && (
+                  <tfoot>
+                    <tr style={{ borderTop: `2px solid ${HEADER_BORDER_COLOR}`, fontWeight: 600 }}>
+                      <td
+                        colSpan={2}
+                        style={{
+                          padding: "8px 10px",
+                          position: "sticky",
+                          left: 0,
+                          background: "#1e293b",
+                          zIndex: 1,
+                        }}
+                      >
+                        Totais
+                      </td>
+                      {safeColumnLabels.map((label, index) => (
+                        <td
+                          key={`${team}-total-${index}`}
+                          style={{
+                            padding: "8px 10px",
+                            borderLeft: dividerSet.has(index + 2) ? `1px solid ${BODY_BORDER_COLOR}` : "none",
+                          }}
+                        >
+                          <div style={{ fontFamily: "monospace", fontSize: 13 }}>
+                            {resolveColumnValue({ stats: totals }, safeColumnLabels, index)}
+                          </div>
+                        </td>
+                      ))}
+                      {editable && <td />}
+                    </tr>
+                  </tfoot>
+                )}
               </table>
             </div>
+            {editable && (
+              <button
+                type="button"
+                onClick={() => onAddPlayer?.(team)}
+                style={{
+                  marginTop: 8,
+                  padding: "4px 12px",
+                  borderRadius: 999,
+                  border: "1px dashed #94a3b8",
+                  background: "#f8fafc",
+                  color: "#0f172a",
+                  cursor: "pointer",
+                  fontSize: 13,
+                }}
+              >
+                + Adicionar atleta
+              </button>
+            )}
           </section>
         )
       })}
@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { api } from '@/services/api.js'
+import { useAuth } from '@/hooks/useAuth.js'
+import { formatDuration } from '@/services/videoMetadata.js'
+import { listCompletedUploads } from '@/utils/completedUploadsStorage.js'
+import { readUploadThumbnails } from '@/utils/uploadThumbnailStorage.js'
+import { buildDownloadUrl } from '@/utils/downloadUrl.js'
+
+const resolveFileKey = (item = {}) => item.fileKey ?? item.key ?? item.path ?? item.fileName ?? ''
+
+const resolveDisplayName = (item = {}, fileKey = resolveFileKey(item)) => {
+  const rawName = item.displayName ?? item.originalFileName ?? item.fileName ?? fileKey
+  return rawName?.split('/').pop() || rawName
+}
+
+const normalizeVideos = (response) => {
+  const source = Array.isArray(response) ? response : response?.videos ?? []
+  return source
+    .map((item) => (typeof item === 'string' ? { fileKey: item } : item))
+    .map((item) => {
+      const fileKey = resolveFileKey(item)
+      return { ...item, fileKey, displayName: resolveDisplayName(item, fileKey) }
+    })
+    .filter((item) => Boolean(item.fileKey))
+}
+
+const omitKey = (map, key) => {
+  const next = { ...map }
+  delete next[key]
+  return next
+}
+
+const MatchVideos = ({ matchId }) => {
+  const { userId } = useAuth()
+  const [videos, setVideos] = useState([])
+  const [uploads, setUploads] = useState([])
+  const [selectedKey, setSelectedKey] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [playback, setPlayback] = useState({})
+
+  const storedUploads = useMemo(() => {
+    const index = new Map()
+    listCompletedUploads(userId).forEach((entry) => {
+      if (entry.fileKey) index.set(entry.fileKey, entry)
+    })
+    return index
+  }, [userId])
+  const storedThumbnails = useMemo(() => readUploadThumbnails(userId), [userId])
+
+  // Linked videos stay playable even when the list of uploads available for linking fails to load.
+  const fetchVideos = useCallback(async () => {
+    if (!matchId) return
+    setLoading(true)
+    setError(null)
+    const [linked, completed] = await Promise.allSettled([
+      api.stats.listMatchVideos(matchId),
+      api.upload.completed({ userId }),
+    ])
+    if (linked.status === 'fulfilled') {
+      setVideos(normalizeVideos(linked.value))
+    } else {
+      setError(linked.reason?.message || 'Falha ao carregar os vídeos da partida.')
+    }
+    if (completed.status === 'fulfilled') {
+      setUploads(normalizeVideos(completed.value?.uploads ?? []))
+    } else {
+      setUploads([])
+      if (linked.status === 'fulfilled') {
+        setError(completed.reason?.message || 'Falha ao carregar os vídeos disponíveis para vincular.')
+      }
+    }
+    setLoading(false)
+  }, [matchId, userId])
+
+  useEffect(() => {
+    fetchVideos()
+  }, [fetchVideos])
+
+  const linkedKeys = new Set(videos.map((video) => video.fileKey))
+  const availableUploads = uploads.filter((upload) => !linkedKeys.has(upload.fileKey))
+
+  const handleLink = async () => {
+    if (!selectedKey) return
+    try {
+      setSaving(true)
+      setError(null)
+      await api.stats.linkMatchVideos(matchId, { fileKeys: [selectedKey] })
+      setSelectedKey('')
+      await fetchVideos()
+    } catch (err) {
+      setError(err?.message || 'Não foi possível vincular o vídeo.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUnlink = async (fileKey) => {
+    try {
+      setSaving(true)
+      setError(null)
+      await api.stats.unlinkMatchVideo(matchId, fileKey)
+      setVideos((prev) => prev.filter((video) => video.fileKey !== fileKey))
+      setPlayback((prev) => omitKey(prev, fileKey))
+    } catch (err) {
+      setError(err?.message || 'Não foi possível remover o vídeo.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Download tokens are short-lived, so the playback URL is only requested when the user presses play.
+  const handlePlay = async (video) => {
+    try {
+      setPlayback((prev) => ({ ...prev, [video.fileKey]: { loading: true } }))
+      const response = await api.download.generateToken({ fileName: video.fileKey, uploadedAt: video.uploadedAt })
+      const url = buildDownloadUrl({ token: response?.token, path: response?.url })
+      setPlayback((prev) => ({ ...prev, [video.fileKey]: { url } }))
+    } catch (err) {
+      setPlayback((prev) => omitKey(prev, video.fileKey))
+      setError(err?.message || 'Não foi possível carregar o vídeo.')
+    }
+  }
+
+  return (
+    <section className="flex flex-col gap-4 rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-semibold text-slate-100">Vídeos da partida</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            className="rounded-lg border border-slate-800 bg-slate-900/60 px-3 py-2 text-sm text-slate-100 focus:border-emerald-400 focus:outline-none"
+            value={selectedKey}
+            onChange={(event) => setSelectedKey(event.target.value)}
+            disabled={loading || !availableUploads.length}
+            aria-label="Vídeo para vincular"
+          >
+            <option value="">{availableUploads.length ? 'Selecione um vídeo enviado' : 'Nenhum vídeo disponível'}</option>
+            {availableUploads.map((upload) => (
+              <option key={upload.fileKey} value={upload.fileKey}>{upload.displayName}</option>
+            ))}
+          </select>
+          <button type="button" className="btn-primary" onClick={handleLink} disabled={!selectedKey || saving}>
+            Vincular vídeo
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-rose-300">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-slate-400">Carregando vídeos...</p>
+      ) : !videos.length ? (
+        <p className="text-sm text-slate-400">Nenhum vídeo vinculado a esta partida.</p>
+      ) : (
+        <ul className="flex flex-col gap-4">
+          {videos.map((video) => {
+            const stored = storedUploads.get(video.fileKey)
+            const thumbnail = video.thumbnail ?? storedThumbnails.get(video.fileKey) ?? null
+            const duration = formatDuration(video.durationSeconds ?? stored?.durationSeconds)
+            const state = playback[video.fileKey]
+            return (
+              <li key={video.fileKey} className="flex flex-col gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-3">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div className="flex items-center gap-3 text-sm text-slate-200">
+                    {thumbnail && (
+                      <img src={thumbnail} alt="" className="h-12 w-20 rounded-lg border border-slate-800 object-cover" />
+                    )}
+                    <div className="flex flex-col">
+                      <span className="font-semibold text-slate-100">{video.displayName}</span>
+                      {duration && <span className="text-xs text-slate-400">{duration}</span>}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {!state?.url && (
+                      <button type="button" className="btn-secondary text-xs" onClick={() => handlePlay(video)} disabled={state?.loading}>
+                        {state?.loading ? 'Carregando...' : 'Assistir'}
+                      </button>
+                    )}
+                    <button type="button" className="btn-ghost text-xs text-slate-300" onClick={() => handleUnlink(video.fileKey)} disabled={saving}>
+                      Remover
+                    </button>
+                  </div>
+                </div>
+                {state?.url && (
+                  <video className="w-full rounded-lg bg-black" src={state.url} poster={thumbnail ?? undefined} controls autoPlay />
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default MatchVideos
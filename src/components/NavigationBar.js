@@ -1,5 +1,7 @@
 import { Link, NavLink, useNavigate } from 'react-router-dom'
 import { useAuth } from '@/hooks/useAuth.js'
+import { useUploadQueue } from '@/hooks/useUploadQueue.js'
+import { summarizeUploadQueue } from '@/services/uploadQueue.js'
 
 const authedLinks = [
   { to: '/', label: 'Dashboard' },
@@ -18,6 +20,36 @@ const buildClass = ({ isActive }) =>
     isActive ? 'bg-white/10 text-white' : 'text-slate-300 hover:text-white'
   }`
 
+const UploadIndicator = () => {
+  const { items, offline } = useUploadQueue()
+  const { activeCount, waitingCount, errorCount, percent } = summarizeUploadQueue(items)
+  if (!activeCount && !waitingCount && !errorCount) return null
+
+  const label = activeCount
+    ? `${activeCount} ${activeCount === 1 ? 'upload' : 'uploads'} • ${percent}%`
+    : errorCount
+      ? `${errorCount} failed`
+      : offline
+        ? 'Uploads offline'
+        : 'Uploads paused'
+
+  return (
+    <Link
+      to="/videos"
+      className="mr-2 flex items-center gap-2 rounded-full border border-slate-800 bg-slate-900/60 px-3 py-1 text-xs font-semibold text-slate-300 transition hover:text-white"
+      aria-label={`Uploads: ${label}`}
+    >
+      <span className="h-1.5 w-16 overflow-hidden rounded-full bg-slate-800">
+        <span
+          className={`block h-full ${errorCount && !activeCount ? 'bg-rose-400' : 'bg-emerald-400'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </span>
+      {label}
+    </Link>
+  )
+}
+
 const NavigationBar = () => {
   const navigate = useNavigate()
   const { isAuthenticated, logout } = useAuth()
@@ -28,12 +60,13 @@ const NavigationBar = () => {
   }
 
   return (
-    <header className="border-b border-slate-800 bg-slate-950/80 backdrop-blur">
+    <header className="border-b border-slate-800 bg-slate-950/80 backdrop-blur print:hidden">
       <div className="mx-auto flex w-full max-w-6xl flex-wrap items-center justify-between gap-4 px-4 py-4">
         <Link to="/" className="flex flex-col">
           <span className="text-lg font-bold tracking-tight text-white">Volley Plus Console</span>
         </Link>
         <nav className="flex flex-1 items-center justify-end">
+          {isAuthenticated && <UploadIndicator />}
           {(isAuthenticated ? authedLinks : guestLinks).map((link) => (
             <NavLink key={link.to} to={link.to} className={buildClass} end={link.to === '/'}>
               {link.label}
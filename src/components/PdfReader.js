@@ -1,189 +1,63 @@
 import { useState, useRef, useEffect, useCallback } from "react";
-import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
-import pdfWorkerSrc from "pdfjs-dist/build/pdf.worker.min.js?url";
-import { ApiError, api } from "../services/api";
+import { api } from "../services/api";
+import {
+  DUPLICATE_REPORT_MESSAGE,
+  assertNoDuplicateMatchReport,
+  isDuplicateReportError,
+} from "../services/matchReportDuplicates.js";
 import MatchReportTable from "./MatchReportTable.js";
-
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerSrc;
-
-const TEAM_HEADER_EXCLUSION_REGEX = /(vote|points|serve|reception|attack|tot|err|pos%|coach|set)/i;
-const SECTION_END_REGEX = /^(Points\s+won|Head\s+Coach|Assistant|Set\s+\d+)/i;
-const STAT_TOKEN_REGEX = /^([+-]?\d+(?:[.,]\d+)?%?)$/;
-const DEFAULT_SET_COLUMNS = 4;
-const MAX_SET_COLUMNS = 5;
-
-const buildTableColumnLabels = (setCount = DEFAULT_SET_COLUMNS) => {
-  const clampedSets = Math.min(Math.max(1, setCount || DEFAULT_SET_COLUMNS), MAX_SET_COLUMNS);
-  const setColumns = Array.from({ length: clampedSets }, (_, index) => `${index + 1}`);
-
-  return [
-    ...setColumns,
-    'Vote',
-    'Points Tot', 'Brake Points', 'Points Won - Lost',
-    'Serves Tot', 'Serves Err', 'Serves Pts',
-    'Receptions Tot', 'Receptions Err', 'Receptions Pos%', 'Receptions Exc%',
-    'Attacks Tot', 'Attacks Err', 'Attacks Blocked', 'Attacks Pts', 'Attacks Pts%', 'BK Pts',
-  ];
-};
-
-const COLUMN_TOLERANCE = 14;
-const HEIGHT_TOLERANCE = 5;
-const EMPTY_VALUE_PLACEHOLDER = '.';
-const DATE_REGEX = /(?:(?:date|data)\s*[:-]?\s*)?(\d{1,2}[./-]\d{1,2}[./-]\d{2,4})/i;
-const TIME_REGEX = /(?:(?:time|hora|horário|horario)\s*[:-]?\s*)?((?:[01]?\d|2[0-3])[:,h]\d{2}(?:[:,h]\d{2})?\s*(?:am|pm)?)\b/i;
-const normalizeTokenText = (value) => {
-  if (typeof value !== "string") return "";
-  return value.replace(/[()]/g, "").trim();
-};
-
-const pad = (value) => String(value).padStart(2, '0');
-
-const formatDateForInput = (rawDate) => {
-  if (!rawDate) return null;
-  const separators = /[./-]/;
-  const parts = rawDate.split(separators).map((part) => part.trim()).filter(Boolean);
-  if (parts.length < 3) return null;
-  let [day, month, year] = parts.map((value) => Number(value));
-
-  if (!day || !month || !year) return null;
-  if (year < 100) {
-    year += year >= 70 ? 1900 : 2000;
-  }
-  if (month > 12 && day <= 12) {
-    [day, month] = [month, day];
-  }
-  if (day > 31 || month > 12) return null;
-  return `${year}-${pad(month)}-${pad(day)}`;
-};
-
-const formatTimeForInput = (rawTime) => {
-  if (!rawTime) return null;
-  const trimmed = rawTime.trim().toLowerCase();
-  const meridiemMatch = trimmed.match(/(am|pm)$/);
-  const meridiem = meridiemMatch ? meridiemMatch[1] : null;
-  const numericPart = trimmed
-    .replace(/(am|pm)$/i, '')
-    .replace(/h/gi, ':')
-    .replace(/\s+/g, '')
-    .trim();
-  const segments = numericPart.split(':').filter(Boolean);
-  if (!segments.length) return null;
-  let hours = Number(segments[0]);
-  const minutes = Number(segments[1] ?? 0);
-  if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
-
-  if (meridiem) {
-    if (meridiem === 'pm' && hours < 12) hours += 12;
-    if (meridiem === 'am' && hours === 12) hours = 0;
-  }
-  hours = hours % 24;
-  return `${pad(hours)}:${pad(minutes)}`;
-};
-
-const detectMatchMetadata = (lines = []) => {
-  if (!Array.isArray(lines) || !lines.length) {
-    return { date: null, time: null };
-  }
-
-  let detectedDate = null;
-  let detectedTime = null;
-
-  for (const line of lines) {
-    const text = getLineText(line);
-    if (!text) continue;
-
-    if (!detectedDate) {
-      const dateMatch = DATE_REGEX.exec(text);
-      if (dateMatch) {
-        detectedDate = formatDateForInput(dateMatch[1]);
-      }
-    }
-
-    if (!detectedTime) {
-      const timeMatch = TIME_REGEX.exec(text);
-      if (timeMatch) {
-        detectedTime = formatTimeForInput(timeMatch[1]);
-      }
-    }
-
-    if (detectedDate && detectedTime) {
-      break;
-    }
-  }
-
-  return { date: detectedDate, time: detectedTime };
-};
-
-const mapTokensToColumns = (tokens, columnAnchors, columnLabels) => {
-  const labels = Array.isArray(columnLabels) && columnLabels.length
-    ? columnLabels
-    : buildTableColumnLabels();
-  const safeTokens = Array.isArray(tokens) ? tokens : [];
-
-  if (!Array.isArray(columnAnchors) || columnAnchors.length !== labels.length) {
-    return labels.map((_, index) => {
-      const token = safeTokens[index];
-      const value = normalizeTokenText(token?.text);
-      return value && value.length ? value : EMPTY_VALUE_PLACEHOLDER;
-    });
-  }
-
-  const result = labels.map(() => EMPTY_VALUE_PLACEHOLDER);
-  const occupied = new Array(columnAnchors.length).fill(false);
-
-  safeTokens.forEach((token) => {
-    const value = normalizeTokenText(token.text);
-    if (!value) return;
-
-    const width = token.width ?? 0;
-    const height = token.height ?? 0;
-    const start = token.x;
-    const end = start + width;
-    const center = start + width / 2;
-
-    let bestIndex = -1;
-    let bestScore = Infinity;
-
-    columnAnchors.forEach((anchor, index) => {
-      if (occupied[index]) return;
-      const overlapsHorizontally =
-        (start >= anchor.start - COLUMN_TOLERANCE && start <= anchor.end + COLUMN_TOLERANCE) ||
-        (end >= anchor.start - COLUMN_TOLERANCE && end <= anchor.end + COLUMN_TOLERANCE) ||
-        (start <= anchor.start && end >= anchor.end);
-
-      const heightDiff = anchor.height ? Math.abs(anchor.height - height) : 0;
-      const heightPenalty = heightDiff > HEIGHT_TOLERANCE ? heightDiff : 0;
-      const score = Math.abs(anchor.center - center) + heightPenalty + (overlapsHorizontally ? 0 : 25);
-
-      if (score < bestScore) {
-        bestScore = score;
-        bestIndex = index;
-      }
-    });
-
-    if (bestIndex !== -1) {
-      occupied[bestIndex] = true;
-      result[bestIndex] = value;
-    }
-  });
-
-  return result;
-};
-
-const groupPlayersByTeam = (players = []) => {
-  if (!Array.isArray(players) || !players.length) return [];
-
-  const teams = players.reduce((acc, player) => {
-    const teamName = player.team || "Equipe";
-    if (!acc[teamName]) acc[teamName] = [];
-    acc[teamName].push(player);
-    return acc;
-  }, {});
-
-  return Object.entries(teams).map(([team, teamPlayers]) => ({
-    team,
-    players: [...teamPlayers].sort((a, b) => a.number - b.number),
-  }));
+import {
+  DEFAULT_FORMAT_PROFILE_ID,
+  getFormatProfile,
+  listFormatProfiles,
+} from "../services/pdfFormatProfiles.js";
+import {
+  AUTO_PROFILE_ID,
+  EMPTY_VALUE_PLACEHOLDER,
+  buildTableColumnLabels,
+  groupPlayersByTeam,
+  parseMatchReport,
+} from "../services/matchReportParser.js";
+import { parseMatchReportPdf } from "../services/pdfParsing.js";
+import {
+  formatFinalScore,
+  formatMatchDuration,
+  formatSetScores,
+  hasMatchSummary,
+} from "../utils/matchSummary.js";
+import { useUndoableState } from "../hooks/useUndoableState.js";
+import {
+  applyCellEdit,
+  applyPlayerFieldEdit,
+  createEmptyPlayer,
+  createRowId,
+  isLastPlayerOfTeam,
+  movePlayerToTeam,
+  validatePlayerRows,
+} from "../utils/matchReportEditing.js";
+import { findStatInconsistencies } from "../utils/matchReportChecks.js";
+import { BATCH_STATUS, NO_PLAYERS_MESSAGE, PARSE_FAILED_MESSAGE } from "../utils/matchReportBatch.js";
+import { useMatchReportBatch } from "../hooks/useMatchReportBatch.js";
+import BatchImportList from "./BatchImportList.js";
+import ColumnMappingStep from "./ColumnMappingStep.js";
+import { isDvwFile, parseDvw, readDvwFile } from "../services/dvwImport.js";
+import {
+  buildSpreadsheetReport,
+  guessColumnMapping,
+  isSpreadsheetFile,
+  readSpreadsheetFile,
+  selectSpreadsheetTable,
+} from "../services/spreadsheetImport.js";
+
+const DEFAULT_SET_COLUMNS = getFormatProfile(DEFAULT_FORMAT_PROFILE_ID).defaultSetColumns;
+
+const isPdfFile = (file) => file?.type === "application/pdf" || /\.pdf$/i.test(file?.name ?? "");
+const isStatsFile = (file) => isSpreadsheetFile(file) || isDvwFile(file);
+
+// Spreadsheet columns can be mapped to any set column the profile allows, not only the default count.
+const buildMappingLabels = (profileChoice) => {
+  const profile = getFormatProfile(profileChoice === AUTO_PROFILE_ID ? DEFAULT_FORMAT_PROFILE_ID : profileChoice);
+  return buildTableColumnLabels(profile.maxSetColumns, profile);
 };
 
 const formatValidationErrors = (errors) => {
@@ -210,11 +84,19 @@ const buildMatchReportPayload = ({
   setColumns = DEFAULT_SET_COLUMNS,
   matchDateValue,
   matchTimeValue,
+  formatProfileId,
+  summary,
+  teamTotals = [],
 }) => {
   const grouped = groupPlayersByTeam(playersData);
   const safeLabels = Array.isArray(columnLabels) ? columnLabels : [];
   const normalizedDate = matchDateValue || null;
   const normalizedTime = matchTimeValue || null;
+  const toStatsByLabel = (values) =>
+    safeLabels.reduce((acc, label, index) => {
+      acc[label] = values?.[index] ?? EMPTY_VALUE_PLACEHOLDER;
+      return acc;
+    }, {});
 
   return {
     generatedAt: new Date().toISOString(),
@@ -222,341 +104,23 @@ const buildMatchReportPayload = ({
     columnLabels: safeLabels,
     matchDate: normalizedDate,
     matchTime: normalizedTime,
-    teams: grouped.map(({ team, players }) => ({
-      team,
-      players: players.map((player) => ({
-        number: player.number,
-        name: player.name,
-        stats: safeLabels.reduce((acc, label, index) => {
-          acc[label] = player.columnValues?.[index] ?? EMPTY_VALUE_PLACEHOLDER;
-          return acc;
-        }, {}),
-      })),
-    })),
+    ...(formatProfileId ? { formatProfile: formatProfileId } : {}),
+    ...(summary ? { summary } : {}),
+    teams: grouped.map(({ team, players }) => {
+      const totals = teamTotals.find((entry) => entry.team === team);
+      return {
+        team,
+        ...(totals ? { totals: toStatsByLabel(totals.columnValues) } : {}),
+        players: players.map((player) => ({
+          number: player.number,
+          name: player.name,
+          stats: toStatsByLabel(player.columnValues),
+        })),
+      };
+    }),
   };
 };
 
-function round(value) {
-  return Number((value ?? 0).toFixed(2));
-}
-
-function groupLines(items, tolerance = 2.5) {
-  const rows = [];
-  const yBuckets = [];
-
-  items.forEach((it) => {
-    let bucketIndex = -1;
-
-    for (let i = 0; i < yBuckets.length; i += 1) {
-      if (Math.abs(yBuckets[i] - it.y) <= tolerance) {
-        bucketIndex = i;
-        break;
-      }
-    }
-
-    if (bucketIndex === -1) {
-      yBuckets.push(it.y);
-      rows.push([it]);
-    } else {
-      rows[bucketIndex].push(it);
-    }
-  });
-
-  const lineObjects = rows.map((row) => {
-    const sorted = row.sort((a, b) => a.x - b.x);
-    return {
-      y: sorted.reduce((sum, item) => sum + item.y, 0) / sorted.length,
-      page: sorted[0].page,
-      tokens: sorted.map((token) => ({
-        str: token.str,
-        x: token.x,
-        width: token.width,
-        height: token.height,
-      })),
-    };
-  });
-
-  return lineObjects.sort((a, b) => a.page - b.page || b.y - a.y);
-}
-
-function getLineText(line) {
-  return line.tokens
-    .map((token) => token.str.trim())
-    .filter(Boolean)
-    .join(" ")
-    .replace(/\s{2,}/g, " ")
-    .trim();
-}
-
-function detectTeamHeader(text) {
-  if (!text) return null;
-  const normalized = text.replace(/\s{2,}/g, " ").trim();
-  if (!normalized) return null;
-
-  const lower = normalized.toLowerCase();
-  const keywordMatch = TEAM_HEADER_EXCLUSION_REGEX.exec(lower);
-  const trimmedBeforeKeywords = keywordMatch
-    ? normalized.slice(0, keywordMatch.index).trim()
-    : normalized;
-
-  if (!trimmedBeforeKeywords) return null;
-
-  const withoutScores = trimmedBeforeKeywords
-    .replace(/\s*\d+\s*-\s*\d+\s*$/, "")
-    .replace(/\d+$/, "")
-    .trim();
-
-  if (!withoutScores) return null;
-
-  const cleanText = withoutScores
-    .replace(/\d+/g, " ")
-    .replace(/\s{2,}/g, " ")
-    .trim();
-
-  const isValidChunk = (chunk) => /^[A-ZÀ-Ú0-9][A-Za-zÀ-ú0-9' ]*$/.test(chunk);
-
-  if (cleanText.includes("-")) {
-    const parts = cleanText
-      .split("-")
-      .map((part) => part.trim())
-      .filter(Boolean)
-      .filter(isValidChunk);
-
-    if (parts.length >= 1) {
-      return parts.join(" - ");
-    }
-    return null;
-  }
-
-  if (isValidChunk(cleanText)) {
-    return cleanText;
-  }
-
-  return null;
-}
-
-function isSectionTerminator(text) {
-  return SECTION_END_REGEX.test(text);
-}
-
-function isStatValue(value) {
-  if (!value) return false;
-  const normalized = value.trim();
-  if (!normalized) return false;
-  return normalized === "." || normalized === "-" || STAT_TOKEN_REGEX.test(normalized);
-}
-
-function splitTokenText(token) {
-  const original = token.str ?? token.text ?? "";
-  if (!original.includes(" ")) return [{ ...token, str: original }];
-
-  const parts = original.split(/\s+/).filter(Boolean);
-  if (parts.length <= 1) return [{ ...token, str: original }];
-
-  const widthPerChar = (token.width ?? 0) / (original.length || 1);
-  let cursorX = token.x;
-
-  return parts.map((part) => {
-    const estimatedWidth = widthPerChar * part.length || token.width;
-    const piece = {
-      ...token,
-      str: part,
-      x: cursorX,
-      width: estimatedWidth,
-    };
-    cursorX += estimatedWidth + widthPerChar;
-    return piece;
-  });
-}
-
-function parsePlayerLine(line) {
-  const tokens = line.tokens
-    .flatMap((token) => splitTokenText(token))
-    .map((token) => ({
-      text: token.str.trim(),
-      x: token.x,
-      width: token.width ?? 0,
-      height: token.height ?? 0,
-    }))
-    .filter((token) => Boolean(token.text));
-
-  if (!tokens.length) return null;
-
-  let numberIndex = -1;
-  let numberText = null;
-
-  for (let i = 0; i < Math.min(3, tokens.length); i += 1) {
-    const raw = tokens[i].text.replace(/\s+/g, "");
-    const digits = raw.replace(/[^0-9]/g, "");
-    const remainder = raw.replace(/[0-9]/g, "").replace(/[^A-Za-z]/g, "");
-
-    if (!digits || digits.length > 3) continue;
-    if (remainder && !/^L+$/i.test(remainder)) continue;
-
-    numberIndex = i;
-    numberText = digits;
-    break;
-  }
-
-  if (numberIndex === -1) return null;
-  const number = Number(numberText);
-  let remainingTokens = tokens.slice(numberIndex + 1);
-
-  while (remainingTokens.length && /^L+$/i.test(remainingTokens[0].text.replace(/[^A-Za-z]/g, ""))) {
-    remainingTokens = remainingTokens.slice(1);
-  }
-
-  const nameParts = [];
-  const statTokens = [];
-  let collectingStats = false;
-
-  remainingTokens.forEach((token) => {
-    if (!collectingStats && !isStatValue(token.text)) {
-      const normalized = token.text.replace(/[^A-Za-zÀ-ÿ'\-\s]/g, "");
-      if (!normalized) return;
-      nameParts.push(token.text);
-      return;
-    }
-    collectingStats = true;
-    statTokens.push(token);
-  });
-
-  const name = nameParts.join(" ").trim();
-  if (!name) return null;
-
-  return {
-    number,
-    name,
-    rawStats: statTokens.map((token) => token.text),
-    lineText: getLineText(line),
-    statTokens,
-  };
-}
-
-function inferColumnAnchors(players, lines, currentSetCount = DEFAULT_SET_COLUMNS) {
-  const headerResult = inferAnchorsFromHeader(lines);
-  if (headerResult) return headerResult;
-
-  const columnLabels = buildTableColumnLabels(currentSetCount);
-
-  if (!Array.isArray(players) || !players.length) {
-    return { anchors: null, detectedSetCount: currentSetCount };
-  }
-
-  const candidateTokens = players
-    .map((player) => player.statTokens?.filter((token) => token?.text?.trim()) || [])
-    .filter((tokens) => tokens.length >= columnLabels.length)
-    .sort((a, b) => b.length - a.length)[0];
-
-  if (!candidateTokens) {
-    return { anchors: null, detectedSetCount: currentSetCount };
-  }
-
-  const anchors = columnLabels.map((_, index) => {
-    const token = candidateTokens[index];
-    const width = token.width ?? 0;
-    return {
-      start: token.x,
-      end: token.x + width,
-      center: token.x + width / 2,
-      height: token.height ?? 0,
-    };
-  });
-
-  return { anchors, detectedSetCount: currentSetCount };
-}
-
-function inferAnchorsFromHeader(lines) {
-  if (!Array.isArray(lines) || !lines.length) return null;
-  const headerLine = lines.find((line) => {
-    const text = getLineText(line).toLowerCase();
-    return text.includes("pos%") && text.includes("vote") && text.includes("blo");
-  });
-
-  if (!headerLine) return null;
-
-  const flattenedTokens = headerLine.tokens
-    .flatMap((token) => splitTokenText(token))
-    .map((token) => ({
-      text: token.str.trim(),
-      x: token.x,
-      width: token.width ?? 0,
-      height: token.height ?? 0,
-    }))
-    .filter((token) => Boolean(token.text));
-
-  const firstDataIndex = flattenedTokens.findIndex((token) => token.text === "1");
-  if (firstDataIndex === -1) return null;
-
-  const dataTokens = flattenedTokens.slice(firstDataIndex);
-  if (!dataTokens.length) return null;
-
-  const firstVoteIndex = dataTokens.findIndex((token) => token.text.toLowerCase() === "vote");
-  const setCount = firstVoteIndex > 0 ? firstVoteIndex : DEFAULT_SET_COLUMNS;
-  const columnLabels = buildTableColumnLabels(setCount);
-
-  if (dataTokens.length < columnLabels.length) return null;
-
-  const anchors = columnLabels.map((_, index) => {
-    const token = dataTokens[index];
-    const width = token.width ?? 0;
-    return {
-      start: token.x,
-      end: token.x + width,
-      center: token.x + width / 2,
-      height: token.height ?? 0,
-    };
-  });
-
-  return { anchors, detectedSetCount: setCount };
-}
-
-function extractPlayers(lines) {
-  const playersFound = [];
-  let currentTeam = null;
-  let lastPlayerLineIndex = -1;
-  let playersTotalCount = 0;
-
-  for (let index = 0; index < lines.length; index += 1) {
-    const line = lines[index];
-    const text = getLineText(line);
-    if (!text) continue;
-
-    const normalizedText = text.toLowerCase();
-
-    if (normalizedText.includes("players total")) {
-      playersTotalCount += 1;
-      if (playersTotalCount >= 2) {
-        const cutoffIndex = lastPlayerLineIndex >= 0 ? lastPlayerLineIndex : index - 1;
-        return { players: playersFound, lastPlayerLineIndex: cutoffIndex };
-      }
-      currentTeam = null;
-      continue;
-    }
-
-    const teamHeader = detectTeamHeader(text);
-    if (teamHeader) {
-      currentTeam = teamHeader;
-      continue;
-    }
-
-    if (isSectionTerminator(text)) {
-      currentTeam = null;
-      continue;
-    }
-
-    if (!currentTeam) continue;
-
-    const possiblePlayer = parsePlayerLine(line);
-    if (!possiblePlayer) continue;
-
-    playersFound.push({ ...possiblePlayer, team: currentTeam });
-    lastPlayerLineIndex = index;
-  }
-
-  return { players: playersFound, lastPlayerLineIndex };
-}
-
 function logPlayersToConsole(fileName, playersList) {
   console.groupCollapsed(`[PDF] ${fileName} :: players found (${playersList.length})`);
   if (!playersList.length) {
@@ -604,7 +168,13 @@ function logTokensBeforeFiltering(lines) {
 }
 
 export default function VolleyPdfParser() {
-  const [players, setPlayers] = useState([]);
+  const {
+    value: players,
+    update: updatePlayers,
+    undo: undoPlayersEdit,
+    reset: setPlayers,
+    canUndo: canUndoPlayersEdit,
+  } = useUndoableState([]);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [setColumnCount, setSetColumnCount] = useState(DEFAULT_SET_COLUMNS);
@@ -615,11 +185,31 @@ export default function VolleyPdfParser() {
   const [matchDate, setMatchDate] = useState("");
   const [matchTime, setMatchTime] = useState("");
   const [toast, setToast] = useState(null);
+  const [formatProfileChoice, setFormatProfileChoice] = useState(AUTO_PROFILE_ID);
+  const [detectedProfileId, setDetectedProfileId] = useState(null);
+  const [parseWarnings, setParseWarnings] = useState([]);
+  const [matchSummary, setMatchSummary] = useState(null);
+  const [teamTotals, setTeamTotals] = useState([]);
+  const [parseProgress, setParseProgress] = useState(null);
+  const parseAbortRef = useRef(null);
+  const [activeBatchId, setActiveBatchId] = useState(null);
+  const [isBatchSaving, setIsBatchSaving] = useState(false);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [pendingSpreadsheet, setPendingSpreadsheet] = useState(null);
+  const batch = useMatchReportBatch();
+  const parsedSourceRef = useRef(null);
   const toastTimeoutRef = useRef(null);
   const autoSubmitInFlight = useRef(false);
   const lastSavedReportRef = useRef(null);
 
   const resetViewToInitialState = useCallback(() => {
+    parsedSourceRef.current = null;
+    setPendingSpreadsheet(null);
+    setActiveBatchId(null);
+    setDetectedProfileId(null);
+    setParseWarnings([]);
+    setMatchSummary(null);
+    setTeamTotals([]);
     setPlayers([]);
     setSetColumnCount(DEFAULT_SET_COLUMNS);
     setMatchDate("");
@@ -629,10 +219,48 @@ export default function VolleyPdfParser() {
     setError(null);
     setSubmitError(null);
     setSubmitSuccess(null);
-  }, []);
+  }, [setPlayers]);
 
-  const columnLabels = buildTableColumnLabels(setColumnCount);
-  const groupedPlayers = groupPlayersByTeam(players);
+  const activeProfile = getFormatProfile(
+    formatProfileChoice === AUTO_PROFILE_ID ? detectedProfileId : formatProfileChoice,
+  );
+  const columnLabels = buildTableColumnLabels(setColumnCount, activeProfile);
+  const groupedPlayers = groupPlayersByTeam(players).map((entry) => {
+    const totals = teamTotals.find((total) => total.team === entry.team);
+    if (!totals) return entry;
+    return {
+      ...entry,
+      totals: Object.fromEntries(columnLabels.map((label, index) => [label, totals.columnValues[index]])),
+    };
+  });
+  const cellErrors = validatePlayerRows(players, columnLabels);
+  const cellErrorCount = Object.keys(cellErrors).length;
+  const reviewWarnings = [...parseWarnings, ...findStatInconsistencies(players, columnLabels, teamTotals)];
+
+  const handleCellChange = (rowId, columnIndex, rawValue) => {
+    updatePlayers((prev) => applyCellEdit(prev, rowId, columnIndex, rawValue, columnLabels));
+  };
+
+  const handlePlayerFieldChange = (rowId, field, rawValue) => {
+    updatePlayers((prev) => applyPlayerFieldEdit(prev, rowId, field, rawValue));
+  };
+
+  const handleMovePlayer = (rowId, team) => {
+    updatePlayers((prev) => movePlayerToTeam(prev, rowId, team));
+  };
+
+  const handleAddPlayer = (team) => {
+    updatePlayers((prev) => [...prev, createEmptyPlayer(team, columnLabels, prev)]);
+  };
+
+  const handleRemovePlayer = (rowId) => {
+    if (isLastPlayerOfTeam(players, rowId) && typeof window !== "undefined") {
+      const { team } = players.find((player) => player.rowId === rowId);
+      const confirmed = window.confirm(`${team} ficará sem atletas e sairá do relatório. Remover mesmo assim?`);
+      if (!confirmed) return;
+    }
+    updatePlayers((prev) => prev.filter((player) => player.rowId !== rowId));
+  };
 
   const showToast = (message, tone = "success") => {
     if (!message) return;
@@ -649,6 +277,7 @@ export default function VolleyPdfParser() {
     if (toastTimeoutRef.current) {
       clearTimeout(toastTimeoutRef.current);
     }
+    parseAbortRef.current?.abort();
   }, []);
 
   const dispatchMatchSavedEvent = (matchId, ownerId) => {
@@ -660,10 +289,150 @@ export default function VolleyPdfParser() {
   // HANDLE FILE UPLOAD
   // -------------------------------
   async function onFileChange(e) {
-    const file = e.target.files[0];
-    const success = await parsePDF(file);
-    if (success) {
-      setIsUploadVisible(false);
+    const files = Array.from(e.target.files ?? []);
+    // Lets the same file be picked again after a cancelled parse.
+    e.target.value = "";
+    await handleIncomingFiles(files);
+  }
+
+  async function handleIncomingFiles(files) {
+    const pdfFiles = files.filter(isPdfFile);
+    const statsFiles = files.filter(isStatsFile);
+    if (statsFiles.length) {
+      if (statsFiles.length > 1 || pdfFiles.length) {
+        setError("Importe planilhas e arquivos .dvw um de cada vez.");
+        return;
+      }
+      await importStatsFile(statsFiles[0]);
+      return;
+    }
+    if (!pdfFiles.length) return;
+
+    // A single file keeps the direct review flow; several files (or an open batch) go through the queue.
+    if (pdfFiles.length === 1 && !batch.entries.length) {
+      const success = await parsePDF(pdfFiles[0]);
+      if (success) {
+        setIsUploadVisible(false);
+      }
+      return;
+    }
+    batch.enqueueFiles(pdfFiles, formatProfileChoice);
+  }
+
+  function handleDragOver(event) {
+    if (!Array.from(event.dataTransfer?.types ?? []).includes("Files")) return;
+    event.preventDefault();
+    setIsDraggingFiles(true);
+  }
+
+  function handleDragLeave(event) {
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setIsDraggingFiles(false);
+  }
+
+  async function handleDrop(event) {
+    event.preventDefault();
+    setIsDraggingFiles(false);
+    await handleIncomingFiles(Array.from(event.dataTransfer?.files ?? []));
+  }
+
+  // -------------------------------
+  // BATCH REVIEW
+  // -------------------------------
+  function writeBackActiveEntry() {
+    if (!activeBatchId) return;
+    batch.updateReport(activeBatchId, {
+      players,
+      matchDate,
+      matchTime,
+      setCount: setColumnCount,
+      columnLabels,
+      profileId: activeProfile.id,
+      profileChoice: formatProfileChoice,
+      detectedProfileId,
+      warnings: parseWarnings,
+      summary: matchSummary,
+      teamTotals,
+    });
+  }
+
+  function handleReviewEntry(id) {
+    const entry = batch.entries.find((candidate) => candidate.id === id);
+    if (!entry?.report) return;
+    writeBackActiveEntry();
+
+    const { report } = entry;
+    parsedSourceRef.current = {
+      fileName: entry.fileName,
+      reparse: (profileId) => parseMatchReport(report.items, { profileId }),
+    };
+    setActiveBatchId(id);
+    setFormatProfileChoice(report.profileChoice ?? entry.profileId);
+    setDetectedProfileId(report.detectedProfileId);
+    setMatchDate(report.matchDate);
+    setMatchTime(report.matchTime);
+    setSetColumnCount(report.setCount);
+    setParseWarnings(report.warnings);
+    setMatchSummary(report.summary);
+    setTeamTotals(report.teamTotals);
+    setPlayers(report.players);
+    setError(null);
+    setSubmitError(entry.status === BATCH_STATUS.DUPLICATE ? entry.message : null);
+    setSubmitSuccess(null);
+    setIsUploadVisible(false);
+  }
+
+  function handleRemoveEntry(id) {
+    if (id === activeBatchId) {
+      resetViewToInitialState();
+    }
+    batch.removeEntry(id);
+  }
+
+  function resolveBatchFailure(submissionError) {
+    console.error(submissionError);
+    if (isDuplicateReportError(submissionError)) {
+      return { status: BATCH_STATUS.DUPLICATE, message: DUPLICATE_REPORT_MESSAGE };
+    }
+    const baseMessage = submissionError?.message || "Falha ao enviar os dados.";
+    const validationDetails = formatValidationErrors(submissionError?.errors);
+    if (validationDetails) {
+      return { status: BATCH_STATUS.INVALID, message: `${baseMessage} (${validationDetails})` };
+    }
+    return { status: BATCH_STATUS.ERROR, message: baseMessage };
+  }
+
+  async function handleSaveAll() {
+    writeBackActiveEntry();
+    setIsBatchSaving(true);
+    try {
+      const saved = await batch.saveAll({
+        submit: async ({ report }) => {
+          const payload = buildMatchReportPayload({
+            playersData: report.players,
+            columnLabels: report.columnLabels,
+            setColumns: report.setCount,
+            matchDateValue: report.matchDate,
+            matchTimeValue: report.matchTime,
+            formatProfileId: report.profileId,
+            summary: report.summary,
+            teamTotals: report.teamTotals,
+          });
+          await assertNoDuplicateMatchReport({ matchDate: payload.matchDate, teams: payload.teams });
+          return api.stats.submitMatchReport(payload);
+        },
+        resolveFailure: resolveBatchFailure,
+      });
+
+      saved.forEach(({ response }) => dispatchMatchSavedEvent(response?.matchId ?? null, response?.ownerId ?? null));
+      if (saved.length) {
+        showToast(saved.length === 1 ? "1 relatório salvo." : `${saved.length} relatórios salvos.`);
+      }
+      if (saved.some(({ entry }) => entry.id === activeBatchId)) {
+        resetViewToInitialState();
+      }
+    } finally {
+      setIsBatchSaving(false);
     }
   }
 
@@ -671,81 +440,182 @@ export default function VolleyPdfParser() {
   // PARSE PDF
   // -------------------------------
   async function parsePDF(pdfFile) {
+    parseAbortRef.current?.abort();
+    const controller = new AbortController();
+    parseAbortRef.current = controller;
+
     try {
       setLoading(true);
+      setParseProgress(null);
       setError(null);
       setSubmitError(null);
       setSubmitSuccess(null);
       setPlayers([]);
 
-      const buffer = await pdfFile.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
-
-      const items = [];
-
-      // Extract all text + position from all pages
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        const content = await page.getTextContent();
-
-        for (const it of content.items) {
-          const width = typeof it.width === "number" ? it.width : Math.abs(it.transform[0]);
-          const height = typeof it.height === "number" ? it.height : Math.abs(it.transform[3]);
-          items.push({
-            str: it.str,
-            x: round(it.transform[4]),
-            y: round(it.transform[5]),
-            width: round(width),
-            height: round(height),
-            page: pageNum,
-          });
-        }
-      }
-
-      const lines = groupLines(items);
-      const { date: detectedDate, time: detectedTime } = detectMatchMetadata(lines);
-      const nextMatchDate = detectedDate || "";
-      const nextMatchTime = detectedTime || "";
-      setMatchDate(nextMatchDate);
-      setMatchTime(nextMatchTime);
-      const { players: parsedPlayers, lastPlayerLineIndex } = extractPlayers(lines);
-      const relevantLines =
-        typeof lastPlayerLineIndex === "number" && lastPlayerLineIndex >= 0
-          ? lines.slice(0, lastPlayerLineIndex + 1)
-          : lines;
-
-      logTokensBeforeFiltering(relevantLines);
-
-      const { anchors: columnAnchors, detectedSetCount } = inferColumnAnchors(
-        parsedPlayers,
-        relevantLines,
-        setColumnCount,
-      );
-      const effectiveSetCount = detectedSetCount || DEFAULT_SET_COLUMNS;
-      const effectiveColumnLabels = buildTableColumnLabels(effectiveSetCount);
-      setSetColumnCount(effectiveSetCount);
-
-      const normalizedPlayers = parsedPlayers.map((player) => ({
-        ...player,
-        columnValues: mapTokensToColumns(player.statTokens, columnAnchors, effectiveColumnLabels),
-      }));
-
-      if (!normalizedPlayers.length) {
-        setError("No player could be found on this PDF.");
-      } else {
-        setError(null);
-      }
+      // Text extraction, line grouping and player extraction all run in a worker.
+      const { items, result } = await parseMatchReportPdf(pdfFile, {
+        profileId: formatProfileChoice,
+        onProgress: setParseProgress,
+        signal: controller.signal,
+      });
 
-      logPlayersToConsole(pdfFile.name, normalizedPlayers);
-      setPlayers(normalizedPlayers);
+      parsedSourceRef.current = {
+        fileName: pdfFile.name,
+        reparse: (profileId) => parseMatchReport(items, { profileId }),
+      };
+      applyParseResult(result, pdfFile.name);
 
       setLoading(false);
       return true;
     } catch (err) {
-      console.error(err);
-      setError("Upload failed.");
-      setLoading(false);
+      if (err?.name !== "AbortError") {
+        console.error(err);
+        setError(PARSE_FAILED_MESSAGE);
+      }
+      if (parseAbortRef.current === controller) {
+        setLoading(false);
+      }
       return false;
+    } finally {
+      if (parseAbortRef.current === controller) {
+        parseAbortRef.current = null;
+        setParseProgress(null);
+      }
+    }
+  }
+
+  function handleCancelParse() {
+    parseAbortRef.current?.abort();
+  }
+
+  // -------------------------------
+  // IMPORT SPREADSHEETS AND .DVW
+  // -------------------------------
+  async function importStatsFile(file) {
+    parseAbortRef.current?.abort();
+    writeBackActiveEntry();
+    setActiveBatchId(null);
+    setPendingSpreadsheet(null);
+    setError(null);
+    setSubmitError(null);
+    setSubmitSuccess(null);
+
+    try {
+      if (isDvwFile(file)) {
+        const text = await readDvwFile(file);
+        loadImportedReport((profileId) => parseDvw(text, { profileId }), file.name);
+        return;
+      }
+      const sheets = await readSpreadsheetFile(file);
+      const selection = selectSpreadsheetTable(sheets, { columnLabels: buildMappingLabels(formatProfileChoice) });
+      if (sheets.length === 1 && !selection.table.rows.length) {
+        setError("A planilha não tem linhas de dados.");
+        return;
+      }
+      setPlayers([]);
+      setPendingSpreadsheet({
+        fileName: file.name,
+        sheets,
+        ...selection,
+        defaultTeam: sheets[0].name ?? "",
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err?.message && isDvwFile(file) ? err.message : "Não foi possível importar o arquivo.");
+    }
+  }
+
+  // Imported reports keep a rebuild function so switching the format re-projects the same source.
+  function loadImportedReport(reparse, fileName) {
+    parsedSourceRef.current = { fileName, reparse };
+    applyParseResult(reparse(formatProfileChoice), fileName);
+    setIsUploadVisible(false);
+  }
+
+  function handleMappingChange(columnIndex, target) {
+    setPendingSpreadsheet((prev) => prev && {
+      ...prev,
+      mapping: prev.mapping.map((current, index) => (index === columnIndex ? target : current)),
+    });
+  }
+
+  // XLSX exports have one sheet per team, so the sheet name is the team when no column holds it.
+  function handleSheetChange(sheetIndex) {
+    setPendingSpreadsheet((prev) => prev && {
+      ...prev,
+      ...selectSpreadsheetTable(prev.sheets, { sheetIndex, columnLabels: buildMappingLabels(formatProfileChoice) }),
+      defaultTeam: prev.sheets[sheetIndex].name ?? prev.defaultTeam,
+    });
+  }
+
+  function handleHeaderRowChange(headerRowIndex) {
+    setPendingSpreadsheet((prev) => prev && {
+      ...prev,
+      ...selectSpreadsheetTable(prev.sheets, {
+        sheetIndex: prev.sheetIndex,
+        headerRowIndex,
+        columnLabels: buildMappingLabels(formatProfileChoice),
+      }),
+    });
+  }
+
+  function handleConfirmMapping() {
+    const { fileName, table, mapping, defaultTeam } = pendingSpreadsheet;
+    setPendingSpreadsheet(null);
+    loadImportedReport(
+      (profileId) => buildSpreadsheetReport(table, mapping, { profileId, defaultTeam }),
+      fileName,
+    );
+  }
+
+  // -------------------------------
+  // MAP TEXT ITEMS TO PLAYERS
+  // -------------------------------
+  function applyParseResult(result, fileName) {
+    setDetectedProfileId(result.detectedProfileId);
+    setMatchDate(result.matchDate || "");
+    setMatchTime(result.matchTime || "");
+    setSetColumnCount(result.setCount);
+    setParseWarnings(result.warnings);
+    setMatchSummary(result.summary);
+    setTeamTotals(result.teamTotals);
+
+    // Parses done in the worker do not send their lines back; only in-thread parses have them to log.
+    if (result.lines) logTokensBeforeFiltering(result.lines);
+
+    const normalizedPlayers = result.players.map((player) => ({
+      ...player,
+      rowId: createRowId(),
+    }));
+
+    if (!normalizedPlayers.length) {
+      setError(NO_PLAYERS_MESSAGE);
+    } else {
+      setError(null);
+    }
+
+    logPlayersToConsole(fileName, normalizedPlayers);
+    setPlayers(normalizedPlayers);
+  }
+
+  function handleFormatProfileChange(event) {
+    const nextChoice = event.target.value;
+    const source = parsedSourceRef.current;
+    if (source && canUndoPlayersEdit && typeof window !== "undefined") {
+      const confirmed = window.confirm("Trocar o formato descarta as edições feitas na tabela. Continuar?");
+      if (!confirmed) return;
+    }
+    setFormatProfileChoice(nextChoice);
+    if (pendingSpreadsheet) {
+      setPendingSpreadsheet({
+        ...pendingSpreadsheet,
+        mapping: guessColumnMapping(pendingSpreadsheet.table.headers, buildMappingLabels(nextChoice)),
+      });
+    }
+    if (source) {
+      setSubmitError(null);
+      setSubmitSuccess(null);
+      applyParseResult(source.reparse(nextChoice), source.fileName);
     }
   }
 
@@ -767,6 +637,14 @@ export default function VolleyPdfParser() {
       return null;
     }
 
+    if (Object.keys(validatePlayerRows(playersInput, columnLabelsInput)).length) {
+      if (trigger === "manual") {
+        setSubmitError("Corrija os campos destacados antes de salvar.");
+        setSubmitSuccess(null);
+      }
+      return null;
+    }
+
     if (trigger === "auto" && autoSubmitInFlight.current) {
       return null;
     }
@@ -785,13 +663,20 @@ export default function VolleyPdfParser() {
       setColumns: setColumnsInput,
       matchDateValue: matchDateInput,
       matchTimeValue: matchTimeInput,
+      formatProfileId: activeProfile.id,
+      summary: matchSummary,
+      teamTotals,
     });
 
     try {
+      await assertNoDuplicateMatchReport({ matchDate: payload.matchDate, teams: payload.teams });
       const response = await api.stats.submitMatchReport(payload);
       const matchId = response?.matchId ?? null;
       const ownerId = response?.ownerId ?? null;
       lastSavedReportRef.current = { matchId, ownerId };
+      if (activeBatchId) {
+        batch.markEntry(activeBatchId, { status: BATCH_STATUS.SAVED, matchId, message: null });
+      }
       showToast(matchId ? `Match salvo (#${matchId})` : "Match salvo.");
       dispatchMatchSavedEvent(matchId, ownerId);
       resetViewToInitialState();
@@ -801,10 +686,12 @@ export default function VolleyPdfParser() {
       let baseMessage = submissionError?.message || "Falha ao enviar os dados.";
       let combinedMessage = baseMessage;
 
-      if (submissionError instanceof ApiError && submissionError.status === 409) {
-        
-        baseMessage = 'Já existe um relatório para essa data com os mesmos times.';
+      if (isDuplicateReportError(submissionError)) {
+        baseMessage = DUPLICATE_REPORT_MESSAGE;
         combinedMessage = baseMessage;
+        if (activeBatchId) {
+          batch.markEntry(activeBatchId, { status: BATCH_STATUS.DUPLICATE, message: baseMessage });
+        }
       } else {
         const validationDetails = formatValidationErrors(submissionError?.errors);
         combinedMessage = validationDetails ? `${baseMessage} (${validationDetails})` : baseMessage;
@@ -827,6 +714,7 @@ export default function VolleyPdfParser() {
   }
 
   function handleCloseUploadInput() {
+    writeBackActiveEntry();
     resetViewToInitialState();
   }
 
@@ -834,15 +722,48 @@ export default function VolleyPdfParser() {
   // UI
   // -------------------------------
   return (
-    <div style={{ padding: 16, maxWidth: 900 }}>
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      style={{
+        padding: 16,
+        maxWidth: 900,
+        borderRadius: 12,
+        outline: isDraggingFiles ? "2px dashed #6366f1" : "none",
+        background: isDraggingFiles ? "#eef2ff" : "transparent",
+      }}
+    >
 
       <div
         style={{
           display: "flex",
           justifyContent: "flex-end",
-          alignItems: "center"
+          alignItems: "center",
+          gap: 12,
         }}
       >
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#475569" }}>
+          Formato
+          <select
+            value={formatProfileChoice}
+            onChange={handleFormatProfileChange}
+            style={{
+              padding: "6px 10px",
+              borderRadius: 8,
+              border: "1px solid #cbd5f5",
+              background: "#ffffff",
+              color: "#0f172a",
+            }}
+          >
+            <option value={AUTO_PROFILE_ID}>
+              {detectedProfileId ? `Auto (${getFormatProfile(detectedProfileId).label})` : "Auto"}
+            </option>
+            {listFormatProfiles().map((profile) => (
+              <option key={profile.id} value={profile.id}>{profile.label}</option>
+            ))}
+          </select>
+        </label>
         {isUploadVisible ? (
           <>
             <label
@@ -864,7 +785,9 @@ export default function VolleyPdfParser() {
               Upload Match Report
               <input
                 type="file"
-                accept="application/pdf"
+                accept="application/pdf,.pdf,.csv,.xlsx,.dvw"
+                multiple
+                title="Selecione ou arraste PDFs, uma planilha (CSV/XLSX) ou um arquivo DataVolley (.dvw)"
                 onChange={onFileChange}
                 style={{
                   position: "absolute",
@@ -947,7 +870,79 @@ export default function VolleyPdfParser() {
         )}
       </div>
 
-      {loading && <p>Reading File...</p>}
+      <BatchImportList
+        entries={batch.entries}
+        activeId={activeBatchId}
+        isSaving={isBatchSaving}
+        onReview={handleReviewEntry}
+        onRemove={handleRemoveEntry}
+        onToggleAccepted={batch.setAccepted}
+        onSaveAll={handleSaveAll}
+        onCancel={batch.cancelParsing}
+        onClearFinished={batch.clearFinished}
+      />
+
+      {pendingSpreadsheet && (
+        <ColumnMappingStep
+          fileName={pendingSpreadsheet.fileName}
+          sheets={pendingSpreadsheet.sheets}
+          sheetIndex={pendingSpreadsheet.sheetIndex}
+          headerRowIndex={pendingSpreadsheet.headerRowIndex}
+          table={pendingSpreadsheet.table}
+          mapping={pendingSpreadsheet.mapping}
+          columnLabels={buildMappingLabels(formatProfileChoice)}
+          defaultTeam={pendingSpreadsheet.defaultTeam}
+          onMappingChange={handleMappingChange}
+          onDefaultTeamChange={(defaultTeam) => setPendingSpreadsheet({ ...pendingSpreadsheet, defaultTeam })}
+          onSheetChange={handleSheetChange}
+          onHeaderRowChange={handleHeaderRowChange}
+          onConfirm={handleConfirmMapping}
+          onCancel={() => setPendingSpreadsheet(null)}
+        />
+      )}
+
+      {loading && (
+        <div style={{ display: "flex", alignItems: "center", gap: 12, margin: "12px 0" }}>
+          <div style={{ flex: 1 }}>
+            <p style={{ margin: "0 0 6px" }}>
+              {parseProgress
+                ? `${parseProgress.stage === "ocr" ? "Reconhecendo texto (OCR)..." : "Reading File..."} página ${parseProgress.page} de ${parseProgress.pageCount}`
+                : "Reading File..."}
+            </p>
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={parseProgress?.pageCount ?? 0}
+              aria-valuenow={parseProgress?.page ?? 0}
+              style={{ height: 6, borderRadius: 999, background: "#e2e8f0", overflow: "hidden" }}
+            >
+              <div
+                style={{
+                  height: "100%",
+                  width: parseProgress ? `${Math.round((parseProgress.page / parseProgress.pageCount) * 100)}%` : "0%",
+                  background: "#0f172a",
+                  transition: "width 0.2s ease",
+                }}
+              />
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={handleCancelParse}
+            style={{
+              padding: "6px 14px",
+              borderRadius: 999,
+              border: "1px solid #94a3b8",
+              background: "#f8fafc",
+              color: "#0f172a",
+              cursor: "pointer",
+              fontWeight: 600,
+            }}
+          >
+            Cancelar
+          </button>
+        </div>
+      )}
       {error && <p style={{ color: "red" }}>{error}</p>}
       {groupedPlayers.length > 0 && (
         <div style={{ display: "flex", flexDirection: "column", gap: 12, marginBottom: 16 }}>
@@ -999,16 +994,77 @@ export default function VolleyPdfParser() {
           >
             {isSubmitting ? "Uploading..." : "Save Match Report"}
           </button>
+          <button
+            type="button"
+            onClick={undoPlayersEdit}
+            disabled={!canUndoPlayersEdit}
+            style={{
+              padding: "8px 16px",
+              borderRadius: 999,
+              border: "1px solid #94a3b8",
+              background: "#f8fafc",
+              color: "#0f172a",
+              cursor: canUndoPlayersEdit ? "pointer" : "not-allowed",
+              opacity: canUndoPlayersEdit ? 1 : 0.6,
+              fontWeight: 600,
+            }}
+          >
+            Desfazer
+          </button>
+          {cellErrorCount > 0 && (
+            <span style={{ color: "#b45309" }}>
+              {cellErrorCount === 1 ? "1 campo inválido" : `${cellErrorCount} campos inválidos`}
+            </span>
+          )}
           {submitError && <span style={{ color: "#dc2626" }}>{submitError}</span>}
           {submitSuccess && <span style={{ color: "#16a34a" }}>{submitSuccess}</span>}
         </div>
       )}
 
+      {groupedPlayers.length > 0 && hasMatchSummary(matchSummary) && (
+        <p style={{ margin: "0 0 12px", fontSize: 14, color: "#334155" }}>
+          {[
+            formatFinalScore(matchSummary),
+            formatSetScores(matchSummary),
+            formatMatchDuration(matchSummary.durationMinutes),
+            matchSummary.competition,
+            matchSummary.venue,
+          ].filter(Boolean).join(" • ")}
+        </p>
+      )}
+
+      {groupedPlayers.length > 0 && reviewWarnings.length > 0 && (
+        <ul
+          aria-label="Avisos da leitura do PDF"
+          style={{
+            margin: "0 0 16px",
+            padding: "10px 14px 10px 28px",
+            borderRadius: 8,
+            border: "1px solid #fcd34d",
+            background: "#fffbeb",
+            color: "#92400e",
+            fontSize: 13,
+          }}
+        >
+          {reviewWarnings.map((warning, index) => (
+            <li key={`${warning.code}-${index}`}>{warning.message}</li>
+          ))}
+        </ul>
+      )}
+
       {groupedPlayers.length === 0 ? null : (
         <MatchReportTable
           teams={groupedPlayers}
           columnLabels={columnLabels}
           setColumnCount={setColumnCount}
+          formatProfileId={activeProfile.id}
+          editable
+          cellErrors={cellErrors}
+          onCellChange={handleCellChange}
+          onPlayerFieldChange={handlePlayerFieldChange}
+          onAddPlayer={handleAddPlayer}
+          onRemovePlayer={handleRemovePlayer}
+          onMovePlayer={handleMovePlayer}
         />
       )}
 
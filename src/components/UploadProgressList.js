@@ -1,29 +1,86 @@
 import { formatBytes } from '@/services/multipartHelper.js'
+import { formatDuration, formatResolution } from '@/services/videoMetadata.js'
 
-const UploadProgressList = ({ parts = [], fileSize }) => {
-  if (!parts.length) return null
+const STATUS_LABELS = {
+  inspecting: 'Reading video...',
+  ready: 'Ready',
+  queued: 'Queued',
+  creating: 'Preparing...',
+  uploading: 'Uploading',
+  paused: 'Paused',
+  offline: 'Offline — waiting',
+  finalizing: 'Finalizing...',
+  error: 'Failed',
+  unsupported: 'Unsupported',
+}
+
+const EDITABLE_STATUSES = ['inspecting', 'ready', 'queued', 'error']
+
+const describeMetadata = (metadata) =>
+  [formatDuration(metadata?.durationSeconds), formatResolution(metadata)].filter(Boolean).join(' • ')
+
+const UploadProgressList = ({ items = [], onRename, onCancel, onRetry }) => {
+  if (!items.length) return null
 
   return (
-    <div className="overflow-hidden rounded-xl border border-slate-800">
-      <table className="min-w-full divide-y divide-slate-800 text-sm">
-        <thead className="bg-slate-900/80 text-left uppercase text-slate-500">
-          <tr>
-            <th className="px-4 py-3">Part</th>
-            <th className="px-4 py-3">ETag</th>
-            <th className="px-4 py-3">Bytes</th>
-          </tr>
-        </thead>
-        <tbody className="divide-y divide-slate-800">
-          {parts.map((part) => (
-            <tr key={part.partNumber} className="bg-slate-900/40 text-slate-200">
-              <td className="px-4 py-2 font-mono text-xs">{part.partNumber}</td>
-              <td className="px-4 py-2 font-mono text-xs">{part.ETag}</td>
-              <td className="px-4 py-2">{formatBytes(part.bytes ?? fileSize / parts.length)}</td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
+    <ul className="flex flex-col gap-3">
+      {items.map((item) => {
+        const canRename = EDITABLE_STATUSES.includes(item.status) && !item.session
+        const showProgress = ['uploading', 'paused', 'offline', 'finalizing'].includes(item.status)
+        const metadataLabel = describeMetadata(item.metadata)
+        return (
+          <li key={item.id} className="flex gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-300">
+            {item.metadata?.thumbnail && (
+              <img
+                src={item.metadata.thumbnail}
+                alt=""
+                className="h-16 w-28 flex-none rounded-lg border border-slate-800 object-cover"
+              />
+            )}
+            <div className="flex min-w-0 flex-1 flex-col gap-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  className="min-w-[160px] flex-1 rounded-lg border border-slate-800 bg-slate-900/60 px-3 py-2 text-sm font-normal text-slate-100 placeholder:text-slate-500 focus:border-emerald-400 focus:outline-none disabled:opacity-60"
+                  placeholder="Opponent team"
+                  aria-label={`File name for ${item.file.name}`}
+                  value={item.baseName}
+                  onChange={(event) => onRename?.(item.id, event.target.value)}
+                  disabled={!canRename}
+                />
+                {item.extension && <span className="text-sm text-slate-400">{item.extension}</span>}
+                <span className="text-xs uppercase tracking-wide text-slate-500">{STATUS_LABELS[item.status] ?? item.status}</span>
+                {item.status === 'error' && (
+                  <button type="button" className="btn-secondary text-xs" onClick={() => onRetry?.(item.id)}>
+                    Retry
+                  </button>
+                )}
+                <button type="button" className="btn-secondary text-xs" onClick={() => onCancel?.(item.id)}>
+                  Cancel
+                </button>
+              </div>
+              <p className="text-xs text-slate-500">
+                {item.file.name} • {formatBytes(item.file.size)}
+                {metadataLabel && ` • ${metadataLabel}`}
+              </p>
+              {showProgress && (
+                <div>
+                  <div className="h-2 w-full overflow-hidden rounded-full bg-slate-800">
+                    <div className="h-full bg-emerald-400" style={{ width: `${item.progress}%` }} />
+                  </div>
+                  <p className="mt-1 text-xs text-slate-400">
+                    {item.progress}% • {formatBytes(item.uploadedBytes)} uploaded of {formatBytes(item.file.size)}
+                    {item.status === 'uploading' && item.speed > 0 && ` • ${formatBytes(item.speed)}/s`}
+                    {item.retries > 0 && ` • ${item.retries} ${item.retries === 1 ? 'retry' : 'retries'}`}
+                  </p>
+                </div>
+              )}
+              {item.error && <p className="text-xs text-rose-300">{item.error}</p>}
+            </div>
+          </li>
+        )
+      })}
+    </ul>
   )
 }
 
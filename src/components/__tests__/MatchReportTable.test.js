@@ -0,0 +1,63 @@
+import { fireEvent, render, screen } from '@testing-library/react'
+import { describe, expect, it, vi } from 'vitest'
+import MatchReportTable from '@/components/MatchReportTable.js'
+
+const teams = [
+  { team: 'Sesi', players: [{ rowId: 'row-a', number: 7, name: 'Ana', columnValues: ['3', '40%'] }] },
+  { team: 'Minas', players: [] },
+]
+
+describe('MatchReportTable', () => {
+  it('commits edited cells on blur and exposes row actions', () => {
+    const onCellChange = vi.fn()
+    const onMovePlayer = vi.fn()
+    const onRemovePlayer = vi.fn()
+    render(
+      <MatchReportTable
+        teams={teams}
+        columnLabels={['Serves Tot', 'Attacks Pts%']}
+        setColumnCount={1}
+        editable
+        cellErrors={{ 'row-a:1': 'Use a percentage such as 45%' }}
+        onCellChange={onCellChange}
+        onMovePlayer={onMovePlayer}
+        onRemovePlayer={onRemovePlayer}
+      />,
+    )
+
+    const cell = screen.getByLabelText('Serves Tot de Ana')
+    fireEvent.change(cell, { target: { value: '5' } })
+    fireEvent.blur(cell)
+    expect(onCellChange).toHaveBeenCalledWith('row-a', 0, '5')
+
+    expect(screen.getByLabelText('Attacks Pts% de Ana')).toHaveAttribute('aria-invalid', 'true')
+
+    fireEvent.change(screen.getByLabelText('Mover Ana para outro time'), { target: { value: 'Minas' } })
+    expect(onMovePlayer).toHaveBeenCalledWith('row-a', 'Minas')
+
+    fireEvent.click(screen.getByLabelText('Remover Ana'))
+    expect(onRemovePlayer).toHaveBeenCalledWith('row-a')
+  })
+
+  it('stays read-only by default', () => {
+    render(<MatchReportTable teams={teams} columnLabels={['Serves Tot', 'Attacks Pts%']} setColumnCount={1} />)
+
+    expect(screen.queryByRole('textbox')).not.toBeInTheDocument()
+    expect(screen.getByText('40%')).toBeInTheDocument()
+  })
+
+  it('flags cells that were mapped with low confidence', () => {
+    const player = { rowId: 'row-b', number: 4, name: 'Bia', columnValues: ['3', '40%'], columnConfidence: [0.95, 0.3] }
+    render(
+      <MatchReportTable
+        teams={[{ team: 'Sesi', players: [player] }]}
+        columnLabels={['Serves Tot', 'Attacks Pts%']}
+        setColumnCount={1}
+        editable
+      />,
+    )
+
+    expect(screen.getByLabelText('Serves Tot de Bia')).not.toHaveAttribute('title')
+    expect(screen.getByLabelText('Attacks Pts% de Bia')).toHaveAttribute('title', 'Leitura com baixa confiança (30%)')
+  })
+})
@@ -48,4 +48,21 @@ describe('buildMatchReportPayload', () => {
     const { players } = payload.teams[0]
     expect(players[0].stats).toEqual({ Tot: '7', Vote: '.' })
   })
+
+  it('includes the match summary and team totals keyed by column label', () => {
+    const summary = { teams: ['Volley Stars', 'Rivals'], sets: [], finalScore: [3, 0], winner: 'Volley Stars' }
+    const payload = buildMatchReportPayload({
+      playersData: [basePlayer],
+      columnLabels: ['Tot', 'Vote'],
+      summary,
+      teamTotals: [
+        { team: 'Volley Stars', columnValues: ['40'] },
+        { team: 'Rivals', columnValues: ['31', '6'] },
+      ],
+    })
+
+    expect(payload.summary).toEqual(summary)
+    expect(payload.teams).toHaveLength(1)
+    expect(payload.teams[0].totals).toEqual({ Tot: '40', Vote: '.' })
+  })
 })
@@ -1,5 +1,6 @@
 import { useCallback, useEffect, useMemo, useState } from 'react'
 import { ApiError, api, configureAuthObserver } from '@/services/api.js'
+import { uploadQueue } from '@/services/uploadQueue.js'
 import { countries } from '@/data/countries.js'
 import { normalizeTeamHistoryFromApi } from '@/utils/teamHistory.js'
 import { AuthContext } from './AuthContext'
@@ -126,6 +127,8 @@ export const AuthProvider = ({ children }) => {
   }, [])
 
   const logout = useCallback(() => {
+    // Running uploads need the session to finalize; pause them so they can be resumed from Pending Uploads.
+    uploadQueue.pauseAll()
     persistSession(null, null)
     persistHeaderOverrides({})
   }, [persistHeaderOverrides, persistSession])
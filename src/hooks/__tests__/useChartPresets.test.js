@@ -0,0 +1,101 @@
+import { act, renderHook, waitFor } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { useChartPresets } from '@/hooks/useChartPresets.js'
+import { readStoredChartPresets, writeStoredChartPresets } from '@/utils/chartPresetsStorage.js'
+
+const mockApi = vi.hoisted(() => ({ auth: { updateProfile: vi.fn() } }))
+const mockAuth = vi.hoisted(() => ({ user: { id: 'coach' }, userId: 'coach', updateUserProfile: vi.fn() }))
+
+vi.mock('@/services/api.js', () => ({ api: mockApi }))
+vi.mock('@/hooks/useAuth.js', () => ({ useAuth: () => mockAuth }))
+
+const preset = { id: 'p1', name: 'Ataque', selection: {} }
+const newerPreset = { id: 'p2', name: 'Saque', selection: {} }
+
+const deferred = () => {
+  let resolve
+  let reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+describe('useChartPresets', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+    mockApi.auth.updateProfile.mockReset()
+    mockAuth.updateUserProfile.mockReset()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('keeps the pending flag and a Portuguese notice when the profile save fails', async () => {
+    mockApi.auth.updateProfile.mockRejectedValue(new Error('offline'))
+    const { result } = renderHook(() => useChartPresets())
+
+    await act(async () => {
+      await result.current.savePresets([preset])
+    })
+
+    expect(readStoredChartPresets('coach')).toEqual({ presets: [preset], pendingSync: true })
+    expect(result.current.syncError).toMatch(/neste dispositivo/)
+  })
+
+  it('retries a pending sync on load and clears the flag once it succeeds', async () => {
+    writeStoredChartPresets('coach', [preset], { pendingSync: true })
+    mockApi.auth.updateProfile.mockResolvedValue({})
+
+    renderHook(() => useChartPresets())
+
+    await waitFor(() => expect(readStoredChartPresets('coach').pendingSync).toBe(false))
+    expect(mockApi.auth.updateProfile).toHaveBeenCalledWith({ chartPresets: [preset] })
+    expect(mockAuth.updateUserProfile).toHaveBeenCalledTimes(1)
+  })
+
+  it('retries again when the connection returns', async () => {
+    mockApi.auth.updateProfile.mockRejectedValueOnce(new Error('offline')).mockResolvedValue({})
+    const { result } = renderHook(() => useChartPresets())
+
+    await act(async () => {
+      await result.current.savePresets([preset])
+    })
+    expect(readStoredChartPresets('coach').pendingSync).toBe(true)
+
+    await act(async () => {
+      window.dispatchEvent(new Event('online'))
+    })
+
+    await waitFor(() => expect(readStoredChartPresets('coach').pendingSync).toBe(false))
+    expect(result.current.syncError).toBeNull()
+  })
+
+  it('leaves the flag set when a newer save started while the older sync was in flight', async () => {
+    const olderSync = deferred()
+    const newerSync = deferred()
+    mockApi.auth.updateProfile.mockReturnValueOnce(olderSync.promise).mockReturnValueOnce(newerSync.promise)
+    const { result } = renderHook(() => useChartPresets())
+
+    let olderSave
+    let newerSave
+    act(() => {
+      olderSave = result.current.savePresets([preset])
+      newerSave = result.current.savePresets([newerPreset])
+    })
+    await act(async () => {
+      olderSync.resolve({})
+      await olderSave
+    })
+
+    expect(readStoredChartPresets('coach')).toEqual({ presets: [newerPreset], pendingSync: true })
+    expect(mockAuth.updateUserProfile).not.toHaveBeenCalled()
+
+    await act(async () => {
+      newerSync.reject(new Error('offline'))
+      await newerSave
+    })
+
+    expect(readStoredChartPresets('coach')).toEqual({ presets: [newerPreset], pendingSync: true })
+    expect(result.current.presets).toEqual([newerPreset])
+  })
+})
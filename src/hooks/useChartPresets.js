@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from 'react'
+import { api } from '@/services/api.js'
+import { useAuth } from '@/hooks/useAuth.js'
+import { normalizeChartPresets } from '@/utils/chartPresets.js'
+import { readStoredChartPresets, writeStoredChartPresets } from '@/utils/chartPresetsStorage.js'
+import { isBrowserOffline, subscribeToNetworkStatus } from '@/utils/networkStatus.js'
+
+const SYNC_PENDING_MESSAGE = 'Presets salvos apenas neste dispositivo. A sincronização com o perfil será tentada novamente.'
+
+const resolveInitialPresets = (user, userId) => {
+  const stored = readStoredChartPresets(userId)
+  if (stored?.pendingSync || !Array.isArray(user?.chartPresets)) return normalizeChartPresets(stored?.presets)
+  return normalizeChartPresets(user.chartPresets)
+}
+
+const isSamePresetList = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Presets live on the user profile; the local copy keeps them working when the profile can't be saved.
+// A copy flagged `pendingSync` is pushed again on the next load and whenever the connection returns.
+export const useChartPresets = () => {
+  const { user, userId, updateUserProfile } = useAuth()
+  const [presets, setPresets] = useState(() => resolveInitialPresets(user, userId))
+  const [syncError, setSyncError] = useState(null)
+
+  useEffect(() => {
+    setPresets(resolveInitialPresets(user, userId))
+  }, [user, userId])
+
+  const syncPresets = useCallback(async (next) => {
+    try {
+      await api.auth.updateProfile({ chartPresets: next })
+    } catch (error) {
+      console.warn('Failed to save chart presets on the profile', error)
+      setSyncError(SYNC_PENDING_MESSAGE)
+      return
+    }
+    // A newer save may have started while this request was in flight; leave its flag alone.
+    if (!isSamePresetList(readStoredChartPresets(userId)?.presets, next)) return
+    writeStoredChartPresets(userId, next)
+    setSyncError(null)
+    updateUserProfile?.((prev) => ({ ...prev, chartPresets: next }))
+  }, [updateUserProfile, userId])
+
+  useEffect(() => {
+    const retryPendingSync = () => {
+      const stored = readStoredChartPresets(userId)
+      if (!stored?.pendingSync || isBrowserOffline()) return
+      syncPresets(stored.presets)
+    }
+    retryPendingSync()
+    return subscribeToNetworkStatus({ onOnline: retryPendingSync })
+  }, [syncPresets, userId])
+
+  const savePresets = useCallback(async (next) => {
+    setPresets(next)
+    setSyncError(null)
+    writeStoredChartPresets(userId, next, { pendingSync: true })
+    await syncPresets(next)
+  }, [syncPresets, userId])
+
+  return { presets, savePresets, syncError }
+}
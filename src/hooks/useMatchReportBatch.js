@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { parseMatchReportPdf } from '@/services/pdfParsing.js'
+import {
+  BATCH_STATUS,
+  PARSE_FAILED_MESSAGE,
+  applyParsedReport,
+  createBatchEntry,
+  isBatchEntrySavable,
+  updateBatchReport,
+} from '@/utils/matchReportBatch.js'
+
+// Parses queued PDFs one at a time in the worker and saves every accepted report on demand.
+export const useMatchReportBatch = () => {
+  const [entries, setEntries] = useState([])
+  const entriesRef = useRef([])
+  const activeParseRef = useRef(null)
+  const runningRef = useRef(false)
+
+  const commit = useCallback((updater) => {
+    entriesRef.current = updater(entriesRef.current)
+    setEntries(entriesRef.current)
+  }, [])
+
+  const replaceEntry = useCallback((id, updater) => {
+    commit((current) => current.map((entry) => (entry.id === id ? updater(entry) : entry)))
+  }, [commit])
+
+  const patchEntry = useCallback((id, patch) => {
+    replaceEntry(id, (entry) => ({ ...entry, ...patch }))
+  }, [replaceEntry])
+
+  const processQueue = useCallback(async () => {
+    if (runningRef.current) return
+    runningRef.current = true
+    try {
+      for (;;) {
+        const next = entriesRef.current.find((entry) => entry.status === BATCH_STATUS.QUEUED)
+        if (!next) break
+        const controller = new AbortController()
+        activeParseRef.current = { id: next.id, controller }
+        patchEntry(next.id, { status: BATCH_STATUS.PARSING, progress: null, message: null })
+        try {
+          const { items, result } = await parseMatchReportPdf(next.file, {
+            profileId: next.profileId,
+            onProgress: (progress) => patchEntry(next.id, { progress }),
+            signal: controller.signal,
+          })
+          replaceEntry(next.id, (entry) => applyParsedReport(entry, items, result))
+        } catch (error) {
+          const cancelled = error?.name === 'AbortError'
+          if (!cancelled) console.error(error)
+          patchEntry(next.id, {
+            status: BATCH_STATUS.ERROR,
+            progress: null,
+            message: cancelled ? 'Leitura cancelada.' : PARSE_FAILED_MESSAGE,
+          })
+        }
+      }
+    } finally {
+      activeParseRef.current = null
+      runningRef.current = false
+    }
+  }, [patchEntry, replaceEntry])
+
+  const enqueueFiles = useCallback((files, profileId) => {
+    const added = Array.from(files ?? []).map((file) => createBatchEntry(file, profileId))
+    if (!added.length) return []
+    commit((current) => [...current, ...added])
+    processQueue()
+    return added
+  }, [commit, processQueue])
+
+  const cancelParsing = useCallback(() => {
+    commit((current) => current.map((entry) => (
+      entry.status === BATCH_STATUS.QUEUED
+        ? { ...entry, status: BATCH_STATUS.ERROR, message: 'Leitura cancelada.' }
+        : entry
+    )))
+    activeParseRef.current?.controller.abort()
+  }, [commit])
+
+  const removeEntry = useCallback((id) => {
+    if (activeParseRef.current?.id === id) activeParseRef.current.controller.abort()
+    commit((current) => current.filter((entry) => entry.id !== id))
+  }, [commit])
+
+  const updateReport = useCallback((id, changes) => {
+    replaceEntry(id, (entry) => updateBatchReport(entry, changes))
+  }, [replaceEntry])
+
+  const setAccepted = useCallback((id, accepted) => {
+    patchEntry(id, { accepted })
+  }, [patchEntry])
+
+  // `submit` posts one entry; `resolveFailure` maps an API error to the entry's status and message.
+  const saveAll = useCallback(async ({ submit, resolveFailure }) => {
+    const saved = []
+    const targets = entriesRef.current.filter(isBatchEntrySavable)
+    for (const target of targets) {
+      patchEntry(target.id, { status: BATCH_STATUS.SAVING, message: null })
+      try {
+        const response = await submit(target)
+        patchEntry(target.id, { status: BATCH_STATUS.SAVED, matchId: response?.matchId ?? null })
+        saved.push({ entry: target, response })
+      } catch (error) {
+        patchEntry(target.id, resolveFailure(error))
+      }
+    }
+    return saved
+  }, [patchEntry])
+
+  const clearFinished = useCallback(() => {
+    commit((current) => current.filter((entry) => entry.status !== BATCH_STATUS.SAVED))
+  }, [commit])
+
+  useEffect(() => () => {
+    activeParseRef.current?.controller.abort()
+  }, [])
+
+  return {
+    entries,
+    enqueueFiles,
+    cancelParsing,
+    removeEntry,
+    updateReport,
+    setAccepted,
+    markEntry: patchEntry,
+    saveAll,
+    clearFinished,
+  }
+}
@@ -0,0 +1,29 @@
+import { useCallback, useState } from 'react'
+
+const MAX_HISTORY = 50
+
+export const useUndoableState = (initialValue) => {
+  const [history, setHistory] = useState({ past: [], present: initialValue })
+
+  const update = useCallback((updater) => {
+    setHistory(({ past, present }) => {
+      const next = typeof updater === 'function' ? updater(present) : updater
+      if (next === present) return { past, present }
+      return { past: [...past, present].slice(-MAX_HISTORY), present: next }
+    })
+  }, [])
+
+  const undo = useCallback(() => {
+    setHistory(({ past, present }) => {
+      if (!past.length) return { past, present }
+      return { past: past.slice(0, -1), present: past[past.length - 1] }
+    })
+  }, [])
+
+  // Replaces the value without recording it, e.g. after parsing a new file.
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value })
+  }, [])
+
+  return { value: history.present, update, undo, reset, canUndo: history.past.length > 0 }
+}
@@ -0,0 +1,4 @@
+import { useSyncExternalStore } from 'react'
+import { uploadQueue } from '@/services/uploadQueue.js'
+
+export const useUploadQueue = () => useSyncExternalStore(uploadQueue.subscribe, uploadQueue.getSnapshot)
@@ -3,18 +3,11 @@ import PageSection from '@/components/PageSection.js'
 import { api } from '@/services/api.js'
 import { useAuth } from '@/hooks/useAuth.js'
 import { formatBytes } from '@/services/multipartHelper.js'
+import { formatDuration, formatResolution } from '@/services/videoMetadata.js'
 import { listCompletedUploads } from '@/utils/completedUploadsStorage.js'
+import { readUploadThumbnails } from '@/utils/uploadThumbnailStorage.js'
+import { buildDownloadUrl } from '@/utils/downloadUrl.js'
 
-const normalizeBaseUrl = () => (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '')
-const buildDownloadUrl = ({ token, path } = {}) => {
-  const incomingPath = path ?? (token ? `/download/use/${token}` : null)
-  if (!incomingPath) return null
-  if (incomingPath.startsWith('http')) {
-    return incomingPath
-  }
-  const baseUrl = normalizeBaseUrl()
-  return baseUrl ? `${baseUrl}${incomingPath}` : incomingPath
-}
 const triggerBrowserDownload = (url, suggestedName) => {
   if (!url || typeof window === 'undefined') return
   const anchor = document.createElement('a')
@@ -61,6 +54,7 @@ const DownloadTokens = () => {
       try {
         const response = await api.upload.completed({ userId })
         if (!active) return
+        const thumbnails = readUploadThumbnails(userId)
         const mapped = (response?.uploads ?? [])
           .map((item, index) => {
           const fileKey = item.fileKey ?? item.key ?? item.path ?? item.fileName ?? ''
@@ -68,12 +62,17 @@ const DownloadTokens = () => {
           const stored = completedUploadIndex.get(fileKey)
           const rawName = display || stored?.displayName || fileKey
           const plainName = rawName?.split('/').pop() || rawName
+          const metadata = item.metadata ?? {}
           return {
             id: item.id ?? item.uploadId ?? (fileKey || `${index}`),
             fileKey,
             displayName: plainName,
             originalFileName: rawName,
             size: item.size ?? item.sizeBytes ?? item.bytes ?? 0,
+            durationSeconds: item.durationSeconds ?? metadata.durationSeconds ?? stored?.durationSeconds ?? null,
+            width: item.width ?? metadata.width ?? stored?.width ?? null,
+            height: item.height ?? metadata.height ?? stored?.height ?? null,
+            thumbnail: item.thumbnailUrl ?? item.thumbnail ?? metadata.thumbnail ?? thumbnails.get(fileKey) ?? null,
             uploadedAt:
               item.completedAt ??
               item.uploadedAt ??
@@ -156,13 +155,23 @@ const DownloadTokens = () => {
               const isLoading = loadingId === entry.id
               const uploadedAtLabel = entry.uploadedAt ? new Date(entry.uploadedAt).toLocaleString() : 'Date unavailable'
               const fileLabel = entry.displayName || entry.originalFileName || entry.fileKey
+              const videoDetails = [formatDuration(entry.durationSeconds), formatResolution(entry)].filter(Boolean)
               return (
                 <li key={entry.id} className="flex flex-wrap items-center justify-between gap-3 rounded-xl border border-slate-800 bg-slate-900/50 p-4">
-                  <div className="flex flex-col text-sm text-slate-200">
-                    <span className="text-base font-semibold text-slate-100 md:text-lg">{fileLabel}</span>
-                    <span className="text-xs text-slate-400">
-                      {formatBytes(entry.size ?? 0)} • {uploadedAtLabel}
-                    </span>
+                  <div className="flex items-center gap-3">
+                    {entry.thumbnail && (
+                      <img
+                        src={entry.thumbnail}
+                        alt=""
+                        className="h-14 w-24 flex-none rounded-lg border border-slate-800 object-cover"
+                      />
+                    )}
+                    <div className="flex flex-col text-sm text-slate-200">
+                      <span className="text-base font-semibold text-slate-100 md:text-lg">{fileLabel}</span>
+                      <span className="text-xs text-slate-400">
+                        {[formatBytes(entry.size ?? 0), ...videoDetails, uploadedAtLabel].join(' • ')}
+                      </span>
+                    </div>
                   </div>
                   <div className="flex items-center gap-2">
                     <button type="button" className="btn-primary" onClick={() => handleDownload(entry)} disabled={Boolean(loadingId)}>
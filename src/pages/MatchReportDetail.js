@@ -1,7 +1,25 @@
 import { useCallback, useEffect, useState } from 'react'
-import { Link, useParams } from 'react-router-dom'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import MatchReportExportButtons from '@/components/MatchReportExportButtons.js'
 import MatchReportTable from '@/components/MatchReportTable.js'
+import MatchVideos from '@/components/MatchVideos.js'
+import { useUndoableState } from '@/hooks/useUndoableState.js'
 import { ApiError, api } from '@/services/api.js'
+import {
+  DUPLICATE_REPORT_MESSAGE,
+  assertNoDuplicateMatchReport,
+  isDuplicateReportError,
+} from '@/services/matchReportDuplicates.js'
+import {
+  applyCellEdit,
+  applyPlayerFieldEdit,
+  buildEditableRows,
+  buildReportTeams,
+  createEmptyPlayer,
+  movePlayerToTeam,
+  validatePlayerRows,
+} from '@/utils/matchReportEditing.js'
+import { formatFinalScore, formatMatchDuration, formatSetScores, hasMatchSummary } from '@/utils/matchSummary.js'
 
 const DATE_FORMATTER = new Intl.DateTimeFormat('pt-BR', { dateStyle: 'medium' })
 const TIME_FORMATTER = new Intl.DateTimeFormat('pt-BR', { timeStyle: 'short' })
@@ -30,12 +48,39 @@ const buildTeamsLabel = (teams = []) => {
   return teams.map((team) => team.team).filter(Boolean).join(' vs ')
 }
 
+const toDateInputValue = (value) => (typeof value === 'string' ? value.slice(0, 10) : '')
+
+const describeUpdateError = (err) => {
+  if (isDuplicateReportError(err)) return DUPLICATE_REPORT_MESSAGE
+  if (err instanceof ApiError && err.status === 403) {
+    return 'Você não pode editar este relatório. Apenas o proprietário tem acesso a essa ação.'
+  }
+  return err?.message || 'Falha ao atualizar o relatório.'
+}
+
+const notifyReportsChanged = (eventName, detail = {}) => {
+  if (typeof window === 'undefined') return
+  window.dispatchEvent(new CustomEvent(eventName, { detail }))
+}
+
 const MatchReportDetail = () => {
   const { matchId } = useParams()
+  const navigate = useNavigate()
   const [report, setReport] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [noReportAvailable, setNoReportAvailable] = useState(false)
+  const [metadataDraft, setMetadataDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [deleting, setDeleting] = useState(false)
+  const [editingStats, setEditingStats] = useState(false)
+  const {
+    value: statRows,
+    update: updateStatRows,
+    undo: undoStatEdit,
+    reset: resetStatRows,
+    canUndo: canUndoStatEdit,
+  } = useUndoableState([])
 
   const fetchDetails = useCallback(async () => {
     if (!matchId) return
@@ -66,25 +111,171 @@ const MatchReportDetail = () => {
     fetchDetails()
   }, [fetchDetails])
 
+  const startEditing = () => {
+    setMetadataDraft({
+      matchDate: toDateInputValue(report?.matchDate),
+      matchTime: report?.matchTime ?? '',
+    })
+  }
+
+  const handleSaveMetadata = async (event) => {
+    event.preventDefault()
+    if (!metadataDraft) return
+    const changes = {
+      matchDate: metadataDraft.matchDate || null,
+      matchTime: metadataDraft.matchTime || null,
+    }
+    const saved = await saveChanges(changes, { matchDate: changes.matchDate })
+    if (saved) setMetadataDraft(null)
+  }
+
+  // Date, time and stat edits all go through the same duplicate check before the PATCH.
+  const saveChanges = async (changes, { matchDate = toDateInputValue(report?.matchDate) } = {}) => {
+    try {
+      setSaving(true)
+      setError(null)
+      await assertNoDuplicateMatchReport({ matchDate, teams: report?.teams ?? [], excludeMatchId: matchId })
+      const updated = await api.stats.updateMatchReport(matchId, changes)
+      setReport((prev) => (updated && typeof updated === 'object' ? { ...prev, ...updated } : { ...prev, ...changes }))
+      notifyReportsChanged('matchreport:saved', { matchId })
+      return true
+    } catch (err) {
+      setError(describeUpdateError(err))
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const columnLabels = report?.columnLabels || []
+  const statErrors = editingStats ? validatePlayerRows(statRows, columnLabels) : {}
+  const statErrorCount = Object.keys(statErrors).length
+
+  const startEditingStats = () => {
+    resetStatRows(buildEditableRows(report?.teams ?? [], columnLabels))
+    setEditingStats(true)
+  }
+
+  const cancelEditingStats = () => {
+    resetStatRows([])
+    setEditingStats(false)
+  }
+
+  const handleSaveStats = async () => {
+    if (statErrorCount) {
+      setError('Corrija os campos destacados antes de salvar.')
+      return
+    }
+    const saved = await saveChanges({ teams: buildReportTeams(statRows, columnLabels, report?.teams ?? []) })
+    if (saved) cancelEditingStats()
+  }
+
+  const handleDelete = async () => {
+    const confirmed = typeof window === 'undefined' ? true : window.confirm(`Excluir o relatório de ${buildTeamsLabel(report?.teams)}?`)
+    if (!confirmed) return
+    try {
+      setDeleting(true)
+      setError(null)
+      await api.stats.deleteMatchReport(matchId)
+      notifyReportsChanged('matchreport:deleted', { matchId })
+      navigate('/matches', { replace: true })
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 403) {
+        setError('Você não pode excluir este relatório. Apenas o proprietário tem acesso a essa ação.')
+      } else {
+        setError(err?.message || 'Falha ao excluir o relatório. Tente novamente mais tarde.')
+      }
+      setDeleting(false)
+    }
+  }
+
   const metaDate = resolveDisplayDate(report)
   const metaTime = resolveDisplayTime(report)
   const metaTeams = buildTeamsLabel(report?.teams)
+  const summary = hasMatchSummary(report?.summary) ? report.summary : null
+  const summaryDetails = summary
+    ? [formatMatchDuration(summary.durationMinutes), summary.competition, summary.venue].filter(Boolean)
+    : []
 
   return (
-    <div className="mx-auto flex w-full max-w-5xl flex-col gap-6 px-4 py-8">
+    <div className="match-report-print mx-auto flex w-full max-w-5xl flex-col gap-6 px-4 py-8">
       <header className="flex flex-wrap items-center justify-between gap-4">
         <div>
           <h1 className="text-2xl font-semibold text-slate-50">{metaTeams}</h1>
           <p className="text-sm text-slate-400">{metaDate} • {metaTime}</p>
+          {summary && (
+            <div className="mt-2 flex flex-col gap-1 text-sm">
+              {formatFinalScore(summary) && (
+                <p className="font-semibold text-slate-100">
+                  {formatFinalScore(summary)}
+                  {summary.sets.length > 0 && (
+                    <span className="ml-2 font-normal text-slate-400">({formatSetScores(summary)})</span>
+                  )}
+                </p>
+              )}
+              {summary.winner && <p className="text-emerald-300">Vencedor: {summary.winner}</p>}
+              {summaryDetails.length > 0 && <p className="text-slate-400">{summaryDetails.join(' • ')}</p>}
+            </div>
+          )}
         </div>
-        <div className="flex items-center gap-2">
+        <div className="flex flex-wrap items-center gap-2 print:hidden">
+          {report && <MatchReportExportButtons report={report} disabled={loading} />}
           <Link to="/matches" className="btn-secondary">Voltar</Link>
+          {report && !metadataDraft && (
+            <button type="button" onClick={startEditing} className="btn-secondary" disabled={loading || deleting}>
+              Editar
+            </button>
+          )}
+          {report && !editingStats && (
+            <button type="button" onClick={startEditingStats} className="btn-secondary" disabled={loading || deleting}>
+              Editar estatísticas
+            </button>
+          )}
+          {report && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="inline-flex items-center rounded-full border border-red-500 px-4 py-2 text-sm font-medium text-red-200 transition hover:bg-red-500/10 disabled:cursor-not-allowed disabled:opacity-50"
+              disabled={loading || deleting}
+            >
+              {deleting ? 'Excluindo...' : 'Excluir'}
+            </button>
+          )}
           <button type="button" onClick={fetchDetails} className="btn-primary" disabled={loading}>
             {loading ? 'Atualizando...' : 'Recarregar'}
           </button>
         </div>
       </header>
 
+      {metadataDraft && (
+        <form onSubmit={handleSaveMetadata} className="flex flex-wrap items-end gap-3 rounded-2xl border border-slate-800 bg-slate-900/40 p-4 print:hidden">
+          <label className="flex flex-col gap-1 text-xs text-slate-400">
+            Data
+            <input
+              type="date"
+              className="rounded-lg border border-slate-800 bg-slate-900/60 px-3 py-2 text-sm text-slate-100 focus:border-emerald-400 focus:outline-none"
+              value={metadataDraft.matchDate}
+              onChange={(event) => setMetadataDraft((prev) => ({ ...prev, matchDate: event.target.value }))}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-400">
+            Horário
+            <input
+              type="time"
+              className="rounded-lg border border-slate-800 bg-slate-900/60 px-3 py-2 text-sm text-slate-100 focus:border-emerald-400 focus:outline-none"
+              value={metadataDraft.matchTime}
+              onChange={(event) => setMetadataDraft((prev) => ({ ...prev, matchTime: event.target.value }))}
+            />
+          </label>
+          <button type="submit" className="btn-primary" disabled={saving}>
+            {saving ? 'Salvando...' : 'Salvar'}
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setMetadataDraft(null)} disabled={saving}>
+            Cancelar
+          </button>
+        </form>
+      )}
+
       {error && <div className="rounded-lg border border-red-500/40 bg-red-500/10 px-4 py-3 text-sm text-red-200">{error}</div>}
 
       {loading ? (
@@ -99,11 +290,41 @@ const MatchReportDetail = () => {
         </div>
       ) : (
         <div className="flex flex-col gap-6">
-          
+          <div className="print:hidden">
+            <MatchVideos matchId={matchId} />
+          </div>
+          {editingStats && (
+            <div className="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-800 bg-slate-900/40 p-4 print:hidden">
+              <button type="button" className="btn-primary" onClick={handleSaveStats} disabled={saving || statErrorCount > 0}>
+                {saving ? 'Salvando...' : 'Salvar estatísticas'}
+              </button>
+              <button type="button" className="btn-secondary" onClick={undoStatEdit} disabled={!canUndoStatEdit || saving}>
+                Desfazer
+              </button>
+              <button type="button" className="btn-secondary" onClick={cancelEditingStats} disabled={saving}>
+                Cancelar
+              </button>
+              {statErrorCount > 0 && (
+                <span className="text-sm text-amber-300">
+                  {statErrorCount === 1 ? '1 campo inválido' : `${statErrorCount} campos inválidos`}
+                </span>
+              )}
+            </div>
+          )}
           <MatchReportTable
-            teams={report.teams || []}
-            columnLabels={report.columnLabels || []}
+            teams={editingStats
+              ? (report.teams || []).map((team) => ({ ...team, players: statRows.filter((row) => row.team === team.team) }))
+              : report.teams || []}
+            columnLabels={columnLabels}
             setColumnCount={report.setColumns}
+            formatProfileId={report.formatProfile}
+            editable={editingStats}
+            cellErrors={statErrors}
+            onCellChange={(rowId, index, value) => updateStatRows((prev) => applyCellEdit(prev, rowId, index, value, columnLabels))}
+            onPlayerFieldChange={(rowId, field, value) => updateStatRows((prev) => applyPlayerFieldEdit(prev, rowId, field, value))}
+            onMovePlayer={(rowId, team) => updateStatRows((prev) => movePlayerToTeam(prev, rowId, team))}
+            onAddPlayer={(team) => updateStatRows((prev) => [...prev, createEmptyPlayer(team, columnLabels, prev)])}
+            onRemovePlayer={(rowId) => updateStatRows((prev) => prev.filter((row) => row.rowId !== rowId))}
           />
         </div>
       )}
@@ -1,13 +1,48 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import PageSection from '@/components/PageSection.js'
+import { useAuth } from '@/hooks/useAuth.js'
 import { useInterval } from '@/hooks/useInterval.js'
+import { useUploadQueue } from '@/hooks/useUploadQueue.js'
 import { api } from '@/services/api.js'
+import { computeFileFingerprint } from '@/services/multipartHelper.js'
+import { uploadQueue } from '@/services/uploadQueue.js'
+import {
+  UPLOAD_SESSIONS_EVENT,
+  getUploadSession,
+  listUploadSessions,
+  removeUploadSession,
+} from '@/utils/uploadSessionStorage.js'
+
+const ACTIVE_QUEUE_STATUSES = ['queued', 'creating', 'uploading', 'finalizing', 'offline']
+
+const describeFileMismatch = async (file, storedFile) => {
+  if (!storedFile) return null
+  if (file.size !== storedFile.size) {
+    return `Selected file has a different size than "${storedFile.name}".`
+  }
+  if (storedFile.name && file.name !== storedFile.name) {
+    return `Select the original file "${storedFile.name}" to resume this upload.`
+  }
+  if (storedFile.fingerprint) {
+    const fingerprint = await computeFileFingerprint(file)
+    if (fingerprint !== storedFile.fingerprint) {
+      return 'Selected file content does not match the interrupted upload.'
+    }
+  }
+  return null
+}
 
 const PendingUploads = () => {
+  const { userId } = useAuth()
+  const { items: queueItems } = useUploadQueue()
   const [uploads, setUploads] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [cancelingId, setCancelingId] = useState(null)
+  const [resumableIds, setResumableIds] = useState(() => new Set(listUploadSessions(userId).map((item) => item.uploadId)))
+  const [resumeTarget, setResumeTarget] = useState(null)
+  const [checkingId, setCheckingId] = useState(null)
+  const resumeInputRef = useRef(null)
 
   const fetchPending = async () => {
     setLoading(true)
@@ -30,17 +65,74 @@ const PendingUploads = () => {
     fetchPending()
   }, 10000)
 
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined
+    const syncResumable = () => {
+      setResumableIds(new Set(listUploadSessions(userId).map((item) => item.uploadId)))
+    }
+    syncResumable()
+    window.addEventListener(UPLOAD_SESSIONS_EVENT, syncResumable)
+    return () => {
+      window.removeEventListener(UPLOAD_SESSIONS_EVENT, syncResumable)
+    }
+  }, [userId])
+
+  const requestResume = (upload) => {
+    setError(null)
+    setResumeTarget(upload)
+    if (resumeInputRef.current) {
+      resumeInputRef.current.value = ''
+      resumeInputRef.current.click()
+    }
+  }
+
+  // The upload itself runs in the global queue, so it keeps going after this page is left.
+  const handleResumeFile = async (event) => {
+    const file = event.target.files?.[0]
+    const upload = resumeTarget
+    setResumeTarget(null)
+    if (!file || !upload) return
+
+    const stored = getUploadSession(userId, upload.uploadId)
+    if (!stored) {
+      setError('This upload can no longer be resumed from this browser.')
+      return
+    }
+
+    setCheckingId(upload.uploadId)
+    setError(null)
+    try {
+      const mismatch = await describeFileMismatch(file, stored.file)
+      if (mismatch) {
+        setError(mismatch)
+        return
+      }
+      uploadQueue.resumeSession(file, { userId, session: stored })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setCheckingId(null)
+    }
+  }
+
   const handleCancel = async (upload) => {
     if (!upload?.key || !upload?.uploadId) return
     const rowId = `${upload.key}-${upload.uploadId}`
     setCancelingId(rowId)
     setError(null)
+    const queueItem = queueItems.find((item) => item.session?.uploadId === upload.uploadId)
     try {
+      if (queueItem) {
+        await uploadQueue.cancel(queueItem.id)
+        await fetchPending()
+        return
+      }
       await api.upload.cancel({
         fileKey: upload.key,
         fileName: upload.key,
         uploadId: upload.uploadId,
       })
+      removeUploadSession(userId, upload.uploadId)
       await fetchPending()
     } catch (err) {
       setError(err.message)
@@ -64,20 +156,49 @@ const PendingUploads = () => {
             {uploads.map((upload) => {
               const rowId = `${upload.key}-${upload.uploadId}`
               const isCanceling = cancelingId === rowId
+              const queueItem = queueItems.find((item) => item.session?.uploadId === upload.uploadId)
+              const isResuming = Boolean(queueItem) && ACTIVE_QUEUE_STATUSES.includes(queueItem.status)
+              const canResume = resumableIds.has(upload.uploadId)
               const displayKey = upload.key?.split('/').pop() || upload.key
               return (
                 <tr key={rowId}>
-                  <td className="px-4 py-2 font-mono text-xs">{displayKey}</td>
+                  <td className="px-4 py-2 font-mono text-xs">
+                    {displayKey}
+                    {queueItem && (
+                      <div className="mt-2 h-2 w-full overflow-hidden rounded-full bg-slate-800">
+                        <div className="h-full bg-emerald-400" style={{ width: `${queueItem.progress}%` }} />
+                      </div>
+                    )}
+                    {queueItem?.error && <p className="mt-1 font-sans text-rose-300">{queueItem.error}</p>}
+                  </td>
                   <td className="px-4 py-2">{new Date(upload.initiatedAt).toLocaleString()}</td>
                   <td className="px-4 py-2">
-                    <button
-                      type="button"
-                      className="btn-secondary text-xs"
-                      onClick={() => handleCancel(upload)}
-                      disabled={isCanceling}
-                    >
-                      {isCanceling ? 'Removing...' : 'Delete'}
-                    </button>
+                    <div className="flex flex-wrap gap-2">
+                      {canResume && (
+                        isResuming ? (
+                          <button type="button" className="btn-secondary text-xs" onClick={() => uploadQueue.pause(queueItem.id)}>
+                            Pause ({queueItem.progress}%)
+                          </button>
+                        ) : (
+                          <button
+                            type="button"
+                            className="btn-primary text-xs"
+                            onClick={() => (queueItem ? uploadQueue.retry(queueItem.id) : requestResume(upload))}
+                            disabled={checkingId === upload.uploadId || isCanceling}
+                          >
+                            Resume
+                          </button>
+                        )
+                      )}
+                      <button
+                        type="button"
+                        className="btn-secondary text-xs"
+                        onClick={() => handleCancel(upload)}
+                        disabled={isCanceling || isResuming}
+                      >
+                        {isCanceling ? 'Removing...' : 'Delete'}
+                      </button>
+                    </div>
                   </td>
                 </tr>
               )
@@ -88,6 +209,7 @@ const PendingUploads = () => {
           <p className="p-4 text-center text-sm text-slate-400">No pending uploads</p>
         )}
       </div>
+      <input ref={resumeInputRef} type="file" onChange={handleResumeFile} className="sr-only" />
       {loading && <p className="mt-3 text-sm text-slate-400">Refreshing list...</p>}
       {error && <p className="mt-3 text-sm text-rose-300">{error}</p>}
     </PageSection>
@@ -0,0 +1,241 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { fetchDetailedMatchReports } from '@/services/matchReportHistory.js'
+import { DEFAULT_TREND_WINDOW, buildSeasonSummary } from '@/utils/playerSeasonSummary.js'
+import { buildPlayerHistory, normalizePlayerNumber, normalizeTeamName } from '@/utils/playerStatsHistory.js'
+
+// The newest matches of the player; older ones are announced as missing rather than fetched without bound.
+const SUMMARY_MATCH_LIMIT = 100
+const TREND_WINDOW_OPTIONS = [3, 5, 10]
+const TREND_ARROWS = { up: '▲', down: '▼', flat: '▬' }
+const TREND_COLORS = { up: 'text-emerald-300', down: 'text-red-300', flat: 'text-slate-400' }
+
+const formatMetric = (value, format) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '—'
+  if (format === 'percent') return `${(value * 100).toFixed(1)}%`
+  return value.toFixed(2)
+}
+
+const formatStat = (value, label) => {
+  if (value === null || value === undefined) return '—'
+  const text = Number.isInteger(value) ? String(value) : value.toFixed(2)
+  return label.endsWith('%') ? `${text}%` : text
+}
+
+const buildMatchLabel = (report) => {
+  const teams = (report?.teams ?? []).map((team) => team.team).filter(Boolean).join(' vs ')
+  return teams || 'Times não informados'
+}
+
+const MatchLink = ({ match, format, value }) => {
+  if (!match) return <span className="text-slate-500">—</span>
+  return (
+    <Link to={`/matches/${match.matchId}`} className="text-teal-300 hover:underline">
+      {formatMetric(value, format)} · {match.dateLabel || match.label}
+    </Link>
+  )
+}
+
+const PlayerSeasonSummary = () => {
+  const { team: teamParam = '', number: numberParam = '' } = useParams()
+  const [reports, setReports] = useState([])
+  const [truncated, setTruncated] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [trendWindow, setTrendWindow] = useState(DEFAULT_TREND_WINDOW)
+
+  // The route names one team, so similar names ("Minas" and "Minas B") stay apart.
+  const playerFilter = useMemo(
+    () => ({ team: normalizeTeamName(teamParam), number: normalizePlayerNumber(numberParam), exact: true }),
+    [numberParam, teamParam],
+  )
+
+  const fetchReports = useCallback(async () => {
+    if (!playerFilter.number) {
+      setLoading(false)
+      return
+    }
+    try {
+      setLoading(true)
+      setError(null)
+      const { reports: fetched, truncated: cut } = await fetchDetailedMatchReports({
+        limit: SUMMARY_MATCH_LIMIT,
+        team: teamParam,
+        playerNumber: playerFilter.number,
+      })
+      setReports(fetched)
+      setTruncated(cut)
+    } catch (err) {
+      setReports([])
+      setTruncated(false)
+      setError(err?.message || 'Falha ao carregar os relatórios do atleta.')
+    } finally {
+      setLoading(false)
+    }
+  }, [playerFilter.number, teamParam])
+
+  useEffect(() => {
+    fetchReports()
+  }, [fetchReports])
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined
+    window.addEventListener('matchreport:saved', fetchReports)
+    window.addEventListener('matchreport:deleted', fetchReports)
+    return () => {
+      window.removeEventListener('matchreport:saved', fetchReports)
+      window.removeEventListener('matchreport:deleted', fetchReports)
+    }
+  }, [fetchReports])
+
+  const history = useMemo(() => buildPlayerHistory(reports, playerFilter), [playerFilter, reports])
+
+  const summary = useMemo(() => {
+    const reportsById = new Map(reports.map((report) => [report.matchId, report]))
+    const rows = history.rows.map((row) => ({ ...row, label: buildMatchLabel(reportsById.get(row.matchId)) }))
+    return buildSeasonSummary(rows, { trendWindow })
+  }, [history.rows, reports, trendWindow])
+
+  const playerLabel = history.playerName ? `#${playerFilter.number} ${history.playerName}` : `#${playerFilter.number ?? numberParam}`
+
+  return (
+    <div className="mx-auto flex w-full max-w-5xl flex-col gap-6 px-4 py-8">
+      <header className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <p className="text-xs uppercase tracking-wide text-slate-500">{teamParam}</p>
+          <h1 className="text-2xl font-semibold text-slate-50">{playerLabel}</h1>
+          <p className="text-sm text-slate-400">
+            {summary.matchCount} jogos • {summary.setCount} sets
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-2 text-sm text-slate-400">
+            Tendência dos últimos
+            <select
+              className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100 focus:border-teal-500 focus:outline-none"
+              value={trendWindow}
+              onChange={(event) => setTrendWindow(Number(event.target.value))}
+            >
+              {TREND_WINDOW_OPTIONS.map((option) => (
+                <option key={option} value={option}>{option} jogos</option>
+              ))}
+            </select>
+          </label>
+          <Link to="/" className="btn-secondary">Voltar</Link>
+          <button type="button" onClick={fetchReports} className="btn-primary" disabled={loading}>
+            {loading ? 'Atualizando...' : 'Recarregar'}
+          </button>
+        </div>
+      </header>
+
+      {error && <div className="rounded-lg border border-red-500/40 bg-red-500/10 px-4 py-3 text-sm text-red-200">{error}</div>}
+
+      {truncated && !loading && (
+        <p className="text-xs text-amber-300">
+          O resumo considera as {SUMMARY_MATCH_LIMIT} partidas mais recentes; jogos mais antigos ficaram de fora.
+        </p>
+      )}
+
+      {!playerFilter.number ? (
+        <div className="rounded-lg border border-dashed border-slate-700 px-6 py-10 text-center text-slate-400">
+          Número de camisa inválido.
+        </div>
+      ) : loading ? (
+        <p className="text-slate-400">Carregando relatórios...</p>
+      ) : !summary.matchCount ? (
+        <div className="rounded-lg border border-dashed border-slate-700 px-6 py-10 text-center text-slate-400">
+          Nenhum relatório salvo com este atleta.
+        </div>
+      ) : (
+        <>
+          <section className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3" aria-label="Indicadores da temporada">
+            {summary.metrics.map((metric) => (
+              <div key={metric.key} className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+                <p className="text-xs uppercase tracking-wide text-slate-500">{metric.label}</p>
+                <p className="mt-1 flex items-baseline gap-2 text-2xl font-semibold text-slate-100">
+                  {formatMetric(metric.value, metric.format)}
+                  {metric.trend && (
+                    <span
+                      className={`text-sm ${TREND_COLORS[metric.trend.direction]}`}
+                      title={`Últimos ${trendWindow} jogos contra os ${trendWindow} anteriores`}
+                    >
+                      {TREND_ARROWS[metric.trend.direction]}
+                    </span>
+                  )}
+                </p>
+                <dl className="mt-3 space-y-1 text-xs text-slate-400">
+                  <div className="flex justify-between gap-2">
+                    <dt>Melhor</dt>
+                    <dd><MatchLink match={metric.best} format={metric.format} value={metric.best?.metrics[metric.key]} /></dd>
+                  </div>
+                  <div className="flex justify-between gap-2">
+                    <dt>Pior</dt>
+                    <dd><MatchLink match={metric.worst} format={metric.format} value={metric.worst?.metrics[metric.key]} /></dd>
+                  </div>
+                </dl>
+              </div>
+            ))}
+          </section>
+
+          <section className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+            <h2 className="mb-3 text-lg font-semibold text-slate-100">Por jogo</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm text-slate-300">
+                <thead className="text-xs uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-2 py-2">Jogo</th>
+                    <th className="px-2 py-2">Sets</th>
+                    {summary.metrics.map((metric) => (
+                      <th key={metric.key} className="px-2 py-2">{metric.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.matches.map((match) => (
+                    <tr key={match.matchId} className="border-t border-slate-800">
+                      <td className="px-2 py-2">
+                        <Link to={`/matches/${match.matchId}`} className="text-teal-300 hover:underline">
+                          {[match.dateLabel, match.label].filter(Boolean).join(' • ')}
+                        </Link>
+                      </td>
+                      <td className="px-2 py-2">{match.sets}</td>
+                      {summary.metrics.map((metric) => (
+                        <td key={metric.key} className="px-2 py-2">{formatMetric(match.metrics[metric.key], metric.format)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+            <h2 className="mb-3 text-lg font-semibold text-slate-100">Totais e médias</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm text-slate-300">
+                <thead className="text-xs uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-2 py-2">Estatística</th>
+                    <th className="px-2 py-2">Total</th>
+                    <th className="px-2 py-2">Média por jogo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.stats.map((stat) => (
+                    <tr key={stat.label} className="border-t border-slate-800">
+                      <td className="px-2 py-2">{stat.label}</td>
+                      <td className="px-2 py-2">{formatStat(stat.total, stat.label)}</td>
+                      <td className="px-2 py-2">{formatStat(stat.average, stat.label)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PlayerSeasonSummary
@@ -1,289 +1,147 @@
-import { useRef, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import PageSection from '@/components/PageSection.js'
-import { ApiError, api } from '@/services/api.js'
-import { formatBytes, uploadPartsSequentially } from '@/services/multipartHelper.js'
+import UploadProgressList from '@/components/UploadProgressList.js'
+import { api } from '@/services/api.js'
+import { resolveQueueItemFileName, uploadQueue } from '@/services/uploadQueue.js'
 import { useAuth } from '@/hooks/useAuth.js'
-import { recordCompletedUpload } from '@/utils/completedUploadsStorage.js'
+import { useUploadQueue } from '@/hooks/useUploadQueue.js'
 
-const getTimestamp = () => (typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now())
+const PARALLEL_FILE_OPTIONS = [1, 2, 3, 4]
+const ACTIVE_STATUSES = ['creating', 'uploading', 'finalizing']
 
-const splitFileName = (fileName = '') => {
-  const lastDotIndex = fileName.lastIndexOf('.')
-  if (lastDotIndex <= 0 || lastDotIndex === fileName.length - 1) {
-    return { base: fileName, extension: '' }
-  }
-  return {
-    base: fileName.slice(0, lastDotIndex),
-    extension: fileName.slice(lastDotIndex),
-  }
+const buildMatchLabel = (match) => {
+  const teams = (match.teams ?? []).map((team) => team.team).filter(Boolean).join(' - ') || match.matchId
+  return match.matchDate ? `${teams} (${match.matchDate.slice(0, 10)})` : teams
 }
 
 const UploadManager = () => {
-  const [file, setFile] = useState(null)
-  const [customFileBase, setCustomFileBase] = useState('')
-  const [fileExtension, setFileExtension] = useState('')
-  const [session, setSession] = useState(null)
-  const [parts, setParts] = useState([])
-  const [status, setStatus] = useState('idle')
-  const [error, setError] = useState(null)
-  const [progress, setProgress] = useState(0)
-  const [uploadedBytes, setUploadedBytes] = useState(0)
-  const [uploadSpeed, setUploadSpeed] = useState(0)
-  const [recentSuccess, setRecentSuccess] = useState(null)
-  const controllerRef = useRef(null)
-  const fileInputRef = useRef(null)
-  const uploadStartTimeRef = useRef(null)
-  const renameInputRef = useRef(null)
   const { userId } = useAuth()
+  const { items: queuedItems, paused, offline, maxParallelFiles, recentSuccess } = useUploadQueue()
+  const [isDragging, setIsDragging] = useState(false)
+  const fileInputRef = useRef(null)
+  const [matchOptions, setMatchOptions] = useState([])
+  const [linkMatchId, setLinkMatchId] = useState('')
+  const items = queuedItems.filter((item) => item.ownerId === (userId ?? null))
 
-  const reset = ({ preserveSuccess = false } = {}) => {
-    setSession(null)
-    setParts([])
-    setStatus('idle')
-    setError(null)
-    setProgress(0)
-    setUploadedBytes(0)
-    setUploadSpeed(0)
-    uploadStartTimeRef.current = null
-    setCustomFileBase('')
-    setFileExtension('')
-    setFile(null)
-    if (fileInputRef.current) {
-      fileInputRef.current.value = ''
-    }
-    if (!preserveSuccess) {
-      setRecentSuccess(null)
-    }
-  }
-
-  const handleFileChange = (event) => {
-    const selected = event.target.files?.[0]
-    reset()
-    setFile(selected ?? null)
-    if (selected) {
-      const { base, extension } = splitFileName(selected.name)
-      setCustomFileBase(base)
-      setFileExtension(extension)
-      requestAnimationFrame(() => {
-        renameInputRef.current?.focus()
+  useEffect(() => {
+    let active = true
+    api.stats.listMatchReports({ limit: 20 })
+      .then((response) => {
+        if (active) setMatchOptions(Array.isArray(response?.items) ? response.items : [])
       })
-    } else {
-      setCustomFileBase('')
-      setFileExtension('')
-    }
-  }
-
-  const createSession = async () => {
-    const baseName = customFileBase.trim()
-    const effectiveFileName = baseName ? `${baseName}${fileExtension}` : ''
-    if (!file || !effectiveFileName) return
-    setStatus('creating')
-    setError(null)
-    try {
-      const sessionResponse = await api.upload.createSession({
-        fileName: effectiveFileName,
-        contentType: file.type,
-        fileSizeBytes: file.size,
+      .catch(() => {
+        if (active) setMatchOptions([])
       })
-      
-      const normalizedSession = {
-        ...sessionResponse,
-        originalFileName: sessionResponse.originalFileName ?? effectiveFileName,
-      }
-      setSession(normalizedSession)
-      await uploadChunks(normalizedSession)
-    } catch (err) {
-      if (err instanceof ApiError && err.status === 409) {
-        setError('You have already uploaded this PDF. Use another file or remove the previous one before trying again.')
-      } else {
-        setError(err.message)
-      }
-      setStatus('error')      
+    return () => {
+      active = false
     }
-  }
+  }, [])
 
-  const uploadChunks = async (sessionResponse) => {
-    if (!sessionResponse) return
-    controllerRef.current = new AbortController()
-    setStatus('uploading')
-    uploadStartTimeRef.current = getTimestamp()
-    try {
-      const completed = await uploadPartsSequentially({
-        file,
-        urls: sessionResponse.urls,
-        chunkSizeBytes: sessionResponse.chunkSizeBytes,
-        signal: controllerRef.current.signal,
-        onProgress: ({ percent, uploadedBytes: bytes }) => {
-          setProgress(percent)
-          setUploadedBytes(bytes)
-          const startTime = uploadStartTimeRef.current
-          const now = getTimestamp()
-          if (startTime) {
-            const elapsedMs = Math.max(1, now - startTime)
-            const bytesPerSecond = bytes / (elapsedMs / 1000)
-            setUploadSpeed(bytesPerSecond)
-          }
-        },
-      })
-      
-      setParts(completed)
-      setStatus('awaiting-finalize')
-      await finalizeUpload(sessionResponse, completed)
-    } catch (err) {
-      if (err.name === 'AbortError') {
-        setStatus('idle')
-        return
-      }
-      throw err
-    }
+  const addFiles = (fileList) => {
+    uploadQueue.addFiles(fileList, { userId, matchId: linkMatchId })
   }
 
-  const finalizeUpload = async (sessionOverride, partsOverride) => {
-    const activeSession = sessionOverride ?? session
-    const activeParts = partsOverride ?? parts
-    if (!activeSession || activeParts.length === 0) return
-    const resolvedFileName = customFileBase.trim()
-      ? `${customFileBase.trim()}${fileExtension}`
-      : activeSession.originalFileName || file?.name || activeSession.fileKey
-    try {
-      setStatus('finalizing')
-      const uploadCompletedResponse = await api.upload.complete({
-        fileKey: activeSession.fileKey,
-        fileName: resolvedFileName,
-        uploadId: activeSession.uploadId,
-        parts: activeParts.map(({ partNumber, ETag }) => ({ partNumber, ETag })),
-      })
-      
-      setUploadSpeed(0)
-      recordCompletedUpload(userId, {
-        fileKey: uploadCompletedResponse?.key ?? activeSession.fileKey,
-        displayName: resolvedFileName,
-        originalFileName: resolvedFileName,
-        bucket: uploadCompletedResponse?.bucket,
-        size: file?.size ?? activeSession.fileSizeBytes,
-        contentType: file?.type ?? activeSession.contentType,
-      })
-      setRecentSuccess(`"${resolvedFileName}" uploaded.`)
-      reset({ preserveSuccess: true })
-    } catch (err) {
-      setError(err.message)
-      setStatus('error')
+  const handleFileChange = (event) => {
+    addFiles(event.target.files)
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ''
     }
   }
 
-  const cancelUpload = async () => {
-    controllerRef.current?.abort()
-    if (session) {
-      try {
-        const resolvedFileName = customFileBase.trim()
-          ? `${customFileBase.trim()}${fileExtension}`
-          : session.originalFileName || file?.name || session.fileKey
-        await api.upload.cancel({
-          fileKey: session.fileKey,
-          fileName: resolvedFileName,
-          uploadId: session.uploadId,
-        })
-      } catch (err) {
-        console.error('Failed to cancel session', err)
-      }
-    }
-    reset()
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragging(false)
+    addFiles(event.dataTransfer?.files)
   }
 
-  const busyStatuses = ['creating', 'uploading', 'finalizing']
-  const trimmedBaseName = customFileBase.trim()
-  const effectiveFileName = trimmedBaseName ? `${trimmedBaseName}${fileExtension}` : ''
-  const disableStart = !file || busyStatuses.includes(status) || !trimmedBaseName
+  const readyCount = items.filter((item) => item.status === 'ready' && resolveQueueItemFileName(item)).length
+  const hasActive = items.some((item) => ACTIVE_STATUSES.includes(item.status) || ['queued', 'offline'].includes(item.status))
+  const hasPaused = items.some((item) => item.status === 'paused')
+  const waitingForNetwork = items.some((item) => item.status === 'offline')
 
   return (
-      <PageSection title="Upload your video" description="Upload large videos with real-time progress tracking">
+      <PageSection title="Upload your videos" description="Queue several videos and track each upload in real time. Uploads keep running while you browse other pages.">
         <div className="flex flex-col gap-4">
-          <label className="flex flex-col gap-2 text-sm font-semibold text-slate-200">
-            File
-            <div className="flex flex-wrap items-center gap-3">
-              <button
-                type="button"
-                className="btn-secondary"
-                onClick={() => fileInputRef.current?.click()}
-              >
-                Select file
-              </button>
-              <span className="text-xs font-normal text-slate-400">
-                {file ? file.name : 'No file selected yet'}
-              </span>
-            </div>
+          <div
+            className={`flex flex-col items-center gap-3 rounded-xl border border-dashed p-6 text-sm transition ${isDragging ? 'border-emerald-400 bg-emerald-500/10' : 'border-slate-700 bg-slate-900/40'}`}
+            onDragOver={(event) => {
+              event.preventDefault()
+              setIsDragging(true)
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+          >
+            <p className="text-slate-300">Drag videos here or</p>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Select files
+            </button>
             <input
               ref={fileInputRef}
               type="file"
+              accept="video/*"
+              multiple
               onChange={handleFileChange}
               className="sr-only"
             />
-          </label>
-          {file && (
-            <label className="flex flex-col gap-2 text-sm font-semibold text-slate-200">
-              Opponent Team
-              <div className="flex items-center gap-2">
-                <input
-                  type="text"
-                  ref={renameInputRef}
-                  className="flex-1 rounded-lg border border-slate-800 bg-slate-900/60 px-3 py-2 text-sm font-normal text-slate-100 placeholder:text-slate-500 focus:border-emerald-400 focus:outline-none"
-                  placeholder="Enter file name"
-                  value={customFileBase}
-                  onChange={(event) => {
-                    const rawValue = event.target.value
-                    const maybeStripped = fileExtension && rawValue.endsWith(fileExtension)
-                      ? rawValue.slice(0, -fileExtension.length)
-                      : rawValue
-                    setCustomFileBase(maybeStripped)
-                  }}
-                  disabled={busyStatuses.includes(status)}
-                />
-                {fileExtension && (
-                  <span className="text-sm font-normal text-slate-400">
-                    {fileExtension}
-                  </span>
-                )}
-              </div>
-              <span className="text-xs font-normal text-slate-500">
-                Extension stays locked to the original format.
-              </span>
+          </div>
+          {matchOptions.length > 0 && (
+            <label className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+              Vincular novos arquivos à partida
+              <select
+                className="min-w-[200px] flex-1 rounded-lg border border-slate-800 bg-slate-900/60 px-2 py-1 text-sm text-slate-100 focus:border-emerald-400 focus:outline-none"
+                value={linkMatchId}
+                onChange={(event) => setLinkMatchId(event.target.value)}
+              >
+                <option value="">Não vincular</option>
+                {matchOptions.map((match) => (
+                  <option key={match.matchId} value={match.matchId}>{buildMatchLabel(match)}</option>
+                ))}
+              </select>
             </label>
           )}
-          {file && (
-            <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-300">
-              <p>{effectiveFileName}</p>
-              <p>{formatBytes(file.size)}</p>
+          {(offline || waitingForNetwork) && (
+            <div className="rounded-xl border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-sm text-amber-100" role="status">
+              Offline — waiting for the connection to return. Uploads resume automatically from the last confirmed part.
             </div>
           )}
-          {status === 'uploading' && (
-            <div>
-              <div className="h-3 w-full overflow-hidden rounded-full bg-slate-800">
-                <div className="h-full bg-emerald-400" style={{ width: `${progress}%` }} />
-              </div>
-              <p className="mt-2 text-xs text-slate-400">
-                {progress}% • {formatBytes(uploadedBytes)} uploaded of {file ? formatBytes(file.size) : '0 B'}
-                {uploadSpeed > 0 && ` • ${formatBytes(uploadSpeed)}/s`}
-              </p>
-            </div>
-          )}
-          <div className="flex flex-wrap gap-2">
-            <button type="button" className="btn-primary" onClick={createSession} disabled={disableStart}>
-              {status === 'creating' ? 'Preparing...' : 'Start upload'}
+          <UploadProgressList items={items} onRename={uploadQueue.rename} onCancel={uploadQueue.cancel} onRetry={uploadQueue.retry} />
+          <div className="flex flex-wrap items-center gap-2">
+            <button type="button" className="btn-primary" onClick={uploadQueue.start} disabled={!readyCount}>
+              {readyCount > 1 ? `Start ${readyCount} uploads` : 'Start upload'}
             </button>
-            {file && (
-              <button type="button" className="btn-secondary" onClick={cancelUpload}>
-                Cancel
+            {paused ? (
+              <button type="button" className="btn-secondary" onClick={uploadQueue.resumeAll} disabled={!hasPaused}>
+                Resume all
+              </button>
+            ) : (
+              <button type="button" className="btn-secondary" onClick={uploadQueue.pauseAll} disabled={!hasActive}>
+                Pause all
               </button>
             )}
+            <label className="ml-auto flex items-center gap-2 text-xs text-slate-400">
+              Simultaneous files
+              <select
+                className="rounded-lg border border-slate-800 bg-slate-900/60 px-2 py-1 text-sm text-slate-100 focus:border-emerald-400 focus:outline-none"
+                value={maxParallelFiles}
+                onChange={(event) => uploadQueue.setMaxParallelFiles(event.target.value)}
+              >
+                {PARALLEL_FILE_OPTIONS.map((option) => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </label>
           </div>
-          {error && <p className="text-sm text-rose-300">{error}</p>}
           {recentSuccess && (
             <div className="flex items-center justify-between gap-3 rounded-xl border border-emerald-500/40 bg-emerald-500/10 px-3 py-2 text-sm text-emerald-100">
               <span>{recentSuccess}</span>
               <button
                 type="button"
                 className="text-emerald-200 transition hover:text-white"
-                onClick={() => setRecentSuccess(null)}
+                onClick={uploadQueue.dismissSuccess}
                 aria-label="Dismiss success banner"
               >
                 ×
@@ -0,0 +1,38 @@
+import { render, screen } from '@testing-library/react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import DownloadTokens from '@/pages/DownloadTokens.js'
+import { recordCompletedUpload } from '@/utils/completedUploadsStorage.js'
+import { saveUploadThumbnail } from '@/utils/uploadThumbnailStorage.js'
+
+const mockApi = vi.hoisted(() => ({
+  upload: { completed: vi.fn() },
+  download: { generateToken: vi.fn() },
+}))
+
+vi.mock('@/services/api.js', () => ({ api: mockApi }))
+vi.mock('@/hooks/useAuth.js', () => ({ useAuth: () => ({ userId: 'user-1' }) }))
+
+describe('DownloadTokens', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+    mockApi.upload.completed.mockResolvedValue({
+      uploads: [
+        { fileKey: 'videos/match.mp4', fileName: 'match.mp4', size: 1024 },
+        { fileKey: 'videos/other.mp4', fileName: 'other.mp4', size: 2048 },
+      ],
+    })
+  })
+
+  it('shows the thumbnail captured when the upload finished', async () => {
+    recordCompletedUpload('user-1', { fileKey: 'videos/match.mp4', displayName: 'match.mp4', durationSeconds: 90 })
+    saveUploadThumbnail('user-1', 'videos/match.mp4', 'data:image/jpeg;base64,AAAA')
+
+    const { container } = render(<DownloadTokens />)
+
+    expect(await screen.findByText('match.mp4')).toBeInTheDocument()
+    const images = container.querySelectorAll('img')
+    expect(images).toHaveLength(1)
+    expect(images[0]).toHaveAttribute('src', 'data:image/jpeg;base64,AAAA')
+    expect(images[0].closest('li')).toHaveTextContent('match.mp4')
+  })
+})
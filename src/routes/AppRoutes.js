@@ -11,6 +11,7 @@ import UploadManager from '@/pages/UploadManager.js'
 import Videos from '@/pages/Videos.js'
 import SavedMatches from '@/pages/SavedMatches.js'
 import MatchReportDetail from '@/pages/MatchReportDetail.js'
+import PlayerSeasonSummary from '@/pages/PlayerSeasonSummary.js'
 
 const AppRoutes = () => (
   <Routes>
@@ -25,6 +26,7 @@ const AppRoutes = () => (
       <Route path="/videos" element={<Videos />} />
       <Route path="/matches" element={<SavedMatches />} />
       <Route path="/matches/:matchId" element={<MatchReportDetail />} />
+      <Route path="/players/:team/:number" element={<PlayerSeasonSummary />} />
     </Route>
     <Route path="*" element={<NotFound />} />
   </Routes>
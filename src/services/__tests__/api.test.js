@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+const BASE_URL = 'https://api.test'
+
+const jsonResponse = (body, { status = 200 } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: 'Error',
+  headers: new Headers({ 'content-type': 'application/json' }),
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body)),
+})
+
+const loadApi = async (user = { id: 'user-1', email: 'coach@example.com' }) => {
+  vi.resetModules()
+  const module = await import('@/services/api.js')
+  module.configureAuthObserver(() => ({
+    token: 'token-1',
+    user,
+    headerOverrides: {},
+  }))
+  return module
+}
+
+describe('api.stats', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    vi.stubEnv('VITE_API_BASE_URL', BASE_URL)
+    fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+    vi.unstubAllGlobals()
+  })
+
+  it('deletes a match report by id', async () => {
+    fetchMock.mockResolvedValue({ ok: true, status: 204, headers: new Headers() })
+    const { api } = await loadApi()
+
+    await expect(api.stats.deleteMatchReport('match 1')).resolves.toBeNull()
+
+    const [url, options] = fetchMock.mock.calls[0]
+    expect(url).toBe(`${BASE_URL}/stats/match-report/match%201`)
+    expect(options.method).toBe('DELETE')
+    expect(options.headers.get('Authorization')).toBe('Bearer token-1')
+    expect(options.headers.get('x-user-id')).toBe('user-1')
+  })
+
+  it('patches only the provided fields of a match report', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ matchId: 'match-1', matchDate: '2024-05-02' }))
+    const { api } = await loadApi()
+
+    const updated = await api.stats.updateMatchReport('match-1', { matchDate: '2024-05-02', matchTime: undefined })
+
+    const [url, options] = fetchMock.mock.calls[0]
+    expect(url).toBe(`${BASE_URL}/stats/match-report/match-1`)
+    expect(options.method).toBe('PATCH')
+    expect(JSON.parse(options.body)).toEqual({ matchDate: '2024-05-02' })
+    expect(updated).toEqual({ matchId: 'match-1', matchDate: '2024-05-02' })
+  })
+
+  it('checks duplicates by date and team names', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ duplicate: true, matches: [{ matchId: 'match-2' }] }))
+    const { api } = await loadApi()
+
+    const response = await api.stats.checkDuplicateMatchReport({
+      matchDate: '2024-05-02',
+      teams: [{ team: ' Sesi ' }, 'Minas', { team: '' }],
+      excludeMatchId: 'match-1',
+    })
+
+    const url = new URL(fetchMock.mock.calls[0][0])
+    expect(url.pathname).toBe('/stats/match-report/duplicates')
+    expect(url.searchParams.get('matchDate')).toBe('2024-05-02')
+    expect(url.searchParams.getAll('team')).toEqual(['Sesi', 'Minas'])
+    expect(url.searchParams.get('excludeMatchId')).toBe('match-1')
+    expect(response.duplicate).toBe(true)
+  })
+
+  it('lists match reports for the signed-in player unless every player is asked for', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ items: [] }))
+    const { api } = await loadApi({ id: 'user-1', currentTeam: 'Sesi', playerNumber: 7 })
+
+    await api.stats.listMatchReports({ limit: 50, from: '2024-01-01' })
+    await api.stats.listMatchReports({ limit: 50, from: '2024-01-01', allPlayers: true })
+
+    const ownQuery = new URL(fetchMock.mock.calls[0][0]).searchParams
+    expect(ownQuery.get('team')).toBe('Sesi')
+    expect(ownQuery.get('playerNumber')).toBe('7')
+    const allQuery = new URL(fetchMock.mock.calls[1][0]).searchParams
+    expect(Object.fromEntries(allQuery)).toEqual({ limit: '50', from: '2024-01-01', ownerId: 'user-1' })
+  })
+
+  it('surfaces API failures as ApiError', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ message: 'Forbidden' }, { status: 403 }))
+    const { api, ApiError } = await loadApi()
+
+    const failure = api.stats.deleteMatchReport('match-1')
+
+    await expect(failure).rejects.toBeInstanceOf(ApiError)
+    await expect(failure).rejects.toMatchObject({ status: 403, message: 'Forbidden' })
+  })
+
+  it('requires a match id before deleting or updating', async () => {
+    const { api } = await loadApi()
+
+    expect(() => api.stats.deleteMatchReport()).toThrow('matchId is required')
+    expect(() => api.stats.updateMatchReport(null, {})).toThrow('matchId is required')
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+})
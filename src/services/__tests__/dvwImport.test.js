@@ -0,0 +1,70 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { parseDvw } from '@/services/dvwImport.js'
+import sesiMinas from './fixtures/sesi-minas.dvw?raw'
+
+const statsOf = (result, number) => {
+  const player = result.players.find((candidate) => candidate.number === number)
+  return Object.fromEntries(result.columnLabels.map((label, index) => [label, player.columnValues[index]]))
+}
+
+describe('parseDvw', () => {
+  it('reads the match header, set scores and rosters of a DataVolley scout', () => {
+    const result = parseDvw(sesiMinas)
+
+    expect(result).toMatchObject({ profileId: 'datavolley', matchDate: '2024-05-12', matchTime: '19:30', setCount: 3 })
+    expect(result.summary).toMatchObject({
+      teams: ['Sesi Vôlei Bauru', 'Minas'],
+      finalScore: [2, 1],
+      winner: 'Sesi Vôlei Bauru',
+      durationMinutes: 80,
+      competition: 'Superliga Feminina',
+    })
+    expect(result.teams.map(({ team, players }) => [team, players.map(({ number }) => number)])).toEqual([
+      ['Sesi Vôlei Bauru', [1, 7]],
+      ['Minas', [4, 9]],
+    ])
+  })
+
+  it('counts touches from the scout codes into the DataVolley columns', () => {
+    const result = parseDvw(sesiMinas)
+
+    expect(statsOf(result, 1)).toMatchObject({
+      1: '1', 2: '2', 3: '1',
+      'Points Tot': '2',
+      'Brake Points': '1',
+      'Points Won - Lost': '+1',
+      'Serves Tot': '3',
+      'Serves Err': '1',
+      'Serves Pts': '1',
+      'Receptions Tot': '1',
+      'Receptions Pos%': '100%',
+      'Attacks Pts%': '100%',
+    })
+    expect(statsOf(result, 7)).toMatchObject({ 1: '*', 2: '.', 'BK Pts': '1', 'Brake Points': '1' })
+    expect(statsOf(result, 4)).toMatchObject({ 'Attacks Blocked': '1', 'Points Won - Lost': '-1', 'Receptions Pos%': '0%' })
+  })
+
+  it('reads the venue from the [3MORE] section', () => {
+    expect(parseDvw(sesiMinas).summary.venue).toBe('Ginásio Panela de Pressão')
+  })
+
+  it('reads year-first and month-first dates and flags the ones it cannot settle', () => {
+    const withDate = (date, generatorDay = '2024/05/12') => sesiMinas
+      .replace('GENERATOR-DAY: 2024/05/12', `GENERATOR-DAY: ${generatorDay}`)
+      .replace('12/05/2024;19.30.00', `${date};19.30.00`)
+
+    expect(parseDvw(withDate('2024/05/12')).matchDate).toBe('2024-05-12')
+    expect(parseDvw(withDate('05/12/2024')).matchDate).toBe('2024-05-12')
+    expect(parseDvw(withDate('05/24/2024', '2024/05/25')).matchDate).toBe('2024-05-24')
+
+    const unsettled = parseDvw(withDate('03/04/2024', '2024/06/01'))
+    expect(unsettled.matchDate).toBe('2024-04-03')
+    expect(unsettled.warnings).toEqual([expect.objectContaining({ code: 'ambiguous-date' })])
+    expect(parseDvw(sesiMinas).warnings).toEqual([])
+  })
+
+  it('rejects files that are not DataVolley scouts', () => {
+    expect(() => parseDvw('Team;Number;Name\nSesi;7;Ana')).toThrow('Este arquivo não parece ser um scout do DataVolley (.dvw).')
+  })
+})
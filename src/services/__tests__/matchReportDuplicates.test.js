@@ -0,0 +1,46 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const { mockApi } = vi.hoisted(() => ({
+  mockApi: { stats: { checkDuplicateMatchReport: vi.fn() } },
+}))
+
+vi.mock('@/services/api.js', async () => {
+  const actual = await vi.importActual('@/services/api.js')
+  return { ...actual, api: mockApi }
+})
+
+import { ApiError } from '@/services/api.js'
+import {
+  DuplicateMatchReportError,
+  assertNoDuplicateMatchReport,
+  isDuplicateReportError,
+} from '@/services/matchReportDuplicates.js'
+
+describe('matchReportDuplicates', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('rejects a report whose date and teams already exist', async () => {
+    mockApi.stats.checkDuplicateMatchReport.mockResolvedValue({ matches: [{ matchId: 'm1' }] })
+    const teams = [{ team: 'Sesi' }, { team: 'Minas' }]
+
+    await expect(assertNoDuplicateMatchReport({ matchDate: '2024-05-01', teams, excludeMatchId: 'm2' }))
+      .rejects.toBeInstanceOf(DuplicateMatchReportError)
+    expect(mockApi.stats.checkDuplicateMatchReport).toHaveBeenCalledWith({ matchDate: '2024-05-01', teams, excludeMatchId: 'm2' })
+  })
+
+  it('lets unique or undated reports through', async () => {
+    mockApi.stats.checkDuplicateMatchReport.mockResolvedValue({ duplicate: false, matches: [] })
+
+    await expect(assertNoDuplicateMatchReport({ matchDate: '2024-05-01', teams: ['Sesi'] })).resolves.toBeUndefined()
+    await expect(assertNoDuplicateMatchReport({ matchDate: null, teams: ['Sesi'] })).resolves.toBeUndefined()
+    expect(mockApi.stats.checkDuplicateMatchReport).toHaveBeenCalledTimes(1)
+  })
+
+  it('treats a 409 from the API as a duplicate too', () => {
+    expect(isDuplicateReportError(new ApiError('Conflict', 409))).toBe(true)
+    expect(isDuplicateReportError(new ApiError('Forbidden', 403))).toBe(false)
+    expect(isDuplicateReportError(new DuplicateMatchReportError())).toBe(true)
+  })
+})
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { api } from '@/services/api.js'
+import { fetchDetailedMatchReports } from '@/services/matchReportHistory.js'
+
+const deferred = () => {
+  let resolve
+  const promise = new Promise((done) => { resolve = done })
+  return { promise, resolve }
+}
+
+describe('fetchDetailedMatchReports', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('fetches a few reports at a time, drops the ones that fail and sorts by match date', async () => {
+    const matchIds = ['m1', 'm2', 'm3', 'm4', 'm5', 'm6']
+    vi.spyOn(api.stats, 'listMatchReports').mockResolvedValue({ items: matchIds.map((matchId) => ({ matchId })) })
+    const pending = new Map(matchIds.map((matchId) => [matchId, deferred()]))
+    let inFlight = 0
+    let maxInFlight = 0
+    vi.spyOn(api.stats, 'getMatchReport').mockImplementation(async (matchId) => {
+      inFlight += 1
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      try {
+        return await pending.get(matchId).promise
+      } finally {
+        inFlight -= 1
+      }
+    })
+
+    const loading = fetchDetailedMatchReports({ limit: 20, from: '2024-01-01', to: '2024-06-30' })
+    matchIds.forEach((matchId, index) => {
+      pending.get(matchId).resolve(matchId === 'm3' ? Promise.reject(new Error('boom')) : {
+        matchId,
+        matchDate: `2024-0${6 - index}-01`,
+      })
+    })
+    const { reports, truncated } = await loading
+
+    expect(api.stats.listMatchReports).toHaveBeenCalledWith(expect.objectContaining({ limit: 20, from: '2024-01-01', to: '2024-06-30' }))
+    expect(maxInFlight).toBeLessThanOrEqual(4)
+    expect(reports.map(({ matchId }) => matchId)).toEqual(['m6', 'm5', 'm4', 'm2', 'm1'])
+    expect(truncated).toBe(false)
+  })
+
+  it('flags lists cut at the limit as truncated', async () => {
+    vi.spyOn(api.stats, 'listMatchReports').mockResolvedValue({ items: [{ matchId: 'm1' }, { matchId: 'm2' }] })
+    vi.spyOn(api.stats, 'getMatchReport').mockImplementation(async (matchId) => ({ matchId }))
+
+    await expect(fetchDetailedMatchReports({ limit: 2, allPlayers: true })).resolves.toMatchObject({ truncated: true })
+    expect(api.stats.listMatchReports).toHaveBeenCalledWith(expect.objectContaining({ allPlayers: true }))
+  })
+})
@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { EMPTY_VALUE_PLACEHOLDER, normalizePdfTextItem, parseMatchReport } from '@/services/matchReportParser.js'
+import coverPageOnly from './fixtures/cover-page-only.json'
+import dataVolleyShiftedColumns from './fixtures/datavolley-shifted-columns.json'
+import dataVolleyTwoTeams from './fixtures/datavolley-two-teams.json'
+import volleyMetricsBoxScore from './fixtures/volleymetrics-box-score.json'
+
+const FIXTURES = {
+  'datavolley-two-teams': dataVolleyTwoTeams,
+  'datavolley-shifted-columns': dataVolleyShiftedColumns,
+  'volleymetrics-box-score': volleyMetricsBoxScore,
+  'cover-page-only': coverPageOnly,
+}
+
+// Debug lines are left out so the golden files only change when the parsed output does.
+const toGolden = (result) => {
+  const { lines: _lines, teams: _teams, ...golden } = result
+  return `${JSON.stringify(golden, null, 2)}\n`
+}
+
+describe('parseMatchReport', () => {
+  Object.entries(FIXTURES).forEach(([name, items]) => {
+    it(`matches the golden output for ${name}`, async () => {
+      await expect(toGolden(parseMatchReport(items))).toMatchFileSnapshot(`./__golden__/${name}.json`)
+    })
+  })
+
+  it('honours a manually selected profile over the detected one', () => {
+    const result = parseMatchReport(dataVolleyTwoTeams, { profileId: 'volleymetrics' })
+
+    expect(result.detectedProfileId).toBe('datavolley')
+    expect(result.profileId).toBe('volleymetrics')
+    expect(result.setCount).toBe(0)
+  })
+
+  it('normalizes pdf.js text items', () => {
+    const item = { str: 'Ana', transform: [9.5, 0, 0, -9.504, 40.123, 700.456] }
+
+    expect(normalizePdfTextItem(item, 2)).toEqual({ str: 'Ana', x: 40.12, y: 700.46, width: 9.5, height: 9.5, page: 2 })
+  })
+
+  it('caps cell confidence with the recognition confidence of OCR tokens', () => {
+    const result = parseMatchReport(dataVolleyTwoTeams.map((item) => ({ ...item, confidence: 0.5 })))
+    // Blank cells keep full confidence; only values that came from a recognized token are capped.
+    const confidences = result.players.flatMap((player) =>
+      player.columnConfidence.filter((_, index) => player.columnValues[index] !== EMPTY_VALUE_PLACEHOLDER),
+    )
+
+    expect(result.players.length).toBeGreaterThan(0)
+    expect(Math.max(...confidences)).toBeLessThanOrEqual(0.5)
+    expect(result.warnings.map(({ code }) => code)).toContain('low-confidence-cells')
+  })
+})
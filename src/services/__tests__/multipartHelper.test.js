@@ -1,5 +1,16 @@
+import SparkMD5 from 'spark-md5'
 import { describe, expect, it, vi } from 'vitest'
-import { sliceFileIntoParts, uploadPartsSequentially } from '@/services/multipartHelper.js'
+import {
+  computeFileFingerprint,
+  recommendChunkSize,
+  sliceFileIntoParts,
+  uploadPartsConcurrently,
+  uploadPartsSequentially,
+} from '@/services/multipartHelper.js'
+import { buildMultipartChecksum, hashBlobMd5 } from '@/services/checksum.js'
+import { createRetryPolicy } from '@/services/retryPolicy.js'
+
+const ZERO_KB_MD5 = '0f343b0931126a20f133d67c2b018a3b'
 
 const makeFile = (size) => new File([new Uint8Array(size)], 'sample.bin', { type: 'application/octet-stream' })
 
@@ -43,4 +54,192 @@ describe('multipartHelper', () => {
     ])
     expect(fetcher).toHaveBeenCalledTimes(2)
   })
+
+  it('keeps several parts in flight and returns them ordered by part number', async () => {
+    const file = makeFile(4 * 1024)
+    const urls = [1, 2, 3, 4].map((partNumber) => ({ partNumber, url: `https://storage/${partNumber}` }))
+    const delays = { 1: 20, 2: 5, 3: 0, 4: 10 }
+    let inFlight = 0
+    let maxInFlight = 0
+
+    const fetcher = vi.fn((url) => {
+      const partNumber = Number(url.split('/').pop())
+      inFlight += 1
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      return new Promise((resolve) =>
+        setTimeout(() => {
+          inFlight -= 1
+          resolve({ ok: true, headers: { get: () => `etag-${partNumber}` } })
+        }, delays[partNumber]),
+      )
+    })
+
+    const onProgress = vi.fn()
+    const parts = await uploadPartsConcurrently({
+      file,
+      urls,
+      chunkSizeBytes: 1024,
+      fetcher,
+      onProgress,
+      concurrency: 2,
+    })
+
+    expect(maxInFlight).toBe(2)
+    expect(parts.map((part) => part.partNumber)).toEqual([1, 2, 3, 4])
+    expect(parts[0]).toEqual({ partNumber: 1, ETag: 'etag-1', bytes: 1024 })
+    expect(onProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ uploadedBytes: 4 * 1024, totalBytes: 4 * 1024, percent: 100 }),
+    )
+  })
+
+  it('rejects and stops scheduling parts once one exhausts its retries', async () => {
+    const file = makeFile(3 * 1024)
+    const urls = [1, 2, 3].map((partNumber) => ({ partNumber, url: `https://storage/${partNumber}` }))
+    const fetcher = vi.fn((url) =>
+      Promise.resolve(
+        url.endsWith('/1')
+          ? { ok: false, headers: { get: () => null } }
+          : { ok: true, headers: { get: () => 'etag' } },
+      ),
+    )
+
+    await expect(
+      uploadPartsConcurrently({ file, urls, chunkSizeBytes: 1024, fetcher, retries: 0, concurrency: 1 }),
+    ).rejects.toThrow('Upload failed for part 1')
+    expect(fetcher).toHaveBeenCalledTimes(1)
+  })
+
+  it('propagates aborts from the caller signal', async () => {
+    const file = makeFile(1024)
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(
+      uploadPartsConcurrently({
+        file,
+        urls: [{ partNumber: 1, url: 'https://storage/1' }],
+        chunkSizeBytes: 1024,
+        fetcher: vi.fn(),
+        signal: controller.signal,
+      }),
+    ).rejects.toMatchObject({ name: 'AbortError' })
+  })
+
+  it('skips acknowledged parts when resuming and reports new ones', async () => {
+    const file = makeFile(3 * 1024)
+    const urls = [1, 2, 3].map((partNumber) => ({ partNumber, url: `https://storage/${partNumber}` }))
+    const fetcher = vi.fn((url) =>
+      Promise.resolve({ ok: true, headers: { get: () => `etag-${url.split('/').pop()}` } }),
+    )
+    const onPartComplete = vi.fn()
+    const onProgress = vi.fn()
+
+    const parts = await uploadPartsConcurrently({
+      file,
+      urls,
+      chunkSizeBytes: 1024,
+      fetcher,
+      onProgress,
+      onPartComplete,
+      completedParts: [{ partNumber: 2, ETag: 'etag-2', bytes: 1024 }],
+    })
+
+    expect(fetcher).toHaveBeenCalledTimes(2)
+    expect(fetcher.mock.calls.map(([url]) => url)).not.toContain('https://storage/2')
+    expect(onPartComplete).toHaveBeenCalledTimes(2)
+    expect(parts.map((part) => part.ETag)).toEqual(['etag-1', 'etag-2', 'etag-3'])
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ percent: 100 }))
+  })
+
+  it('fingerprints identical content the same way', async () => {
+    const first = await computeFileFingerprint(makeFile(2048))
+    const second = await computeFileFingerprint(makeFile(2048))
+    const other = await computeFileFingerprint(new File([new Uint8Array(2048).fill(1)], 'sample.bin'))
+    expect(first).toMatch(/^2048:[0-9a-f]{64}$/)
+    expect(first).toBe(second)
+    expect(first).not.toBe(other)
+  })
+
+  it('sends Content-MD5 and marks parts unverified when ETag is hidden', async () => {
+    const file = makeFile(2 * 1024)
+    const urls = [
+      { partNumber: 1, url: 'https://storage/1' },
+      { partNumber: 2, url: 'https://storage/2' },
+    ]
+    const fetcher = vi.fn(() => Promise.resolve({ ok: true, headers: { get: () => null } }))
+
+    const parts = await uploadPartsConcurrently({ file, urls, chunkSizeBytes: 1024, fetcher, verifyChecksums: true })
+
+    expect(fetcher.mock.calls[0][1].headers['Content-MD5']).toBe('DzQ7CTESaiDxM9Z8KwGKOw==')
+    expect(parts[0]).toEqual({ partNumber: 1, ETag: ZERO_KB_MD5, bytes: 1024, checksum: ZERO_KB_MD5, unverified: true })
+    expect(buildMultipartChecksum(parts)).toBe('3a781e47d4c16fa460c0078fd02cd42a-2')
+  })
+
+  it('fails without retrying when there is neither an ETag nor a digest to complete with', async () => {
+    const fetcher = vi.fn(() => Promise.resolve({ ok: true, headers: { get: () => null } }))
+
+    await expect(
+      uploadPartsSequentially({
+        file: makeFile(1024),
+        urls: [{ partNumber: 1, url: 'https://storage/1' }],
+        chunkSizeBytes: 1024,
+        fetcher,
+        retryPolicy: createRetryPolicy({ baseDelayMs: 1 }),
+      }),
+    ).rejects.toMatchObject({ name: 'MissingEtagError' })
+    expect(fetcher).toHaveBeenCalledTimes(1)
+  })
+
+  it('hashes large chunks slice by slice to the same digest', async () => {
+    const bytes = new Uint8Array(5 * 1024 * 1024 + 7).map((_value, index) => index % 251)
+
+    expect(await hashBlobMd5(new Blob([bytes]))).toBe(SparkMD5.ArrayBuffer.hash(bytes.buffer))
+  })
+
+  it('rejects parts whose ETag does not match the uploaded bytes', async () => {
+    const file = makeFile(1024)
+    const fetcher = vi.fn(() =>
+      Promise.resolve({ ok: true, headers: { get: () => '"ffffffffffffffffffffffffffffffff"' } }),
+    )
+
+    await expect(
+      uploadPartsSequentially({
+        file,
+        urls: [{ partNumber: 1, url: 'https://storage/1' }],
+        chunkSizeBytes: 1024,
+        fetcher,
+        retries: 0,
+        verifyChecksums: true,
+      }),
+    ).rejects.toMatchObject({ name: 'ChecksumError' })
+  })
+
+  it('retries 5xx responses but fails fast on client errors', async () => {
+    const file = makeFile(1024)
+    const urls = [{ partNumber: 1, url: 'https://storage/1' }]
+    const retryPolicy = createRetryPolicy({ baseDelayMs: 1 })
+    const onRetry = vi.fn()
+    const flaky = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, headers: { get: () => null } })
+      .mockResolvedValueOnce({ ok: true, headers: { get: () => 'etag-one' } })
+
+    const parts = await uploadPartsSequentially({ file, urls, chunkSizeBytes: 1024, fetcher: flaky, retryPolicy, onRetry })
+    expect(parts[0].ETag).toBe('etag-one')
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ partNumber: 1, attempt: 1 }))
+
+    const forbidden = vi.fn().mockResolvedValue({ ok: false, status: 403, headers: { get: () => null } })
+    await expect(
+      uploadPartsSequentially({ file, urls, chunkSizeBytes: 1024, fetcher: forbidden, retryPolicy }),
+    ).rejects.toMatchObject({ status: 403 })
+    expect(forbidden).toHaveBeenCalledTimes(1)
+  })
+
+  it('recommends smaller chunks for slow or flaky links', () => {
+    const megabyte = 1024 * 1024
+    expect(recommendChunkSize({ bytesPerSecond: 2 * megabyte })).toBe(40 * megabyte)
+    expect(recommendChunkSize({ bytesPerSecond: 2 * megabyte, retryCount: 5, partCount: 10 })).toBe(20 * megabyte)
+    expect(recommendChunkSize({ bytesPerSecond: 10 * 1024 })).toBe(5 * megabyte)
+    expect(recommendChunkSize({ bytesPerSecond: 0 })).toBeNull()
+  })
 })
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildProfileColumnGroups,
+  buildProfileColumnLabels,
+  detectFormatProfile,
+  getFormatProfile,
+  listFormatProfiles,
+} from '@/services/pdfFormatProfiles.js'
+
+describe('pdfFormatProfiles', () => {
+  it('keeps column groups in sync with the column labels of every profile', () => {
+    listFormatProfiles().forEach((profile) => {
+      const setCount = profile.hasSetColumns ? 3 : 0
+      const labels = buildProfileColumnLabels(profile, setCount)
+      const span = buildProfileColumnGroups(profile, setCount).reduce((total, group) => total + group.span, 0)
+      expect(span).toBe(labels.length)
+    })
+  })
+
+  it('clamps set columns only for profiles that have them', () => {
+    const dataVolley = getFormatProfile('datavolley')
+    expect(buildProfileColumnLabels(dataVolley, 9).slice(0, 6)).toEqual(['1', '2', '3', '4', '5', 'Vote'])
+    expect(buildProfileColumnLabels(getFormatProfile('volleymetrics'), 4)[0]).toBe('Sets Played')
+  })
+
+  it('detects the profile whose signature phrases appear in the document', () => {
+    expect(detectFormatProfile('Receptions Pos% Exc% Vote\nPlayers total').profile.id).toBe('datavolley')
+    expect(detectFormatProfile('# Player SP K E TA PCT AST SA SE RE DIG\nHitting PCT Digs').profile.id).toBe('volleymetrics')
+    expect(detectFormatProfile('Scoring Skills CBV\nAtaque Bloqueio Saque Recepção\nTotal da equipe').profile.id).toBe('federation')
+    expect(detectFormatProfile('nothing recognizable')).toMatchObject({ score: 0, profile: { id: 'datavolley' } })
+  })
+
+  it('falls back to the DataVolley profile for unknown ids', () => {
+    expect(getFormatProfile('unknown').id).toBe('datavolley')
+    expect(getFormatProfile(undefined).id).toBe('datavolley')
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest'
+import { extractOcrTextItems, ocrLinesToTextItems } from '@/services/pdfOcr.js'
+
+const mockTesseract = vi.hoisted(() => {
+  const engine = {
+    setParameters: vi.fn(),
+    recognize: vi.fn(),
+    terminate: vi.fn(),
+  }
+  return { engine, createWorker: vi.fn(async () => engine) }
+})
+
+vi.mock('tesseract.js', () => ({ createWorker: mockTesseract.createWorker }))
+
+const word = (text, x0, x1, confidence = 90) => ({ text, confidence, bbox: { x0, y0: 100, x1, y1: 124 } })
+
+describe('ocrLinesToTextItems', () => {
+  it('maps canvas words to PDF-space items that share the line baseline', () => {
+    const lines = [
+      {
+        baseline: { x0: 80, y0: 120, x1: 400, y1: 122 },
+        words: [word('7', 80, 92, 96), word('Ana', 110, 170, 88), word('', 180, 190), word('12', 380, 404, 41)],
+      },
+    ]
+
+    expect(ocrLinesToTextItems(lines, { pageHeight: 842, scale: 2, page: 3 })).toEqual([
+      { str: '7', x: 40, y: 781.5, width: 6, height: 12, page: 3, confidence: 0.96 },
+      { str: 'Ana', x: 55, y: 781.5, width: 30, height: 12, page: 3, confidence: 0.88 },
+      { str: '12', x: 190, y: 781.5, width: 12, height: 12, page: 3, confidence: 0.41 },
+    ])
+  })
+
+  it('falls back to the lowest word edge when the line has no baseline', () => {
+    const [item] = ocrLinesToTextItems([{ words: [word('Sesi', 20, 60)] }], { pageHeight: 800, scale: 2 })
+
+    expect(item).toMatchObject({ str: 'Sesi', y: 738, page: 1 })
+  })
+})
+
+describe('extractOcrTextItems', () => {
+  it('starts an LSTM-only English worker that loads its data from the app', async () => {
+    const line = { baseline: { y0: 120, y1: 120 }, words: [word('Sesi', 20, 60)] }
+    mockTesseract.engine.recognize.mockResolvedValue({ data: { blocks: [{ paragraphs: [{ lines: [line] }] }] } })
+
+    const items = await extractOcrTextItems([{ image: new Blob(['page']), pageHeight: 800, scale: 2, page: 1 }])
+
+    expect(mockTesseract.createWorker).toHaveBeenCalledWith('eng', 1, expect.objectContaining({
+      langPath: new URL('/tessdata', window.location.href).href,
+      gzip: true,
+      workerBlobURL: false,
+      cacheMethod: 'none',
+    }))
+    const [, , options] = mockTesseract.createWorker.mock.calls[0]
+    expect(options.workerPath).toMatch(/worker\.min\.js/)
+    expect(options.corePath).toMatch(/tesseract-core-lstm\.wasm\.js/)
+    expect(items).toEqual([expect.objectContaining({ str: 'Sesi', page: 1 })])
+    expect(mockTesseract.engine.terminate).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+class FakeWorker {
+  static instances = []
+
+  constructor() {
+    this.messages = []
+    FakeWorker.instances.push(this)
+  }
+
+  postMessage(message) {
+    this.messages.push(message)
+  }
+
+  emit(data) {
+    this.onmessage?.({ data })
+  }
+
+  terminate() {}
+}
+
+const createFile = () => ({ name: 'report.pdf', arrayBuffer: () => Promise.resolve(new ArrayBuffer(8)) })
+
+const loadParser = async () => {
+  vi.resetModules()
+  return import('@/services/pdfParsing.js')
+}
+
+const ocrItems = [
+  { str: 'Sesi', x: 40, y: 700, width: 30, height: 10, page: 1, confidence: 0.93 },
+  { str: '7', x: 40, y: 680, width: 6, height: 10, page: 1, confidence: 0.88 },
+  { str: 'Ana', x: 60, y: 680, width: 20, height: 10, page: 1, confidence: 0.9 },
+]
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('parseMatchReportPdf', () => {
+  beforeEach(() => {
+    FakeWorker.instances = []
+    vi.stubGlobal('Worker', FakeWorker)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.doUnmock('@/services/pdfOcr.js')
+  })
+
+  it('reports page progress and resolves with the worker result', async () => {
+    const { parseMatchReportPdf } = await loadParser()
+    const onProgress = vi.fn()
+
+    const parsing = parseMatchReportPdf(createFile(), { profileId: 'datavolley', onProgress })
+    await flush()
+    const [worker] = FakeWorker.instances
+    const [{ id, type, profileId }] = worker.messages
+    expect({ type, profileId }).toEqual({ type: 'parse', profileId: 'datavolley' })
+
+    worker.emit({ id, type: 'progress', page: 1, pageCount: 2 })
+    worker.emit({ id, type: 'progress', page: 2, pageCount: 2 })
+    const items = [{ str: 'Sesi', x: 10, y: 700, width: 20, height: 8, page: 1 }]
+    worker.emit({ id, type: 'result', items, result: { players: [] } })
+
+    await expect(parsing).resolves.toEqual({ items, result: { players: [] } })
+    expect(onProgress.mock.calls).toEqual([[{ page: 1, pageCount: 2 }], [{ page: 2, pageCount: 2 }]])
+  })
+
+  it('rejects with an AbortError and tells the worker to stop when cancelled', async () => {
+    const { parseMatchReportPdf } = await loadParser()
+    const controller = new AbortController()
+
+    const parsing = parseMatchReportPdf(createFile(), { signal: controller.signal })
+    await flush()
+    const [worker] = FakeWorker.instances
+    const { id } = worker.messages[0]
+    controller.abort()
+
+    await expect(parsing).rejects.toMatchObject({ name: 'AbortError' })
+    expect(worker.messages[1]).toEqual({ id, type: 'cancel' })
+
+    worker.emit({ id, type: 'result', items: [], result: {} })
+  })
+
+  it('runs OCR on the pages the worker rendered when the PDF has no text layer', async () => {
+    const extractOcrTextItems = vi.fn(async (...args) => {
+      const { onProgress } = args[1]
+      onProgress({ page: 1, pageCount: 1, stage: 'ocr' })
+      return ocrItems
+    })
+    vi.doMock('@/services/pdfOcr.js', () => ({ extractOcrTextItems }))
+    const { parseMatchReportPdf } = await loadParser()
+    const onProgress = vi.fn()
+    const file = createFile()
+    const readBuffer = vi.spyOn(file, 'arrayBuffer')
+
+    const parsing = parseMatchReportPdf(file, { onProgress })
+    await flush()
+    const [worker] = FakeWorker.instances
+    const { id } = worker.messages[0]
+    const pages = [{ image: new Blob(['png']), pageHeight: 842, scale: 2, page: 1 }]
+    worker.emit({ id, type: 'result', items: [{ str: ' ', x: 0, y: 0, width: 0, height: 0, page: 1 }], pages })
+
+    const { items, result, ocr } = await parsing
+    expect(ocr).toBe(true)
+    expect(items).toBe(ocrItems)
+    expect(extractOcrTextItems.mock.calls[0][0]).toBe(pages)
+    expect(readBuffer).toHaveBeenCalledTimes(1)
+    expect(result.warnings[0].code).toBe('ocr-used')
+    expect(onProgress).toHaveBeenCalledWith({ page: 1, pageCount: 1, stage: 'ocr' })
+  })
+})
@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { OCR_RENDER_SCALE, extractPdfContent } from '@/services/pdfTextExtraction.js'
+
+class FakeOffscreenCanvas {
+  constructor(width, height) {
+    this.width = width
+    this.height = height
+  }
+
+  getContext() {
+    return { canvas: this }
+  }
+
+  convertToBlob() {
+    return Promise.resolve(new Blob([`${this.width}x${this.height}`], { type: 'image/png' }))
+  }
+}
+
+const createPdfjs = (pageTexts) => {
+  const render = vi.fn(() => ({ promise: Promise.resolve() }))
+  const pdf = {
+    numPages: pageTexts.length,
+    getPage: async (pageNumber) => ({
+      getTextContent: async () => ({
+        items: pageTexts[pageNumber - 1].map((str) => ({ str, width: 10, height: 8, transform: [1, 0, 0, 1, 40, 700] })),
+      }),
+      getViewport: ({ scale }) => ({ width: 595 * scale, height: 842 * scale }),
+      render,
+      cleanup: () => {},
+    }),
+    destroy: vi.fn(),
+  }
+  return { pdfjsLib: { getDocument: vi.fn(() => ({ promise: Promise.resolve(pdf) })) }, pdf, render }
+}
+
+describe('extractPdfContent', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('returns the text items without rendering when the PDF has a text layer', async () => {
+    const { pdfjsLib, pdf, render } = createPdfjs([['Sesi'], ['Minas']])
+    const onProgress = vi.fn()
+
+    const content = await extractPdfContent(pdfjsLib, new ArrayBuffer(8), { onProgress })
+
+    expect(content.pages).toBeUndefined()
+    expect(content.items.map((item) => [item.str, item.page])).toEqual([['Sesi', 1], ['Minas', 2]])
+    expect(onProgress).toHaveBeenLastCalledWith({ page: 2, pageCount: 2 })
+    expect(render).not.toHaveBeenCalled()
+    expect(pdf.destroy).toHaveBeenCalledTimes(1)
+  })
+
+  it('renders scanned pages on offscreen canvases from the same document', async () => {
+    vi.stubGlobal('OffscreenCanvas', FakeOffscreenCanvas)
+    const { pdfjsLib, pdf, render } = createPdfjs([[' '], []])
+
+    const { pages } = await extractPdfContent(pdfjsLib, new ArrayBuffer(8))
+
+    expect(pdfjsLib.getDocument).toHaveBeenCalledTimes(1)
+    expect(pages.map(({ pageHeight, scale, page }) => ({ pageHeight, scale, page }))).toEqual([
+      { pageHeight: 842, scale: OCR_RENDER_SCALE, page: 1 },
+      { pageHeight: 842, scale: OCR_RENDER_SCALE, page: 2 },
+    ])
+    expect(pages[0].image).toBeInstanceOf(Blob)
+    expect(render.mock.calls[0][0].canvasContext.canvas).toBeInstanceOf(FakeOffscreenCanvas)
+    expect(render.mock.calls[0][0].canvasFactory.create(4, 4).canvas).toBeInstanceOf(FakeOffscreenCanvas)
+    expect(pdf.destroy).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops between pages when cancelled', async () => {
+    const { pdfjsLib, pdf } = createPdfjs([['Sesi'], ['Minas']])
+    let cancelled = false
+
+    const content = await extractPdfContent(pdfjsLib, new ArrayBuffer(8), {
+      onProgress: () => { cancelled = true },
+      isCancelled: () => cancelled,
+    })
+
+    expect(content).toBeNull()
+    expect(pdf.destroy).toHaveBeenCalledTimes(1)
+  })
+})
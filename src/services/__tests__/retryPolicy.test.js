@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest'
+import { createRetryPolicy, isRetryableError, parseRetryAfter } from '@/services/retryPolicy.js'
+
+const httpError = (status, retryAfterMs = null) => Object.assign(new Error('failed'), { status, retryAfterMs })
+
+describe('retryPolicy', () => {
+  it('retries network failures, 5xx and 429 only', () => {
+    expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true)
+    expect(isRetryableError(httpError(503))).toBe(true)
+    expect(isRetryableError(httpError(429))).toBe(true)
+    expect(isRetryableError(httpError(403))).toBe(false)
+    expect(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBe(false)
+  })
+
+  it('backs off exponentially with jitter and stops after maxRetries', () => {
+    const policy = createRetryPolicy({ maxRetries: 3, baseDelayMs: 100, random: () => 1 })
+    expect(policy.nextDelay({ attempt: 1, error: httpError(500) })).toBe(100)
+    expect(policy.nextDelay({ attempt: 3, error: httpError(500) })).toBe(400)
+    expect(policy.nextDelay({ attempt: 4, error: httpError(500) })).toBeNull()
+
+    const lowJitter = createRetryPolicy({ baseDelayMs: 100, random: () => 0 })
+    expect(lowJitter.nextDelay({ attempt: 2, error: httpError(500) })).toBe(100)
+  })
+
+  it('honors Retry-After and the max elapsed budget', () => {
+    const policy = createRetryPolicy({ baseDelayMs: 100, maxElapsedMs: 10000, random: () => 0 })
+    expect(policy.nextDelay({ attempt: 1, error: httpError(429, 3000) })).toBe(3000)
+    expect(policy.nextDelay({ attempt: 1, error: httpError(429, 3000), elapsedMs: 8000 })).toBeNull()
+  })
+
+  it('parses Retry-After seconds and HTTP dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000)
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:05 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(5000)
+    expect(parseRetryAfter(null)).toBeNull()
+  })
+})
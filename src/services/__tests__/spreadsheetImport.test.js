@@ -0,0 +1,90 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import {
+  MAPPING_TARGETS,
+  buildSpreadsheetReport,
+  guessColumnMapping,
+  guessHeaderRowIndex,
+  parseCsv,
+  selectSpreadsheetTable,
+  toSpreadsheetTable,
+  validateColumnMapping,
+} from '@/services/spreadsheetImport.js'
+import { buildTableColumnLabels } from '@/services/matchReportParser.js'
+import { getFormatProfile } from '@/services/pdfFormatProfiles.js'
+
+const dataVolley = getFormatProfile('datavolley')
+const labels = buildTableColumnLabels(dataVolley.maxSetColumns, dataVolley)
+
+const CSV = [
+  '\uFEFFEquipe;Nº;Jogadora;Set 1;Serves Tot;Attacks Pts%;Obs',
+  'Sesi;1;"Silva; Ana";1;14;52%;capitã',
+  ';7;Bia Lima;*;3;;',
+  'Sesi;Totais;;;17;48%;',
+  '',
+].join('\r\n')
+
+describe('spreadsheet import', () => {
+  it('parses quoted CSV cells with the delimiter found in the header', () => {
+    expect(parseCsv('a,b\n"x, ""y""",2\n')).toEqual([['a', 'b'], ['x, "y"', '2']])
+    expect(toSpreadsheetTable(parseCsv(CSV)).rows[0]).toEqual(['Sesi', '1', 'Silva; Ana', '1', '14', '52%', 'capitã'])
+  })
+
+  it('guesses player fields and stat columns from the headers', () => {
+    const { headers } = toSpreadsheetTable(parseCsv(CSV))
+
+    expect(guessColumnMapping(headers, labels)).toEqual([
+      MAPPING_TARGETS.TEAM,
+      MAPPING_TARGETS.NUMBER,
+      MAPPING_TARGETS.NAME,
+      '1',
+      'Serves Tot',
+      'Attacks Pts%',
+      MAPPING_TARGETS.IGNORE,
+    ])
+  })
+
+  it('finds the header below title rows and lets another row be picked', () => {
+    const rows = [['Relatório Sesi x Minas', ''], ['', ''], ['Nº', 'Nome'], ['7', 'Bia Lima']]
+
+    expect(guessHeaderRowIndex(rows)).toBe(2)
+    expect(toSpreadsheetTable(rows)).toEqual({ headers: ['Nº', 'Nome'], rows: [['7', 'Bia Lima']] })
+    expect(guessHeaderRowIndex([['', ''], ['Equipe', 'Pontos']])).toBe(1)
+
+    const picked = selectSpreadsheetTable([{ name: null, rows }], { headerRowIndex: 0, columnLabels: labels })
+    expect(picked.table.headers).toEqual(['Relatório Sesi x Minas', 'Coluna 2'])
+    expect(picked.mapping).toEqual([MAPPING_TARGETS.IGNORE, MAPPING_TARGETS.IGNORE])
+  })
+
+  it('asks for a team when no column holds it', () => {
+    const mapping = ['', 'number', 'name']
+
+    expect(validateColumnMapping(mapping)).toMatch(/time/)
+    expect(validateColumnMapping(mapping, { defaultTeam: 'Sesi' })).toBeNull()
+  })
+
+  it('builds a review report with team totals and the mapped set columns', () => {
+    const table = toSpreadsheetTable(parseCsv(CSV))
+    const result = buildSpreadsheetReport(table, guessColumnMapping(table.headers, labels), { profileId: 'auto' })
+
+    expect(result.setCount).toBe(1)
+    expect(result.columnLabels.slice(0, 3)).toEqual(['1', 'Vote', 'Points Tot'])
+    expect(result.players.map(({ team, number, name }) => ({ team, number, name }))).toEqual([
+      { team: 'Sesi', number: 1, name: 'Silva; Ana' },
+      { team: 'Sesi', number: 7, name: 'Bia Lima' },
+    ])
+    const servesIndex = result.columnLabels.indexOf('Serves Tot')
+    expect(result.players[1].columnValues[servesIndex]).toBe('3')
+    expect(result.teamTotals).toEqual([
+      expect.objectContaining({ team: 'Sesi', rawStats: ['17', '48%'] }),
+    ])
+  })
+
+  it('warns about mapped columns the chosen format does not have', () => {
+    const table = toSpreadsheetTable(parseCsv(CSV))
+    const result = buildSpreadsheetReport(table, guessColumnMapping(table.headers, labels), { profileId: 'volleymetrics' })
+
+    expect(result.warnings).toEqual([expect.objectContaining({ code: 'unmatched-columns' })])
+    expect(result.warnings[0].message).toContain('Attacks Pts%')
+  })
+})
@@ -0,0 +1,189 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const { mockApi, mockUploadParts } = vi.hoisted(() => ({
+  mockApi: {
+    upload: {
+      createSession: vi.fn(),
+      complete: vi.fn(),
+      cancel: vi.fn(),
+      refreshPartUrls: vi.fn(),
+    },
+    stats: {
+      linkMatchVideos: vi.fn(),
+    },
+  },
+  mockUploadParts: vi.fn(),
+}))
+
+vi.mock('@/services/api.js', async () => {
+  const actual = await vi.importActual('@/services/api.js')
+  return { ...actual, api: mockApi }
+})
+
+vi.mock('@/services/videoMetadata.js', () => ({
+  extractVideoMetadata: vi.fn(async (file) => {
+    if (!file.type.startsWith('video/')) {
+      const error = new Error(`"${file.name}" is not a video.`)
+      error.name = 'UnsupportedVideoError'
+      throw error
+    }
+    return { durationSeconds: 90, width: 1920, height: 1080, thumbnail: 'data:image/jpeg;base64,AAAA' }
+  }),
+}))
+
+vi.mock('@/services/multipartHelper.js', async () => {
+  const actual = await vi.importActual('@/services/multipartHelper.js')
+  return { ...actual, uploadPartsConcurrently: mockUploadParts }
+})
+
+import { createUploadQueue, summarizeUploadQueue } from '@/services/uploadQueue.js'
+import { COMPLETED_UPLOADS_STORAGE_KEY, listCompletedUploads } from '@/utils/completedUploadsStorage.js'
+import { getUploadSession, saveUploadSession } from '@/utils/uploadSessionStorage.js'
+import { readUploadThumbnails } from '@/utils/uploadThumbnailStorage.js'
+
+const makeFile = (name = 'match.mp4') => new File([new Uint8Array(1024)], name, { type: 'video/mp4' })
+
+const waitForStatus = (queue, predicate) =>
+  vi.waitFor(() => {
+    expect(predicate(queue.getSnapshot())).toBe(true)
+  })
+
+describe('uploadQueue', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+    vi.clearAllMocks()
+    mockApi.upload.createSession.mockResolvedValue({
+      uploadId: 'upload-1',
+      fileKey: 'videos/match.mp4',
+      chunkSizeBytes: 1024,
+      urls: [{ partNumber: 1, url: 'https://storage/1' }],
+    })
+    mockApi.upload.complete.mockResolvedValue({ key: 'videos/match.mp4', bucket: 'bucket' })
+    mockApi.upload.refreshPartUrls.mockResolvedValue({ urls: [{ partNumber: 1, url: 'https://storage/1?fresh' }] })
+  })
+
+  it('runs uploads without a mounted view and notifies subscribers', async () => {
+    mockUploadParts.mockImplementation(async ({ onProgress }) => {
+      onProgress({ percent: 100, uploadedBytes: 1024, bytesPerSecond: 2048 })
+      return [{ partNumber: 1, ETag: 'etag-1', checksum: '0f343b0931126a20f133d67c2b018a3b' }]
+    })
+    const queue = createUploadQueue()
+    const listener = vi.fn()
+    const unsubscribe = queue.subscribe(listener)
+
+    queue.addFiles([makeFile()], { userId: 'user-1' })
+    unsubscribe()
+    await waitForStatus(queue, (snapshot) => snapshot.items[0]?.status === 'ready')
+    queue.start()
+
+    await waitForStatus(queue, (snapshot) => snapshot.items.length === 0)
+    expect(listener).toHaveBeenCalled()
+    expect(queue.getSnapshot().recentSuccess).toBe('"match.mp4" enviado.')
+    expect(mockApi.upload.createSession).toHaveBeenCalledWith(expect.objectContaining({
+      metadata: { durationSeconds: 90, width: 1920, height: 1080 },
+    }))
+    expect(mockApi.upload.complete).toHaveBeenCalledWith(expect.objectContaining({
+      uploadId: 'upload-1',
+      parts: [{ partNumber: 1, ETag: 'etag-1' }],
+    }))
+    expect(listCompletedUploads('user-1')).toEqual([expect.objectContaining({ durationSeconds: 90 })])
+    expect(window.localStorage.getItem(COMPLETED_UPLOADS_STORAGE_KEY)).not.toContain('data:image')
+    expect(readUploadThumbnails('user-1').get('videos/match.mp4')).toBe('data:image/jpeg;base64,AAAA')
+  })
+
+  it('links the finished upload to the chosen match report', async () => {
+    mockUploadParts.mockResolvedValue([{ partNumber: 1, ETag: 'etag-1' }])
+    mockApi.stats.linkMatchVideos.mockResolvedValue({ videos: [] })
+    const queue = createUploadQueue()
+
+    queue.addFiles([makeFile()], { userId: 'user-1', matchId: 'match-9' })
+    await waitForStatus(queue, (snapshot) => snapshot.items[0]?.status === 'ready')
+    queue.start()
+
+    await waitForStatus(queue, (snapshot) => Boolean(snapshot.recentSuccess))
+    expect(mockApi.stats.linkMatchVideos).toHaveBeenCalledWith('match-9', { fileKeys: ['videos/match.mp4'] })
+    expect(queue.getSnapshot().recentSuccess).toBe('"match.mp4" enviado e vinculado à partida.')
+  })
+
+  it('rejects files that are not videos before creating a session', async () => {
+    const queue = createUploadQueue()
+
+    queue.addFiles([new File(['x'], 'notes.txt', { type: 'text/plain' })], { userId: 'user-1' })
+    await waitForStatus(queue, (snapshot) => snapshot.items[0]?.status === 'unsupported')
+    queue.start()
+
+    expect(queue.getSnapshot().items[0].error).toBe('"notes.txt" is not a video.')
+    expect(mockApi.upload.createSession).not.toHaveBeenCalled()
+  })
+
+  it('pauses running uploads and resumes them from the queue', async () => {
+    mockUploadParts.mockImplementationOnce(({ signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        const error = new Error('Upload aborted')
+        error.name = 'AbortError'
+        reject(error)
+      })
+    }))
+    mockUploadParts.mockResolvedValueOnce([{ partNumber: 1, ETag: 'etag-1' }])
+    const queue = createUploadQueue()
+
+    queue.addFiles([makeFile()], { userId: 'user-1' })
+    await waitForStatus(queue, (snapshot) => snapshot.items[0]?.status === 'ready')
+    queue.start()
+    await waitForStatus(queue, (snapshot) => snapshot.items[0]?.status === 'uploading')
+    expect(summarizeUploadQueue(queue.getSnapshot().items).activeCount).toBe(1)
+
+    queue.pauseAll()
+    await waitForStatus(queue, (snapshot) => snapshot.items[0]?.status === 'paused')
+    expect(queue.getSnapshot().paused).toBe(true)
+
+    queue.resumeAll()
+    await waitForStatus(queue, (snapshot) => snapshot.items.length === 0)
+    expect(mockApi.upload.createSession).toHaveBeenCalledTimes(1)
+    expect(mockUploadParts).toHaveBeenCalledTimes(2)
+  })
+  it('resumes a stored session once, with fresh URLs for the parts still missing', async () => {
+    let finishUpload
+    mockUploadParts.mockImplementation(() => new Promise((resolve) => {
+      finishUpload = () => resolve([
+        { partNumber: 1, ETag: 'etag-1' },
+        { partNumber: 2, ETag: 'etag-2' },
+      ])
+    }))
+    mockApi.upload.refreshPartUrls.mockResolvedValue({ urls: [{ partNumber: 2, url: 'https://storage/2?fresh' }] })
+    const session = {
+      uploadId: 'upload-7',
+      fileKey: 'videos/final.mp4',
+      fileName: 'final.mp4',
+      chunkSizeBytes: 512,
+      urls: [
+        { partNumber: 1, url: 'https://storage/1?stale' },
+        { partNumber: 2, url: 'https://storage/2?stale' },
+      ],
+    }
+    saveUploadSession('user-1', { ...session, parts: [{ partNumber: 1, ETag: 'etag-1', bytes: 512 }] })
+    const queue = createUploadQueue()
+
+    const firstId = queue.resumeSession(makeFile('final.mp4'), { userId: 'user-1', session })
+    const secondId = queue.resumeSession(makeFile('final.mp4'), { userId: 'user-1', session })
+    expect(secondId).toBe(firstId)
+    expect(queue.getSnapshot().items).toHaveLength(1)
+
+    await vi.waitFor(() => expect(mockUploadParts).toHaveBeenCalledTimes(1))
+    expect(mockApi.upload.refreshPartUrls).toHaveBeenCalledWith({
+      fileKey: 'videos/final.mp4',
+      uploadId: 'upload-7',
+      partNumbers: [2],
+    })
+    expect(mockUploadParts.mock.calls[0][0].urls).toEqual([
+      { partNumber: 1, url: 'https://storage/1?stale' },
+      { partNumber: 2, url: 'https://storage/2?fresh' },
+    ])
+    expect(mockApi.upload.createSession).not.toHaveBeenCalled()
+
+    finishUpload()
+    await waitForStatus(queue, (snapshot) => snapshot.items.length === 0)
+    expect(mockApi.upload.complete).toHaveBeenCalledWith(expect.objectContaining({ uploadId: 'upload-7', fileName: 'final.mp4' }))
+    expect(getUploadSession('user-1', 'upload-7')).toBeNull()
+  })
+})
@@ -0,0 +1,99 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { extractVideoMetadata, formatDuration, formatResolution, isVideoFile } from '@/services/videoMetadata.js'
+
+// jsdom cannot decode media, so the detached <video> and the thumbnail canvas are replaced by stand-ins.
+const createFakeVideo = () => ({
+  removeAttribute: vi.fn(),
+  load: vi.fn(),
+  set src(value) {
+    this.currentSrc = value
+    if (value) queueMicrotask(() => this.onsrc?.(this))
+  },
+})
+
+describe('videoMetadata', () => {
+  let video
+  const createElement = document.createElement.bind(document)
+
+  beforeEach(() => {
+    video = createFakeVideo()
+    URL.createObjectURL = vi.fn(() => 'blob:video')
+    URL.revokeObjectURL = vi.fn()
+    vi.spyOn(document, 'createElement').mockImplementation((tagName) => {
+      if (tagName === 'video') return video
+      if (tagName === 'canvas') {
+        return { getContext: () => ({ drawImage: vi.fn() }), toDataURL: () => 'data:image/jpeg;base64,AAAA' }
+      }
+      return createElement(tagName)
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('rejects files that are not videos', async () => {
+    const file = new File(['%PDF'], 'report.pdf', { type: 'application/pdf' })
+    await expect(extractVideoMetadata(file)).rejects.toMatchObject({
+      name: 'UnsupportedVideoError',
+      message: '"report.pdf" is not a video.',
+    })
+  })
+
+  it('recognises videos by extension when the browser gives no MIME type', () => {
+    expect(isVideoFile(new File(['x'], 'GOPR0042.MP4', { type: '' }))).toBe(true)
+    expect(isVideoFile(new File(['x'], 'notes.txt', { type: '' }))).toBe(false)
+    expect(isVideoFile(new File(['x'], 'mp4', { type: '' }))).toBe(false)
+  })
+
+  it('reads duration, resolution and a thumbnail from the first second', async () => {
+    video.onsrc = (element) => {
+      Object.assign(element, { videoWidth: 1920, videoHeight: 1080, duration: 754.36 })
+      element.onloadedmetadata()
+      element.onseeked()
+    }
+
+    const metadata = await extractVideoMetadata(new File(['x'], 'match.mp4', { type: 'video/mp4' }))
+
+    expect(metadata).toEqual({ durationSeconds: 754.4, width: 1920, height: 1080, thumbnail: 'data:image/jpeg;base64,AAAA' })
+    expect(video.currentTime).toBe(1)
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:video')
+  })
+
+  it('keeps the metadata without a thumbnail when seeking never finishes', async () => {
+    vi.useFakeTimers()
+    video.onsrc = (element) => {
+      Object.assign(element, { videoWidth: 1280, videoHeight: 720, duration: 5 })
+      element.onloadedmetadata()
+    }
+
+    const pending = extractVideoMetadata(new File(['x'], 'match.mov', { type: '' }), { timeoutMs: 1000 })
+    await vi.advanceTimersByTimeAsync(1000)
+
+    await expect(pending).resolves.toEqual({ durationSeconds: 5, width: 1280, height: 720, thumbnail: null })
+  })
+
+  it('rejects files whose metadata never loads in time', async () => {
+    vi.useFakeTimers()
+
+    const pending = extractVideoMetadata(new File(['x'], 'broken.mkv', { type: 'video/x-matroska' }), { timeoutMs: 1000 })
+    const assertion = expect(pending).rejects.toMatchObject({
+      name: 'UnsupportedVideoError',
+      message: 'Could not read "broken.mkv" in time.',
+    })
+    await vi.advanceTimersByTimeAsync(1000)
+
+    await assertion
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:video')
+  })
+
+  it('formats durations and resolutions', () => {
+    expect(formatDuration(59.6)).toBe('1:00')
+    expect(formatDuration(754)).toBe('12:34')
+    expect(formatDuration(3725)).toBe('1:02:05')
+    expect(formatDuration(Number.NaN)).toBeNull()
+    expect(formatResolution({ width: 1920, height: 1080 })).toBe('1920×1080')
+    expect(formatResolution({})).toBeNull()
+  })
+})
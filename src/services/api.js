@@ -142,15 +142,20 @@ export const api = {
     status: () => request('/health', { auth: false }),
   },
   upload: {
-    createSession: ({ fileName, contentType, fileSizeBytes, partCount }) =>
-      request('/upload/multipart', {
+    createSession: ({ fileName, contentType, fileSizeBytes, partCount, chunkSizeBytes, metadata }) => {
+      const body = { fileName, contentType, fileSizeBytes, parts: partCount }
+      if (chunkSizeBytes) body.chunkSizeBytes = chunkSizeBytes
+      if (metadata) body.metadata = metadata
+      return request('/upload/multipart', {
         method: 'POST',
-        body: { fileName, contentType, fileSizeBytes, parts: partCount },
-      }),
-    complete: ({ fileKey, fileName, uploadId, parts }) => {
+        body,
+      })
+    },
+    complete: ({ fileKey, fileName, uploadId, parts, checksum }) => {
       const body = { uploadId, parts }
       if (fileKey) body.fileKey = fileKey
       if (fileName) body.fileName = fileName
+      if (checksum) body.checksum = checksum
       return request('/upload/multipart/complete', {
         method: 'POST',
         body,
@@ -165,6 +170,14 @@ export const api = {
         body,
       })
     },
+    refreshPartUrls: ({ fileKey, uploadId, partNumbers }) => {
+      const body = { uploadId, partNumbers }
+      if (fileKey) body.fileKey = fileKey
+      return request('/upload/multipart/urls', {
+        method: 'POST',
+        body,
+      })
+    },
     pending: ({ limit = 10 } = {}) =>
       request(`/upload/multipart/pending?limit=${limit}`),
     completed: ({ userId, limit = 100 } = {}) => {
@@ -197,12 +210,17 @@ export const api = {
         body: payload,
         requireUserHeaders: true,
       }),
-    listMatchReports: ({ limit = 20, team, playerNumber } = {}) => {
+    // `allPlayers` skips the fallback to the signed-in user's team and number, listing every report the owner saved.
+    listMatchReports: ({ limit = 20, team, playerNumber, from, to, allPlayers = false } = {}) => {
       const params = new URLSearchParams()
       if (limit) params.set('limit', String(limit))
-      const filterParams = resolveUserPlayerFilters({ team, playerNumber })
-      if (filterParams.team) params.set('team', filterParams.team)
-      if (filterParams.playerNumber) params.set('playerNumber', filterParams.playerNumber)
+      if (!allPlayers) {
+        const filterParams = resolveUserPlayerFilters({ team, playerNumber })
+        if (filterParams.team) params.set('team', filterParams.team)
+        if (filterParams.playerNumber) params.set('playerNumber', filterParams.playerNumber)
+      }
+      if (from) params.set('from', from)
+      if (to) params.set('to', to)
       const ownerId = resolveCurrentUserId()
       if (ownerId) params.set('ownerId', ownerId)
       const query = params.toString()
@@ -215,6 +233,62 @@ export const api = {
       }
       return request(`/stats/match-report/${encodeURIComponent(matchId)}`, { requireUserHeaders: true })
     },
+    updateMatchReport: (matchId, changes = {}) => {
+      if (!matchId) {
+        throw new Error('matchId is required')
+      }
+      const sanitizedEntries = Object.entries(changes).filter(([, value]) => value !== undefined)
+      return request(`/stats/match-report/${encodeURIComponent(matchId)}`, {
+        method: 'PATCH',
+        body: Object.fromEntries(sanitizedEntries),
+        requireUserHeaders: true,
+      })
+    },
+    deleteMatchReport: (matchId) => {
+      if (!matchId) {
+        throw new Error('matchId is required')
+      }
+      return request(`/stats/match-report/${encodeURIComponent(matchId)}`, {
+        method: 'DELETE',
+        requireUserHeaders: true,
+      })
+    },
+    checkDuplicateMatchReport: ({ matchDate, teams = [], excludeMatchId } = {}) => {
+      const params = new URLSearchParams()
+      if (matchDate) params.set('matchDate', matchDate)
+      teams
+        .map((team) => normalizeTeamName(typeof team === 'string' ? team : team?.team))
+        .filter(Boolean)
+        .forEach((team) => params.append('team', team))
+      if (excludeMatchId) params.set('excludeMatchId', excludeMatchId)
+      return request(`/stats/match-report/duplicates?${params.toString()}`, { requireUserHeaders: true })
+    },
+    listMatchVideos: (matchId) => {
+      if (!matchId) {
+        throw new Error('matchId is required')
+      }
+      return request(`/stats/match-report/${encodeURIComponent(matchId)}/videos`, { requireUserHeaders: true })
+    },
+    linkMatchVideos: (matchId, { fileKeys = [] } = {}) => {
+      if (!matchId) {
+        throw new Error('matchId is required')
+      }
+      return request(`/stats/match-report/${encodeURIComponent(matchId)}/videos`, {
+        method: 'POST',
+        body: { fileKeys },
+        requireUserHeaders: true,
+      })
+    },
+    unlinkMatchVideo: (matchId, fileKey) => {
+      if (!matchId || !fileKey) {
+        throw new Error('matchId and fileKey are required')
+      }
+      const params = new URLSearchParams({ fileKey })
+      return request(`/stats/match-report/${encodeURIComponent(matchId)}/videos?${params.toString()}`, {
+        method: 'DELETE',
+        requireUserHeaders: true,
+      })
+    },
   },
 }
 
@@ -0,0 +1,102 @@
+import SparkMD5 from 'spark-md5'
+
+const MD5_HEX_REGEX = /^[0-9a-f]{32}$/i
+const HASH_SLICE_BYTES = 2 * 1024 * 1024
+
+let worker = null
+let workerUnavailable = false
+let nextRequestId = 1
+const pendingRequests = new Map()
+
+export const readBlobAsArrayBuffer = (blob) => {
+  if (typeof blob.arrayBuffer === 'function') return blob.arrayBuffer()
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsArrayBuffer(blob)
+  })
+}
+
+// Feeds the digest a few MB at a time so hashing a 100 MB part never holds the whole part in memory.
+export const hashBlobMd5 = async (blob) => {
+  const spark = new SparkMD5.ArrayBuffer()
+  for (let offset = 0; offset < blob.size; offset += HASH_SLICE_BYTES) {
+    spark.append(await readBlobAsArrayBuffer(blob.slice(offset, offset + HASH_SLICE_BYTES)))
+  }
+  return spark.end()
+}
+
+const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2)
+  for (let index = 0; index < bytes.length; index += 1) {
+    bytes[index] = parseInt(hex.slice(index * 2, index * 2 + 2), 16)
+  }
+  return bytes
+}
+
+export const hexToBase64 = (hex) => btoa(String.fromCharCode(...hexToBytes(hex)))
+
+const rejectPending = (message) => {
+  pendingRequests.forEach(({ reject }) => reject(new Error(message)))
+  pendingRequests.clear()
+}
+
+const getWorker = () => {
+  if (worker || workerUnavailable) return worker
+  if (typeof Worker === 'undefined') {
+    workerUnavailable = true
+    return null
+  }
+  try {
+    worker = new Worker(new URL('../workers/checksumWorker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => {
+      const { id, hex, error } = event.data ?? {}
+      const request = pendingRequests.get(id)
+      if (!request) return
+      pendingRequests.delete(id)
+      if (error) {
+        request.reject(new Error(error))
+      } else {
+        request.resolve(hex)
+      }
+    }
+    worker.onerror = () => {
+      rejectPending('Checksum worker crashed')
+      worker?.terminate()
+      worker = null
+      workerUnavailable = true
+    }
+  } catch {
+    workerUnavailable = true
+    worker = null
+  }
+  return worker
+}
+
+// MD5 is what S3-compatible stores use for part ETags and Content-MD5, so it is the only digest we can verify end to end.
+export const computeChunkChecksum = async (blob) => {
+  const activeWorker = getWorker()
+  const hex = activeWorker
+    ? await new Promise((resolve, reject) => {
+        const id = nextRequestId
+        nextRequestId += 1
+        pendingRequests.set(id, { resolve, reject })
+        activeWorker.postMessage({ id, blob })
+      }).catch(() => hashBlobMd5(blob))
+    : await hashBlobMd5(blob)
+  return { hex, base64: hexToBase64(hex) }
+}
+
+export const isVerifiableEtag = (etag) => typeof etag === 'string' && MD5_HEX_REGEX.test(etag)
+
+// Same composite format S3 reports for multipart objects: md5(concat(part digests))-<part count>.
+export const buildMultipartChecksum = (parts = []) => {
+  if (!parts.length || parts.some((part) => !part?.checksum)) return null
+  const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber)
+  const concatenated = new Uint8Array(ordered.length * 16)
+  ordered.forEach((part, index) => {
+    concatenated.set(hexToBytes(part.checksum), index * 16)
+  })
+  return `${SparkMD5.ArrayBuffer.hash(concatenated.buffer)}-${ordered.length}`
+}
@@ -0,0 +1,254 @@
+import { buildImportedReport } from '@/services/matchReportImport.js'
+
+// A .dvw file is a DataVolley scout: [3SECTION] headers followed by ';'-separated lines. The player lists give
+// shirt numbers, names and starting rotations per set; the [3SCOUT] codes ("*07SM#", "a12RQ-") hold every touch.
+const SECTION_REGEX = /^\[3([A-Z-]+)\]\s*$/
+const TOUCH_REGEX = /^([*a])(\d{2})([SRABDEF])[HMQTUNO]?([#+!\-/=])?/
+const POINT_REGEX = /^([*a])p\d+:\d+/
+const SCORE_REGEX = /(\d{1,2})\s*-\s*(\d{1,2})/
+const HOME = '*'
+const AWAY = 'a'
+
+const splitSections = (text) => {
+  const sections = {}
+  let current = null
+  text.split(/\r?\n/).forEach((line) => {
+    const header = SECTION_REGEX.exec(line.trim())
+    if (header) {
+      current = header[1]
+      sections[current] = []
+      return
+    }
+    if (current && line.trim()) sections[current].push(line.split(';'))
+  })
+  return sections
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const isValidDate = (month, day) => month >= 1 && month <= 12 && day >= 1 && day <= 31
+
+const toIsoDate = (year, month, day) => `${year < 100 ? 2000 + year : year}-${pad(month)}-${pad(day)}`
+
+// DataVolley writes dates in the Windows locale of the scouting PC: YYYY/MM/DD, DD/MM/YYYY or MM/DD/YYYY.
+// Returns every reading that makes a valid date, day-first before month-first.
+const readDateCandidates = (rawDate = '') => {
+  const parts = rawDate.trim().split(/[./-]/).map(Number)
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return []
+  const [first, second, third] = parts
+  if (first > 31) return isValidDate(second, third) ? [toIsoDate(first, second, third)] : []
+  return [[second, first], [first, second]]
+    .filter(([month, day]) => isValidDate(month, day))
+    .map(([month, day]) => toIsoDate(third, month, day))
+    .filter((date, index, dates) => dates.indexOf(date) === index)
+}
+
+// GENERATOR-DAY in the file header is always year first, and a scout is saved on or after its match day,
+// so it settles most DD/MM vs MM/DD doubts. What it cannot settle stays day-first and is flagged.
+const resolveMatchDate = (rawDate, generatorDay) => {
+  const candidates = readDateCandidates(rawDate)
+  if (candidates.length < 2) return { date: candidates[0] ?? null, ambiguous: false }
+  const [generated] = readDateCandidates(generatorDay)
+  if (generated && candidates.includes(generated)) return { date: generated, ambiguous: false }
+  const plausible = generated ? candidates.filter((date) => date <= generated) : []
+  if (plausible.length === 1) return { date: plausible[0], ambiguous: false }
+  return { date: candidates[0], ambiguous: true }
+}
+
+const findGeneratorDay = (headerRows = []) => {
+  const line = headerRows.map((fields) => fields.join(';')).find((text) => /^GENERATOR-DAY:/i.test(text.trim()))
+  return line ? line.trim().replace(/^GENERATOR-DAY:\s*/i, '').split(/\s+/)[0] : ''
+}
+
+const parseMatchTime = (rawTime = '') => {
+  const match = /^(\d{1,2})[.:h](\d{2})/.exec(rawTime.trim())
+  return match ? `${pad(match[1])}:${match[2]}` : null
+}
+
+const parseSets = (rows = []) => rows
+  .filter((fields) => /^true$/i.test(fields[0]?.trim()))
+  .map((fields, index) => {
+    const score = SCORE_REGEX.exec(fields[4] ?? '')
+    const duration = Number.parseInt(fields[5], 10)
+    return {
+      number: index + 1,
+      scores: score ? [Number(score[1]), Number(score[2])] : null,
+      durationMinutes: Number.isNaN(duration) ? null : duration,
+    }
+  })
+  .filter((set) => set.scores)
+
+// [3MORE] holds referees;spectators;receipts;city;hall;scout.
+const parseVenue = ([, , , city, hall] = []) => [hall, city].map((part) => part?.trim()).filter(Boolean).join(', ') || null
+
+const buildSummary = (teams, sets, { competition, venue }) => {
+  if (!sets.length) return null
+  const won = sets.reduce(
+    (acc, { scores: [home, away] }) => (home > away ? [acc[0] + 1, acc[1]] : [acc[0], acc[1] + 1]),
+    [0, 0],
+  )
+  const durations = sets.map((set) => set.durationMinutes).filter((minutes) => typeof minutes === 'number')
+  return {
+    teams,
+    sets,
+    finalScore: won,
+    winner: won[0] === won[1] ? null : teams[won[0] > won[1] ? 0 : 1],
+    durationMinutes: durations.length ? durations.reduce((total, minutes) => total + minutes, 0) : null,
+    venue,
+    competition: competition || null,
+  }
+}
+
+const createCounters = () => ({
+  serves: 0, serveErrors: 0, aces: 0,
+  receptions: 0, receptionErrors: 0, receptionPositive: 0, receptionPerfect: 0,
+  attacks: 0, attackErrors: 0, attacksBlocked: 0, kills: 0,
+  blocks: 0, otherErrors: 0, breakPoints: 0,
+})
+
+// Walks the scout codes once, counting touches per player and crediting break points to points won on own serve.
+const countTouches = (scoutRows = []) => {
+  const counters = new Map()
+  let servingTeam = null
+
+  scoutRows.forEach(([code = '']) => {
+    if (POINT_REGEX.test(code)) {
+      servingTeam = null
+      return
+    }
+    const touch = TOUCH_REGEX.exec(code)
+    if (!touch) return
+    const [, side, number, skill, evaluation] = touch
+    const key = `${side}${Number(number)}`
+    if (!counters.has(key)) counters.set(key, createCounters())
+    const stats = counters.get(key)
+    const scored = evaluation === '#'
+
+    switch (skill) {
+      case 'S':
+        servingTeam = side
+        stats.serves += 1
+        if (evaluation === '=') stats.serveErrors += 1
+        if (scored) stats.aces += 1
+        break
+      case 'R':
+        stats.receptions += 1
+        if (evaluation === '=') stats.receptionErrors += 1
+        if (scored || evaluation === '+') stats.receptionPositive += 1
+        if (scored) stats.receptionPerfect += 1
+        break
+      case 'A':
+        stats.attacks += 1
+        if (evaluation === '=') stats.attackErrors += 1
+        if (evaluation === '/') stats.attacksBlocked += 1
+        if (scored) stats.kills += 1
+        break
+      case 'B':
+        if (scored) stats.blocks += 1
+        if (evaluation === '=') stats.otherErrors += 1
+        break
+      default:
+        if (evaluation === '=') stats.otherErrors += 1
+    }
+    if (scored && ['S', 'A', 'B'].includes(skill) && servingTeam === side) stats.breakPoints += 1
+  })
+
+  return counters
+}
+
+// DataVolley reports print zero as '.', so do the imported rows.
+const formatCount = (value) => (value ? String(value) : '.')
+const formatPercent = (part, total) => (total ? `${Math.round((part / total) * 100)}%` : '.')
+const formatSigned = (value) => (value > 0 ? `+${value}` : formatCount(value))
+
+const buildPlayerStats = (counters, startingPositions) => {
+  const points = counters.aces + counters.kills + counters.blocks
+  const errors = counters.serveErrors + counters.receptionErrors + counters.attackErrors
+    + counters.attacksBlocked + counters.otherErrors
+  return {
+    ...Object.fromEntries(startingPositions.map((position, index) => [String(index + 1), position || '.'])),
+    'Points Tot': formatCount(points),
+    'Brake Points': formatCount(counters.breakPoints),
+    'Points Won - Lost': formatSigned(points - errors),
+    'Serves Tot': formatCount(counters.serves),
+    'Serves Err': formatCount(counters.serveErrors),
+    'Serves Pts': formatCount(counters.aces),
+    'Receptions Tot': formatCount(counters.receptions),
+    'Receptions Err': formatCount(counters.receptionErrors),
+    'Receptions Pos%': formatPercent(counters.receptionPositive, counters.receptions),
+    'Receptions Exc%': formatPercent(counters.receptionPerfect, counters.receptions),
+    'Attacks Tot': formatCount(counters.attacks),
+    'Attacks Err': formatCount(counters.attackErrors),
+    'Attacks Blocked': formatCount(counters.attacksBlocked),
+    'Attacks Pts': formatCount(counters.kills),
+    'Attacks Pts%': formatPercent(counters.kills, counters.attacks),
+    'BK Pts': formatCount(counters.blocks),
+  }
+}
+
+const parsePlayers = (rows = [], side, team, setCount, touches) => rows
+  .map((fields) => {
+    const number = Number.parseInt(fields[1], 10)
+    const name = [fields[10], fields[9]].map((part) => part?.trim()).filter(Boolean).join(' ')
+    if (!Number.isInteger(number) || !name) return null
+    const startingPositions = fields.slice(3, 3 + setCount).map((position) => position?.trim())
+    const counters = touches.get(`${side}${number}`)
+    // Players who never entered the court are listed in the roster but not in the report.
+    if (!counters && startingPositions.every((position) => !position)) return null
+    return { team, number, name, stats: buildPlayerStats(counters ?? createCounters(), startingPositions) }
+  })
+  .filter(Boolean)
+
+// Builds a review-ready report from the text of a .dvw file.
+export const parseDvw = (text, { profileId } = {}) => {
+  const sections = splitSections(String(text ?? ''))
+  if (!sections.SCOUT && !sections['PLAYERS-H']) {
+    throw new Error('Este arquivo não parece ser um scout do DataVolley (.dvw).')
+  }
+
+  const [matchFields = []] = sections.MATCH ?? []
+  const [moreFields] = sections.MORE ?? []
+  const matchDate = resolveMatchDate(matchFields[0], findGeneratorDay(sections.DATAVOLLEYSCOUT))
+  const teams = (sections.TEAMS ?? []).slice(0, 2).map((fields, index) => fields[1]?.trim() || (index ? 'Visitante' : 'Mandante'))
+  const [homeTeam = 'Mandante', awayTeam = 'Visitante'] = teams
+  const sets = parseSets(sections.SET)
+  const setCount = sets.length
+  const touches = countTouches(sections.SCOUT)
+  const warnings = []
+  if (!sections.SCOUT?.length) {
+    warnings.push({ code: 'missing-scout', message: 'O arquivo não tem códigos de scout; só as escalações foram importadas.' })
+  }
+  if (matchDate.ambiguous) {
+    warnings.push({
+      code: 'ambiguous-date',
+      message: `A data ${matchFields[0].trim()} foi lida como dia/mês; confira se o scout não usa mês/dia.`,
+    })
+  }
+
+  return buildImportedReport(
+    {
+      players: [
+        ...parsePlayers(sections['PLAYERS-H'], HOME, homeTeam, setCount, touches),
+        ...parsePlayers(sections['PLAYERS-V'], AWAY, awayTeam, setCount, touches),
+      ],
+      matchDate: matchDate.date,
+      matchTime: parseMatchTime(matchFields[1]),
+      setCount,
+      summary: buildSummary([homeTeam, awayTeam], sets, { competition: matchFields[3]?.trim(), venue: parseVenue(moreFields) }),
+      warnings,
+    },
+    { profileId, detectedProfileId: 'datavolley' },
+  )
+}
+
+export const isDvwFile = (file) => /\.dvw$/i.test(file?.name ?? '')
+
+// Recent DataVolley versions write UTF-8; older scouts are Windows-1252, which decodes any byte sequence.
+export const readDvwFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes)
+  }
+}
@@ -0,0 +1,27 @@
+import { ApiError, api } from '@/services/api.js'
+
+export const DUPLICATE_REPORT_MESSAGE = 'Já existe um relatório para essa data com os mesmos times.'
+
+export class DuplicateMatchReportError extends Error {
+  constructor(message = DUPLICATE_REPORT_MESSAGE) {
+    super(message)
+    this.name = 'DuplicateMatchReportError'
+  }
+}
+
+export const isDuplicateReportError = (error) =>
+  error instanceof DuplicateMatchReportError || (error instanceof ApiError && error.status === 409)
+
+/**
+ * Asks the API whether another report has the same date and teams before anything is written. Every save path
+ * (single import, batch import, edits on the report page) goes through here; the 409 from the API stays as a backstop.
+ * Reports without a date or teams cannot collide, so they skip the request.
+ * @throws {DuplicateMatchReportError}
+ */
+export const assertNoDuplicateMatchReport = async ({ matchDate, teams = [], excludeMatchId } = {}) => {
+  if (!matchDate || !teams.length) return
+  const response = await api.stats.checkDuplicateMatchReport({ matchDate, teams, excludeMatchId })
+  if (response?.duplicate || response?.matches?.length) {
+    throw new DuplicateMatchReportError()
+  }
+}
@@ -0,0 +1,41 @@
+import { api } from '@/services/api.js'
+import { resolveMatchDate } from '@/utils/playerStatsHistory.js'
+
+// Enough parallel requests to fill a chart quickly without flooding the API with one call per report.
+const DETAIL_FETCH_CONCURRENCY = 4
+
+const fetchReportDetails = async (matchIds) => {
+  const queue = [...matchIds]
+  const reports = []
+
+  const worker = async () => {
+    while (queue.length) {
+      const matchId = queue.shift()
+      try {
+        const report = await api.stats.getMatchReport(matchId)
+        if (report) reports.push(report)
+      } catch {
+        // A report that fails to load is left out instead of failing the whole history.
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(DETAIL_FETCH_CONCURRENCY, queue.length) }, () => worker()))
+  return reports
+}
+
+// The list endpoint only returns summaries, so every report is fetched in full, a few at a time. The date range
+// goes to the server so older seasons are reachable; `truncated` tells the caller the list was cut at `limit`
+// and older matches may be missing. Reports come back oldest match first. `allPlayers` lists every saved report
+// instead of only the signed-in player's.
+export const fetchDetailedMatchReports = async ({ limit, team, playerNumber, from, to, allPlayers } = {}) => {
+  const response = await api.stats.listMatchReports({ limit, team, playerNumber, from, to, allPlayers })
+  const items = Array.isArray(response?.items) ? response.items : []
+  const matchIds = items.map((item) => item.matchId).filter(Boolean)
+  const truncated = Boolean(limit) && items.length >= limit
+  if (!matchIds.length) return { reports: [], truncated }
+
+  const reports = await fetchReportDetails(matchIds)
+  reports.sort((a, b) => (resolveMatchDate(a)?.getTime() || 0) - (resolveMatchDate(b)?.getTime() || 0))
+  return { reports, truncated }
+}
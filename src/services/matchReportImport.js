@@ -0,0 +1,70 @@
+import { AUTO_PROFILE_ID, EMPTY_VALUE_PLACEHOLDER, buildTableColumnLabels, groupPlayersByTeam } from '@/services/matchReportParser.js'
+import { DEFAULT_FORMAT_PROFILE_ID, getFormatProfile } from '@/services/pdfFormatProfiles.js'
+
+const createWarning = (code, message, details = {}) => ({ code, message, ...details })
+
+const projectStats = (stats = {}, columnLabels) =>
+  columnLabels.map((label) => {
+    const value = stats[label]
+    const text = value === null || value === undefined ? '' : String(value).trim()
+    return text || EMPTY_VALUE_PLACEHOLDER
+  })
+
+// Stats imported from spreadsheets or DataVolley files are keyed by column label; this projects them onto a
+// format profile and returns the same shape as parseMatchReport, so the review table and save flow are reused.
+export const buildImportedReport = (
+  { players = [], teamTotals = [], matchDate = null, matchTime = null, setCount = 0, summary = null, warnings = [] },
+  { profileId = AUTO_PROFILE_ID, detectedProfileId = DEFAULT_FORMAT_PROFILE_ID } = {},
+) => {
+  const profile = getFormatProfile(profileId === AUTO_PROFILE_ID ? detectedProfileId : profileId)
+  const resolvedSetCount = profile.hasSetColumns ? setCount || profile.defaultSetColumns : 0
+  const columnLabels = buildTableColumnLabels(resolvedSetCount, profile)
+  const knownLabels = new Set(columnLabels)
+  const unmatchedLabels = new Set()
+
+  const projectedPlayers = players.map(({ team, number, name, stats }) => {
+    Object.keys(stats ?? {}).forEach((label) => {
+      if (!knownLabels.has(label)) unmatchedLabels.add(label)
+    })
+    const columnValues = projectStats(stats, columnLabels)
+    return {
+      team,
+      number,
+      name,
+      rawStats: columnValues.filter((value) => value !== EMPTY_VALUE_PLACEHOLDER),
+      lineText: [number, name, ...Object.values(stats ?? {})].join(' '),
+      columnValues,
+      // Imported values are read, not guessed from positions, so none of them needs the low-confidence highlight.
+      columnConfidence: columnValues.map(() => 1),
+    }
+  })
+
+  const reportWarnings = [...warnings]
+  if (!projectedPlayers.length) {
+    reportWarnings.push(createWarning('no-players', 'Nenhuma linha de atleta foi encontrada neste arquivo.'))
+  }
+  if (unmatchedLabels.size) {
+    reportWarnings.push(createWarning(
+      'unmatched-columns',
+      `${Array.from(unmatchedLabels).join(', ')} ${unmatchedLabels.size === 1 ? 'não faz' : 'não fazem'} parte do layout ${profile.label} e ${unmatchedLabels.size === 1 ? 'ficou' : 'ficaram'} de fora.`,
+    ))
+  }
+
+  return {
+    profileId: profile.id,
+    detectedProfileId,
+    matchDate,
+    matchTime,
+    setCount: resolvedSetCount,
+    columnLabels,
+    players: projectedPlayers,
+    teams: groupPlayersByTeam(projectedPlayers),
+    teamTotals: teamTotals.map(({ team, stats }) => {
+      const columnValues = projectStats(stats, columnLabels)
+      return { team, rawStats: columnValues.filter((value) => value !== EMPTY_VALUE_PLACEHOLDER), columnValues }
+    }),
+    summary,
+    warnings: reportWarnings,
+    lines: [],
+  }
+}
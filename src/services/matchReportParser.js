@@ -0,0 +1,723 @@
+import {
+  DEFAULT_FORMAT_PROFILE_ID,
+  buildProfileColumnLabels,
+  detectFormatProfile,
+  getFormatProfile,
+} from '@/services/pdfFormatProfiles.js'
+
+export const AUTO_PROFILE_ID = 'auto'
+
+const DEFAULT_PROFILE = getFormatProfile(DEFAULT_FORMAT_PROFILE_ID)
+const DEFAULT_SET_COLUMNS = DEFAULT_PROFILE.defaultSetColumns
+
+const buildTableColumnLabels = (setCount = DEFAULT_SET_COLUMNS, profile = DEFAULT_PROFILE) =>
+  buildProfileColumnLabels(profile, setCount)
+
+const COLUMN_TOLERANCE = 14
+const HEIGHT_TOLERANCE = 5
+const EMPTY_VALUE_PLACEHOLDER = '.'
+const CONFIDENCE_SCORE_RANGE = 40
+const POSITIONAL_CONFIDENCE = { complete: 0.8, partial: 0.4 }
+export const LOW_CONFIDENCE_THRESHOLD = 0.6
+const DATE_REGEX = /(?:(?:date|data)\s*[:-]?\s*)?(\d{1,2}[./-]\d{1,2}[./-]\d{2,4})/i
+const TIME_REGEX = /(?:(?:time|hora|horário|horario)\s*[:-]?\s*)?((?:[01]?\d|2[0-3])[:,h]\d{2}(?:[:,h]\d{2})?\s*(?:am|pm)?)\b/i
+const SET_SCORE_REGEX = /\bset\s*([1-5])\b\D{0,12}?(\d{1,2})\s*[-:x]\s*(\d{1,2})(?:\s*\(?\s*(\d{1,3})\s*(?:'|’|min)\)?)?/gi
+const DURATION_REGEX = /\b(?:duration|duração|duracao|tempo\s+de\s+jogo|match\s+time)\s*[:-]?\s*(?:(\d{1,2})\s*h\s*(\d{1,2})|(\d{1,3}))\s*(?:'|’|min)?/i
+const VENUE_LABEL_REGEX = /^(?:venue|local|place)\s*[:-]\s*(.+)$/i
+const VENUE_NAME_REGEX = /^(?:gin[aá]sio|arena|est[aá]dio|pavilh[aã]o|pavilion|stadium|gym(?:nasium)?)\b/i
+const COMPETITION_LABEL_REGEX = /^(?:competition|competição|competicao|championship|campeonato|tournament|torneio)\s*[:-]\s*(.+)$/i
+const COMPETITION_NAME_REGEX = /^(?:superliga|liga|league|campeonato|championship|copa|cup|torneio|tournament|ncaa|cev|fivb|vnl)\b/i
+const normalizeTokenText = (value) => {
+  if (typeof value !== 'string') return ''
+  return value.replace(/[()]/g, '').trim()
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const formatDateForInput = (rawDate) => {
+  if (!rawDate) return null
+  const separators = /[./-]/
+  const parts = rawDate.split(separators).map((part) => part.trim()).filter(Boolean)
+  if (parts.length < 3) return null
+  let [day, month, year] = parts.map((value) => Number(value))
+
+  if (!day || !month || !year) return null
+  if (year < 100) {
+    year += year >= 70 ? 1900 : 2000
+  }
+  if (month > 12 && day <= 12) {
+    [day, month] = [month, day]
+  }
+  if (day > 31 || month > 12) return null
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+const formatTimeForInput = (rawTime) => {
+  if (!rawTime) return null
+  const trimmed = rawTime.trim().toLowerCase()
+  const meridiemMatch = trimmed.match(/(am|pm)$/)
+  const meridiem = meridiemMatch ? meridiemMatch[1] : null
+  const numericPart = trimmed
+    .replace(/(am|pm)$/i, '')
+    .replace(/h/gi, ':')
+    .replace(/\s+/g, '')
+    .trim()
+  const segments = numericPart.split(':').filter(Boolean)
+  if (!segments.length) return null
+  let hours = Number(segments[0])
+  const minutes = Number(segments[1] ?? 0)
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) return null
+
+  if (meridiem) {
+    if (meridiem === 'pm' && hours < 12) hours += 12
+    if (meridiem === 'am' && hours === 12) hours = 0
+  }
+  hours = hours % 24
+  return `${pad(hours)}:${pad(minutes)}`
+}
+
+const detectMatchMetadata = (lines = []) => {
+  if (!Array.isArray(lines) || !lines.length) {
+    return { date: null, time: null }
+  }
+
+  let detectedDate = null
+  let detectedTime = null
+
+  for (const line of lines) {
+    const text = getLineText(line)
+    if (!text) continue
+
+    if (!detectedDate) {
+      const dateMatch = DATE_REGEX.exec(text)
+      if (dateMatch) {
+        detectedDate = formatDateForInput(dateMatch[1])
+      }
+    }
+
+    if (!detectedTime) {
+      const timeMatch = TIME_REGEX.exec(text)
+      if (timeMatch) {
+        detectedTime = formatTimeForInput(timeMatch[1])
+      }
+    }
+
+    if (detectedDate && detectedTime) {
+      break
+    }
+  }
+
+  return { date: detectedDate, time: detectedTime }
+}
+
+const findLabelledToken = (lines, labelRegex, nameRegex) => {
+  for (const line of lines) {
+    for (const token of line.tokens) {
+      const text = token.str.trim()
+      const labelled = labelRegex.exec(text)
+      if (labelled) return labelled[1].trim()
+      if (nameRegex.test(text)) return text
+    }
+  }
+  return null
+}
+
+const detectSetScores = (lines) => {
+  const sets = new Map()
+  lines.forEach((line) => {
+    const text = getLineText(line)
+    for (const match of text.matchAll(SET_SCORE_REGEX)) {
+      const number = Number(match[1])
+      if (sets.has(number)) continue
+      sets.set(number, {
+        number,
+        scores: [Number(match[2]), Number(match[3])],
+        durationMinutes: match[4] ? Number(match[4]) : null,
+      })
+    }
+  })
+  return [...sets.values()].sort((a, b) => a.number - b.number)
+}
+
+const detectDuration = (lines, sets) => {
+  for (const line of lines) {
+    const match = DURATION_REGEX.exec(getLineText(line))
+    if (!match) continue
+    return match[3] ? Number(match[3]) : Number(match[1]) * 60 + Number(match[2])
+  }
+  if (sets.length && sets.every((set) => set.durationMinutes !== null)) {
+    return sets.reduce((total, set) => total + set.durationMinutes, 0)
+  }
+  return null
+}
+
+const countSetsWon = (sets) => sets.reduce(([home, away], { scores: [homePoints, awayPoints] }) => {
+  if (homePoints > awayPoints) return [home + 1, away]
+  if (awayPoints > homePoints) return [home, away + 1]
+  return [home, away]
+}, [0, 0])
+
+// Set partials are listed home-first, matching the order the teams appear in the PDF.
+const detectMatchSummary = (lines = [], teamNames = []) => {
+  const sets = detectSetScores(lines)
+  const teams = teamNames.slice(0, 2)
+  const finalScore = sets.length ? countSetsWon(sets) : null
+  const winner =
+    finalScore && teams.length === 2 && finalScore[0] !== finalScore[1]
+      ? teams[finalScore[0] > finalScore[1] ? 0 : 1]
+      : null
+
+  return {
+    teams,
+    sets,
+    finalScore,
+    winner,
+    durationMinutes: detectDuration(lines, sets),
+    venue: findLabelledToken(lines, VENUE_LABEL_REGEX, VENUE_NAME_REGEX),
+    competition: findLabelledToken(lines, COMPETITION_LABEL_REGEX, COMPETITION_NAME_REGEX),
+  }
+}
+
+const scoreToConfidence = (score) => round(Math.max(0, 1 - score / CONFIDENCE_SCORE_RANGE))
+
+// Each cell carries how sure the mapping is: distance to its anchor and height penalty, or a flat guess without anchors,
+// capped by the recognition confidence of OCR tokens.
+const mapTokensToCells = (tokens, columnAnchors, columnLabels) => {
+  const labels = Array.isArray(columnLabels) && columnLabels.length
+    ? columnLabels
+    : buildTableColumnLabels()
+  const safeTokens = Array.isArray(tokens) ? tokens : []
+
+  if (!Array.isArray(columnAnchors) || columnAnchors.length !== labels.length) {
+    const confidence = safeTokens.length === labels.length
+      ? POSITIONAL_CONFIDENCE.complete
+      : POSITIONAL_CONFIDENCE.partial
+    return labels.map((_, index) => {
+      const token = safeTokens[index]
+      const value = normalizeTokenText(token?.text)
+      return {
+        value: value && value.length ? value : EMPTY_VALUE_PLACEHOLDER,
+        confidence: Math.min(confidence, token?.confidence ?? 1),
+      }
+    })
+  }
+
+  const result = labels.map(() => ({ value: EMPTY_VALUE_PLACEHOLDER, confidence: 1 }))
+  const occupied = new Array(columnAnchors.length).fill(false)
+
+  safeTokens.forEach((token) => {
+    const value = normalizeTokenText(token.text)
+    if (!value) return
+
+    const width = token.width ?? 0
+    const height = token.height ?? 0
+    const start = token.x
+    const end = start + width
+    const center = start + width / 2
+
+    let bestIndex = -1
+    let bestScore = Infinity
+
+    columnAnchors.forEach((anchor, index) => {
+      if (occupied[index]) return
+      const overlapsHorizontally =
+        (start >= anchor.start - COLUMN_TOLERANCE && start <= anchor.end + COLUMN_TOLERANCE) ||
+        (end >= anchor.start - COLUMN_TOLERANCE && end <= anchor.end + COLUMN_TOLERANCE) ||
+        (start <= anchor.start && end >= anchor.end)
+
+      const heightDiff = anchor.height ? Math.abs(anchor.height - height) : 0
+      const heightPenalty = heightDiff > HEIGHT_TOLERANCE ? heightDiff : 0
+      const score = Math.abs(anchor.center - center) + heightPenalty + (overlapsHorizontally ? 0 : 25)
+
+      if (score < bestScore) {
+        bestScore = score
+        bestIndex = index
+      }
+    })
+
+    if (bestIndex !== -1) {
+      occupied[bestIndex] = true
+      result[bestIndex] = { value, confidence: Math.min(scoreToConfidence(bestScore), token.confidence ?? 1) }
+    }
+  })
+
+  return result
+}
+
+const mapTokensToColumns = (tokens, columnAnchors, columnLabels) =>
+  mapTokensToCells(tokens, columnAnchors, columnLabels).map(({ value }) => value)
+
+const groupPlayersByTeam = (players = []) => {
+  if (!Array.isArray(players) || !players.length) return []
+
+  const teams = players.reduce((acc, player) => {
+    const teamName = player.team || 'Equipe'
+    if (!acc[teamName]) acc[teamName] = []
+    acc[teamName].push(player)
+    return acc
+  }, {})
+
+  return Object.entries(teams).map(([team, teamPlayers]) => ({
+    team,
+    players: [...teamPlayers].sort((a, b) => a.number - b.number),
+  }))
+}
+
+const round = (value) => {
+  return Number((value ?? 0).toFixed(2))
+}
+
+const groupLines = (items, tolerance = 2.5) => {
+  const rows = []
+  const yBuckets = []
+
+  items.forEach((it) => {
+    let bucketIndex = -1
+
+    for (let i = 0; i < yBuckets.length; i += 1) {
+      if (Math.abs(yBuckets[i] - it.y) <= tolerance) {
+        bucketIndex = i
+        break
+      }
+    }
+
+    if (bucketIndex === -1) {
+      yBuckets.push(it.y)
+      rows.push([it])
+    } else {
+      rows[bucketIndex].push(it)
+    }
+  })
+
+  const lineObjects = rows.map((row) => {
+    const sorted = row.sort((a, b) => a.x - b.x)
+    return {
+      y: sorted.reduce((sum, item) => sum + item.y, 0) / sorted.length,
+      page: sorted[0].page,
+      tokens: sorted.map((token) => ({
+        str: token.str,
+        x: token.x,
+        width: token.width,
+        height: token.height,
+        ...(typeof token.confidence === 'number' ? { confidence: token.confidence } : {}),
+      })),
+    }
+  })
+
+  return lineObjects.sort((a, b) => a.page - b.page || b.y - a.y)
+}
+
+const getLineText = (line) => {
+  return line.tokens
+    .map((token) => token.str.trim())
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+}
+
+const detectTeamHeader = (text, profile = DEFAULT_PROFILE) => {
+  if (!text) return null
+  const normalized = text.replace(/\s{2,}/g, ' ').trim()
+  if (!normalized) return null
+
+  const lower = normalized.toLowerCase()
+  const keywordMatch = profile.teamHeaderExclusionRegex.exec(lower)
+  const trimmedBeforeKeywords = keywordMatch
+    ? normalized.slice(0, keywordMatch.index).trim()
+    : normalized
+
+  if (!trimmedBeforeKeywords) return null
+
+  const withoutScores = trimmedBeforeKeywords
+    .replace(/\s*\d+\s*-\s*\d+\s*$/, '')
+    .replace(/\d+$/, '')
+    .trim()
+
+  if (!withoutScores) return null
+
+  const cleanText = withoutScores
+    .replace(/\d+/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+
+  const isValidChunk = (chunk) => /^[A-ZÀ-Ú0-9][A-Za-zÀ-ú0-9' ]*$/.test(chunk)
+
+  if (cleanText.includes('-')) {
+    const parts = cleanText
+      .split('-')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .filter(isValidChunk)
+
+    if (parts.length >= 1) {
+      return parts.join(' - ')
+    }
+    return null
+  }
+
+  if (isValidChunk(cleanText)) {
+    return cleanText
+  }
+
+  return null
+}
+
+const isSectionTerminator = (text, profile = DEFAULT_PROFILE) => {
+  return profile.sectionEndRegex.test(text)
+}
+
+const isStatValue = (value, profile = DEFAULT_PROFILE) => {
+  if (!value) return false
+  const normalized = value.trim()
+  if (!normalized) return false
+  return normalized === '.' || normalized === '-' || profile.statTokenRegex.test(normalized)
+}
+
+const splitTokenText = (token) => {
+  const original = token.str ?? token.text ?? ''
+  if (!original.includes(' ')) return [{ ...token, str: original }]
+
+  const parts = original.split(/\s+/).filter(Boolean)
+  if (parts.length <= 1) return [{ ...token, str: original }]
+
+  const widthPerChar = (token.width ?? 0) / (original.length || 1)
+  let cursorX = token.x
+
+  return parts.map((part) => {
+    const estimatedWidth = widthPerChar * part.length || token.width
+    const piece = {
+      ...token,
+      str: part,
+      x: cursorX,
+      width: estimatedWidth,
+    }
+    cursorX += estimatedWidth + widthPerChar
+    return piece
+  })
+}
+
+const flattenLineTokens = (line) => line.tokens
+  .flatMap((token) => splitTokenText(token))
+  .map((token) => ({
+    text: token.str.trim(),
+    x: token.x,
+    width: token.width ?? 0,
+    height: token.height ?? 0,
+    confidence: token.confidence ?? 1,
+  }))
+  .filter((token) => Boolean(token.text))
+
+const parsePlayerLine = (line, profile = DEFAULT_PROFILE) => {
+  const tokens = flattenLineTokens(line)
+
+  if (!tokens.length) return null
+
+  let numberIndex = -1
+  let numberText = null
+
+  for (let i = 0; i < Math.min(3, tokens.length); i += 1) {
+    const raw = tokens[i].text.replace(/\s+/g, '')
+    const digits = raw.replace(/[^0-9]/g, '')
+    const remainder = raw.replace(/[0-9]/g, '').replace(/[^A-Za-z]/g, '')
+
+    if (!digits || digits.length > 3) continue
+    if (remainder && !/^L+$/i.test(remainder)) continue
+
+    numberIndex = i
+    numberText = digits
+    break
+  }
+
+  if (numberIndex === -1) return null
+  const number = Number(numberText)
+  let remainingTokens = tokens.slice(numberIndex + 1)
+
+  while (remainingTokens.length && /^L+$/i.test(remainingTokens[0].text.replace(/[^A-Za-z]/g, ''))) {
+    remainingTokens = remainingTokens.slice(1)
+  }
+
+  const nameParts = []
+  const statTokens = []
+  let collectingStats = false
+
+  remainingTokens.forEach((token) => {
+    if (!collectingStats && !isStatValue(token.text, profile)) {
+      const normalized = token.text.replace(/[^A-Za-zÀ-ÿ'\-\s]/g, '')
+      if (!normalized) return
+      nameParts.push(token.text)
+      return
+    }
+    collectingStats = true
+    statTokens.push(token)
+  })
+
+  const name = nameParts.join(' ').trim()
+  if (!name) return null
+
+  return {
+    number,
+    name,
+    rawStats: statTokens.map((token) => token.text),
+    lineText: getLineText(line),
+    statTokens,
+  }
+}
+
+const inferColumnAnchors = (players, lines, currentSetCount = DEFAULT_SET_COLUMNS, profile = DEFAULT_PROFILE) => {
+  const headerResult = inferAnchorsFromHeader(lines, profile)
+  if (headerResult) return headerResult
+
+  const columnLabels = buildTableColumnLabels(currentSetCount, profile)
+
+  if (!Array.isArray(players) || !players.length) {
+    return { anchors: null, detectedSetCount: currentSetCount }
+  }
+
+  const candidateTokens = players
+    .map((player) => player.statTokens?.filter((token) => token?.text?.trim()) || [])
+    .filter((tokens) => tokens.length >= columnLabels.length)
+    .sort((a, b) => b.length - a.length)[0]
+
+  if (!candidateTokens) {
+    return { anchors: null, detectedSetCount: currentSetCount }
+  }
+
+  const anchors = columnLabels.map((_, index) => {
+    const token = candidateTokens[index]
+    const width = token.width ?? 0
+    return {
+      start: token.x,
+      end: token.x + width,
+      center: token.x + width / 2,
+      height: token.height ?? 0,
+    }
+  })
+
+  return { anchors, detectedSetCount: currentSetCount }
+}
+
+const inferAnchorsFromHeader = (lines, profile = DEFAULT_PROFILE) => {
+  if (!Array.isArray(lines) || !lines.length) return null
+  const headerLine = lines.find((line) => profile.isHeaderLine(getLineText(line).toLowerCase()))
+
+  if (!headerLine) return null
+
+  const flattenedTokens = flattenLineTokens(headerLine)
+
+  // Profiles without a marker token keep their stat headers at the end of the row.
+  const firstDataIndex = profile.headerFirstToken
+    ? flattenedTokens.findIndex((token) => token.text.toLowerCase() === profile.headerFirstToken)
+    : Math.max(0, flattenedTokens.length - buildTableColumnLabels(0, profile).length)
+  if (firstDataIndex === -1) return null
+
+  const dataTokens = flattenedTokens.slice(firstDataIndex)
+  if (!dataTokens.length) return null
+
+  const terminatorIndex = profile.headerSetTerminatorToken
+    ? dataTokens.findIndex((token) => token.text.toLowerCase() === profile.headerSetTerminatorToken)
+    : -1
+  const setCount = terminatorIndex > 0 ? terminatorIndex : profile.defaultSetColumns
+  const columnLabels = buildTableColumnLabels(setCount, profile)
+
+  if (dataTokens.length < columnLabels.length) return null
+
+  const anchors = columnLabels.map((_, index) => {
+    const token = dataTokens[index]
+    const width = token.width ?? 0
+    return {
+      start: token.x,
+      end: token.x + width,
+      center: token.x + width / 2,
+      height: token.height ?? 0,
+    }
+  })
+
+  return { anchors, detectedSetCount: setCount }
+}
+
+const parseTeamTotalLine = ({ team, line }, columnAnchors, columnLabels, profile = DEFAULT_PROFILE) => {
+  const statTokens = flattenLineTokens(line).filter((token) => isStatValue(token.text, profile))
+  return {
+    team,
+    rawStats: statTokens.map((token) => token.text),
+    columnValues: mapTokensToColumns(statTokens, columnAnchors, columnLabels),
+  }
+}
+
+const extractPlayers = (lines, profile = DEFAULT_PROFILE) => {
+  const playersFound = []
+  let currentTeam = null
+  let lastPlayerLineIndex = -1
+  let playersTotalCount = 0
+  const teamTotalLines = []
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index]
+    const text = getLineText(line)
+    if (!text) continue
+
+    if (profile.teamTotalRegex.test(text)) {
+      playersTotalCount += 1
+      if (currentTeam) teamTotalLines.push({ team: currentTeam, line })
+      if (playersTotalCount >= 2) {
+        const cutoffIndex = lastPlayerLineIndex >= 0 ? lastPlayerLineIndex : index - 1
+        return { players: playersFound, lastPlayerLineIndex: cutoffIndex, teamTotalLines }
+      }
+      currentTeam = null
+      continue
+    }
+
+    const teamHeader = detectTeamHeader(text, profile)
+    if (teamHeader) {
+      currentTeam = teamHeader
+      continue
+    }
+
+    if (isSectionTerminator(text, profile)) {
+      currentTeam = null
+      continue
+    }
+
+    if (!currentTeam) continue
+
+    const possiblePlayer = parsePlayerLine(line, profile)
+    if (!possiblePlayer) continue
+
+    playersFound.push({ ...possiblePlayer, team: currentTeam })
+    lastPlayerLineIndex = index
+  }
+
+  return { players: playersFound, lastPlayerLineIndex, teamTotalLines }
+}
+
+const createWarning = (code, message, details = {}) => ({ code, message, ...details })
+
+const collectRowWarnings = (players, columnLabels, hasAnchors) => {
+  const warnings = []
+  const seenNumbers = new Set()
+  players.forEach((player) => {
+    const numberKey = `${player.team}::${player.number}`
+    if (seenNumbers.has(numberKey)) {
+      warnings.push(createWarning(
+        'duplicate-number',
+        `O número ${player.number} aparece mais de uma vez em ${player.team}.`,
+        { team: player.team, number: player.number },
+      ))
+    }
+    seenNumbers.add(numberKey)
+
+    // Blank cells are normal when columns are anchored; without anchors a short row shifts every value after the gap.
+    if (!hasAnchors && player.rawStats.length < columnLabels.length) {
+      warnings.push(createWarning(
+        'incomplete-row',
+        `#${player.number} ${player.name} (${player.team}) tem ${player.rawStats.length} de ${columnLabels.length} valores de estatística.`,
+        { team: player.team, number: player.number },
+      ))
+    }
+  })
+  return warnings
+}
+
+export const normalizePdfTextItem = (item, page) => {
+  const width = typeof item.width === 'number' ? item.width : Math.abs(item.transform[0])
+  const height = typeof item.height === 'number' ? item.height : Math.abs(item.transform[3])
+  return {
+    str: item.str,
+    x: round(item.transform[4]),
+    y: round(item.transform[5]),
+    width: round(width),
+    height: round(height),
+    page,
+  }
+}
+
+// Turns the positioned text items of a scout PDF into players and stat columns. Pure, so it runs in Node and workers.
+export const parseMatchReport = (items = [], { profileId = AUTO_PROFILE_ID } = {}) => {
+  const lines = groupLines(Array.isArray(items) ? items : [])
+  const detection = detectFormatProfile(lines.map(getLineText).join('\n'))
+  const profile = profileId === AUTO_PROFILE_ID ? detection.profile : getFormatProfile(profileId)
+  const warnings = []
+
+  if (profileId === AUTO_PROFILE_ID && lines.length && detection.score === 0) {
+    warnings.push(createWarning('profile-not-detected', `O layout do PDF não foi reconhecido; usando ${profile.label}.`))
+  }
+
+  const { date: matchDate, time: matchTime } = detectMatchMetadata(lines)
+  const { players: parsedPlayers, lastPlayerLineIndex, teamTotalLines } = extractPlayers(lines, profile)
+  const relevantLines =
+    typeof lastPlayerLineIndex === 'number' && lastPlayerLineIndex >= 0
+      ? lines.slice(0, lastPlayerLineIndex + 1)
+      : lines
+
+  const { anchors: columnAnchors, detectedSetCount } = inferColumnAnchors(
+    parsedPlayers,
+    relevantLines,
+    profile.defaultSetColumns,
+    profile,
+  )
+  const setCount = profile.hasSetColumns ? detectedSetCount || profile.defaultSetColumns : 0
+  const columnLabels = buildTableColumnLabels(setCount, profile)
+
+  const players = parsedPlayers.map(({ statTokens, ...player }) => {
+    const cells = mapTokensToCells(statTokens, columnAnchors, columnLabels)
+    return {
+      ...player,
+      columnValues: cells.map(({ value }) => value),
+      columnConfidence: cells.map(({ confidence }) => confidence),
+    }
+  })
+  const lowConfidenceCount = players.reduce(
+    (total, player) => total + player.columnConfidence.filter((confidence) => confidence < LOW_CONFIDENCE_THRESHOLD).length,
+    0,
+  )
+
+  const teams = groupPlayersByTeam(players)
+  const teamTotals = teamTotalLines.map((entry) => parseTeamTotalLine(entry, columnAnchors, columnLabels, profile))
+  const summary = detectMatchSummary(lines, teams.map(({ team }) => team))
+
+  if (!players.length) {
+    warnings.push(createWarning('no-players', 'Nenhum atleta foi encontrado neste PDF.'))
+  } else if (!columnAnchors) {
+    warnings.push(createWarning('column-anchors-missing', 'Não foi possível identificar as posições das colunas; as estatísticas foram atribuídas na ordem de leitura.'))
+  }
+  if (lowConfidenceCount) {
+    warnings.push(createWarning(
+      'low-confidence-cells',
+      `${lowConfidenceCount} ${lowConfidenceCount === 1 ? 'valor foi posicionado' : 'valores foram posicionados'} com baixa confiança; confira as células destacadas.`,
+    ))
+  }
+  if (!matchDate) {
+    warnings.push(createWarning('missing-date', 'A data da partida não foi encontrada no PDF.'))
+  }
+  warnings.push(...collectRowWarnings(players, columnLabels, Boolean(columnAnchors)))
+
+  return {
+    profileId: profile.id,
+    detectedProfileId: detection.profile.id,
+    matchDate,
+    matchTime,
+    setCount,
+    columnLabels,
+    players,
+    teams,
+    teamTotals,
+    summary,
+    warnings,
+    lines: relevantLines,
+  }
+}
+
+export {
+  EMPTY_VALUE_PLACEHOLDER,
+  buildTableColumnLabels,
+  detectMatchMetadata,
+  detectMatchSummary,
+  extractPlayers,
+  getLineText,
+  groupLines,
+  groupPlayersByTeam,
+  inferAnchorsFromHeader,
+  inferColumnAnchors,
+  mapTokensToColumns,
+}
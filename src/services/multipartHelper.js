@@ -1,9 +1,70 @@
-const DEFAULT_RETRIES = 2
-const RETRY_DELAY_BASE_MS = 500
+import { computeChunkChecksum, isVerifiableEtag, readBlobAsArrayBuffer } from '@/services/checksum.js'
+import { createRetryPolicy, parseRetryAfter } from '@/services/retryPolicy.js'
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+const DEFAULT_CONCURRENCY = 4
+const THROUGHPUT_WINDOW_MS = 5000
+const MIN_CHUNK_SIZE_BYTES = 5 * 1024 * 1024
+const MAX_CHUNK_SIZE_BYTES = 100 * 1024 * 1024
+const TARGET_PART_SECONDS = 20
+const FLAKY_RETRY_RATIO = 0.1
 
-const sanitizeEtag = (etag, fallback) => (etag ? etag.replaceAll('"', '') : fallback)
+const now = () => (typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now())
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+
+const createPartUploadError = (partNumber, { status = 0, retryAfter = null } = {}) => {
+  const error = new Error(`Upload failed for part ${partNumber}`)
+  error.name = 'PartUploadError'
+  error.status = status
+  error.retryAfterMs = parseRetryAfter(retryAfter)
+  return error
+}
+
+const createChecksumError = (partNumber) => {
+  const error = new Error(`Checksum mismatch for part ${partNumber}`)
+  error.name = 'ChecksumError'
+  return error
+}
+
+const createMissingEtagError = (partNumber) => {
+  const error = new Error(`Storage did not return an ETag for part ${partNumber}; check that the bucket CORS exposes it`)
+  error.name = 'MissingEtagError'
+  return error
+}
+
+const sanitizeEtag = (etag) => (etag ? etag.replaceAll('"', '') : null)
+
+// Without an ETag the part can only be completed with our own digest, so it is kept but flagged as unverified;
+// without a digest either there is nothing to complete the upload with.
+const resolvePartResult = ({ rawEtag, partNumber, chunk, checksum }) => {
+  const etag = sanitizeEtag(rawEtag)
+  if (!checksum) {
+    if (!etag) throw createMissingEtagError(partNumber)
+    return { partNumber, ETag: etag, bytes: chunk.size }
+  }
+  if (!etag) {
+    return { partNumber, ETag: checksum.hex, bytes: chunk.size, checksum: checksum.hex, unverified: true }
+  }
+  if (isVerifiableEtag(etag) && etag.toLowerCase() !== checksum.hex) {
+    throw createChecksumError(partNumber)
+  }
+  return { partNumber, ETag: etag, bytes: chunk.size, checksum: checksum.hex }
+}
 
 const createAbortError = () => {
   const error = new Error('Upload aborted')
@@ -25,6 +86,130 @@ export const sliceFileIntoParts = (file, chunkSizeBytes) => {
   return parts
 }
 
+const resolveChunk = (file, partNumber, chunkSizeBytes) => {
+  const start = (partNumber - 1) * chunkSizeBytes
+  return file.slice(start, Math.min(start + chunkSizeBytes, file.size))
+}
+
+const createThroughputMeter = (windowMs = THROUGHPUT_WINDOW_MS) => {
+  const samples = []
+  return {
+    record: (bytes) => {
+      const timestamp = now()
+      samples.push({ timestamp, bytes })
+      while (samples.length > 1 && timestamp - samples[0].timestamp > windowMs) {
+        samples.shift()
+      }
+    },
+    bytesPerSecond: () => {
+      if (samples.length < 2) return 0
+      const elapsedMs = samples[samples.length - 1].timestamp - samples[0].timestamp
+      if (elapsedMs <= 0) return 0
+      // The first sample only marks the start of the window; its bytes were sent before it.
+      const bytes = samples.slice(1).reduce((total, sample) => total + sample.bytes, 0)
+      return bytes / (elapsedMs / 1000)
+    },
+  }
+}
+
+const createProgressTracker = (totalBytes, onProgress) => {
+  const bytesByPart = new Map()
+  const throughput = createThroughputMeter()
+  let uploadedBytes = 0
+
+  const emit = (partNumber) => {
+    const percent = totalBytes === 0 ? 0 : Math.round((uploadedBytes / totalBytes) * 100)
+    onProgress?.({
+      uploadedBytes,
+      totalBytes,
+      percent,
+      partNumber,
+      bytesPerSecond: throughput.bytesPerSecond(),
+    })
+  }
+
+  return {
+    seed: (partNumber, bytes) => {
+      bytesByPart.set(partNumber, bytes)
+      uploadedBytes = Math.min(totalBytes, uploadedBytes + bytes)
+      emit(partNumber)
+    },
+    add: (partNumber, delta) => {
+      if (!delta || Number.isNaN(delta) || !Number.isFinite(delta)) return
+      bytesByPart.set(partNumber, (bytesByPart.get(partNumber) ?? 0) + delta)
+      uploadedBytes = Math.min(totalBytes, uploadedBytes + delta)
+      throughput.record(delta)
+      emit(partNumber)
+    },
+    // A failed attempt may have reported bytes before erroring; roll them back so retries don't double count.
+    reset: (partNumber) => {
+      const partBytes = bytesByPart.get(partNumber) ?? 0
+      if (!partBytes) return
+      bytesByPart.delete(partNumber)
+      uploadedBytes = Math.max(0, uploadedBytes - partBytes)
+      emit(partNumber)
+    },
+  }
+}
+
+const uploadPartWithRetries = async ({
+  file,
+  url,
+  partNumber,
+  chunkSizeBytes,
+  signal,
+  fetcher,
+  retryPolicy,
+  onRetry,
+  canUseXHR,
+  progress,
+  verifyChecksums,
+}) => {
+  const chunk = resolveChunk(file, partNumber, chunkSizeBytes)
+  const checksum = verifyChecksums ? await computeChunkChecksum(chunk) : null
+  const startedAt = Date.now()
+  let attempt = 0
+
+  for (;;) {
+    try {
+      attempt += 1
+      const partResult = canUseXHR
+        ? await uploadWithXHR({
+            url,
+            chunk,
+            partNumber,
+            file,
+            signal,
+            checksum,
+            onBytes: (delta) => progress.add(partNumber, delta),
+          })
+        : await uploadWithFetch({ url, chunk, partNumber, file, signal, fetcher, checksum })
+
+      if (!canUseXHR) {
+        progress.add(partNumber, chunk.size)
+      }
+
+      return partResult
+    } catch (error) {
+      if (error?.name === 'AbortError' || signal?.aborted) {
+        throw createAbortError()
+      }
+      progress.reset(partNumber)
+      const delayMs = retryPolicy.nextDelay({ attempt, error, elapsedMs: Date.now() - startedAt })
+      if (delayMs === null) {
+        throw ['ChecksumError', 'PartUploadError', 'MissingEtagError'].includes(error?.name)
+          ? error
+          : createPartUploadError(partNumber)
+      }
+      onRetry?.({ partNumber, attempt, delayMs, error })
+      await sleep(delayMs, signal)
+    }
+  }
+}
+
+const resolveRetryPolicy = (retryPolicy, retries) =>
+  retryPolicy ?? createRetryPolicy(retries === undefined ? {} : { maxRetries: retries })
+
 export const uploadPartsSequentially = async ({
   file,
   urls,
@@ -32,95 +217,158 @@ export const uploadPartsSequentially = async ({
   signal,
   onProgress,
   fetcher = fetch,
-  retries = DEFAULT_RETRIES,
+  retries,
+  retryPolicy,
+  onRetry,
   preferXHR = true,
+  verifyChecksums = false,
 }) => {
   if (!file || !urls?.length) {
     throw new Error('Missing file or upload URLs')
   }
 
-  const totalBytes = file.size
-  let uploadedBytes = 0
+  const progress = createProgressTracker(file.size, onProgress)
+  const policy = resolveRetryPolicy(retryPolicy, retries)
   const completedParts = []
   const canUseXHR = preferXHR && typeof XMLHttpRequest !== 'undefined' && fetcher === fetch
 
-  const addBytesAndEmit = (delta, partNumber) => {
-    if (!delta || Number.isNaN(delta) || !Number.isFinite(delta)) return
-    uploadedBytes = Math.min(totalBytes, uploadedBytes + delta)
-    const percent = totalBytes === 0 ? 0 : Math.round((uploadedBytes / totalBytes) * 100)
-    onProgress?.({
-      uploadedBytes,
-      totalBytes,
-      percent,
+  for (const { partNumber, url } of urls) {
+    const partResult = await uploadPartWithRetries({
+      file,
+      url,
       partNumber,
+      chunkSizeBytes,
+      signal,
+      fetcher,
+      retryPolicy: policy,
+      onRetry,
+      canUseXHR,
+      progress,
+      verifyChecksums,
     })
+    completedParts.push(partResult)
   }
 
-  for (const { partNumber, url } of urls) {
-    const start = (partNumber - 1) * chunkSizeBytes
-    const chunk = file.slice(start, Math.min(start + chunkSizeBytes, totalBytes))
-    let attempt = 0
-    let success = false
+  return completedParts
+}
 
-    while (!success && attempt <= retries) {
-      try {
-        attempt += 1
-        const partResult = canUseXHR
-          ? await uploadWithXHR({
-              url,
-              chunk,
-              partNumber,
-              file,
-              signal,
-              onBytes: (delta) => addBytesAndEmit(delta, partNumber),
-            })
-          : await uploadWithFetch({ url, chunk, partNumber, file, signal, fetcher })
-
-        if (!canUseXHR) {
-          addBytesAndEmit(chunk.size, partNumber)
-        }
+export const uploadPartsConcurrently = async ({
+  file,
+  urls,
+  chunkSizeBytes,
+  signal,
+  onProgress,
+  fetcher = fetch,
+  retries,
+  retryPolicy,
+  onRetry,
+  preferXHR = true,
+  concurrency = DEFAULT_CONCURRENCY,
+  verifyChecksums = false,
+  completedParts: alreadyCompleted = [],
+  onPartComplete,
+}) => {
+  if (!file || !urls?.length) {
+    throw new Error('Missing file or upload URLs')
+  }
+  if (signal?.aborted) {
+    throw createAbortError()
+  }
+
+  const progress = createProgressTracker(file.size, onProgress)
+  const policy = resolveRetryPolicy(retryPolicy, retries)
+  const completedParts = [...alreadyCompleted]
+  const acknowledged = new Set(alreadyCompleted.map((part) => part.partNumber))
+  alreadyCompleted.forEach((part) => {
+    progress.seed(part.partNumber, part.bytes ?? resolveChunk(file, part.partNumber, chunkSizeBytes).size)
+  })
+  const canUseXHR = preferXHR && typeof XMLHttpRequest !== 'undefined' && fetcher === fetch
+
+  // Internal controller so a part that exhausts its retries stops its siblings too.
+  const poolController = new AbortController()
+  const forwardAbort = () => poolController.abort()
+  signal?.addEventListener('abort', forwardAbort)
+
+  const queue = urls.filter(({ partNumber }) => !acknowledged.has(partNumber))
+  const poolSize = Math.max(1, Math.min(Math.floor(concurrency) || 1, queue.length))
+  let failure = null
 
+  const worker = async () => {
+    while (queue.length && !failure) {
+      const { partNumber, url } = queue.shift()
+      try {
+        const partResult = await uploadPartWithRetries({
+          file,
+          url,
+          partNumber,
+          chunkSizeBytes,
+          signal: poolController.signal,
+          fetcher,
+          retryPolicy: policy,
+          onRetry,
+          canUseXHR,
+          progress,
+          verifyChecksums,
+        })
         completedParts.push(partResult)
-        success = true
+        onPartComplete?.(partResult)
       } catch (error) {
-        if (error?.name === 'AbortError') {
-          throw error
-        }
-        if (attempt > retries) {
-          throw new Error(`Upload failed for part ${partNumber}`)
+        if (!failure) {
+          failure = error
+          poolController.abort()
         }
-        await sleep(RETRY_DELAY_BASE_MS * attempt)
+        return
       }
     }
   }
 
-  return completedParts
+  try {
+    await Promise.all(Array.from({ length: poolSize }, () => worker()))
+  } finally {
+    signal?.removeEventListener('abort', forwardAbort)
+  }
+
+  if (signal?.aborted) {
+    throw createAbortError()
+  }
+  if (failure) {
+    throw failure
+  }
+
+  return completedParts.sort((a, b) => a.partNumber - b.partNumber)
 }
 
-const uploadWithFetch = async ({ url, chunk, partNumber, file, signal, fetcher }) => {
+const uploadWithFetch = async ({ url, chunk, partNumber, file, signal, fetcher, checksum }) => {
   const response = await fetcher(url, {
     method: 'PUT',
     body: chunk,
     headers: {
       'Content-Type': file.type || 'application/octet-stream',
+      ...(checksum ? { 'Content-MD5': checksum.base64 } : {}),
     },
     signal,
   })
 
   if (!response.ok) {
-    throw new Error(`Upload failed for part ${partNumber}`)
+    throw createPartUploadError(partNumber, {
+      status: response.status,
+      retryAfter: response.headers?.get('Retry-After'),
+    })
   }
 
-  const etag = response.headers.get('ETag') || response.headers.get('etag') || `part-${partNumber}`
-  return { partNumber, ETag: sanitizeEtag(etag, `part-${partNumber}`), bytes: chunk.size }
+  const rawEtag = response.headers.get('ETag') || response.headers.get('etag')
+  return resolvePartResult({ rawEtag, partNumber, chunk, checksum })
 }
 
-const uploadWithXHR = ({ url, chunk, partNumber, file, signal, onBytes }) =>
+const uploadWithXHR = ({ url, chunk, partNumber, file, signal, checksum, onBytes }) =>
   new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest()
     xhr.open('PUT', url, true)
     xhr.responseType = 'text'
     xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream')
+    if (checksum) {
+      xhr.setRequestHeader('Content-MD5', checksum.base64)
+    }
 
     let partUploaded = 0
     const safeEmit = (loaded) => {
@@ -149,7 +397,7 @@ const uploadWithXHR = ({ url, chunk, partNumber, file, signal, onBytes }) =>
 
     xhr.onerror = () => {
       cleanup()
-      reject(new Error(`Upload failed for part ${partNumber}`))
+      reject(createPartUploadError(partNumber))
     }
 
     xhr.onabort = () => {
@@ -161,11 +409,18 @@ const uploadWithXHR = ({ url, chunk, partNumber, file, signal, onBytes }) =>
       cleanup()
       safeEmit(chunk.size)
       if (xhr.status >= 200 && xhr.status < 300) {
-        const etag = xhr.getResponseHeader('ETag') || xhr.getResponseHeader('etag') || `part-${partNumber}`
-        resolve({ partNumber, ETag: sanitizeEtag(etag, `part-${partNumber}`), bytes: chunk.size })
+        const rawEtag = xhr.getResponseHeader('ETag') || xhr.getResponseHeader('etag')
+        try {
+          resolve(resolvePartResult({ rawEtag, partNumber, chunk, checksum }))
+        } catch (error) {
+          reject(error)
+        }
         return
       }
-      reject(new Error(`Upload failed for part ${partNumber}`))
+      reject(createPartUploadError(partNumber, {
+        status: xhr.status,
+        retryAfter: xhr.getResponseHeader('Retry-After'),
+      }))
     }
 
     const cleanup = () => {
@@ -182,6 +437,43 @@ const uploadWithXHR = ({ url, chunk, partNumber, file, signal, onBytes }) =>
     }
   })
 
+// Aim for parts that finish in ~20s on the measured link; halve them when retries show the link is flaky.
+export const recommendChunkSize = ({ bytesPerSecond, retryCount = 0, partCount = 0 } = {}) => {
+  if (!Number.isFinite(bytesPerSecond) || bytesPerSecond <= 0) return null
+  let target = bytesPerSecond * TARGET_PART_SECONDS
+  if (partCount > 0 && retryCount / partCount > FLAKY_RETRY_RATIO) {
+    target /= 2
+  }
+  const clamped = Math.min(MAX_CHUNK_SIZE_BYTES, Math.max(MIN_CHUNK_SIZE_BYTES, target))
+  const megabyte = 1024 * 1024
+  return Math.round(clamped / megabyte) * megabyte
+}
+
+const FINGERPRINT_SAMPLE_BYTES = 64 * 1024
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('')
+
+// Hashes the head and tail of the file so a resumed upload can be matched to the original without reading GBs.
+export const computeFileFingerprint = async (file) => {
+  if (!file) return null
+  const baseline = `${file.name}:${file.size}:${file.lastModified ?? 0}`
+  const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null
+  if (!subtle || typeof file.slice !== 'function') return baseline
+
+  try {
+    const head = file.slice(0, FINGERPRINT_SAMPLE_BYTES)
+    const tail = file.slice(Math.max(0, file.size - FINGERPRINT_SAMPLE_BYTES))
+    const [headBuffer, tailBuffer] = await Promise.all([readBlobAsArrayBuffer(head), readBlobAsArrayBuffer(tail)])
+    const sample = new Uint8Array(headBuffer.byteLength + tailBuffer.byteLength)
+    sample.set(new Uint8Array(headBuffer), 0)
+    sample.set(new Uint8Array(tailBuffer), headBuffer.byteLength)
+    const digest = await subtle.digest('SHA-256', sample)
+    return `${file.size}:${toHex(digest)}`
+  } catch {
+    return baseline
+  }
+}
+
 export const formatBytes = (bytes, decimals = 1) => {
   if (!Number.isFinite(bytes)) return '0 B'
   if (bytes === 0) return '0 B'
@@ -0,0 +1,139 @@
+// Each profile describes one scout/box-score layout: its stat columns, how the header row and team
+// sections look, and which phrases identify it when auto-detecting the format of an uploaded PDF.
+
+const buildSetLabels = (setCount) => Array.from({ length: setCount }, (_, index) => `${index + 1}`)
+
+const clampSetCount = (profile, setCount) =>
+  Math.min(Math.max(1, setCount || profile.defaultSetColumns), profile.maxSetColumns)
+
+const dataVolleyProfile = {
+  id: 'datavolley',
+  label: 'DataVolley',
+  hasSetColumns: true,
+  defaultSetColumns: 4,
+  maxSetColumns: 5,
+  statColumns: [
+    'Vote',
+    'Points Tot', 'Brake Points', 'Points Won - Lost',
+    'Serves Tot', 'Serves Err', 'Serves Pts',
+    'Receptions Tot', 'Receptions Err', 'Receptions Pos%', 'Receptions Exc%',
+    'Attacks Tot', 'Attacks Err', 'Attacks Blocked', 'Attacks Pts', 'Attacks Pts%', 'BK Pts',
+  ],
+  columnGroups: [
+    { key: 'vote', label: 'Vote', span: 1 },
+    { key: 'points', label: 'Points', span: 3 },
+    { key: 'serve', label: 'Serve', span: 3 },
+    { key: 'reception', label: 'Reception', span: 4 },
+    { key: 'attack', label: 'Attack', span: 5 },
+    { key: 'bkpts', label: 'BK Pts', span: 1 },
+  ],
+  teamHeaderExclusionRegex: /(vote|points|serve|reception|attack|tot|err|pos%|coach|set)/i,
+  sectionEndRegex: /^(Points\s+won|Head\s+Coach|Assistant|Set\s+\d+)/i,
+  teamTotalRegex: /players total/i,
+  statTokenRegex: /^([+-]?\d+(?:[.,]\d+)?%?)$/,
+  isHeaderLine: (text) => text.includes('pos%') && text.includes('vote') && text.includes('blo'),
+  headerFirstToken: '1',
+  headerSetTerminatorToken: 'vote',
+  detectionPatterns: [/pos%/i, /exc%/i, /players total/i, /brake points|break points/i, /\bvote\b/i, /data\s*volley/i],
+}
+
+const volleyMetricsProfile = {
+  id: 'volleymetrics',
+  label: 'VolleyMetrics',
+  hasSetColumns: false,
+  defaultSetColumns: 0,
+  maxSetColumns: 0,
+  statColumns: [
+    'Sets Played',
+    'Attacks Pts', 'Attacks Err', 'Attacks Tot', 'Attacks Eff',
+    'Assists',
+    'Serves Pts', 'Serves Err',
+    'Receptions Err',
+    'Digs',
+    'BK Pts', 'Blocks Assists', 'Blocks Err',
+    'Points Tot',
+  ],
+  columnGroups: [
+    { key: 'sets', label: 'Sets', span: 1 },
+    { key: 'attack', label: 'Attack', span: 4 },
+    { key: 'assists', label: 'Assists', span: 1 },
+    { key: 'serve', label: 'Serve', span: 2 },
+    { key: 'reception', label: 'Reception', span: 1 },
+    { key: 'defense', label: 'Defense', span: 1 },
+    { key: 'block', label: 'Block', span: 3 },
+    { key: 'points', label: 'Points', span: 1 },
+  ],
+  teamHeaderExclusionRegex: /\b(sp|k|e|ta|pct|ast|sa|se|re|digs?|bs|ba|be|pts|kills?|totals?|coach)\b/i,
+  sectionEndRegex: /^(Team\s+Totals|Totals|Head\s+Coach|Set\s+\d+\s+scores?|Attendance)/i,
+  teamTotalRegex: /^totals?\b/i,
+  statTokenRegex: /^([+-]?(?:\d+(?:[.,]\d+)?|[.,]\d+)%?)$/,
+  isHeaderLine: (text) => /\bsp\b/.test(text) && /\bta\b/.test(text) && /\bpct\b/.test(text),
+  headerFirstToken: 'sp',
+  headerSetTerminatorToken: null,
+  detectionPatterns: [/volley\s*metrics/i, /hitting\s+pct/i, /\bpct\b/i, /\bdigs?\b/i, /\bkills?\b/i, /\bsp\s+k\s+e\s+ta\b/i],
+}
+
+const federationProfile = {
+  id: 'federation',
+  label: 'Federação (box score)',
+  hasSetColumns: false,
+  defaultSetColumns: 0,
+  maxSetColumns: 0,
+  statColumns: [
+    'Points Tot',
+    'Attacks Pts', 'Attacks Err', 'Attacks Tot',
+    'BK Pts',
+    'Serves Pts', 'Serves Err', 'Serves Tot',
+    'Receptions Exc', 'Receptions Err', 'Receptions Tot',
+  ],
+  columnGroups: [
+    { key: 'points', label: 'Points', span: 1 },
+    { key: 'attack', label: 'Attack', span: 3 },
+    { key: 'block', label: 'Block', span: 1 },
+    { key: 'serve', label: 'Serve', span: 3 },
+    { key: 'reception', label: 'Reception', span: 3 },
+  ],
+  teamHeaderExclusionRegex: /(pontos|ataque|bloqueio|saque|recep|scoring|skills|points|attack|block|serve|reception|total|técnico|tecnico|coach)/i,
+  sectionEndRegex: /^(Team\s+Total|Total\s+da\s+equipe|Técnico|Tecnico|Head\s+Coach|Árbitro|Arbitro|Referee)/i,
+  teamTotalRegex: /(team total|total da equipe)/i,
+  statTokenRegex: /^([+-]?\d+(?:[.,]\d+)?%?)$/,
+  isHeaderLine: (text) => /(ataque|attack)/.test(text) && /(bloqueio|block)/.test(text) && /(saque|serve)/.test(text),
+  headerFirstToken: null,
+  headerSetTerminatorToken: null,
+  detectionPatterns: [/scoring\s+skills/i, /\bfivb\b|\bcbv\b|federa/i, /bloqueio/i, /recepção|recepcao/i, /total da equipe|team total/i],
+}
+
+const PROFILES = [dataVolleyProfile, volleyMetricsProfile, federationProfile]
+
+export const DEFAULT_FORMAT_PROFILE_ID = dataVolleyProfile.id
+
+export const listFormatProfiles = () => PROFILES
+
+export const getFormatProfile = (profileId) =>
+  PROFILES.find((profile) => profile.id === profileId) ?? dataVolleyProfile
+
+export const resolveSetCount = (profile, setCount) => (profile.hasSetColumns ? clampSetCount(profile, setCount) : 0)
+
+export const buildProfileColumnLabels = (profile, setCount) => [
+  ...buildSetLabels(resolveSetCount(profile, setCount)),
+  ...profile.statColumns,
+]
+
+export const buildProfileColumnGroups = (profile, setCount) => {
+  const sets = resolveSetCount(profile, setCount)
+  return [
+    ...(sets ? [{ key: 'set', label: 'Set', span: sets }] : []),
+    ...profile.columnGroups,
+  ]
+}
+
+// Scores every profile by how many of its signature phrases appear in the document text.
+export const detectFormatProfile = (text = '') => {
+  const scored = PROFILES.map((profile) => ({
+    profile,
+    score: profile.detectionPatterns.filter((pattern) => pattern.test(text)).length,
+  })).sort((a, b) => b.score - a.score)
+  const best = scored[0]
+  if (!best || best.score === 0) return { profile: dataVolleyProfile, score: 0 }
+  return best
+}
@@ -0,0 +1,90 @@
+import tesseractWorkerSrc from 'tesseract.js/dist/worker.min.js?url'
+import tesseractCoreSrc from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url'
+import { OCR_RENDER_SCALE } from '@/services/pdfTextExtraction.js'
+
+const LSTM_ONLY_ENGINE = 1
+const SINGLE_BLOCK_SEGMENTATION = '6'
+// Served unhashed by the tessdata plugin in vite.config.js; tesseract appends `/eng.traineddata.gz`.
+const TESSDATA_PATH = `${import.meta.env.BASE_URL}tessdata`
+
+const toAbsoluteUrl = (src) => new URL(src, window.location.href).href
+
+const createAbortError = () => {
+  const error = new Error('PDF parsing cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
+const createOcrEngine = async () => {
+  const { createWorker } = await import('tesseract.js')
+  // Everything is served by the app itself; tesseract would otherwise fetch its worker, core and data from a CDN.
+  const engine = await createWorker('eng', LSTM_ONLY_ENGINE, {
+    langPath: toAbsoluteUrl(TESSDATA_PATH),
+    gzip: true,
+    workerPath: toAbsoluteUrl(tesseractWorkerSrc),
+    corePath: toAbsoluteUrl(tesseractCoreSrc),
+    workerBlobURL: false,
+    cacheMethod: 'none',
+  })
+  await engine.setParameters({
+    tessedit_pageseg_mode: SINGLE_BLOCK_SEGMENTATION,
+    preserve_interword_spaces: '1',
+  })
+  return engine
+}
+
+const collectOcrLines = (blocks) => (Array.isArray(blocks) ? blocks : [])
+  .flatMap((block) => block.paragraphs ?? [])
+  .flatMap((paragraph) => paragraph.lines ?? [])
+
+// Converts recognized lines (canvas pixels, top-left origin) into the PDF-space items the parser expects.
+// Words of a line share one baseline so groupLines keeps them on the same row.
+export const ocrLinesToTextItems = (lines, { pageHeight, scale = OCR_RENDER_SCALE, page = 1 }) => {
+  const round = (value) => Number(value.toFixed(2))
+
+  return (Array.isArray(lines) ? lines : []).flatMap((line) => {
+    const words = (line.words ?? []).filter((word) => word.text?.trim())
+    if (!words.length) return []
+
+    const baseline = typeof line.baseline?.y0 === 'number'
+      ? (line.baseline.y0 + line.baseline.y1) / 2
+      : Math.max(...words.map((word) => word.bbox.y1))
+    const y = round(pageHeight - baseline / scale)
+
+    return words.map((word) => ({
+      str: word.text.trim(),
+      x: round(word.bbox.x0 / scale),
+      y,
+      width: round((word.bbox.x1 - word.bbox.x0) / scale),
+      height: round((word.bbox.y1 - word.bbox.y0) / scale),
+      page,
+      confidence: round(Math.max(0, Math.min(100, word.confidence ?? 0)) / 100),
+    }))
+  })
+}
+
+// Recognizes the page images rendered by extractPdfContent; used when a PDF has no text layer (scanned reports).
+export const extractOcrTextItems = async (pages, { onProgress, signal } = {}) => {
+  const engine = await createOcrEngine()
+  const stopEngine = () => engine.terminate()
+  signal?.addEventListener('abort', stopEngine, { once: true })
+  const items = []
+
+  try {
+    for (const { image, pageHeight, scale, page } of pages) {
+      if (signal?.aborted) throw createAbortError()
+      onProgress?.({ page, pageCount: pages.length, stage: 'ocr' })
+
+      const { data: recognized } = await engine.recognize(image, {}, { blocks: true, text: false })
+      items.push(...ocrLinesToTextItems(collectOcrLines(recognized.blocks), { pageHeight, scale, page }))
+    }
+  } catch (error) {
+    if (signal?.aborted) throw createAbortError()
+    throw error
+  } finally {
+    signal?.removeEventListener('abort', stopEngine)
+    if (!signal?.aborted) await engine.terminate()
+  }
+
+  return items
+}
@@ -0,0 +1,130 @@
+import { AUTO_PROFILE_ID, parseMatchReport } from '@/services/matchReportParser.js'
+import { extractPdfContent } from '@/services/pdfTextExtraction.js'
+
+let worker = null
+let workerUnavailable = false
+let nextRequestId = 1
+const pendingRequests = new Map()
+
+const createAbortError = () => {
+  const error = new Error('PDF parsing cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
+const settleRequest = (id) => {
+  const request = pendingRequests.get(id)
+  if (!request) return null
+  pendingRequests.delete(id)
+  request.cleanup()
+  return request
+}
+
+const rejectPending = (message) => {
+  Array.from(pendingRequests.keys()).forEach((id) => settleRequest(id)?.reject(new Error(message)))
+}
+
+const getWorker = () => {
+  if (worker || workerUnavailable) return worker
+  if (typeof Worker === 'undefined') {
+    workerUnavailable = true
+    return null
+  }
+  try {
+    worker = new Worker(new URL('../workers/pdfParseWorker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => {
+      const { id, type, ...data } = event.data ?? {}
+      if (type === 'progress') {
+        pendingRequests.get(id)?.onProgress?.({ page: data.page, pageCount: data.pageCount })
+        return
+      }
+      const request = settleRequest(id)
+      if (!request) return
+      if (type === 'error') {
+        request.reject(new Error(data.error))
+      } else {
+        request.resolve(data.pages ? { items: data.items, pages: data.pages } : { items: data.items, result: data.result })
+      }
+    }
+    worker.onerror = () => {
+      rejectPending('PDF worker crashed')
+      worker?.terminate()
+      worker = null
+      workerUnavailable = true
+    }
+  } catch {
+    workerUnavailable = true
+    worker = null
+  }
+  return worker
+}
+
+const loadPdfjs = async () => {
+  const [pdfjsLib, { default: pdfWorkerSrc }] = await Promise.all([
+    import('pdfjs-dist/legacy/build/pdf'),
+    import('pdfjs-dist/build/pdf.worker.min.js?url'),
+  ])
+  pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerSrc
+  return pdfjsLib
+}
+
+const parseInThread = async (buffer, { profileId, onProgress, signal }) => {
+  const pdfjsLib = await loadPdfjs()
+  const content = await extractPdfContent(pdfjsLib, buffer, {
+    onProgress,
+    isCancelled: () => Boolean(signal?.aborted),
+  })
+  if (!content) throw createAbortError()
+  if (content.pages) return content
+  return { items: content.items, result: parseMatchReport(content.items, { profileId }) }
+}
+
+// Scanned reports have no text layer: recognize the rendered pages and feed the tokens to the same parser.
+const parseWithOcr = async (pages, { profileId = AUTO_PROFILE_ID, onProgress, signal }) => {
+  const { extractOcrTextItems } = await import('@/services/pdfOcr.js')
+  if (signal?.aborted) throw createAbortError()
+  const items = await extractOcrTextItems(pages, { onProgress, signal })
+  const result = parseMatchReport(items, { profileId })
+  result.warnings.unshift({
+    code: 'ocr-used',
+    message: 'The PDF has no text layer; values were read with OCR and should be double-checked.',
+  })
+  return { items, result, ocr: true }
+}
+
+const extractAndParse = async (file, { profileId = AUTO_PROFILE_ID, onProgress, signal } = {}) => {
+  if (signal?.aborted) throw createAbortError()
+  const buffer = await file.arrayBuffer()
+  if (signal?.aborted) throw createAbortError()
+
+  const activeWorker = getWorker()
+  if (!activeWorker) return parseInThread(buffer, { profileId, onProgress, signal })
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId
+    nextRequestId += 1
+
+    const handleAbort = () => {
+      if (!settleRequest(id)) return
+      activeWorker.postMessage({ id, type: 'cancel' })
+      reject(createAbortError())
+    }
+
+    pendingRequests.set(id, {
+      resolve,
+      reject,
+      onProgress,
+      cleanup: () => signal?.removeEventListener('abort', handleAbort),
+    })
+    signal?.addEventListener('abort', handleAbort, { once: true })
+    activeWorker.postMessage({ id, type: 'parse', buffer, profileId }, [buffer])
+  })
+}
+
+// Extracts and parses a match report PDF off the main thread, reporting page-by-page progress.
+// Falls back to OCR on the pages the worker rendered when the PDF is a scanned image.
+export const parseMatchReportPdf = async (file, options = {}) => {
+  const parsed = await extractAndParse(file, options)
+  if (!parsed.pages) return parsed
+  return parseWithOcr(parsed.pages, options)
+}
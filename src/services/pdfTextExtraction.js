@@ -0,0 +1,83 @@
+import { normalizePdfTextItem } from '@/services/matchReportParser.js'
+
+// Scanned pages are rendered above their PDF size so small stat digits survive recognition.
+export const OCR_RENDER_SCALE = 2
+
+export const hasTextLayer = (items) => items.some((item) => item.str?.trim())
+
+// OffscreenCanvas keeps rendering usable inside the parse worker, which has no document.
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+const canvasToBlob = (canvas) => (typeof canvas.convertToBlob === 'function'
+  ? canvas.convertToBlob({ type: 'image/png' })
+  : new Promise((resolve) => canvas.toBlob(resolve, 'image/png')))
+
+// pdf.js asks for scratch canvases while drawing; its default factory needs a document.
+const pageCanvasFactory = {
+  create: (width, height) => {
+    const canvas = createCanvas(width, height)
+    return { canvas, context: canvas.getContext('2d') }
+  },
+  reset: (entry, width, height) => {
+    entry.canvas.width = width
+    entry.canvas.height = height
+  },
+  destroy: (entry) => {
+    entry.canvas.width = 0
+    entry.canvas.height = 0
+    entry.canvas = null
+    entry.context = null
+  },
+}
+
+const readTextItems = async (pdf, { onProgress, isCancelled }) => {
+  const items = []
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+    if (isCancelled()) return null
+    const page = await pdf.getPage(pageNumber)
+    const content = await page.getTextContent()
+    content.items.forEach((item) => items.push(normalizePdfTextItem(item, pageNumber)))
+    page.cleanup()
+    onProgress?.({ page: pageNumber, pageCount: pdf.numPages })
+  }
+  return isCancelled() ? null : items
+}
+
+const renderPages = async (pdf, { isCancelled }) => {
+  const pages = []
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+    if (isCancelled()) return null
+    const page = await pdf.getPage(pageNumber)
+    const pageHeight = page.getViewport({ scale: 1 }).height
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE })
+    const canvasEntry = pageCanvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height))
+    await page.render({ canvasContext: canvasEntry.context, viewport, canvasFactory: pageCanvasFactory }).promise
+    page.cleanup()
+    pages.push({ image: await canvasToBlob(canvasEntry.canvas), pageHeight, scale: OCR_RENDER_SCALE, page: pageNumber })
+    pageCanvasFactory.destroy(canvasEntry)
+  }
+  return isCancelled() ? null : pages
+}
+
+// Loads the PDF once and reads the positioned text of every page. Scanned reports have no text layer,
+// so their pages are rendered to images for OCR from the same document.
+// Resolves with `{ items }` or `{ items, pages }`, or null when cancelled between pages.
+export const extractPdfContent = async (pdfjsLib, data, { onProgress, isCancelled = () => false } = {}) => {
+  const pdf = await pdfjsLib.getDocument({ data, disableFontFace: true }).promise
+
+  try {
+    const items = await readTextItems(pdf, { onProgress, isCancelled })
+    if (!items) return null
+    if (hasTextLayer(items)) return { items }
+    const pages = await renderPages(pdf, { isCancelled })
+    return pages ? { items, pages } : null
+  } finally {
+    pdf.destroy()
+  }
+}
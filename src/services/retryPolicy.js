@@ -0,0 +1,46 @@
+const DEFAULT_MAX_RETRIES = 4
+const DEFAULT_BASE_DELAY_MS = 500
+const DEFAULT_MAX_DELAY_MS = 30000
+const DEFAULT_MAX_ELAPSED_MS = 5 * 60 * 1000
+const RETRYABLE_STATUS_CODES = new Set([408, 429])
+
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.max(0, date - now)
+}
+
+export const isRetryableError = (error) => {
+  if (!error || error.name === 'AbortError') return false
+  if (error.name === 'ChecksumError') return true
+  if (error.name === 'MissingEtagError') return false
+  const status = error.status
+  // No status means the request never got a response (DNS, reset connection, CORS-blocked error page, ...).
+  if (!status) return true
+  return RETRYABLE_STATUS_CODES.has(status) || status >= 500
+}
+
+export const createRetryPolicy = ({
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  maxElapsedMs = DEFAULT_MAX_ELAPSED_MS,
+  random = Math.random,
+} = {}) => ({
+  maxRetries,
+  baseDelayMs,
+  maxDelayMs,
+  maxElapsedMs,
+  // Returns how long to wait before the next attempt, or null when the part should fail for good.
+  nextDelay: ({ attempt, error, elapsedMs = 0 }) => {
+    if (attempt > maxRetries || !isRetryableError(error)) return null
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+    const jittered = exponential / 2 + random() * (exponential / 2)
+    const delay = Math.round(Math.max(jittered, error?.retryAfterMs ?? 0))
+    if (elapsedMs + delay > maxElapsedMs) return null
+    return delay
+  },
+})
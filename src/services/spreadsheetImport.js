@@ -0,0 +1,180 @@
+import { buildImportedReport } from '@/services/matchReportImport.js'
+
+export const MAPPING_TARGETS = { IGNORE: '', TEAM: 'team', NUMBER: 'number', NAME: 'name' }
+
+const DELIMITERS = [',', ';', '\t']
+const TEAM_TOTAL_REGEX = /^(?:team\s+)?totals?$|^totais$|players total|total da equipe/i
+const FIELD_ALIASES = {
+  [MAPPING_TARGETS.TEAM]: ['team', 'time', 'equipe', 'clube', 'club'],
+  [MAPPING_TARGETS.NUMBER]: ['#', 'n', 'no', 'nº', 'num', 'number', 'numero', 'camisa', 'shirt', 'jersey'],
+  [MAPPING_TARGETS.NAME]: ['name', 'nome', 'player', 'jogador', 'jogadora', 'atleta'],
+}
+
+const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9#%º]+/g, ' ')
+  .trim()
+
+const toCellText = (value) => {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  return String(value).trim()
+}
+
+// Picks whichever delimiter splits the header line into the most columns; Brazilian exports usually use ';'.
+const detectDelimiter = (text) => {
+  const [firstLine = ''] = text.split(/\r?\n/, 1)
+  return DELIMITERS
+    .map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter
+}
+
+export const parseCsv = (input) => {
+  const text = String(input ?? '').replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(text)
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index]
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"'
+        index += 1
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows
+}
+
+const isFieldHeader = (cell, field) => FIELD_ALIASES[field].includes(normalizeHeader(cell))
+
+// The header is the first row naming both the shirt number and the player, which skips titles and the grouped
+// header row (Set, Points, Serve...) of the XLSX export; otherwise it is the first non-empty row.
+export const guessHeaderRowIndex = (rows) => {
+  const labelled = rows.findIndex((row) => row.some((cell) => isFieldHeader(cell, MAPPING_TARGETS.NUMBER))
+    && row.some((cell) => isFieldHeader(cell, MAPPING_TARGETS.NAME)))
+  if (labelled !== -1) return labelled
+  return Math.max(0, rows.findIndex((row) => row.some((cell) => toCellText(cell))))
+}
+
+// Rows above the header are skipped; the data rows below it are padded to the header width.
+export const toSpreadsheetTable = (rows, { headerRowIndex } = {}) => {
+  const textRows = rows.map((row) => (Array.isArray(row) ? row.map(toCellText) : []))
+  const headerIndex = headerRowIndex ?? guessHeaderRowIndex(textRows)
+  const headers = (textRows[headerIndex] ?? []).map((header, index) => header || `Coluna ${index + 1}`)
+  return {
+    headers,
+    rows: textRows
+      .slice(headerIndex + 1)
+      .filter((row) => row.some(Boolean))
+      .map((row) => headers.map((_, index) => row[index] ?? '')),
+  }
+}
+
+export const isSpreadsheetFile = (file) => /\.(csv|xlsx)$/i.test(file?.name ?? '')
+
+// Every sheet of the file as rows of cell text. A CSV is a single sheet without a name; XLSX sheets keep theirs,
+// which for the report export is the team.
+export const readSpreadsheetFile = async (file) => {
+  const toTextRows = (rows) => rows.map((row) => (Array.isArray(row) ? row.map(toCellText) : []))
+  if (/\.xlsx$/i.test(file.name)) {
+    const { default: readXlsxFile } = await import('read-excel-file/browser')
+    return (await readXlsxFile(file)).map(({ sheet, data }) => ({ name: sheet, rows: toTextRows(data) }))
+  }
+  return [{ name: null, rows: toTextRows(parseCsv(await file.text())) }]
+}
+
+// Suggests a target for every header: player fields by alias, stat columns by label, anything else ignored.
+export const guessColumnMapping = (headers, columnLabels) => {
+  const labelsByHeader = new Map(columnLabels.map((label) => [normalizeHeader(label), label]))
+  const used = new Set()
+
+  return headers.map((header) => {
+    const normalized = normalizeHeader(header)
+    const setMatch = /^set\s*(\d)$/.exec(normalized)
+    const field = Object.keys(FIELD_ALIASES).find((key) => FIELD_ALIASES[key].includes(normalized))
+    const target = field ?? labelsByHeader.get(setMatch ? setMatch[1] : normalized) ?? MAPPING_TARGETS.IGNORE
+    if (target === MAPPING_TARGETS.IGNORE || used.has(target)) return MAPPING_TARGETS.IGNORE
+    used.add(target)
+    return target
+  })
+}
+
+// The mapping step for one sheet and header row; the mapping is guessed again whenever the headers change.
+export const selectSpreadsheetTable = (sheets, { sheetIndex = 0, headerRowIndex, columnLabels = [] } = {}) => {
+  const rows = sheets[sheetIndex]?.rows ?? []
+  const headerIndex = headerRowIndex ?? guessHeaderRowIndex(rows)
+  const table = toSpreadsheetTable(rows, { headerRowIndex: headerIndex })
+  return { sheetIndex, headerRowIndex: headerIndex, table, mapping: guessColumnMapping(table.headers, columnLabels) }
+}
+
+export const validateColumnMapping = (mapping, { defaultTeam = '' } = {}) => {
+  if (!mapping.includes(MAPPING_TARGETS.NUMBER)) return 'Escolha a coluna com o número da camisa.'
+  if (!mapping.includes(MAPPING_TARGETS.NAME)) return 'Escolha a coluna com o nome do jogador.'
+  if (!mapping.includes(MAPPING_TARGETS.TEAM) && !defaultTeam.trim()) {
+    return 'Escolha a coluna do time ou informe o nome do time.'
+  }
+  const targets = mapping.filter(Boolean)
+  if (new Set(targets).size !== targets.length) return 'Cada campo só pode ser usado por uma coluna.'
+  return null
+}
+
+export const buildSpreadsheetReport = (table, mapping, { profileId, defaultTeam = '' } = {}) => {
+  const read = (row, target) => {
+    const index = mapping.indexOf(target)
+    return index === -1 ? '' : row[index]
+  }
+  const readStats = (row) => mapping.reduce((stats, target, index) => {
+    if (target && !Object.values(MAPPING_TARGETS).includes(target)) stats[target] = row[index]
+    return stats
+  }, {})
+
+  const players = []
+  const teamTotals = []
+  let previousTeam = defaultTeam.trim()
+
+  table.rows.forEach((row) => {
+    // Exports that list the team only on its first row carry it down to the following rows.
+    const team = read(row, MAPPING_TARGETS.TEAM) || previousTeam
+    previousTeam = team
+    const name = read(row, MAPPING_TARGETS.NAME)
+    const rawNumber = read(row, MAPPING_TARGETS.NUMBER)
+
+    if (TEAM_TOTAL_REGEX.test(name) || TEAM_TOTAL_REGEX.test(rawNumber)) {
+      teamTotals.push({ team, stats: readStats(row) })
+      return
+    }
+    const number = Number.parseInt(rawNumber, 10)
+    if (!Number.isInteger(number) || !name) return
+    players.push({ team: team || 'Equipe', number, name, stats: readStats(row) })
+  })
+
+  const setCount = mapping.filter((target) => /^\d+$/.test(target)).reduce((max, target) => Math.max(max, Number(target)), 0)
+  return buildImportedReport({ players, teamTotals, setCount }, { profileId })
+}
@@ -0,0 +1,462 @@
+import { ApiError, api } from '@/services/api.js'
+import { buildMultipartChecksum } from '@/services/checksum.js'
+import { computeFileFingerprint, recommendChunkSize, uploadPartsConcurrently } from '@/services/multipartHelper.js'
+import { extractVideoMetadata } from '@/services/videoMetadata.js'
+import { recordCompletedUpload } from '@/utils/completedUploadsStorage.js'
+import { isBrowserOffline, subscribeToNetworkStatus } from '@/utils/networkStatus.js'
+import {
+  getUploadSession,
+  markUploadPartCompleted,
+  removeUploadSession,
+  saveUploadSession,
+} from '@/utils/uploadSessionStorage.js'
+import { saveUploadThumbnail } from '@/utils/uploadThumbnailStorage.js'
+import { getPreferredChunkSize, savePreferredChunkSize } from '@/utils/uploadTuningStorage.js'
+
+const PARALLEL_PARTS = 4
+const DEFAULT_PARALLEL_FILES = 2
+const ACTIVE_STATUSES = ['creating', 'uploading', 'finalizing']
+const STALL_CHECK_INTERVAL_MS = 5000
+const STALL_TIMEOUT_MS = 30000
+
+const splitFileName = (fileName = '') => {
+  const lastDotIndex = fileName.lastIndexOf('.')
+  if (lastDotIndex <= 0 || lastDotIndex === fileName.length - 1) {
+    return { base: fileName, extension: '' }
+  }
+  return {
+    base: fileName.slice(0, lastDotIndex),
+    extension: fileName.slice(lastDotIndex),
+  }
+}
+
+const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now()}-${Math.random().toString(16).slice(2)}`
+}
+
+const createQueueItem = (file, ownerId, matchId) => {
+  const { base, extension } = splitFileName(file.name)
+  return {
+    id: generateId(),
+    ownerId: ownerId ?? null,
+    matchId: matchId || null,
+    file,
+    baseName: base,
+    extension,
+    status: 'inspecting',
+    metadata: null,
+    progress: 0,
+    uploadedBytes: 0,
+    speed: 0,
+    retries: 0,
+    error: null,
+    session: null,
+  }
+}
+
+// Presigned part URLs may have expired while a session waited, so pending parts get new ones before it continues.
+const refreshSessionUrls = async (ownerId, session) => {
+  const stored = getUploadSession(ownerId, session.uploadId)
+  const completedNumbers = new Set((stored?.parts ?? []).map((part) => part.partNumber))
+  const partNumbers = (session.urls ?? []).map((part) => part.partNumber).filter((number) => !completedNumbers.has(number))
+  if (!partNumbers.length) return session
+
+  const response = await api.upload.refreshPartUrls({ fileKey: session.fileKey, uploadId: session.uploadId, partNumbers })
+  const freshUrls = new Map((response?.urls ?? []).map((part) => [part.partNumber, part.url]))
+  const urls = session.urls.map((part) => (freshUrls.has(part.partNumber) ? { ...part, url: freshUrls.get(part.partNumber) } : part))
+  if (stored) saveUploadSession(ownerId, { ...stored, urls })
+  return { ...session, urls }
+}
+
+// The thumbnail is a data URL of several KB; it never goes to the API and is stored on its own by fileKey.
+const toSessionMetadata = (metadata) => {
+  if (!metadata) return undefined
+  const { durationSeconds, width, height } = metadata
+  return { durationSeconds, width, height }
+}
+
+export const resolveQueueItemFileName = (item) => {
+  const baseName = item.baseName.trim()
+  return baseName ? `${baseName}${item.extension}` : ''
+}
+
+export const summarizeUploadQueue = (items = []) => {
+  const tracked = items.filter((item) => !['inspecting', 'ready', 'unsupported'].includes(item.status))
+  const totalBytes = tracked.reduce((total, item) => total + (item.file?.size ?? 0), 0)
+  const uploadedBytes = tracked.reduce((total, item) => total + (item.uploadedBytes ?? 0), 0)
+  return {
+    activeCount: tracked.filter((item) => ACTIVE_STATUSES.includes(item.status) || item.status === 'queued').length,
+    waitingCount: tracked.filter((item) => ['paused', 'offline'].includes(item.status)).length,
+    errorCount: tracked.filter((item) => item.status === 'error').length,
+    percent: totalBytes ? Math.round((uploadedBytes / totalBytes) * 100) : 0,
+  }
+}
+
+// Module-level engine so uploads outlive the components that started them; views subscribe to snapshots.
+export const createUploadQueue = () => {
+  const listeners = new Set()
+  const controllers = new Map()
+  const abortReasons = new Map()
+  const lastProgress = new Map()
+  let stallTimer = null
+  let state = {
+    items: [],
+    paused: false,
+    offline: isBrowserOffline(),
+    maxParallelFiles: DEFAULT_PARALLEL_FILES,
+    recentSuccess: null,
+  }
+
+  const setState = (patch) => {
+    state = { ...state, ...patch }
+    listeners.forEach((listener) => listener())
+  }
+
+  const findItem = (id) => state.items.find((item) => item.id === id) ?? null
+
+  const patchItem = (id, patch) => {
+    if (!findItem(id)) return
+    setState({ items: state.items.map((item) => (item.id === id ? { ...item, ...patch } : item)) })
+  }
+
+  const removeItem = (id) => {
+    setState({ items: state.items.filter((item) => item.id !== id) })
+  }
+
+  const abortItem = (id, reason) => {
+    const controller = controllers.get(id)
+    if (!controller) return
+    abortReasons.set(id, reason)
+    controller.abort()
+  }
+
+  // Network pauses wait for the browser to come back online; stalls are requeued so they resume right away.
+  const resolveAbortedStatus = (id) => {
+    const reason = abortReasons.get(id)
+    abortReasons.delete(id)
+    if (reason === 'network') return 'offline'
+    if (reason === 'stall') return 'queued'
+    return 'paused'
+  }
+
+  const checkStalls = () => {
+    const now = Date.now()
+    lastProgress.forEach((lastProgressAt, id) => {
+      if (now - lastProgressAt < STALL_TIMEOUT_MS) return
+      lastProgress.set(id, now)
+      if (isBrowserOffline()) {
+        handleOffline()
+        return
+      }
+      abortItem(id, 'stall')
+    })
+  }
+
+  const syncStallTimer = () => {
+    if (lastProgress.size && !stallTimer) {
+      stallTimer = setInterval(checkStalls, STALL_CHECK_INTERVAL_MS)
+    } else if (!lastProgress.size && stallTimer) {
+      clearInterval(stallTimer)
+      stallTimer = null
+    }
+  }
+
+  const pump = () => {
+    if (state.paused || state.offline) return
+    const activeCount = state.items.filter((item) => ACTIVE_STATUSES.includes(item.status)).length
+    const available = Math.max(0, state.maxParallelFiles - activeCount)
+    state.items
+      .filter((item) => item.status === 'queued')
+      .slice(0, available)
+      .forEach((item) => {
+        runItem(item.id)
+      })
+  }
+
+  const runItem = async (id) => {
+    const item = findItem(id)
+    if (!item) return
+    const { ownerId } = item
+    const controller = new AbortController()
+    controllers.set(id, controller)
+    let retryCount = 0
+    let lastBytesPerSecond = 0
+    const rememberChunkSize = (partCount) => {
+      const recommendedChunkSize = recommendChunkSize({ bytesPerSecond: lastBytesPerSecond, retryCount, partCount })
+      if (recommendedChunkSize) {
+        savePreferredChunkSize(recommendedChunkSize, { bytesPerSecond: Math.round(lastBytesPerSecond), retryCount })
+      }
+    }
+    // Mark as active synchronously so the next pump does not pick it up twice.
+    patchItem(id, { status: item.session ? 'uploading' : 'creating', error: null })
+
+    try {
+      let session = item.session
+      if (!session) {
+        const fileName = resolveQueueItemFileName(item)
+        const sessionResponse = await api.upload.createSession({
+          fileName,
+          contentType: item.file.type,
+          fileSizeBytes: item.file.size,
+          chunkSizeBytes: getPreferredChunkSize(),
+          metadata: toSessionMetadata(item.metadata),
+        })
+        session = {
+          ...sessionResponse,
+          originalFileName: sessionResponse.originalFileName ?? fileName,
+        }
+        saveUploadSession(ownerId, {
+          uploadId: session.uploadId,
+          fileKey: session.fileKey,
+          fileName,
+          urls: session.urls,
+          chunkSizeBytes: session.chunkSizeBytes,
+          contentType: item.file.type,
+          file: {
+            name: item.file.name,
+            size: item.file.size,
+            lastModified: item.file.lastModified,
+            fingerprint: await computeFileFingerprint(item.file),
+          },
+        })
+        if (!findItem(id)) {
+          await api.upload.cancel({ fileKey: session.fileKey, fileName, uploadId: session.uploadId }).catch(() => {})
+          removeUploadSession(ownerId, session.uploadId)
+          return
+        }
+        patchItem(id, { session })
+      } else {
+        session = await refreshSessionUrls(ownerId, session)
+        patchItem(id, { session })
+      }
+
+      if (controller.signal.aborted) {
+        patchItem(id, { status: resolveAbortedStatus(id) })
+        return
+      }
+
+      const resumedParts = getUploadSession(ownerId, session.uploadId)?.parts ?? []
+      lastProgress.set(id, Date.now())
+      syncStallTimer()
+      patchItem(id, { status: 'uploading' })
+
+      const completed = await uploadPartsConcurrently({
+        file: item.file,
+        urls: session.urls,
+        chunkSizeBytes: session.chunkSizeBytes,
+        signal: controller.signal,
+        concurrency: PARALLEL_PARTS,
+        verifyChecksums: true,
+        completedParts: resumedParts,
+        onPartComplete: (part) => markUploadPartCompleted(ownerId, session.uploadId, part),
+        onRetry: () => {
+          retryCount += 1
+          patchItem(id, { retries: retryCount })
+        },
+        onProgress: ({ percent, uploadedBytes, bytesPerSecond }) => {
+          if (bytesPerSecond > 0) lastBytesPerSecond = bytesPerSecond
+          lastProgress.set(id, Date.now())
+          patchItem(id, { progress: percent, uploadedBytes, speed: bytesPerSecond })
+        },
+      })
+
+      rememberChunkSize(session.urls?.length ?? 0)
+      lastProgress.delete(id)
+      syncStallTimer()
+      patchItem(id, { status: 'finalizing', speed: 0 })
+      const fileName = resolveQueueItemFileName(findItem(id) ?? item) || session.originalFileName || item.file.name
+      const uploadCompletedResponse = await api.upload.complete({
+        fileKey: session.fileKey,
+        fileName,
+        uploadId: session.uploadId,
+        parts: completed.map(({ partNumber, ETag }) => ({ partNumber, ETag })),
+        checksum: buildMultipartChecksum(completed),
+      })
+
+      const uploadedKey = uploadCompletedResponse?.key ?? session.fileKey
+      removeUploadSession(ownerId, session.uploadId)
+      recordCompletedUpload(ownerId, {
+        fileKey: uploadedKey,
+        displayName: fileName,
+        originalFileName: fileName,
+        bucket: uploadCompletedResponse?.bucket,
+        size: item.file.size,
+        contentType: item.file.type,
+        durationSeconds: item.metadata?.durationSeconds ?? null,
+        width: item.metadata?.width ?? null,
+        height: item.metadata?.height ?? null,
+      })
+      saveUploadThumbnail(ownerId, uploadedKey, item.metadata?.thumbnail)
+      removeItem(id)
+      let recentSuccess = `"${fileName}" enviado.`
+      if (item.matchId) {
+        try {
+          await api.stats.linkMatchVideos(item.matchId, { fileKeys: [uploadedKey] })
+          recentSuccess = `"${fileName}" enviado e vinculado à partida.`
+        } catch (err) {
+          console.error('Failed to link upload to match report', err)
+          recentSuccess = `"${fileName}" enviado, mas não foi possível vinculá-lo à partida.`
+        }
+      }
+      setState({ recentSuccess })
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        patchItem(id, { status: resolveAbortedStatus(id), speed: 0 })
+        return
+      }
+      if (state.offline || isBrowserOffline()) {
+        patchItem(id, { status: 'offline', speed: 0 })
+        return
+      }
+      if (retryCount > 0) {
+        rememberChunkSize(findItem(id)?.session?.urls?.length ?? 0)
+      }
+      const message = err instanceof ApiError && err.status === 409
+        ? 'You have already uploaded this file. Use another file or remove the previous one before trying again.'
+        : err.message
+      patchItem(id, { status: 'error', error: message, speed: 0 })
+    } finally {
+      controllers.delete(id)
+      abortReasons.delete(id)
+      lastProgress.delete(id)
+      syncStallTimer()
+      pump()
+    }
+  }
+
+  const inspectItem = async (id) => {
+    const item = findItem(id)
+    if (!item) return
+    try {
+      const metadata = await extractVideoMetadata(item.file)
+      patchItem(id, { status: 'ready', metadata })
+    } catch (err) {
+      patchItem(id, { status: 'unsupported', error: err.message })
+    }
+  }
+
+  const handleOffline = () => {
+    if (!state.offline) setState({ offline: true })
+    controllers.forEach((_controller, id) => abortItem(id, 'network'))
+  }
+
+  const handleOnline = () => {
+    setState({
+      offline: false,
+      items: state.items.map((item) => (item.status === 'offline' ? { ...item, status: 'queued' } : item)),
+    })
+    pump()
+  }
+
+  subscribeToNetworkStatus({ onOnline: handleOnline, onOffline: handleOffline })
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    getSnapshot: () => state,
+    addFiles: (fileList, { userId, matchId } = {}) => {
+      const files = Array.from(fileList ?? [])
+      if (!files.length) return
+      const added = files.map((file) => createQueueItem(file, userId, matchId))
+      setState({
+        recentSuccess: null,
+        items: [...state.items, ...added],
+      })
+      added.forEach((item) => {
+        inspectItem(item.id)
+      })
+    },
+    rename: (id, rawValue) => {
+      const item = findItem(id)
+      if (!item) return
+      const maybeStripped = item.extension && rawValue.endsWith(item.extension)
+        ? rawValue.slice(0, -item.extension.length)
+        : rawValue
+      patchItem(id, { baseName: maybeStripped })
+    },
+    start: () => {
+      setState({
+        items: state.items.map((item) =>
+          item.status === 'ready' && resolveQueueItemFileName(item) ? { ...item, status: 'queued' } : item,
+        ),
+      })
+      pump()
+    },
+    pauseAll: () => {
+      setState({
+        paused: true,
+        items: state.items.map((item) => (item.status === 'offline' ? { ...item, status: 'paused' } : item)),
+      })
+      controllers.forEach((_controller, id) => abortItem(id, 'user'))
+    },
+    resumeAll: () => {
+      setState({
+        paused: false,
+        items: state.items.map((item) => (item.status === 'paused' ? { ...item, status: 'queued' } : item)),
+      })
+      pump()
+    },
+    // Picks up a session interrupted in an earlier visit; a session already in the queue is never started twice.
+    resumeSession: (file, { userId, session } = {}) => {
+      if (!file || !session?.uploadId) return null
+      const existing = state.items.find((item) => item.session?.uploadId === session.uploadId)
+      if (existing) return existing.id
+      const fileName = session.fileName || file.name
+      const { base, extension } = splitFileName(fileName)
+      const item = {
+        ...createQueueItem(file, userId, null),
+        baseName: base,
+        extension,
+        status: 'queued',
+        session: {
+          uploadId: session.uploadId,
+          fileKey: session.fileKey,
+          urls: session.urls,
+          chunkSizeBytes: session.chunkSizeBytes,
+          originalFileName: fileName,
+        },
+      }
+      setState({ recentSuccess: null, items: [...state.items, item] })
+      pump()
+      return item.id
+    },
+    pause: (id) => {
+      abortItem(id, 'user')
+    },
+    retry: (id) => {
+      patchItem(id, { status: 'queued', error: null })
+      pump()
+    },
+    cancel: async (id) => {
+      const item = findItem(id)
+      if (!item) return
+      removeItem(id)
+      abortItem(id, 'cancel')
+      if (item.session) {
+        try {
+          await api.upload.cancel({
+            fileKey: item.session.fileKey,
+            fileName: resolveQueueItemFileName(item) || item.session.originalFileName || item.session.fileKey,
+            uploadId: item.session.uploadId,
+          })
+          removeUploadSession(item.ownerId, item.session.uploadId)
+        } catch (err) {
+          console.error('Failed to cancel session', err)
+        }
+      }
+      pump()
+    },
+    setMaxParallelFiles: (value) => {
+      setState({ maxParallelFiles: Number(value) || DEFAULT_PARALLEL_FILES })
+      pump()
+    },
+    dismissSuccess: () => setState({ recentSuccess: null }),
+  }
+}
+
+export const uploadQueue = createUploadQueue()
@@ -0,0 +1,107 @@
+const METADATA_TIMEOUT_MS = 15000
+const THUMBNAIL_WIDTH = 320
+const THUMBNAIL_QUALITY = 0.7
+const MAX_THUMBNAIL_SEEK_SECONDS = 1
+
+const createUnsupportedVideoError = (message) => {
+  const error = new Error(message)
+  error.name = 'UnsupportedVideoError'
+  return error
+}
+
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'mov', 'webm', 'mkv', 'avi', 'mts', 'm2ts', '3gp', 'ogv']
+
+// Some systems hand over camera files with an empty MIME type, so the extension decides in that case.
+export const isVideoFile = (file) => {
+  if (file?.type) return file.type.startsWith('video/')
+  const extension = file?.name?.split('.').pop()?.toLowerCase()
+  return Boolean(extension && file.name.includes('.') && VIDEO_EXTENSIONS.includes(extension))
+}
+
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 0) return null
+  const total = Math.round(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
+
+export const formatResolution = ({ width, height } = {}) => (width && height ? `${width}×${height}` : null)
+
+const captureFrame = (video) => {
+  const scale = Math.min(1, THUMBNAIL_WIDTH / video.videoWidth)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(video.videoWidth * scale)
+  canvas.height = Math.round(video.videoHeight * scale)
+  const context = canvas.getContext('2d')
+  if (!context) return null
+  context.drawImage(video, 0, 0, canvas.width, canvas.height)
+  try {
+    return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY)
+  } catch {
+    return null
+  }
+}
+
+// Loads the file into a detached <video> so unsupported containers or codecs fail before a session is created.
+export const extractVideoMetadata = (file, { timeoutMs = METADATA_TIMEOUT_MS } = {}) => {
+  if (!isVideoFile(file)) {
+    return Promise.reject(createUnsupportedVideoError(`"${file?.name ?? 'File'}" is not a video.`))
+  }
+
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video')
+    const objectUrl = URL.createObjectURL(file)
+    let metadata = null
+    const cleanup = () => {
+      clearTimeout(timer)
+      video.onerror = null
+      video.onloadedmetadata = null
+      video.onseeked = null
+      video.removeAttribute('src')
+      video.load()
+      URL.revokeObjectURL(objectUrl)
+    }
+    const finish = (thumbnail) => {
+      cleanup()
+      resolve({ ...metadata, thumbnail })
+    }
+    const timer = setTimeout(() => {
+      if (metadata) {
+        finish(null)
+        return
+      }
+      cleanup()
+      reject(createUnsupportedVideoError(`Could not read "${file.name}" in time.`))
+    }, timeoutMs)
+
+    video.preload = 'metadata'
+    video.muted = true
+    video.playsInline = true
+    video.onerror = () => {
+      cleanup()
+      reject(createUnsupportedVideoError(`"${file.name}" uses a format or codec this browser cannot decode.`))
+    }
+    video.onloadedmetadata = () => {
+      if (!video.videoWidth || !video.videoHeight) {
+        cleanup()
+        reject(createUnsupportedVideoError(`"${file.name}" has no video track.`))
+        return
+      }
+      metadata = {
+        durationSeconds: Number.isFinite(video.duration) ? Math.round(video.duration * 10) / 10 : null,
+        width: video.videoWidth,
+        height: video.videoHeight,
+      }
+      const seekTo = Number.isFinite(video.duration)
+        ? Math.min(MAX_THUMBNAIL_SEEK_SECONDS, video.duration / 10)
+        : 0
+      video.currentTime = seekTo
+    }
+    video.onseeked = () => {
+      finish(captureFrame(video))
+    }
+    video.src = objectUrl
+  })
+}
@@ -8,9 +8,26 @@ export type MatchReportPlayerInput = MatchReportPlayer
 
 export interface MatchReportTeam {
   team: string
+  totals?: Record<string, string>
   players: MatchReportPlayer[]
 }
 
+export interface MatchReportSetScore {
+  number: number
+  scores: [number, number]
+  durationMinutes: number | null
+}
+
+export interface MatchReportSummary {
+  teams: string[]
+  sets: MatchReportSetScore[]
+  finalScore: [number, number] | null
+  winner: string | null
+  durationMinutes: number | null
+  venue: string | null
+  competition: string | null
+}
+
 export interface MatchReport {
   matchId: string
   generatedAt: string
@@ -18,5 +35,61 @@ export interface MatchReport {
   matchTime: string | null
   setColumns: number
   columnLabels: string[]
+  formatProfile?: string
+  summary?: MatchReportSummary
   teams: MatchReportTeam[]
 }
+
+export interface ParserTextItem {
+  str: string
+  x: number
+  y: number
+  width: number
+  height: number
+  page: number
+  /** Recognition confidence (0-1); only set on items produced by OCR. */
+  confidence?: number
+}
+
+export interface ParserWarning {
+  code:
+    | 'profile-not-detected'
+    | 'no-players'
+    | 'column-anchors-missing'
+    | 'missing-date'
+    | 'duplicate-number'
+    | 'incomplete-row'
+    | 'low-confidence-cells'
+    | 'ocr-used'
+    | 'unmatched-columns'
+    | 'missing-scout'
+  message: string
+  team?: string
+  number?: number
+}
+
+export interface ParsedMatchReportPlayer {
+  team: string
+  number: number
+  name: string
+  rawStats: string[]
+  lineText: string
+  columnValues: string[]
+  /** 0–1 per column; values below LOW_CONFIDENCE_THRESHOLD are highlighted for review. */
+  columnConfidence: number[]
+}
+
+export interface ParsedMatchReport {
+  profileId: string
+  detectedProfileId: string
+  matchDate: string | null
+  matchTime: string | null
+  setCount: number
+  columnLabels: string[]
+  players: ParsedMatchReportPlayer[]
+  teams: { team: string; players: ParsedMatchReportPlayer[] }[]
+  teamTotals: { team: string; rawStats: string[]; columnValues: string[] }[]
+  summary: MatchReportSummary
+  warnings: ParserWarning[]
+  lines: { y: number; page: number; tokens: Omit<ParserTextItem, 'y' | 'page'>[] }[]
+}
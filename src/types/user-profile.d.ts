@@ -12,6 +12,15 @@ export interface TeamHistoryEntry {
   playerNumber: string
 }
 
+export interface ChartPreset {
+  id: string
+  name: string
+  stats: string[]
+  /** Trailing moving-average window in games; 0 turns it off. */
+  movingAverage: 0 | 3 | 5
+  showTeamAggregate: boolean
+}
+
 export interface UserProfile {
   id: string
   name: string
@@ -23,6 +32,7 @@ export interface UserProfile {
   playerNumber: string | null
   yearsAsAProfessional: number | null
   teamHistory: TeamHistoryEntry[]
+  chartPresets?: ChartPreset[]
   createdAt: string | null
   updatedAt: string | null
 }
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import {
+  addChartPreset,
+  applyMovingAverage,
+  buildChartPresetUrl,
+  moveChartPreset,
+  normalizeChartPresets,
+  parseSharedChartPreset,
+  removeChartPreset,
+  renameChartPreset,
+  validateChartPresetName,
+} from '@/utils/chartPresets.js'
+
+const serves = { name: 'Saque', stats: ['Serves Pts', 'Serves Err'], movingAverage: 3, showTeamAggregate: true }
+const attack = { name: 'Ataque', stats: ['Attacks Pts%'], movingAverage: 0, showTeamAggregate: false }
+
+describe('chart presets', () => {
+  it('adds, renames, reorders and removes presets', () => {
+    const presets = addChartPreset(addChartPreset([], serves), attack)
+    expect(presets.map((preset) => preset.name)).toEqual(['Saque', 'Ataque'])
+
+    const [first, second] = presets
+    const renamed = renameChartPreset(presets, second.id, ' Ataque eficiente ')
+    const moved = moveChartPreset(renamed, second.id, -1)
+    expect(moved.map((preset) => preset.name)).toEqual(['Ataque eficiente', 'Saque'])
+    expect(moveChartPreset(moved, second.id, -1)).toBe(moved)
+    expect(removeChartPreset(moved, first.id).map((preset) => preset.id)).toEqual([second.id])
+  })
+
+  it('rejects empty and duplicate names but allows keeping the same name on rename', () => {
+    const presets = addChartPreset([], serves)
+
+    expect(validateChartPresetName('  ', presets)).toBe('Informe um nome para o preset.')
+    expect(validateChartPresetName('saque', presets)).toBe('Já existe um preset chamado "saque".')
+    expect(validateChartPresetName('Saque', presets, { ignoreId: presets[0].id })).toBeNull()
+  })
+
+  it('drops malformed presets loaded from the profile', () => {
+    expect(normalizeChartPresets([
+      { id: 'a', name: 'Saque', stats: ['Serves Pts', 'Serves Pts', ''], movingAverage: 7 },
+      { name: 'Sem métricas', stats: [] },
+      { stats: ['Attacks Tot'] },
+      null,
+    ])).toEqual([{ id: 'a', name: 'Saque', stats: ['Serves Pts'], movingAverage: 0, showTeamAggregate: false }])
+    expect(normalizeChartPresets({ name: 'x' })).toEqual([])
+  })
+
+  it('shares the selection and settings through the URL', () => {
+    const url = buildChartPresetUrl({ ...serves, stats: ['Serves Err / Serves Pts', 'Points Won - Lost'] }, 'https://app.test')
+
+    expect(url).toBe('https://app.test/?stat=Serves+Err+%2F+Serves+Pts&stat=Points+Won+-+Lost&ma=3&teamLine=1')
+    expect(parseSharedChartPreset(new URL(url).searchParams)).toEqual({
+      stats: ['Serves Err / Serves Pts', 'Points Won - Lost'],
+      movingAverage: 3,
+      showTeamAggregate: true,
+    })
+    expect(parseSharedChartPreset(new URLSearchParams('from=2024-01-01'))).toBeNull()
+  })
+
+  it('smooths each line over the games it has, leaving missed games empty', () => {
+    const rows = [{ a: 2, b: null }, { a: 4, b: 10 }, { a: 9, b: null }, { a: 1, b: 20 }]
+
+    expect(applyMovingAverage(rows, ['a', 'b'], 3)).toEqual([
+      { a: 2, b: null },
+      { a: 3, b: 10 },
+      { a: 5, b: null },
+      { a: 14 / 3, b: 15 },
+    ])
+    expect(applyMovingAverage(rows, ['a'], 0)).toBe(rows)
+  })
+})
@@ -0,0 +1,37 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { compileCustomMetrics, validateCustomMetric } from '@/utils/customMetrics.js'
+import { deleteCustomMetric, listCustomMetrics, saveCustomMetric } from '@/utils/customMetricsStorage.js'
+
+const labels = ['Attacks Pts', 'Attacks Err', 'Attacks Tot']
+
+describe('custom metrics', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('validates the name and stores the canonical formula', () => {
+    expect(validateCustomMetric({ name: ' Eficiência ', expression: 'Attacks Pts / Attacks Tot' }, { labels })).toEqual({
+      metric: { name: 'Eficiência', expression: '[Attacks Pts] / [Attacks Tot]' },
+      error: null,
+    })
+    expect(validateCustomMetric({ name: 'attacks tot', expression: 'Attacks Pts' }, { labels, reservedNames: labels }).error)
+      .toBe('Já existe uma métrica chamada "attacks tot".')
+    expect(validateCustomMetric({ name: 'Kills', expression: 'Kills' }, { labels }).error).toBe('Coluna desconhecida: "Kills".')
+  })
+
+  it('keeps metrics per user and skips formulas that no longer parse', () => {
+    const saved = saveCustomMetric('user-1', { name: 'Eficiência', expression: '[Attacks Pts] / [Attacks Tot]' })
+    saveCustomMetric('user-1', { name: 'Quebrada', expression: '[Attacks Pts] +' })
+    saveCustomMetric('user-2', { name: 'Outra', expression: '[Attacks Err]' })
+
+    expect(listCustomMetrics('user-1').map((metric) => metric.name)).toEqual(['Eficiência', 'Quebrada'])
+    expect(compileCustomMetrics(listCustomMetrics('user-1')).map((metric) => [metric.name, metric.columns])).toEqual([
+      ['Eficiência', ['Attacks Pts', 'Attacks Tot']],
+    ])
+
+    saveCustomMetric('user-1', { ...saved, name: 'Eficiência de ataque' })
+    deleteCustomMetric('user-1', listCustomMetrics('user-1')[1].id)
+    expect(listCustomMetrics('user-1')).toEqual([{ ...saved, name: 'Eficiência de ataque' }])
+    expect(listCustomMetrics('user-2')).toHaveLength(1)
+  })
+})
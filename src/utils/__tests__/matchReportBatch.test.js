@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import {
+  BATCH_STATUS,
+  NO_PLAYERS_MESSAGE,
+  applyParsedReport,
+  createBatchEntry,
+  isBatchEntrySavable,
+  summarizeBatch,
+  updateBatchReport,
+} from '@/utils/matchReportBatch.js'
+
+const columnLabels = ['Serves Tot', 'Attacks Pts%']
+
+const buildResult = (players) => ({
+  profileId: 'datavolley',
+  detectedProfileId: 'datavolley',
+  setCount: 0,
+  columnLabels,
+  players,
+  matchDate: '2024-05-12',
+  matchTime: null,
+  summary: null,
+  teamTotals: [],
+  warnings: [],
+})
+
+describe('matchReportBatch', () => {
+  it('marks parsed files as ready or invalid depending on their rows', () => {
+    const ready = applyParsedReport(createBatchEntry({ name: 'a.pdf' }, 'auto'), [], buildResult([
+      { team: 'Sesi', number: 1, name: 'Ana', columnValues: ['3', '40%'] },
+    ]))
+    const invalid = applyParsedReport(createBatchEntry({ name: 'b.pdf' }, 'auto'), [], buildResult([
+      { team: 'Sesi', number: 1, name: 'Ana', columnValues: ['3', '140%'] },
+    ]))
+    const empty = applyParsedReport(createBatchEntry({ name: 'c.pdf' }, 'auto'), [], buildResult([]))
+
+    expect(ready.status).toBe(BATCH_STATUS.PARSED)
+    expect(ready.report.matchTime).toBe('')
+    expect(ready.report.players[0].rowId).toMatch(/^row-/)
+    expect(ready.report.profileChoice).toBe('auto')
+    expect(invalid.status).toBe(BATCH_STATUS.INVALID)
+    expect(empty.status).toBe(BATCH_STATUS.ERROR)
+    expect(empty.message).toBe(NO_PLAYERS_MESSAGE)
+    expect(summarizeBatch([ready, invalid, empty])).toEqual({ total: 3, pending: 0, savable: 1, saved: 0 })
+  })
+
+  it('re-validates reviewed edits and only retries duplicates that changed', () => {
+    const entry = applyParsedReport(createBatchEntry({ name: 'a.pdf' }, 'auto'), [], buildResult([
+      { team: 'Sesi', number: 1, name: 'Ana', columnValues: ['3', '140%'] },
+    ]))
+    const fixedPlayers = [{ ...entry.report.players[0], columnValues: ['3', '40%'] }]
+
+    expect(updateBatchReport(entry, { players: fixedPlayers }).status).toBe(BATCH_STATUS.PARSED)
+
+    const duplicate = { ...updateBatchReport(entry, { players: fixedPlayers }), status: BATCH_STATUS.DUPLICATE }
+    expect(updateBatchReport(duplicate, { players: duplicate.report.players }).status).toBe(BATCH_STATUS.DUPLICATE)
+    expect(updateBatchReport(duplicate, { matchDate: '2024-05-13' }).status).toBe(BATCH_STATUS.PARSED)
+    expect(isBatchEntrySavable({ ...duplicate, status: BATCH_STATUS.PARSED, accepted: false })).toBe(false)
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest'
+import { findStatInconsistencies } from '@/utils/matchReportChecks.js'
+
+const labels = ['Attacks Tot', 'Attacks Err', 'Attacks Blocked', 'Attacks Pts', 'Attacks Pts%']
+
+describe('findStatInconsistencies', () => {
+  it('flags breakdown columns that exceed their total', () => {
+    const warnings = findStatInconsistencies(
+      [
+        { team: 'Sesi', number: 1, name: 'Ana', columnValues: ['10', '1', '.', '12', '120%'] },
+        { team: 'Sesi', number: 2, name: 'Bia', columnValues: ['10', '4', '3', '5', '50%'] },
+        { team: 'Sesi', number: 3, name: 'Carla', columnValues: ['10', '2', '1', '5', '50%'] },
+      ],
+      labels,
+    )
+
+    expect(warnings.map(({ code, number }) => [code, number])).toEqual([
+      ['stat-exceeds-total', 1],
+      ['breakdown-exceeds-total', 2],
+    ])
+  })
+
+  it('compares the team totals row with the sum of its players', () => {
+    const players = [
+      { team: 'Sesi', number: 1, name: 'Ana', columnValues: ['10', '1', '.', '4', '40%'] },
+      { team: 'Sesi', number: 2, name: 'Bia', columnValues: ['6', '-', '1', '3', '50%'] },
+    ]
+    const warnings = findStatInconsistencies(players, labels, [
+      { team: 'Sesi', columnValues: ['16', '2', '1', '7', '44%'] },
+    ])
+
+    expect(warnings).toEqual([
+      {
+        code: 'team-total-mismatch',
+        message: 'Sesi: a soma por atleta dá 1 em Attacks Err, mas a linha de totais indica 2.',
+        team: 'Sesi',
+        label: 'Attacks Err',
+      },
+    ])
+  })
+})
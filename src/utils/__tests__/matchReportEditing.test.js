@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest'
+import {
+  applyCellEdit,
+  buildCellErrorKey,
+  buildEditableRows,
+  buildReportTeams,
+  createEmptyPlayer,
+  isLastPlayerOfTeam,
+  validatePlayerRows,
+  validateStatValue,
+} from '@/utils/matchReportEditing.js'
+
+describe('matchReportEditing', () => {
+  it('validates values according to the column type', () => {
+    expect(validateStatValue('1', '3')).toBeNull()
+    expect(validateStatValue('1', '*')).toBeNull()
+    expect(validateStatValue('1', 'x')).not.toBeNull()
+    expect(validateStatValue('Attacks Pts%', '45%')).toBeNull()
+    expect(validateStatValue('Attacks Pts%', '45,5')).toBeNull()
+    expect(validateStatValue('Attacks Pts%', '120%')).toBe('A porcentagem não pode passar de 100%')
+    expect(validateStatValue('Points Won - Lost', '-3')).toBeNull()
+    expect(validateStatValue('Vote', '6,5')).toBeNull()
+    expect(validateStatValue('Serves Tot', '12')).toBeNull()
+    expect(validateStatValue('Serves Tot', '-1')).toBe('Use um número inteiro')
+    expect(validateStatValue('Serves Tot', '.')).toBeNull()
+  })
+
+  it('flags invalid cells and repeated shirt numbers within a team', () => {
+    const labels = ['Serves Tot', 'Attacks Pts%']
+    const players = [
+      { rowId: 'a', team: 'Sesi', number: 7, columnValues: ['4', '50%'] },
+      { rowId: 'b', team: 'Sesi', number: 7, columnValues: ['x', '50%'] },
+      { rowId: 'c', team: 'Minas', number: 7, columnValues: ['1', '200%'] },
+    ]
+
+    const errors = validatePlayerRows(players, labels)
+
+    expect(errors[buildCellErrorKey('b', 'number')]).toBe('O número 7 já está em uso em Sesi')
+    expect(Object.keys(errors).sort()).toEqual([
+      buildCellErrorKey('b', 'number'),
+      buildCellErrorKey('b', 0),
+      buildCellErrorKey('c', 1),
+    ].sort())
+  })
+
+  it('creates empty rows with the next free shirt number of the team', () => {
+    const player = createEmptyPlayer('Sesi', ['1', 'Vote'], [
+      { team: 'Sesi', number: 4 },
+      { team: 'Sesi', number: 11 },
+      { team: 'Minas', number: 20 },
+    ])
+
+    expect(player).toMatchObject({ team: 'Sesi', number: 12, name: '', columnValues: ['.', '.'] })
+    expect(player.rowId).toBeTruthy()
+  })
+
+  it('edits a saved report as rows and writes the stats back per team', () => {
+    const labels = ['Serves Tot', 'Vote']
+    const teams = [
+      { team: 'Sesi', totals: { 'Serves Tot': '9' }, players: [{ number: 7, name: 'Ana', stats: { 'Serves Tot': '4' } }] },
+      { team: 'Minas', players: [{ number: 3, name: 'Bia', stats: { 'Serves Tot': '2', Vote: '6' } }] },
+    ]
+
+    const rows = buildEditableRows(teams, labels)
+    expect(rows.map((row) => row.columnValues)).toEqual([['4', '.'], ['2', '6']])
+
+    const edited = applyCellEdit(rows, rows[0].rowId, 1, ' 7 ', labels)
+    expect(applyCellEdit(edited, rows[0].rowId, 1, '7', labels)).toBe(edited)
+
+    const saved = buildReportTeams(edited.slice(0, 1), labels, teams)
+    expect(saved).toEqual([
+      { team: 'Sesi', totals: { 'Serves Tot': '9' }, players: [{ number: 7, name: 'Ana', stats: { 'Serves Tot': '4', Vote: '7' } }] },
+      { team: 'Minas', players: [] },
+    ])
+  })
+
+  it('knows when a row is the last one left in its team', () => {
+    const players = [
+      { rowId: 'a', team: 'Sesi' },
+      { rowId: 'b', team: 'Sesi' },
+      { rowId: 'c', team: 'Minas' },
+    ]
+
+    expect(isLastPlayerOfTeam(players, 'a')).toBe(false)
+    expect(isLastPlayerOfTeam(players, 'c')).toBe(true)
+    expect(isLastPlayerOfTeam(players, 'missing')).toBe(false)
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from 'vitest'
+import writeXlsxFile from 'write-excel-file/node'
+import {
+  buildExportFileName,
+  buildMatchReportCsv,
+  buildMatchReportSheets,
+} from '@/utils/matchReportExport.js'
+import {
+  buildSpreadsheetReport,
+  guessColumnMapping,
+  parseCsv,
+  readSpreadsheetFile,
+  selectSpreadsheetTable,
+  toSpreadsheetTable,
+} from '@/services/spreadsheetImport.js'
+
+// The browser build reads File objects; the Node build reads the same workbook bytes.
+vi.mock('read-excel-file/browser', async () => {
+  const { default: readXlsxFile } = await import('read-excel-file/node')
+  const { Buffer } = await import('node:buffer')
+  return { default: async (file) => readXlsxFile(Buffer.from(await file.arrayBuffer())) }
+})
+
+const columnLabels = ['1', '2', 'Vote', 'Points Tot', 'Brake Points', 'Points Won - Lost', 'Serves Tot', 'Serves Err', 'Serves Pts',
+  'Receptions Tot', 'Receptions Err', 'Receptions Pos%', 'Receptions Exc%', 'Attacks Tot', 'Attacks Err',
+  'Attacks Blocked', 'Attacks Pts', 'Attacks Pts%', 'BK Pts']
+
+const report = {
+  matchDate: '2024-05-12T00:00:00.000Z',
+  formatProfile: 'datavolley',
+  setColumns: 2,
+  columnLabels,
+  teams: [
+    {
+      team: 'Sesi Vôlei Bauru',
+      totals: { 'Points Tot': '40', 'Attacks Pts%': '48%' },
+      players: [
+        { number: 1, name: 'Silva; Ana', stats: { 1: '1', 2: '*', 'Points Tot': '18', 'Attacks Pts%': '52%' } },
+      ],
+    },
+    { team: 'Minas', players: [{ number: 4, name: 'Duda', stats: { 'Points Tot': '.' } }] },
+  ],
+}
+
+describe('match report export', () => {
+  it('writes a semicolon CSV that the spreadsheet importer reads back', () => {
+    const csv = buildMatchReportCsv(report)
+    const [header, firstRow] = csv.replace(/^\uFEFF/, '').split('\r\n')
+
+    expect(header.startsWith('Time;Nº;Nome;1;2;Vote;Points Tot')).toBe(true)
+    expect(firstRow.startsWith('Sesi Vôlei Bauru;1;"Silva; Ana";1;*;;18')).toBe(true)
+
+    const table = toSpreadsheetTable(parseCsv(csv))
+    const imported = buildSpreadsheetReport(table, guessColumnMapping(table.headers, columnLabels), { profileId: 'datavolley' })
+    expect(imported.players.map(({ team, number, name }) => [team, number, name])).toEqual([
+      ['Sesi Vôlei Bauru', 1, 'Silva; Ana'],
+      ['Minas', 4, 'Duda'],
+    ])
+    expect(imported.players[0].columnValues).toEqual(
+      columnLabels.map((label) => report.teams[0].players[0].stats[label] ?? '.'),
+    )
+    expect(imported.teamTotals).toHaveLength(1)
+  })
+
+  it('writes an XLSX workbook that the spreadsheet importer reads back sheet by sheet', async () => {
+    const buffer = await writeXlsxFile(buildMatchReportSheets(report)).toBuffer()
+    const sheets = await readSpreadsheetFile({ name: 'relatorio.xlsx', arrayBuffer: async () => buffer })
+
+    expect(sheets.map(({ name }) => name)).toEqual(['Sesi Vôlei Bauru', 'Minas'])
+
+    const { headerRowIndex, table, mapping } = selectSpreadsheetTable(sheets, { columnLabels })
+    expect(headerRowIndex).toBe(1)
+    const imported = buildSpreadsheetReport(table, mapping, { profileId: 'datavolley', defaultTeam: sheets[0].name })
+    expect(imported.players.map(({ team, number, name }) => [team, number, name])).toEqual([
+      ['Sesi Vôlei Bauru', 1, 'Silva; Ana'],
+    ])
+    expect(imported.players[0].columnValues).toEqual(
+      columnLabels.map((label) => report.teams[0].players[0].stats[label] ?? '.'),
+    )
+    expect(imported.teamTotals).toHaveLength(1)
+
+    const minas = selectSpreadsheetTable(sheets, { sheetIndex: 1, columnLabels })
+    const importedMinas = buildSpreadsheetReport(minas.table, minas.mapping, { profileId: 'datavolley', defaultTeam: sheets[1].name })
+    expect(importedMinas.players.map(({ team, number }) => [team, number])).toEqual([['Minas', 4]])
+  })
+
+  it('builds one sheet per team with grouped headers over the column labels', () => {
+    const [sesi, minas] = buildMatchReportSheets(report)
+
+    expect(sesi.sheet).toBe('Sesi Vôlei Bauru')
+    expect(minas.sheet).toBe('Minas')
+    const [groupRow, labelRow, playerRow, totalsRow] = sesi.data
+    expect(groupRow.filter(Boolean).map(({ value, columnSpan }) => [value, columnSpan])).toEqual([
+      ['Sesi Vôlei Bauru', 2],
+      ['Set', 2],
+      ['Vote', 1],
+      ['Points', 3],
+      ['Serve', 3],
+      ['Reception', 4],
+      ['Attack', 5],
+      ['BK Pts', 1],
+    ])
+    expect(groupRow).toHaveLength(labelRow.length)
+    expect(playerRow.slice(0, 4)).toEqual([1, 'Silva; Ana', 1, '*'])
+    expect(totalsRow[1].value).toBe('Totais')
+  })
+
+  it('names files after the match date and teams', () => {
+    expect(buildExportFileName(report, 'xlsx')).toBe('2024-05-12-sesi-volei-bauru-vs-minas.xlsx')
+    expect(buildExportFileName({}, 'csv')).toBe('relatorio.csv')
+  })
+})
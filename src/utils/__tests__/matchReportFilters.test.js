@@ -0,0 +1,97 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  applyReportFiltersToParams,
+  buildReportFilterOptions,
+  buildSeasonPresets,
+  filterMatchReports,
+  findSeasonPreset,
+  parseReportFilters,
+  toDateKey,
+} from '@/utils/matchReportFilters.js'
+
+const ownTeam = { team: 'minas' }
+
+const reports = [
+  {
+    matchId: 'a',
+    matchDate: '2023-11-04T00:00:00.000Z',
+    summary: { competition: 'Superliga' },
+    teams: [{ team: 'Minas' }, { team: 'Praia Clube' }],
+  },
+  {
+    matchId: 'b',
+    matchDate: '2024-03-10T00:00:00.000Z',
+    summary: { competition: 'Copa Brasil' },
+    teams: [{ team: 'Osasco' }, { team: 'Minas' }],
+  },
+  {
+    matchId: 'c',
+    matchDate: '2024-10-20T00:00:00.000Z',
+    teams: [{ team: 'Minas' }, { team: 'Praia Clube' }],
+  },
+  { matchId: 'undated', teams: [{ team: 'Minas' }, { team: 'Osasco' }] },
+]
+
+describe('match report filters', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('keys dates on the local calendar and keeps date-only values as saved', () => {
+    vi.stubEnv('TZ', 'America/Sao_Paulo')
+
+    expect(toDateKey('2024-05-12T22:30:00-03:00')).toBe('2024-05-12')
+    expect(toDateKey(new Date('2024-05-13T01:30:00.000Z'))).toBe('2024-05-12')
+    expect(toDateKey('2024-05-12T00:00:00.000Z')).toBe('2024-05-12')
+    expect(toDateKey('2024-05-12')).toBe('2024-05-12')
+    expect(toDateKey('not a date')).toBe('')
+
+    const lateMatch = { matchId: 'late', matchDate: '2024-04-30T22:00:00-03:00', teams: [] }
+    expect(filterMatchReports([lateMatch], { from: '2024-04-01', to: '2024-04-30', opponent: '', competition: '' }))
+      .toEqual([lateMatch])
+  })
+
+  it('builds season presets from the team history, newest first', () => {
+    const presets = buildSeasonPresets([
+      { teamName: 'Minas', seasonStart: '2023-10-01T00:00:00.000Z', seasonEnd: '2024-04-30T00:00:00.000Z' },
+      { teamName: 'Minas', seasonStart: '2024-10-01T00:00:00.000Z', seasonEnd: '2024-12-20T00:00:00.000Z' },
+      { teamName: 'Sem datas', seasonStart: null, seasonEnd: null },
+    ])
+
+    expect(presets).toEqual([
+      { id: '2024-10-01_2024-12-20', label: 'Minas 2024', from: '2024-10-01', to: '2024-12-20' },
+      { id: '2023-10-01_2024-04-30', label: 'Minas 2023/24', from: '2023-10-01', to: '2024-04-30' },
+    ])
+    expect(findSeasonPreset(presets, { from: '2023-10-01', to: '2024-04-30' })?.label).toBe('Minas 2023/24')
+  })
+
+  it('keeps the matches inside the date range, opponent and competition', () => {
+    const season = { from: '2023-10-01', to: '2024-04-30', opponent: '', competition: '' }
+
+    expect(filterMatchReports(reports, season, ownTeam).map((report) => report.matchId)).toEqual(['a', 'b'])
+    expect(filterMatchReports(reports, { ...season, from: '', to: '', opponent: 'praia clube' }, ownTeam)
+      .map((report) => report.matchId)).toEqual(['a', 'c'])
+    expect(filterMatchReports(reports, { ...season, competition: 'Copa Brasil' }, ownTeam)
+      .map((report) => report.matchId)).toEqual(['b'])
+  })
+
+  it('lists the opponents of the player team and the competitions seen', () => {
+    expect(buildReportFilterOptions(reports, ownTeam)).toEqual({
+      opponents: [{ value: 'osasco', label: 'Osasco' }, { value: 'praia clube', label: 'Praia Clube' }],
+      competitions: ['Copa Brasil', 'Superliga'],
+    })
+  })
+
+  it('round-trips the filters through the query string and keeps other params', () => {
+    const params = applyReportFiltersToParams(new URLSearchParams('tab=chart&from=2020-01-01'), {
+      from: '2024-01-01',
+      to: '',
+      opponent: 'osasco',
+      competition: 'Superliga',
+    })
+
+    expect(params.toString()).toBe('tab=chart&from=2024-01-01&opponent=osasco&competition=Superliga')
+    expect(parseReportFilters(params)).toEqual({ from: '2024-01-01', to: '', opponent: 'osasco', competition: 'Superliga' })
+    expect(parseReportFilters(new URLSearchParams('from=ontem')).from).toBe('')
+  })
+})
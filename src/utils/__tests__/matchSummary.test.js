@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+import { detectMatchSummary } from '@/services/matchReportParser.js'
+import { formatFinalScore, formatMatchDuration, formatSetScores, hasMatchSummary } from '@/utils/matchSummary.js'
+
+const line = (text) => ({ tokens: text.split(' ').map((str) => ({ str })) })
+
+describe('matchSummary', () => {
+  it('counts sets won to decide the winner, home team first', () => {
+    const lines = [line('Set 1 25-20 (24\')'), line('Set 2 18-25 (27\')'), line('Set 3 25-23 (29\')'), line('Set 4 25-19 (22\')')]
+
+    const summary = detectMatchSummary(lines, ['Sesi Bauru', 'Minas'])
+
+    expect(summary.finalScore).toEqual([3, 1])
+    expect(summary.winner).toBe('Sesi Bauru')
+    expect(summary.durationMinutes).toBe(102)
+    expect(detectMatchSummary(lines.slice(0, 2), ['Sesi Bauru', 'Minas']).winner).toBeNull()
+    expect(detectMatchSummary(lines, ['Sesi Bauru']).winner).toBeNull()
+  })
+
+  it('prefers the printed match duration over the sum of the sets', () => {
+    const summary = detectMatchSummary([line('Set 1 25-20 (24\')'), line('Duração: 1h 52')], ['A', 'B'])
+
+    expect(summary.durationMinutes).toBe(112)
+  })
+
+  it('formats set partials and the final score', () => {
+    const summary = {
+      teams: ['Sesi Bauru', 'Minas'],
+      sets: [{ scores: [25, 20] }, { scores: [18, 25] }, { scores: [15, 12] }],
+      finalScore: [2, 1],
+    }
+
+    expect(formatSetScores(summary)).toBe('25-20, 18-25, 15-12')
+    expect(formatFinalScore(summary)).toBe('Sesi Bauru 2 × 1 Minas')
+    expect(formatFinalScore({ finalScore: [3, 0] })).toBe('Casa 3 × 0 Visitante')
+    expect(formatFinalScore({ sets: [] })).toBeNull()
+    expect(formatSetScores(null)).toBe('')
+  })
+
+  it('formats durations in minutes or hours', () => {
+    expect(formatMatchDuration(45)).toBe('45min')
+    expect(formatMatchDuration(60)).toBe('1h00')
+    expect(formatMatchDuration(127)).toBe('2h07')
+    expect(formatMatchDuration(0)).toBeNull()
+    expect(formatMatchDuration(null)).toBeNull()
+  })
+
+  it('only shows a summary when something was actually read', () => {
+    expect(hasMatchSummary({ sets: [], durationMinutes: null, venue: null, competition: null })).toBe(false)
+    expect(hasMatchSummary({ sets: [], venue: 'Ginásio Panela de Pressão' })).toBe(true)
+    expect(hasMatchSummary(null)).toBe(false)
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest'
+import {
+  MetricExpressionError,
+  evaluateMetricExpression,
+  formatMetricExpression,
+  parseMetricExpression,
+} from '@/utils/metricExpression.js'
+
+const labels = ['Attacks Pts', 'Attacks Err', 'Attacks Blocked', 'Attacks Tot', 'Points Won - Lost', 'Receptions Pos%', '1']
+
+describe('metric expressions', () => {
+  it('parses bare labels with operator precedence and stores them bracketed', () => {
+    const { ast, columns } = parseMetricExpression('(Attacks Pts - Attacks Err - Attacks Blocked) / Attacks Tot', { labels })
+
+    expect(columns).toEqual(['Attacks Pts', 'Attacks Err', 'Attacks Blocked', 'Attacks Tot'])
+    expect(formatMetricExpression(ast)).toBe('([Attacks Pts] - [Attacks Err] - [Attacks Blocked]) / [Attacks Tot]')
+    expect(evaluateMetricExpression(ast, { 'Attacks Pts': '12', 'Attacks Err': '2', 'Attacks Blocked': '2', 'Attacks Tot': '20' }))
+      .toBeCloseTo(0.4)
+  })
+
+  it('keeps labels that contain operators whole and reads bracketed set columns', () => {
+    const { ast } = parseMetricExpression('Points Won - Lost * 2 + [1] - -receptions pos%', { labels })
+
+    expect(formatMetricExpression(ast)).toBe('[Points Won - Lost] * 2 + [1] - -[Receptions Pos%]')
+    expect(evaluateMetricExpression(ast, { 'Points Won - Lost': '-3', 1: '4', 'Receptions Pos%': '50%' })).toBe(48)
+  })
+
+  it('round-trips the stored form without the label list', () => {
+    const stored = formatMetricExpression(parseMetricExpression('Attacks Tot - (Attacks Pts - Attacks Err)', { labels }).ast)
+
+    expect(stored).toBe('[Attacks Tot] - ([Attacks Pts] - [Attacks Err])')
+    expect(formatMetricExpression(parseMetricExpression(stored).ast)).toBe(stored)
+  })
+
+  it('has no value for a division by zero and treats missing columns as zero', () => {
+    const { ast } = parseMetricExpression('[Attacks Pts] / [Attacks Tot]')
+
+    expect(evaluateMetricExpression(ast, { 'Attacks Pts': '3', 'Attacks Tot': '.' })).toBeNull()
+    expect(evaluateMetricExpression(ast, { 'Attacks Tot': '.' })).toBeNull()
+    expect(evaluateMetricExpression(ast, { 'Attacks Tot': '4' })).toBe(0)
+  })
+
+  it.each([
+    ['', 'Informe uma fórmula.'],
+    ['Attacks Pts +', 'Expressão incompleta.'],
+    ['(Attacks Pts', 'Parêntese "(" sem fechamento.'],
+    ['Attacks Pts) ', 'Símbolo inesperado: ")".'],
+    ['Kills / Attacks Tot', 'Coluna desconhecida: "Kills".'],
+    ['[Kills] / 2', 'Coluna desconhecida: "Kills".'],
+    ['2 * 3', 'A fórmula precisa usar pelo menos uma coluna.'],
+    ['alert(1)', 'Coluna desconhecida: "alert".'],
+  ])('rejects %j', (source, message) => {
+    expect(() => parseMetricExpression(source, { labels })).toThrow(MetricExpressionError)
+    expect(() => parseMetricExpression(source, { labels })).toThrow(message)
+  })
+})
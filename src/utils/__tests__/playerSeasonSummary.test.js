@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { buildSeasonSummary, computeSummaryMetrics, countSetsPlayed } from '@/utils/playerSeasonSummary.js'
+
+const match = (matchId, stats) => ({ matchId, timestamp: 0, dateLabel: matchId, stats })
+
+const rows = [
+  match('m1', {
+    1: '1', 2: '*', 3: '.', 'Points Tot': '8', 'Serves Pts': '1', 'Serves Err': '2',
+    'Receptions Tot': '10', 'Receptions Pos%': '50%', 'Receptions Exc%': '20%',
+    'Attacks Tot': '10', 'Attacks Err': '1', 'Attacks Blocked': '1', 'Attacks Pts': '4', 'Attacks Pts%': '40%',
+  }),
+  match('m2', {
+    1: '3', 2: '3', 3: '3', 'Points Tot': '16', 'Serves Pts': '3', 'Serves Err': '1',
+    'Receptions Tot': '30', 'Receptions Pos%': '70%', 'Receptions Exc%': '40%',
+    'Attacks Tot': '20', 'Attacks Err': '2', 'Attacks Blocked': '0', 'Attacks Pts': '12', 'Attacks Pts%': '60%',
+  }),
+  match('m3', {
+    1: '5', 2: '5', 3: '5', 4: '5', 'Points Tot': '10', 'Serves Pts': '0', 'Serves Err': '0',
+    'Receptions Tot': '.', 'Attacks Tot': '10', 'Attacks Err': '3', 'Attacks Blocked': '2', 'Attacks Pts': '3',
+  }),
+]
+
+describe('player season summary', () => {
+  it('counts the sets a player was on court', () => {
+    expect(countSetsPlayed(rows[0].stats)).toBe(2)
+    expect(countSetsPlayed({ 'Sets Played': '4' })).toBe(4)
+  })
+
+  it('derives the season metrics from the summed counts', () => {
+    const metrics = computeSummaryMetrics(rows.map((row) => row.stats))
+
+    expect(metrics.attackEfficiency).toBeCloseTo((19 - 6 - 3) / 40)
+    expect(metrics.receptionPositive).toBeCloseTo((5 + 21) / 40)
+    expect(metrics.receptionExcellent).toBeCloseTo((2 + 12) / 40)
+    expect(metrics.serveAceErrorRatio).toBeCloseTo(4 / 3)
+    expect(metrics.pointsPerSet).toBeCloseTo(34 / 9)
+  })
+
+  it('reads federation reception counts when there is no percentage column', () => {
+    const metrics = computeSummaryMetrics([{ 'Receptions Tot': '8', 'Receptions Exc': '2' }])
+
+    expect(metrics.receptionExcellent).toBeCloseTo(0.25)
+    expect(metrics.receptionPositive).toBeNull()
+    expect(metrics.attackEfficiency).toBeNull()
+  })
+
+  it('picks best and worst matches and compares the latest games with the ones before', () => {
+    const summary = buildSeasonSummary(rows, { trendWindow: 1 })
+    const attack = summary.metrics.find((metric) => metric.key === 'attackEfficiency')
+
+    expect(summary.matchCount).toBe(3)
+    expect(summary.setCount).toBe(9)
+    expect(attack.best.matchId).toBe('m2')
+    expect(attack.worst.matchId).toBe('m3')
+    expect(attack.trend.direction).toBe('down')
+    expect(summary.stats.find((stat) => stat.label === 'Points Tot')).toMatchObject({ total: 34, matches: 3 })
+    expect(summary.stats.find((stat) => stat.label === 'Attacks Pts%')).toMatchObject({ total: null, average: 50 })
+    expect(buildSeasonSummary(rows.slice(0, 1)).metrics.every((metric) => metric.trend === null)).toBe(true)
+  })
+})
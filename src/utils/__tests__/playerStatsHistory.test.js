@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildPlayerDirectory,
+  buildPlayerHistory,
+  buildTeamHistory,
+  mergeSeriesHistories,
+  normalizeTeamName,
+} from '@/utils/playerStatsHistory.js'
+
+const SESI = normalizeTeamName('Sesi Vôlei Bauru')
+
+const reports = [
+  {
+    matchId: 'second',
+    matchDate: '2024-05-19T00:00:00.000Z',
+    columnLabels: ['1', 'Points Tot', 'Attacks Tot', 'Attacks Pts%'],
+    teams: [
+      {
+        team: 'Sesi Vôlei Bauru',
+        players: [
+          { number: '01', name: 'Ana', stats: { 1: '3', 'Points Tot': '10', 'Attacks Tot': '10', 'Attacks Pts%': '40%' } },
+          { number: 7, name: 'Bia', stats: { 1: '2', 'Points Tot': '6', 'Attacks Tot': '5', 'Attacks Pts%': '60%' } },
+          { number: 9, name: 'Cris', stats: { 1: '.', 'Points Tot': '.', 'Attacks Tot': '.', 'Attacks Pts%': '.' } },
+        ],
+      },
+    ],
+  },
+  {
+    matchId: 'first',
+    matchDate: '2024-05-12T00:00:00.000Z',
+    columnLabels: ['1', 'Points Tot', 'Attacks Pts%'],
+    teams: [
+      {
+        team: 'Sesi Vôlei Bauru',
+        totals: { 'Points Tot': '42', 'Attacks Pts%': '51%' },
+        players: [{ number: 1, name: 'Ana Silva', stats: { 'Points Tot': '18', 'Attacks Pts%': '52%' } }],
+      },
+      { team: 'Minas', players: [{ number: 7, name: 'Duda', stats: { 'Points Tot': '12' } }] },
+    ],
+  },
+]
+
+describe('player stats history', () => {
+  it('lists every player once per team and shirt number', () => {
+    expect(buildPlayerDirectory(reports).map(({ key, number, name, matchCount }) => [key, number, name, matchCount])).toEqual([
+      ['minas::7', '7', 'Duda', 1],
+      [`${SESI}::1`, '1', 'Ana Silva', 2],
+      [`${SESI}::7`, '7', 'Bia', 1],
+      [`${SESI}::9`, '9', 'Cris', 1],
+    ])
+  })
+
+  it('keeps a picked player on the exact team that was picked', () => {
+    const history = buildPlayerHistory(reports, { team: 'minas', number: '7', exact: true })
+
+    expect(history.rows.map((row) => row.matchId)).toEqual(['first'])
+    expect(history.playerName).toBe('Duda')
+    expect(history.teamName).toBe('Minas')
+    expect(buildPlayerHistory(reports, { team: 'min', number: '7', exact: true }).rows).toEqual([])
+  })
+
+  it('uses saved team totals and otherwise sums the players, recomputing percentages from the counts', () => {
+    const history = buildTeamHistory(reports, { team: SESI, exact: true })
+
+    expect(history.teamName).toBe('Sesi Vôlei Bauru')
+    expect(history.rows.map((row) => row.matchId)).toEqual(['first', 'second'])
+    expect(history.rows[0].stats).toEqual({ 'Points Tot': '42', 'Attacks Pts%': '51%' })
+    expect(history.rows[1].stats).toEqual({ 'Points Tot': 16, 'Attacks Tot': 15, 'Attacks Pts%': (7 / 15) * 100 })
+    expect(history.statKeys).not.toContain('1')
+  })
+
+  it('lines series up on shared matches ordered by date', () => {
+    const merged = mergeSeriesHistories([
+      { key: 'ana', rows: buildPlayerHistory(reports, { team: SESI, number: '1', exact: true }).rows },
+      { key: 'duda', rows: buildPlayerHistory(reports, { team: 'minas', number: '7', exact: true }).rows },
+    ])
+
+    expect(merged.map((row) => row.matchId)).toEqual(['first', 'second'])
+    expect(Object.keys(merged[0].statsBySeries)).toEqual(['ana', 'duda'])
+    expect(merged[1].statsBySeries.duda).toBeUndefined()
+    expect(merged[1].statsBySeries.ana['Points Tot']).toBe('10')
+  })
+})
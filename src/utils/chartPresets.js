@@ -0,0 +1,104 @@
+export const MOVING_AVERAGE_OPTIONS = [0, 3, 5]
+const MAX_PRESET_NAME_LENGTH = 40
+const MAX_PRESETS = 20
+const SHARE_PARAMS = { stat: 'stat', movingAverage: 'ma', showTeamAggregate: 'teamLine' }
+
+const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now()}-${Math.random().toString(16).slice(2)}`
+}
+
+const normalizeMovingAverage = (value) => {
+  const numeric = Number(value)
+  return MOVING_AVERAGE_OPTIONS.includes(numeric) ? numeric : 0
+}
+
+const normalizeStats = (stats) => (Array.isArray(stats)
+  ? Array.from(new Set(stats.filter((stat) => typeof stat === 'string' && stat.trim()).map((stat) => stat.trim())))
+  : [])
+
+// Presets come back from the profile API or localStorage as plain JSON; anything malformed is dropped.
+export const normalizeChartPresets = (presets) => {
+  if (!Array.isArray(presets)) return []
+  return presets
+    .filter((preset) => typeof preset?.name === 'string' && preset.name.trim())
+    .map((preset) => ({
+      id: typeof preset.id === 'string' && preset.id ? preset.id : generateId(),
+      name: preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+      stats: normalizeStats(preset.stats),
+      movingAverage: normalizeMovingAverage(preset.movingAverage),
+      showTeamAggregate: Boolean(preset.showTeamAggregate),
+    }))
+    .filter((preset) => preset.stats.length)
+    .slice(0, MAX_PRESETS)
+}
+
+export const validateChartPresetName = (name, presets = [], { ignoreId = null } = {}) => {
+  const trimmed = typeof name === 'string' ? name.trim() : ''
+  if (!trimmed) return 'Informe um nome para o preset.'
+  if (trimmed.length > MAX_PRESET_NAME_LENGTH) return `O nome pode ter no máximo ${MAX_PRESET_NAME_LENGTH} caracteres.`
+  const taken = presets.some((preset) => preset.id !== ignoreId && preset.name.toLowerCase() === trimmed.toLowerCase())
+  return taken ? `Já existe um preset chamado "${trimmed}".` : null
+}
+
+export const addChartPreset = (presets, { name, stats, movingAverage, showTeamAggregate }) => {
+  if (presets.length >= MAX_PRESETS) return presets
+  return normalizeChartPresets([...presets, { id: generateId(), name, stats, movingAverage, showTeamAggregate }])
+}
+
+export const renameChartPreset = (presets, presetId, name) =>
+  presets.map((preset) => (preset.id === presetId ? { ...preset, name: name.trim() } : preset))
+
+export const removeChartPreset = (presets, presetId) => presets.filter((preset) => preset.id !== presetId)
+
+// Moves a preset one slot up (-1) or down (+1); out-of-range moves leave the list as it is.
+export const moveChartPreset = (presets, presetId, offset) => {
+  const index = presets.findIndex((preset) => preset.id === presetId)
+  const target = index + offset
+  if (index === -1 || target < 0 || target >= presets.length) return presets
+  const next = [...presets]
+  const [moved] = next.splice(index, 1)
+  next.splice(target, 0, moved)
+  return next
+}
+
+export const buildChartPresetParams = (preset) => {
+  const params = new URLSearchParams()
+  preset.stats.forEach((stat) => params.append(SHARE_PARAMS.stat, stat))
+  if (preset.movingAverage) params.set(SHARE_PARAMS.movingAverage, String(preset.movingAverage))
+  if (preset.showTeamAggregate) params.set(SHARE_PARAMS.showTeamAggregate, '1')
+  return params
+}
+
+export const buildChartPresetUrl = (preset, origin) => `${origin}/?${buildChartPresetParams(preset).toString()}`
+
+// The chart settings carried by a shared link, or null when the link has no stats in it.
+export const parseSharedChartPreset = (searchParams) => {
+  const stats = normalizeStats(searchParams?.getAll(SHARE_PARAMS.stat))
+  if (!stats.length) return null
+  return {
+    stats,
+    movingAverage: normalizeMovingAverage(searchParams.get(SHARE_PARAMS.movingAverage)),
+    showTeamAggregate: searchParams.get(SHARE_PARAMS.showTeamAggregate) === '1',
+  }
+}
+
+// Trailing mean over the last `windowSize` games each series played; games a series missed stay empty.
+export const applyMovingAverage = (rows, dataKeys, windowSize) => {
+  if (!windowSize || windowSize < 2) return rows
+  const history = new Map(dataKeys.map((key) => [key, []]))
+  return rows.map((row) => {
+    const next = { ...row }
+    dataKeys.forEach((key) => {
+      const value = row[key]
+      if (value === null || value === undefined) return
+      const values = history.get(key)
+      values.push(value)
+      if (values.length > windowSize) values.shift()
+      next[key] = values.reduce((total, item) => total + item, 0) / values.length
+    })
+    return next
+  })
+}
@@ -0,0 +1,36 @@
+const STORAGE_KEY = 'volleyplus_chart_presets'
+const FALLBACK_USER = 'anonymous'
+
+const readAll = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+const writeAll = (data) => {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data))
+  } catch (error) {
+    console.warn('Failed to persist chart presets', error)
+  }
+}
+
+// `pendingSync` marks a local copy newer than the profile, i.e. the last profile save failed.
+export const readStoredChartPresets = (userId) => {
+  const stored = readAll()[userId || FALLBACK_USER]
+  if (!Array.isArray(stored?.presets)) return null
+  return { presets: stored.presets, pendingSync: Boolean(stored.pendingSync) }
+}
+
+export const writeStoredChartPresets = (userId, presets, { pendingSync = false } = {}) => {
+  const all = readAll()
+  all[userId || FALLBACK_USER] = { presets, pendingSync }
+  writeAll(all)
+}
+
+export const CHART_PRESETS_STORAGE_KEY = STORAGE_KEY
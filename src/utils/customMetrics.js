@@ -0,0 +1,38 @@
+import { MetricExpressionError, formatMetricExpression, parseMetricExpression } from '@/utils/metricExpression.js'
+
+const MAX_NAME_LENGTH = 40
+
+/**
+ * Validates a metric draft against the columns on the chart and the names already taken (stat labels, built-in
+ * and other custom metrics). The stored expression is the canonical, bracketed form.
+ * @returns {{ metric: { id?: string, name: string, expression: string } | null, error: string | null }}
+ */
+export const validateCustomMetric = ({ id, name, expression }, { labels = [], reservedNames = [] } = {}) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : ''
+  if (!trimmedName) return { metric: null, error: 'Informe um nome para a métrica.' }
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    return { metric: null, error: `O nome pode ter no máximo ${MAX_NAME_LENGTH} caracteres.` }
+  }
+  if (reservedNames.some((reserved) => reserved.toLowerCase() === trimmedName.toLowerCase())) {
+    return { metric: null, error: `Já existe uma métrica chamada "${trimmedName}".` }
+  }
+
+  try {
+    const { ast } = parseMetricExpression(expression, { labels })
+    return { metric: { ...(id ? { id } : {}), name: trimmedName, expression: formatMetricExpression(ast) }, error: null }
+  } catch (error) {
+    if (error instanceof MetricExpressionError) return { metric: null, error: error.message }
+    throw error
+  }
+}
+
+// Stored metrics are parsed once for the chart; a formula that no longer parses is left out instead of breaking it.
+export const compileCustomMetrics = (metrics = []) =>
+  metrics.flatMap((metric) => {
+    try {
+      return [{ ...metric, ...parseMetricExpression(metric.expression) }]
+    } catch (error) {
+      if (error instanceof MetricExpressionError) return []
+      throw error
+    }
+  })
@@ -0,0 +1,72 @@
+const STORAGE_KEY = 'volleyplus_custom_metrics'
+const UPDATE_EVENT = 'volleyplus:custom-metrics-updated'
+const FALLBACK_USER = 'anonymous'
+
+const readAll = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+const writeAll = (data) => {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data))
+  } catch (error) {
+    console.warn('Failed to persist custom metrics', error)
+  }
+}
+
+const emitUpdate = (userId) => {
+  if (typeof window === 'undefined') return
+  window.dispatchEvent(
+    new CustomEvent(UPDATE_EVENT, {
+      detail: { userId: userId ?? FALLBACK_USER },
+    }),
+  )
+}
+
+const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now()}-${Math.random().toString(16).slice(2)}`
+}
+
+const isStoredMetric = (entry) => typeof entry?.name === 'string' && typeof entry?.expression === 'string'
+
+export const listCustomMetrics = (userId) => {
+  const ownerKey = userId || FALLBACK_USER
+  const stored = readAll()[ownerKey]
+  return Array.isArray(stored) ? stored.filter(isStoredMetric) : []
+}
+
+// Saving an entry with a known id replaces it in place; otherwise it is appended.
+export const saveCustomMetric = (userId, metric) => {
+  if (!isStoredMetric(metric)) return null
+  const ownerKey = userId || FALLBACK_USER
+  const all = readAll()
+  const existing = Array.isArray(all[ownerKey]) ? all[ownerKey] : []
+  const entry = { id: metric.id || generateId(), name: metric.name, expression: metric.expression }
+  const index = existing.findIndex((item) => item.id === entry.id)
+  all[ownerKey] = index === -1 ? [...existing, entry] : existing.map((item, itemIndex) => (itemIndex === index ? entry : item))
+  writeAll(all)
+  emitUpdate(ownerKey)
+  return entry
+}
+
+export const deleteCustomMetric = (userId, metricId) => {
+  const ownerKey = userId || FALLBACK_USER
+  const all = readAll()
+  const existing = Array.isArray(all[ownerKey]) ? all[ownerKey] : []
+  all[ownerKey] = existing.filter((item) => item.id !== metricId)
+  writeAll(all)
+  emitUpdate(ownerKey)
+}
+
+export const CUSTOM_METRICS_STORAGE_KEY = STORAGE_KEY
+export const CUSTOM_METRICS_EVENT = UPDATE_EVENT
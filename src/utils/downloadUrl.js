@@ -0,0 +1,11 @@
+const normalizeBaseUrl = () => (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '')
+
+export const buildDownloadUrl = ({ token, path } = {}) => {
+  const incomingPath = path ?? (token ? `/download/use/${token}` : null)
+  if (!incomingPath) return null
+  if (incomingPath.startsWith('http')) {
+    return incomingPath
+  }
+  const baseUrl = normalizeBaseUrl()
+  return baseUrl ? `${baseUrl}${incomingPath}` : incomingPath
+}
@@ -0,0 +1,91 @@
+import { createRowId, validatePlayerRows } from '@/utils/matchReportEditing.js'
+
+export const BATCH_STATUS = {
+  QUEUED: 'queued',
+  PARSING: 'parsing',
+  PARSED: 'parsed',
+  INVALID: 'invalid',
+  DUPLICATE: 'duplicate',
+  ERROR: 'error',
+  SAVING: 'saving',
+  SAVED: 'saved',
+}
+
+export const INVALID_ROWS_MESSAGE = 'Corrija os campos destacados antes de salvar.'
+export const PARSE_FAILED_MESSAGE = 'Não foi possível ler este PDF.'
+export const NO_PLAYERS_MESSAGE = 'Nenhum atleta foi encontrado neste PDF.'
+
+let entrySequence = 0
+
+export const createBatchEntry = (file, profileId) => {
+  entrySequence += 1
+  return {
+    id: `batch-${entrySequence}`,
+    file,
+    fileName: file?.name ?? `arquivo-${entrySequence}.pdf`,
+    profileId,
+    status: BATCH_STATUS.QUEUED,
+    accepted: true,
+    progress: null,
+    message: null,
+    matchId: null,
+    report: null,
+  }
+}
+
+const resolveValidationStatus = (report) =>
+  Object.keys(validatePlayerRows(report.players, report.columnLabels)).length
+    ? { status: BATCH_STATUS.INVALID, message: INVALID_ROWS_MESSAGE }
+    : { status: BATCH_STATUS.PARSED, message: null }
+
+export const applyParsedReport = (entry, items, result) => {
+  if (!result?.players?.length) {
+    return { ...entry, status: BATCH_STATUS.ERROR, progress: null, message: NO_PLAYERS_MESSAGE }
+  }
+  const report = {
+    items,
+    detectedProfileId: result.detectedProfileId,
+    profileId: result.profileId,
+    // The format picked in the menu ('auto' included), restored when the file is reviewed.
+    profileChoice: entry.profileId,
+    setCount: result.setCount,
+    columnLabels: result.columnLabels,
+    players: result.players.map((player) => ({ ...player, rowId: createRowId() })),
+    matchDate: result.matchDate || '',
+    matchTime: result.matchTime || '',
+    summary: result.summary,
+    teamTotals: result.teamTotals,
+    warnings: result.warnings,
+  }
+  return { ...entry, ...resolveValidationStatus(report), progress: null, report }
+}
+
+const REVIEWED_FIELDS = ['players', 'matchDate', 'matchTime']
+
+// Edits made while reviewing a file can fix (or break) its rows, so its status is re-derived.
+// A duplicate only gets another chance once its date, time or rows actually changed.
+export const updateBatchReport = (entry, changes) => {
+  if (!entry.report) return entry
+  const report = { ...entry.report, ...changes }
+  const edited = REVIEWED_FIELDS.some((field) => field in changes && changes[field] !== entry.report[field])
+  const revalidate =
+    entry.status === BATCH_STATUS.PARSED ||
+    entry.status === BATCH_STATUS.INVALID ||
+    (entry.status === BATCH_STATUS.DUPLICATE && edited)
+  if (!revalidate) return { ...entry, report }
+  return { ...entry, ...resolveValidationStatus(report), report }
+}
+
+export const isBatchEntrySavable = (entry) => Boolean(entry?.accepted && entry.status === BATCH_STATUS.PARSED)
+
+export const describeBatchTeams = (entry) => {
+  const teams = [...new Set((entry?.report?.players ?? []).map((player) => player.team).filter(Boolean))]
+  return teams.length ? teams.join(' vs ') : null
+}
+
+export const summarizeBatch = (entries = []) => ({
+  total: entries.length,
+  pending: entries.filter(({ status }) => status === BATCH_STATUS.QUEUED || status === BATCH_STATUS.PARSING).length,
+  savable: entries.filter(isBatchEntrySavable).length,
+  saved: entries.filter(({ status }) => status === BATCH_STATUS.SAVED).length,
+})
@@ -0,0 +1,87 @@
+import { EMPTY_STAT_VALUE, resolveColumnRule } from '@/utils/matchReportEditing.js'
+
+// Breakdown columns can never exceed the total they belong to.
+const BREAKDOWN_RULES = [
+  { total: 'Attacks Tot', parts: ['Attacks Pts', 'Attacks Err', 'Attacks Blocked'] },
+  { total: 'Serves Tot', parts: ['Serves Pts', 'Serves Err'] },
+  { total: 'Receptions Tot', parts: ['Receptions Exc', 'Receptions Err'] },
+]
+
+const NON_ADDITIVE_COLUMNS = new Set(['Sets Played'])
+
+const toCount = (value) => {
+  const text = String(value ?? '').trim()
+  if (!text || text === EMPTY_STAT_VALUE || text === '-') return 0
+  return /^\d+$/.test(text) ? Number(text) : null
+}
+
+const createWarning = (code, message, details = {}) => ({ code, message, ...details })
+
+const checkBreakdowns = (values, columnLabels, subject, details) => {
+  const readCount = (label) => {
+    const index = columnLabels.indexOf(label)
+    return index === -1 ? null : toCount(values?.[index])
+  }
+
+  return BREAKDOWN_RULES.flatMap(({ total, parts }) => {
+    const totalValue = readCount(total)
+    if (totalValue === null) return []
+    const partValues = parts
+      .filter((label) => columnLabels.includes(label))
+      .map((label) => ({ label, value: readCount(label) }))
+      .filter(({ value }) => value !== null)
+
+    const exceeding = partValues.find(({ value }) => value > totalValue)
+    if (exceeding) {
+      return [createWarning(
+        'stat-exceeds-total',
+        `${subject}: ${exceeding.label} (${exceeding.value}) é maior que ${total} (${totalValue}).`,
+        details,
+      )]
+    }
+
+    const sum = partValues.reduce((acc, { value }) => acc + value, 0)
+    if (partValues.length > 1 && sum > totalValue) {
+      return [createWarning(
+        'breakdown-exceeds-total',
+        `${subject}: ${partValues.map(({ label }) => label).join(' + ')} somam ${sum}, mais que ${total} (${totalValue}).`,
+        details,
+      )]
+    }
+    return []
+  })
+}
+
+const checkTeamTotal = ({ team, columnValues }, players, columnLabels) =>
+  columnLabels.flatMap((label, index) => {
+    if (resolveColumnRule(label) !== 'count' || NON_ADDITIVE_COLUMNS.has(label)) return []
+    const rawTotal = columnValues?.[index]
+    if (!rawTotal || rawTotal === EMPTY_STAT_VALUE) return []
+    const expected = toCount(rawTotal)
+    if (expected === null) return []
+
+    const counts = players.map((player) => toCount(player.columnValues?.[index]))
+    if (counts.some((count) => count === null)) return []
+    const sum = counts.reduce((acc, count) => acc + count, 0)
+    if (sum === expected) return []
+    return [createWarning(
+      'team-total-mismatch',
+      `${team}: a soma por atleta dá ${sum} em ${label}, mas a linha de totais indica ${expected}.`,
+      { team, label },
+    )]
+  })
+
+// Cross-checks edited rows against each other and against the totals rows printed in the PDF.
+export const findStatInconsistencies = (players = [], columnLabels = [], teamTotals = []) => [
+  ...players.flatMap((player) =>
+    checkBreakdowns(
+      player.columnValues,
+      columnLabels,
+      `#${player.number} ${player.name || 'sem nome'} (${player.team})`,
+      { team: player.team, number: player.number },
+    )),
+  ...teamTotals.flatMap((totals) => [
+    ...checkBreakdowns(totals.columnValues, columnLabels, `Totais de ${totals.team}`, { team: totals.team }),
+    ...checkTeamTotal(totals, players.filter((player) => player.team === totals.team), columnLabels),
+  ]),
+]
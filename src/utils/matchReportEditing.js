@@ -0,0 +1,152 @@
+export const EMPTY_STAT_VALUE = '.'
+
+const SET_VALUE_REGEX = /^(\d+|\*)$/
+const SIGNED_NUMBER_REGEX = /^[+-]?(?:\d+(?:[.,]\d+)?|[.,]\d+)$/
+const COUNT_REGEX = /^\d+$/
+const PERCENT_REGEX = /^(\d+(?:[.,]\d+)?)%?$/
+
+const SIGNED_COLUMNS = new Set(['Vote', 'Points Won - Lost', 'Attacks Eff'])
+
+export const resolveColumnRule = (label = '') => {
+  if (/^\d+$/.test(label)) return 'set'
+  if (label.endsWith('%')) return 'percent'
+  if (SIGNED_COLUMNS.has(label)) return 'signed'
+  return 'count'
+}
+
+export const validateStatValue = (label, rawValue) => {
+  const value = typeof rawValue === 'string' ? rawValue.trim() : String(rawValue ?? '').trim()
+  if (!value || value === EMPTY_STAT_VALUE) return null
+
+  switch (resolveColumnRule(label)) {
+    case 'set':
+      return SET_VALUE_REGEX.test(value) ? null : 'Use o número da rotação ou *'
+    case 'percent': {
+      const match = PERCENT_REGEX.exec(value)
+      if (!match) return 'Use uma porcentagem como 45%'
+      const numeric = Number(match[1].replace(',', '.'))
+      return numeric <= 100 ? null : 'A porcentagem não pode passar de 100%'
+    }
+    case 'signed':
+      return SIGNED_NUMBER_REGEX.test(value) ? null : 'Use um número como -2 ou 6,5'
+    default:
+      return COUNT_REGEX.test(value) ? null : 'Use um número inteiro'
+  }
+}
+
+export const normalizeStatValue = (rawValue) => {
+  const value = typeof rawValue === 'string' ? rawValue.trim() : ''
+  return value || EMPTY_STAT_VALUE
+}
+
+export const buildCellErrorKey = (rowId, field) => `${rowId}:${field}`
+
+export const validatePlayerRows = (players = [], columnLabels = []) => {
+  const errors = {}
+  const seenNumbers = new Map()
+
+  players.forEach((player) => {
+    const number = Number(player.number)
+    if (!Number.isInteger(number) || number < 0 || number > 99 || player.number === '') {
+      errors[buildCellErrorKey(player.rowId, 'number')] = 'Use um número de camisa entre 0 e 99'
+    } else {
+      const numberKey = `${player.team}::${number}`
+      if (seenNumbers.has(numberKey)) {
+        errors[buildCellErrorKey(player.rowId, 'number')] = `O número ${number} já está em uso em ${player.team}`
+      }
+      seenNumbers.set(numberKey, player.rowId)
+    }
+
+    columnLabels.forEach((label, index) => {
+      const message = validateStatValue(label, player.columnValues?.[index])
+      if (message) {
+        errors[buildCellErrorKey(player.rowId, index)] = message
+      }
+    })
+  })
+
+  return errors
+}
+
+const patchPlayerRow = (players, rowId, buildPatch) => {
+  const target = players.find((player) => player.rowId === rowId)
+  const patch = target ? buildPatch(target) : null
+  if (!patch) return players
+  return players.map((player) => (player.rowId === rowId ? { ...player, ...patch } : player))
+}
+
+// Each edit helper returns the same array when nothing changed, so no empty undo step is recorded.
+export const applyCellEdit = (players, rowId, columnIndex, rawValue, columnLabels = []) => {
+  const value = normalizeStatValue(rawValue)
+  return patchPlayerRow(players, rowId, (player) => {
+    if (player.columnValues?.[columnIndex] === value) return null
+    const columnValues = columnLabels.map((_, index) => player.columnValues?.[index] ?? EMPTY_STAT_VALUE)
+    columnValues[columnIndex] = value
+    // A value typed by the user no longer needs the low-confidence highlight.
+    const columnConfidence = player.columnConfidence ? [...player.columnConfidence] : null
+    if (columnConfidence) columnConfidence[columnIndex] = 1
+    return columnConfidence ? { columnValues, columnConfidence } : { columnValues }
+  })
+}
+
+export const applyPlayerFieldEdit = (players, rowId, field, rawValue) => {
+  const value = field === 'number'
+    ? (rawValue === '' ? '' : Number(rawValue))
+    : rawValue.trim()
+  return patchPlayerRow(players, rowId, (player) => (player[field] === value ? null : { [field]: value }))
+}
+
+export const movePlayerToTeam = (players, rowId, team) =>
+  patchPlayerRow(players, rowId, (player) => (player.team === team ? null : { team }))
+
+// Reviewed files derive their teams from the rows, so removing a team's last row removes the team as well.
+export const isLastPlayerOfTeam = (players, rowId) => {
+  const target = players.find((player) => player.rowId === rowId)
+  return Boolean(target) && !players.some((player) => player.rowId !== rowId && player.team === target.team)
+}
+
+let rowSequence = 0
+
+export const createRowId = () => {
+  rowSequence += 1
+  return `row-${rowSequence}`
+}
+
+export const createEmptyPlayer = (team, columnLabels = [], players = []) => {
+  const usedNumbers = players
+    .filter((player) => player.team === team)
+    .map((player) => Number(player.number))
+    .filter(Number.isFinite)
+  return {
+    rowId: createRowId(),
+    team,
+    number: usedNumbers.length ? Math.max(...usedNumbers) + 1 : 1,
+    name: '',
+    columnValues: columnLabels.map(() => EMPTY_STAT_VALUE),
+  }
+}
+
+// Saved reports key stats by label; the editor works on positional rows, like a freshly parsed file.
+export const buildEditableRows = (teams = [], columnLabels = []) =>
+  teams.flatMap(({ team, players = [] }) =>
+    players.map((player) => ({
+      rowId: createRowId(),
+      team,
+      number: player.number,
+      name: player.name ?? '',
+      columnValues: columnLabels.map((label) => player.stats?.[label] ?? EMPTY_STAT_VALUE),
+    })),
+  )
+
+// Teams keep their order and totals; a team left without players is kept rather than silently dropped.
+export const buildReportTeams = (rows = [], columnLabels = [], teams = []) =>
+  teams.map((team) => ({
+    ...team,
+    players: rows
+      .filter((row) => row.team === team.team)
+      .map((row) => ({
+        number: row.number,
+        name: row.name,
+        stats: Object.fromEntries(columnLabels.map((label, index) => [label, row.columnValues?.[index] ?? EMPTY_STAT_VALUE])),
+      })),
+  }))
@@ -0,0 +1,135 @@
+import { buildProfileColumnGroups, getFormatProfile } from '@/services/pdfFormatProfiles.js'
+import { EMPTY_STAT_VALUE } from '@/utils/matchReportEditing.js'
+
+const CSV_DELIMITER = ';'
+const SHEET_NAME_MAX_LENGTH = 31
+const COUNT_REGEX = /^\d+$/
+
+const resolveStat = (source, label, index) => {
+  const value = Array.isArray(source?.columnValues) ? source.columnValues[index] : source?.stats?.[label]
+  const text = value === null || value === undefined ? '' : String(value).trim()
+  return text === EMPTY_STAT_VALUE ? '' : text
+}
+
+const resolveTotals = (totals, columnLabels) => {
+  if (!totals) return null
+  return columnLabels.map((label, index) => resolveStat(Array.isArray(totals) ? { columnValues: totals } : { stats: totals }, label, index))
+}
+
+// Group spans only make sense when they cover exactly the stored columns; older reports fall back to a flat header.
+const resolveColumnGroups = (report, columnLabels) => {
+  const profile = getFormatProfile(report?.formatProfile)
+  const setCount = columnLabels.filter((label) => COUNT_REGEX.test(label)).length
+  const groups = buildProfileColumnGroups(profile, setCount)
+  const span = groups.reduce((total, group) => total + group.span, 0)
+  return span === columnLabels.length ? groups : []
+}
+
+// One table per team with the values the detail page shows; '.' placeholders become empty cells.
+export const buildExportTables = (report) => {
+  const columnLabels = Array.isArray(report?.columnLabels) ? report.columnLabels : []
+  const groups = resolveColumnGroups(report, columnLabels)
+
+  return (Array.isArray(report?.teams) ? report.teams : []).map((entry) => ({
+    team: entry.team,
+    groups,
+    columnLabels,
+    rows: (entry.players ?? []).map((player) => [
+      player.number,
+      player.name ?? '',
+      ...columnLabels.map((label, index) => resolveStat(player, label, index)),
+    ]),
+    totals: resolveTotals(entry.totals, columnLabels),
+  }))
+}
+
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '')
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Semicolon-separated with a BOM so Excel in pt-BR opens it directly; the headers match what the importer maps back.
+export const buildMatchReportCsv = (report) => {
+  const tables = buildExportTables(report)
+  const columnLabels = tables[0]?.columnLabels ?? report?.columnLabels ?? []
+  const lines = [['Time', 'Nº', 'Nome', ...columnLabels]]
+
+  tables.forEach(({ team, rows, totals }) => {
+    rows.forEach((row) => lines.push([team, ...row]))
+    if (totals) lines.push([team, '', 'Totais', ...totals])
+  })
+
+  return `\uFEFF${lines.map((line) => line.map(escapeCsvCell).join(CSV_DELIMITER)).join('\r\n')}\r\n`
+}
+
+const toSheetValue = (value) => (COUNT_REGEX.test(String(value)) ? Number(value) : value || null)
+
+const toSheetName = (team, usedNames) => {
+  const base = (String(team || 'Equipe').replace(/[[\]:*?/\\]/g, ' ').trim() || 'Equipe').slice(0, SHEET_NAME_MAX_LENGTH)
+  let name = base
+  let suffix = 2
+  while (usedNames.has(name)) {
+    const tail = ` (${suffix})`
+    name = `${base.slice(0, SHEET_NAME_MAX_LENGTH - tail.length)}${tail}`
+    suffix += 1
+  }
+  usedNames.add(name)
+  return name
+}
+
+const headerCell = (value, extra = {}) => ({ value, fontWeight: 'bold', backgroundColor: '#e2e8f0', ...extra })
+
+// Sheets in the shape write-excel-file expects: a grouped header row (Set, Points, Serve...) over the column labels.
+export const buildMatchReportSheets = (report) => {
+  const usedNames = new Set()
+
+  return buildExportTables(report).map(({ team, groups, columnLabels, rows, totals }) => {
+    const groupRow = groups.length
+      ? [
+          headerCell(team, { columnSpan: 2 }),
+          null,
+          ...groups.flatMap(({ label, span }) => [
+            headerCell(label, { columnSpan: span, align: 'center' }),
+            ...Array.from({ length: span - 1 }, () => null),
+          ]),
+        ]
+      : null
+    const labelRow = ['Nº', 'Nome', ...columnLabels].map((label) => headerCell(label))
+
+    return {
+      sheet: toSheetName(team, usedNames),
+      stickyRowsCount: groupRow ? 2 : 1,
+      columns: [{ width: 6 }, { width: 24 }, ...columnLabels.map(() => ({ width: 10 }))],
+      data: [
+        ...(groupRow ? [groupRow] : []),
+        labelRow,
+        ...rows.map((row) => row.map(toSheetValue)),
+        ...(totals ? [[null, headerCell('Totais'), ...totals.map((value) => headerCell(toSheetValue(value)))]] : []),
+      ],
+    }
+  })
+}
+
+const slugify = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+
+export const buildExportFileName = (report, extension) => {
+  const date = typeof report?.matchDate === 'string' ? report.matchDate.slice(0, 10) : ''
+  const teams = (report?.teams ?? []).map((entry) => slugify(entry.team)).filter(Boolean).join('-vs-')
+  return `${[date, teams].filter(Boolean).join('-') || 'relatorio'}.${extension}`
+}
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const anchor = document.createElement('a')
+  anchor.href = url
+  anchor.download = fileName
+  document.body.appendChild(anchor)
+  anchor.click()
+  anchor.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
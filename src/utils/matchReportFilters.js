@@ -0,0 +1,119 @@
+import { normalizeTeamName, resolveMatchDateSource, teamMatchesFilter } from '@/utils/playerStatsHistory.js'
+
+const DATE_PARAM_REGEX = /^\d{4}-\d{2}-\d{2}$/
+const DATE_ONLY_REGEX = /^(\d{4}-\d{2}-\d{2})(?:T00:00(?::00(?:\.0+)?)?(?:Z|[+-]00:?00)?)?$/
+const FILTER_KEYS = ['from', 'to', 'opponent', 'competition']
+
+export const EMPTY_REPORT_FILTERS = Object.freeze({ from: '', to: '', opponent: '', competition: '' })
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Dates saved without a time come back as UTC midnight and already name the match day. Anything with a time is
+// read on the local calendar, so a 22:00 match in Brazil does not slide into the next UTC day.
+export const toDateKey = (value) => {
+  if (!value) return ''
+  const dateOnly = typeof value === 'string' ? DATE_ONLY_REGEX.exec(value.trim()) : null
+  if (dateOnly) return dateOnly[1]
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+export const hasActiveReportFilters = (filters) => FILTER_KEYS.some((key) => Boolean(filters?.[key]))
+
+// Unknown or malformed query values are dropped so a hand-edited URL never hides every match.
+export const parseReportFilters = (searchParams) => {
+  const read = (key) => (searchParams?.get(key) || '').trim()
+  const from = read('from')
+  const to = read('to')
+  return {
+    from: DATE_PARAM_REGEX.test(from) ? from : '',
+    to: DATE_PARAM_REGEX.test(to) ? to : '',
+    opponent: normalizeTeamName(read('opponent')),
+    competition: read('competition'),
+  }
+}
+
+// Writes the filters over the current query so unrelated params survive.
+export const applyReportFiltersToParams = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams)
+  FILTER_KEYS.forEach((key) => {
+    if (filters?.[key]) next.set(key, filters[key])
+    else next.delete(key)
+  })
+  return next
+}
+
+const formatSeasonYears = (from, to) => {
+  const startYear = from.slice(0, 4)
+  const endYear = to.slice(0, 4)
+  return startYear === endYear ? startYear : `${startYear}/${endYear.slice(2)}`
+}
+
+// One preset per team history entry with both season dates, newest season first.
+export const buildSeasonPresets = (teamHistory = []) => {
+  if (!Array.isArray(teamHistory)) return []
+  return teamHistory
+    .map((entry) => ({ teamName: entry?.teamName?.trim() || '', from: toDateKey(entry?.seasonStart), to: toDateKey(entry?.seasonEnd) }))
+    .filter(({ from, to }) => from && to && from <= to)
+    .sort((a, b) => b.from.localeCompare(a.from))
+    .map(({ teamName, from, to }) => ({
+      id: `${from}_${to}`,
+      label: [teamName, formatSeasonYears(from, to)].filter(Boolean).join(' '),
+      from,
+      to,
+    }))
+}
+
+export const findSeasonPreset = (presets, filters) =>
+  presets.find((preset) => preset.from === filters?.from && preset.to === filters?.to) ?? null
+
+const resolveTeamName = (team) => team?.team || team?.teamName || team?.name || ''
+
+// Without a known team every team in the report counts as a possible opponent.
+const resolveOpponents = (report, ownTeamFilter) =>
+  (report?.teams ?? []).filter((team) => {
+    const normalized = normalizeTeamName(resolveTeamName(team))
+    if (!normalized) return false
+    return !ownTeamFilter?.team || !teamMatchesFilter(normalized, ownTeamFilter)
+  })
+
+const resolveCompetition = (report) => (typeof report?.summary?.competition === 'string' ? report.summary.competition.trim() : '')
+
+export const buildReportFilterOptions = (reports = [], ownTeamFilter) => {
+  const opponents = new Map()
+  const competitions = new Set()
+
+  reports.forEach((report) => {
+    resolveOpponents(report, ownTeamFilter).forEach((team) => {
+      const name = resolveTeamName(team)
+      const value = normalizeTeamName(name)
+      if (!opponents.has(value)) opponents.set(value, { value, label: name })
+    })
+    const competition = resolveCompetition(report)
+    if (competition) competitions.add(competition)
+  })
+
+  return {
+    opponents: Array.from(opponents.values()).sort((a, b) => a.label.localeCompare(b.label, 'pt-BR')),
+    competitions: Array.from(competitions).sort((a, b) => a.localeCompare(b, 'pt-BR')),
+  }
+}
+
+export const filterMatchReports = (reports = [], filters, ownTeamFilter) => {
+  if (!hasActiveReportFilters(filters)) return reports
+  return reports.filter((report) => {
+    if (filters.from || filters.to) {
+      const dateKey = toDateKey(resolveMatchDateSource(report))
+      if (!dateKey) return false
+      if (filters.from && dateKey < filters.from) return false
+      if (filters.to && dateKey > filters.to) return false
+    }
+    if (filters.opponent) {
+      const opponents = resolveOpponents(report, ownTeamFilter)
+      if (!opponents.some((team) => normalizeTeamName(resolveTeamName(team)) === filters.opponent)) return false
+    }
+    if (filters.competition && resolveCompetition(report) !== filters.competition) return false
+    return true
+  })
+}
@@ -0,0 +1,20 @@
+export const hasMatchSummary = (summary) =>
+  Boolean(summary && (summary.sets?.length || summary.durationMinutes || summary.venue || summary.competition))
+
+export const formatSetScores = (summary) =>
+  (summary?.sets ?? []).map(({ scores }) => scores.join('-')).join(', ')
+
+export const formatFinalScore = (summary) => {
+  if (!summary?.finalScore) return null
+  const [homeSets, awaySets] = summary.finalScore
+  const [homeTeam = 'Casa', awayTeam = 'Visitante'] = summary.teams ?? []
+  return `${homeTeam} ${homeSets} × ${awaySets} ${awayTeam}`
+}
+
+export const formatMatchDuration = (minutes) => {
+  if (!Number.isFinite(minutes) || minutes <= 0) return null
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  if (!hours) return `${rest}min`
+  return `${hours}h${String(rest).padStart(2, '0')}`
+}
@@ -0,0 +1,172 @@
+// Arithmetic over stat columns for user-defined metrics: + - * /, parentheses, numbers and column labels.
+// Labels may be written bare when they are known (longest label wins, so "Points Won - Lost" stays one column)
+// or between brackets, which is how expressions are stored. Nothing is ever passed to eval.
+import { parseStatValue } from '@/utils/playerStatsHistory.js'
+
+const MAX_EXPRESSION_LENGTH = 200
+const NUMBER_REGEX = /^\d+(?:\.\d+)?/
+const OPERATOR_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 }
+
+export class MetricExpressionError extends Error {
+  constructor(message, position = null) {
+    super(message)
+    this.name = 'MetricExpressionError'
+    this.position = position
+  }
+}
+
+const createCursor = (source, labels) => ({
+  source,
+  index: 0,
+  // Longest first so a label that contains a shorter one is matched whole.
+  labels: [...labels].filter(Boolean).sort((a, b) => b.length - a.length),
+})
+
+const skipSpaces = (cursor) => {
+  while (cursor.index < cursor.source.length && /\s/.test(cursor.source[cursor.index])) cursor.index += 1
+}
+
+const peek = (cursor) => {
+  skipSpaces(cursor)
+  return cursor.source[cursor.index]
+}
+
+const readBracketedLabel = (cursor) => {
+  const start = cursor.index
+  const end = cursor.source.indexOf(']', start + 1)
+  if (end === -1) throw new MetricExpressionError('Colchete "[" sem fechamento.', start)
+  const label = cursor.source.slice(start + 1, end).trim()
+  if (!label) throw new MetricExpressionError('Coluna vazia entre colchetes.', start)
+  cursor.index = end + 1
+  const known = cursor.labels.find((candidate) => candidate.toLowerCase() === label.toLowerCase())
+  return { type: 'column', label: known ?? label }
+}
+
+const readBareLabel = (cursor) => {
+  const rest = cursor.source.slice(cursor.index)
+  const lowerRest = rest.toLowerCase()
+  const match = cursor.labels.find((label) => {
+    if (!lowerRest.startsWith(label.toLowerCase())) return false
+    const next = rest[label.length]
+    return next === undefined || /[\s+\-*/()]/.test(next)
+  })
+  if (match) {
+    cursor.index += match.length
+    return { type: 'column', label: match }
+  }
+  const word = rest.match(/^[^+\-*/()[\]]+/)?.[0].trim()
+  throw new MetricExpressionError(word ? `Coluna desconhecida: "${word}".` : 'Expressão incompleta.', cursor.index)
+}
+
+const parseOperand = (cursor) => {
+  const char = peek(cursor)
+  if (char === undefined) throw new MetricExpressionError('Expressão incompleta.', cursor.index)
+  if (char === '(') {
+    const start = cursor.index
+    cursor.index += 1
+    const node = parseBinary(cursor, 0)
+    if (peek(cursor) !== ')') throw new MetricExpressionError('Parêntese "(" sem fechamento.', start)
+    cursor.index += 1
+    return node
+  }
+  if (char === '-' || char === '+') {
+    cursor.index += 1
+    const operand = parseOperand(cursor)
+    return char === '-' ? { type: 'negate', operand } : operand
+  }
+  if (char === '[') return readBracketedLabel(cursor)
+  // Bare digits are always a number; set columns ("1", "2"...) have to be bracketed.
+  const number = cursor.source.slice(cursor.index).match(NUMBER_REGEX)?.[0]
+  if (number) {
+    cursor.index += number.length
+    return { type: 'number', value: Number(number) }
+  }
+  return readBareLabel(cursor)
+}
+
+// Precedence climbing; every operator is left-associative.
+const parseBinary = (cursor, minPrecedence) => {
+  let left = parseOperand(cursor)
+  for (;;) {
+    const operator = peek(cursor)
+    const precedence = OPERATOR_PRECEDENCE[operator]
+    if (!precedence || precedence <= minPrecedence) return left
+    cursor.index += 1
+    const right = parseBinary(cursor, precedence)
+    left = { type: 'binary', operator, left, right }
+  }
+}
+
+const collectColumns = (node, columns = new Set()) => {
+  if (node.type === 'column') columns.add(node.label)
+  if (node.type === 'negate') collectColumns(node.operand, columns)
+  if (node.type === 'binary') {
+    collectColumns(node.left, columns)
+    collectColumns(node.right, columns)
+  }
+  return columns
+}
+
+/**
+ * Parses a metric formula. With `labels`, bare column names are recognised and every referenced column must be
+ * one of them; without, only bracketed columns are accepted and not checked.
+ * @returns {{ ast: object, columns: string[] }}
+ * @throws {MetricExpressionError}
+ */
+export const parseMetricExpression = (source, { labels = null } = {}) => {
+  const text = typeof source === 'string' ? source.trim() : ''
+  if (!text) throw new MetricExpressionError('Informe uma fórmula.', 0)
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new MetricExpressionError(`A fórmula pode ter no máximo ${MAX_EXPRESSION_LENGTH} caracteres.`, MAX_EXPRESSION_LENGTH)
+  }
+
+  const cursor = createCursor(text, labels ?? [])
+  const ast = parseBinary(cursor, 0)
+  if (peek(cursor) !== undefined) {
+    throw new MetricExpressionError(`Símbolo inesperado: "${cursor.source[cursor.index]}".`, cursor.index)
+  }
+
+  const columns = Array.from(collectColumns(ast))
+  if (!columns.length) throw new MetricExpressionError('A fórmula precisa usar pelo menos uma coluna.', 0)
+  if (labels) {
+    const unknown = columns.find((label) => !labels.includes(label))
+    if (unknown) throw new MetricExpressionError(`Coluna desconhecida: "${unknown}".`, null)
+  }
+  return { ast, columns }
+}
+
+const wrapIfNeeded = (node, parentPrecedence, isRight) => {
+  const text = formatMetricExpression(node)
+  if (node.type !== 'binary') return text
+  const precedence = OPERATOR_PRECEDENCE[node.operator]
+  const needsParens = precedence < parentPrecedence || (isRight && precedence === parentPrecedence)
+  return needsParens ? `(${text})` : text
+}
+
+// Canonical text with every column bracketed, so a stored formula parses without knowing the labels.
+export const formatMetricExpression = (node) => {
+  if (node.type === 'number') return String(node.value)
+  if (node.type === 'column') return `[${node.label}]`
+  if (node.type === 'negate') return `-${wrapIfNeeded(node.operand, 3, false)}`
+  const precedence = OPERATOR_PRECEDENCE[node.operator]
+  return `${wrapIfNeeded(node.left, precedence, false)} ${node.operator} ${wrapIfNeeded(node.right, precedence, true)}`
+}
+
+const evaluateNode = (node, stats) => {
+  if (node.type === 'number') return node.value
+  if (node.type === 'column') return parseStatValue(stats?.[node.label])
+  if (node.type === 'negate') return -evaluateNode(node.operand, stats)
+  const left = evaluateNode(node.left, stats)
+  const right = evaluateNode(node.right, stats)
+  if (node.operator === '+') return left + right
+  if (node.operator === '-') return left - right
+  if (node.operator === '*') return left * right
+  return left / right
+}
+
+// Missing columns count as zero like everywhere else in the chart. A division by zero has no value (null), so a
+// match without attempts is left out of the line and the averages instead of plotting as 0.
+export const evaluateMetricExpression = (ast, stats = {}) => {
+  const value = evaluateNode(ast, stats)
+  return Number.isFinite(value) ? value : null
+}
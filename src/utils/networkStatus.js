@@ -0,0 +1,14 @@
+// Single place that listens to the browser's online/offline events, for services and hooks alike.
+export const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+export const subscribeToNetworkStatus = ({ onOnline, onOffline } = {}) => {
+  if (typeof window === 'undefined') return () => {}
+  const handleOnline = () => onOnline?.()
+  const handleOffline = () => onOffline?.()
+  window.addEventListener('online', handleOnline)
+  window.addEventListener('offline', handleOffline)
+  return () => {
+    window.removeEventListener('online', handleOnline)
+    window.removeEventListener('offline', handleOffline)
+  }
+}
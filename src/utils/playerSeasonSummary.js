@@ -0,0 +1,166 @@
+import { parseStatValue } from '@/utils/playerStatsHistory.js'
+
+const SET_LABEL_REGEX = /^\d+$/
+const PLACEHOLDER_VALUES = new Set(['', '.', '-'])
+// Ratings and percentages describe a single match, so across matches they are averaged instead of summed.
+const RATE_LABELS = new Set(['Vote', 'Attacks Eff'])
+const TREND_EPSILON = 1e-6
+
+export const DEFAULT_TREND_WINDOW = 3
+
+const hasValue = (value) => value !== undefined && value !== null && !PLACEHOLDER_VALUES.has(String(value).trim())
+
+const isRateLabel = (label) => label.endsWith('%') || RATE_LABELS.has(label)
+
+// A set column holds the rotation (or '*' for a substitution) when the player was on court in that set.
+export const countSetsPlayed = (stats = {}) => {
+  if (hasValue(stats['Sets Played'])) return parseStatValue(stats['Sets Played'])
+  return Object.entries(stats).filter(([label, value]) => SET_LABEL_REGEX.test(label) && hasValue(value)).length
+}
+
+// Counts summed over the matches, plus the reception attempts behind each percentage so they can be re-weighted.
+const aggregateCounts = (statsList) => {
+  const counts = {}
+  const weighted = {}
+  let sets = 0
+
+  statsList.forEach((stats) => {
+    sets += countSetsPlayed(stats)
+    Object.entries(stats ?? {}).forEach(([label, value]) => {
+      if (SET_LABEL_REGEX.test(label) || !hasValue(value)) return
+      if (isRateLabel(label)) {
+        const attempts = parseStatValue(stats['Receptions Tot'])
+        if (!label.startsWith('Receptions') || !attempts) return
+        weighted[label] = weighted[label] ?? { sum: 0, attempts: 0 }
+        weighted[label].sum += parseStatValue(value) * attempts
+        weighted[label].attempts += attempts
+        return
+      }
+      counts[label] = (counts[label] ?? 0) + parseStatValue(value)
+    })
+  })
+
+  return { counts, weighted, sets }
+}
+
+const resolveReceptionShare = ({ counts, weighted }, percentLabel, countLabel) => {
+  if (weighted[percentLabel]?.attempts) return weighted[percentLabel].sum / weighted[percentLabel].attempts / 100
+  if (counts[countLabel] !== undefined && counts['Receptions Tot']) return counts[countLabel] / counts['Receptions Tot']
+  return null
+}
+
+export const SUMMARY_METRICS = [
+  {
+    key: 'attackEfficiency',
+    label: 'Eficiência de ataque',
+    format: 'percent',
+    compute: ({ counts }) => (counts['Attacks Tot']
+      ? ((counts['Attacks Pts'] ?? 0) - (counts['Attacks Err'] ?? 0) - (counts['Attacks Blocked'] ?? 0)) / counts['Attacks Tot']
+      : null),
+  },
+  {
+    key: 'receptionPositive',
+    label: 'Recepção positiva',
+    format: 'percent',
+    compute: (aggregate) => resolveReceptionShare(aggregate, 'Receptions Pos%', 'Receptions Pos'),
+  },
+  {
+    key: 'receptionExcellent',
+    label: 'Recepção excelente',
+    format: 'percent',
+    compute: (aggregate) => resolveReceptionShare(aggregate, 'Receptions Exc%', 'Receptions Exc'),
+  },
+  {
+    key: 'serveAceErrorRatio',
+    label: 'Aces / erros de saque',
+    format: 'ratio',
+    compute: ({ counts }) => {
+      if (counts['Serves Pts'] === undefined || counts['Serves Err'] === undefined) return null
+      return counts['Serves Err'] ? counts['Serves Pts'] / counts['Serves Err'] : counts['Serves Pts']
+    },
+  },
+  {
+    key: 'pointsPerSet',
+    label: 'Pontos por set',
+    format: 'ratio',
+    compute: ({ counts, sets }) => (sets && counts['Points Tot'] !== undefined ? counts['Points Tot'] / sets : null),
+  },
+]
+
+export const computeSummaryMetrics = (statsList) => {
+  const aggregate = aggregateCounts(statsList)
+  return SUMMARY_METRICS.reduce((acc, metric) => {
+    acc[metric.key] = statsList.length ? metric.compute(aggregate) : null
+    return acc
+  }, {})
+}
+
+// Total and per-match average of every stat column; percentages and ratings only get the average.
+const buildStatTable = (rows) => {
+  const entries = new Map()
+  rows.forEach(({ stats }) => {
+    Object.entries(stats ?? {}).forEach(([label, value]) => {
+      if (SET_LABEL_REGEX.test(label) || !hasValue(value)) return
+      const entry = entries.get(label) ?? { label, sum: 0, matches: 0 }
+      entry.sum += parseStatValue(value)
+      entry.matches += 1
+      entries.set(label, entry)
+    })
+  })
+  return Array.from(entries.values()).map(({ label, sum, matches }) => ({
+    label,
+    total: isRateLabel(label) ? null : sum,
+    average: matches ? sum / matches : null,
+    matches,
+  }))
+}
+
+const resolveTrend = (recent, previous) => {
+  if (recent === null || previous === null) return null
+  const delta = recent - previous
+  if (Math.abs(delta) < TREND_EPSILON) return { direction: 'flat', delta: 0 }
+  return { direction: delta > 0 ? 'up' : 'down', delta }
+}
+
+// Best and worst match per metric, ignoring matches where the metric could not be computed.
+const findExtremes = (matches, key) => {
+  const ranked = matches.filter((match) => match.metrics[key] !== null)
+  if (!ranked.length) return { best: null, worst: null }
+  return ranked.reduce(
+    (acc, match) => ({
+      best: match.metrics[key] > acc.best.metrics[key] ? match : acc.best,
+      worst: match.metrics[key] < acc.worst.metrics[key] ? match : acc.worst,
+    }),
+    { best: ranked[0], worst: ranked[0] },
+  )
+}
+
+// `rows` come from buildPlayerHistory (oldest first). Trends compare the last `trendWindow` matches with the
+// `trendWindow` before them.
+export const buildSeasonSummary = (rows = [], { trendWindow = DEFAULT_TREND_WINDOW } = {}) => {
+  const matches = rows.map((row) => ({
+    ...row,
+    sets: countSetsPlayed(row.stats),
+    metrics: computeSummaryMetrics([row.stats]),
+  }))
+  const statsList = rows.map((row) => row.stats)
+  const totals = computeSummaryMetrics(statsList)
+  const recent = computeSummaryMetrics(statsList.slice(-trendWindow))
+  const previous = computeSummaryMetrics(statsList.slice(-trendWindow * 2, -trendWindow))
+  const hasPrevious = statsList.length > trendWindow
+
+  return {
+    matchCount: rows.length,
+    setCount: matches.reduce((total, match) => total + match.sets, 0),
+    matches,
+    stats: buildStatTable(rows),
+    metrics: SUMMARY_METRICS.map(({ key, label, format }) => ({
+      key,
+      label,
+      format,
+      value: totals[key],
+      trend: hasPrevious ? resolveTrend(recent[key], previous[key]) : null,
+      ...findExtremes(matches, key),
+    })),
+  }
+}
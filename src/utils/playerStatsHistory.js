@@ -0,0 +1,256 @@
+const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', { day: '2-digit', month: 'short' })
+const SET_LABEL_REGEX = /^\d+$/
+const PLACEHOLDER_VALUES = new Set(['', '.', '-'])
+
+export const normalizeName = (value) => {
+  if (!value || typeof value !== 'string') return ''
+  return value
+    .normalize('NFD')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim()
+}
+
+export const normalizeTeamName = (value) => normalizeName(value)
+
+export const normalizePlayerNumber = (value) => {
+  if (value === null || value === undefined) return null
+  const digits = String(value).replace(/[^0-9]/g, '').trim()
+  if (!digits) return null
+  const normalized = Number(digits)
+  if (Number.isNaN(normalized)) return null
+  return String(normalized)
+}
+
+export const resolvePlayerFilter = (user) => {
+  const primaryTeam = user?.currentTeam ?? user?.actualTeam ?? user?.teamHistory?.[0]?.teamName
+  const primaryNumber = user?.playerNumber ?? user?.teamHistory?.[0]?.playerNumber
+  const teamName = normalizeTeamName(primaryTeam)
+  const playerNumber = normalizePlayerNumber(primaryNumber)
+
+  return {
+    team: teamName,
+    teamName: typeof primaryTeam === 'string' ? primaryTeam.trim() : '',
+    number: playerNumber,
+  }
+}
+
+export const buildPlayerSummaryPath = (teamName, number) => {
+  const playerNumber = normalizePlayerNumber(number)
+  if (!teamName || !playerNumber) return null
+  return `/players/${encodeURIComponent(teamName)}/${playerNumber}`
+}
+
+export const resolveMatchDateSource = (report) => report?.matchDate || report?.generatedAt || report?.createdAt || null
+
+export const resolveMatchDate = (report) => {
+  const source = resolveMatchDateSource(report)
+  if (!source) return null
+  const value = new Date(source)
+  if (Number.isNaN(value.getTime())) return null
+  return value
+}
+
+export const parseStatValue = (value) => {
+  if (value === null || value === undefined) return 0
+  if (typeof value === 'number' && !Number.isNaN(value)) return value
+  const normalized = String(value).replace('%', '').replace(',', '.').trim()
+  if (!normalized || normalized === '.' || normalized === '-') return 0
+  const numeric = Number(normalized)
+  return Number.isNaN(numeric) ? 0 : numeric
+}
+
+const resolveTeamName = (team) => team?.team || team?.teamName || team?.name
+
+// Profile team names are free text, so they match report teams loosely; names picked from reports match exactly.
+export const teamMatchesFilter = (normalizedTeam, filter) => {
+  if (!filter?.team) return true
+  if (filter.exact) return normalizedTeam === filter.team
+  if (!normalizedTeam) return true
+  if (normalizedTeam === filter.team) return true
+  if (normalizedTeam.includes(filter.team)) return true
+  if (filter.team.includes(normalizedTeam)) return true
+  return false
+}
+
+const resolveReportLabels = (report) => (Array.isArray(report?.columnLabels)
+  ? report.columnLabels.map((label) => (typeof label === 'string' ? label.trim() : '')).filter(Boolean)
+  : [])
+
+const describeMatch = (report) => {
+  const matchDate = resolveMatchDate(report)
+  return {
+    timestamp: matchDate ? matchDate.getTime() : Date.now(),
+    dateLabel: matchDate ? DATE_FORMATTER.format(matchDate) : null,
+  }
+}
+
+export const buildPlayerHistory = (reports, playerFilter) => {
+  if (!playerFilter?.number) {
+    return { rows: [], statKeys: [], playerName: null, teamName: null }
+  }
+
+  const rows = []
+  const statKeys = new Set()
+  let detectedName = null
+  let detectedTeam = null
+
+  reports.forEach((report) => {
+    const { timestamp, dateLabel } = describeMatch(report)
+    const baseLabels = resolveReportLabels(report)
+
+    report?.teams?.forEach((team) => {
+      if (!teamMatchesFilter(normalizeTeamName(resolveTeamName(team)), playerFilter)) return
+
+      team?.players?.forEach((player) => {
+        const playerNumber = normalizePlayerNumber(player?.number)
+        const numberMatches = Boolean(playerNumber && playerNumber === playerFilter.number)
+        if (!numberMatches) return
+
+        detectedName = player?.name || detectedName
+        detectedTeam = resolveTeamName(team) || detectedTeam
+        const labels = baseLabels.length ? baseLabels : Object.keys(player?.stats || {})
+        const stats = {}
+        labels.forEach((label) => {
+          if (!label) return
+          const rawValue = player?.stats?.[label]
+          if (rawValue !== undefined) {
+            stats[label] = rawValue
+            statKeys.add(label)
+          }
+        })
+
+        rows.push({
+          matchId: report?.matchId || `${player?.name}-${rows.length + 1}`,
+          timestamp,
+          dateLabel,
+          stats,
+        })
+      })
+    })
+  })
+
+  rows.sort((a, b) => a.timestamp - b.timestamp)
+  return { rows, statKeys: Array.from(statKeys), playerName: detectedName, teamName: detectedTeam }
+}
+
+// Every player found in the reports, once per team and shirt number, with the latest name seen.
+export const buildPlayerDirectory = (reports = []) => {
+  const entries = new Map()
+
+  reports.forEach((report) => {
+    report?.teams?.forEach((team) => {
+      const teamName = resolveTeamName(team)
+      const normalizedTeam = normalizeTeamName(teamName)
+      if (!normalizedTeam) return
+
+      team?.players?.forEach((player) => {
+        const number = normalizePlayerNumber(player?.number)
+        if (!number) return
+        const key = `${normalizedTeam}::${number}`
+        const entry = entries.get(key) ?? { key, team: teamName, normalizedTeam, number, name: null, matchCount: 0 }
+        entry.name = player?.name || entry.name
+        entry.matchCount += 1
+        entries.set(key, entry)
+      })
+    })
+  })
+
+  return Array.from(entries.values()).sort((a, b) =>
+    a.team.localeCompare(b.team, 'pt-BR') || Number(a.number) - Number(b.number))
+}
+
+const hasStatValue = (value) => value !== undefined && value !== null && !PLACEHOLDER_VALUES.has(String(value).trim())
+
+// A percentage column is a share of its skill's attempts: "Attacks Pts%" of "Attacks Tot".
+const resolveAttemptsLabel = (label) => `${label.split(' ')[0]} Tot`
+
+// Each player's percentage is turned back into a count over their attempts, so the team figure weighs players
+// by how often they played the skill. Without attempts there is nothing to divide and the column is left out.
+const aggregatePercentage = (players, label) => {
+  const attemptsLabel = resolveAttemptsLabel(label)
+  let made = 0
+  let attempts = 0
+  players.forEach((player) => {
+    const percentage = player?.stats?.[label]
+    const tries = player?.stats?.[attemptsLabel]
+    if (!hasStatValue(percentage) || !hasStatValue(tries)) return
+    const playerAttempts = parseStatValue(tries)
+    made += Math.round((parseStatValue(percentage) / 100) * playerAttempts)
+    attempts += playerAttempts
+  })
+  return attempts ? (made / attempts) * 100 : undefined
+}
+
+// Team-wide stats per match: the report's totals row when it was saved, otherwise counts summed over the players
+// and percentages recomputed from the summed counts.
+const aggregateTeamStats = (team, labels) => {
+  const stats = {}
+  const players = team?.players ?? []
+  labels.forEach((label) => {
+    if (SET_LABEL_REGEX.test(label)) return
+    const total = team?.totals?.[label]
+    if (hasStatValue(total)) {
+      stats[label] = total
+      return
+    }
+    if (label.endsWith('%')) {
+      const percentage = aggregatePercentage(players, label)
+      if (percentage !== undefined) stats[label] = percentage
+      return
+    }
+    const values = players
+      .map((player) => player?.stats?.[label])
+      .filter(hasStatValue)
+      .map(parseStatValue)
+    if (!values.length) return
+    stats[label] = values.reduce((acc, value) => acc + value, 0)
+  })
+  return stats
+}
+
+export const buildTeamHistory = (reports, teamFilter) => {
+  if (!teamFilter?.team) {
+    return { rows: [], statKeys: [], teamName: null }
+  }
+
+  const rows = []
+  const statKeys = new Set()
+  let detectedName = null
+
+  reports.forEach((report) => {
+    const team = report?.teams?.find((candidate) => teamMatchesFilter(normalizeTeamName(resolveTeamName(candidate)), teamFilter))
+    if (!team) return
+    const { timestamp, dateLabel } = describeMatch(report)
+    const labels = resolveReportLabels(report)
+    const stats = aggregateTeamStats(team, labels.length ? labels : Object.keys(team?.totals || {}))
+    Object.keys(stats).forEach((label) => statKeys.add(label))
+    detectedName = resolveTeamName(team) || detectedName
+    rows.push({ matchId: report?.matchId || `${detectedName}-${rows.length + 1}`, timestamp, dateLabel, stats })
+  })
+
+  rows.sort((a, b) => a.timestamp - b.timestamp)
+  return { rows, statKeys: Array.from(statKeys), teamName: detectedName }
+}
+
+// Lines every series up on the same matches so several players can share one x axis; a series that did not play
+// a match has no stats there.
+export const mergeSeriesHistories = (seriesHistories) => {
+  const matches = new Map()
+
+  seriesHistories.forEach(({ key, rows }) => {
+    rows.forEach((row) => {
+      const match = matches.get(row.matchId) ?? {
+        matchId: row.matchId,
+        timestamp: row.timestamp,
+        dateLabel: row.dateLabel,
+        statsBySeries: {},
+      }
+      match.statsBySeries[key] = row.stats
+      matches.set(row.matchId, match)
+    })
+  })
+
+  return Array.from(matches.values()).sort((a, b) => a.timestamp - b.timestamp)
+}
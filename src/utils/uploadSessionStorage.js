@@ -0,0 +1,96 @@
+const STORAGE_KEY = 'volleyplus_upload_sessions'
+const UPDATE_EVENT = 'volleyplus:upload-sessions-updated'
+const FALLBACK_USER = 'anonymous'
+
+const readAll = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+const writeAll = (data) => {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data))
+  } catch (error) {
+    console.warn('Failed to persist upload sessions', error)
+  }
+}
+
+const emitUpdate = (userId) => {
+  if (typeof window === 'undefined') return
+  window.dispatchEvent(
+    new CustomEvent(UPDATE_EVENT, {
+      detail: { userId: userId ?? FALLBACK_USER },
+    }),
+  )
+}
+
+const updateOwnerSessions = (userId, updater) => {
+  const ownerKey = userId || FALLBACK_USER
+  const all = readAll()
+  const next = updater(all[ownerKey] ?? {})
+  if (next && Object.keys(next).length) {
+    all[ownerKey] = next
+  } else {
+    delete all[ownerKey]
+  }
+  writeAll(all)
+  emitUpdate(ownerKey)
+}
+
+export const listUploadSessions = (userId) => {
+  const ownerKey = userId || FALLBACK_USER
+  const sessions = readAll()[ownerKey] ?? {}
+  return Object.values(sessions)
+}
+
+export const getUploadSession = (userId, uploadId) => {
+  if (!uploadId) return null
+  const ownerKey = userId || FALLBACK_USER
+  return readAll()[ownerKey]?.[uploadId] ?? null
+}
+
+export const saveUploadSession = (userId, session) => {
+  if (!session?.uploadId) return null
+  const entry = {
+    savedAt: new Date().toISOString(),
+    parts: [],
+    ...session,
+  }
+  updateOwnerSessions(userId, (sessions) => ({ ...sessions, [session.uploadId]: entry }))
+  return entry
+}
+
+export const markUploadPartCompleted = (userId, uploadId, part) => {
+  if (!uploadId || !part?.partNumber) return
+  updateOwnerSessions(userId, (sessions) => {
+    const existing = sessions[uploadId]
+    if (!existing) return sessions
+    const parts = (existing.parts ?? []).filter((item) => item.partNumber !== part.partNumber)
+    parts.push({
+      partNumber: part.partNumber,
+      ETag: part.ETag,
+      bytes: part.bytes,
+      checksum: part.checksum,
+      unverified: part.unverified || undefined,
+    })
+    return { ...sessions, [uploadId]: { ...existing, parts } }
+  })
+}
+
+export const removeUploadSession = (userId, uploadId) => {
+  if (!uploadId) return
+  updateOwnerSessions(userId, (sessions) => {
+    if (!sessions[uploadId]) return sessions
+    const { [uploadId]: _removed, ...rest } = sessions
+    return rest
+  })
+}
+
+export const UPLOAD_SESSIONS_STORAGE_KEY = STORAGE_KEY
+export const UPLOAD_SESSIONS_EVENT = UPDATE_EVENT
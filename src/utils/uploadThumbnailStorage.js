@@ -0,0 +1,40 @@
+const STORAGE_KEY = 'volleyplus_upload_thumbnails'
+const FALLBACK_USER = 'anonymous'
+const MAX_ENTRIES_PER_USER = 25
+
+const readAll = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+const writeAll = (data) => {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data))
+  } catch (error) {
+    console.warn('Failed to persist upload thumbnails', error)
+  }
+}
+
+// Thumbnails are small JPEG data URLs kept apart from the upload records, so a full quota only costs the previews.
+// Newest first, capped like the completed uploads they belong to.
+export const saveUploadThumbnail = (userId, fileKey, thumbnail) => {
+  if (!fileKey || !thumbnail) return
+  const ownerKey = userId || FALLBACK_USER
+  const all = readAll()
+  const existing = (all[ownerKey] ?? []).filter((entry) => entry.fileKey !== fileKey)
+  all[ownerKey] = [{ fileKey, thumbnail }, ...existing].slice(0, MAX_ENTRIES_PER_USER)
+  writeAll(all)
+}
+
+export const readUploadThumbnails = (userId) => {
+  const entries = readAll()[userId || FALLBACK_USER] ?? []
+  return new Map(entries.map((entry) => [entry.fileKey, entry.thumbnail]))
+}
+
+export const UPLOAD_THUMBNAILS_STORAGE_KEY = STORAGE_KEY
@@ -0,0 +1,30 @@
+const STORAGE_KEY = 'volleyplus_upload_tuning'
+
+const readTuning = () => {
+  if (typeof window === 'undefined') return {}
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+export const getPreferredChunkSize = () => {
+  const { chunkSizeBytes } = readTuning()
+  return Number.isFinite(chunkSizeBytes) && chunkSizeBytes > 0 ? chunkSizeBytes : null
+}
+
+export const savePreferredChunkSize = (chunkSizeBytes, measurement = {}) => {
+  if (typeof window === 'undefined' || !Number.isFinite(chunkSizeBytes)) return
+  try {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ chunkSizeBytes, ...measurement, measuredAt: new Date().toISOString() }),
+    )
+  } catch (error) {
+    console.warn('Failed to persist upload tuning', error)
+  }
+}
+
+export const UPLOAD_TUNING_STORAGE_KEY = STORAGE_KEY
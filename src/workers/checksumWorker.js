@@ -0,0 +1,10 @@
+import { hashBlobMd5 } from '../services/checksum.js'
+
+self.onmessage = async (event) => {
+  const { id, blob } = event.data ?? {}
+  try {
+    self.postMessage({ id, hex: await hashBlobMd5(blob) })
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || 'Failed to hash chunk' })
+  }
+}
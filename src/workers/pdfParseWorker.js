@@ -0,0 +1,41 @@
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf'
+import * as pdfjsWorker from 'pdfjs-dist/legacy/build/pdf.worker.js'
+import { parseMatchReport } from '../services/matchReportParser.js'
+import { extractPdfContent } from '../services/pdfTextExtraction.js'
+
+// Lets pdf.js run its document worker inside this thread instead of spawning a nested one.
+self.pdfjsWorker = pdfjsWorker
+
+const activeRequests = new Map()
+
+self.onmessage = async (event) => {
+  const { id, type, buffer, profileId } = event.data ?? {}
+  if (type === 'cancel') {
+    const request = activeRequests.get(id)
+    if (request) request.cancelled = true
+    return
+  }
+
+  const request = { cancelled: false }
+  activeRequests.set(id, request)
+  try {
+    const content = await extractPdfContent(pdfjsLib, buffer, {
+      onProgress: ({ page, pageCount }) => self.postMessage({ id, type: 'progress', page, pageCount }),
+      isCancelled: () => request.cancelled,
+    })
+    if (!content) return
+    const { items, pages } = content
+    // Scanned reports come back as rendered pages; the main thread runs OCR on them before parsing.
+    if (pages) {
+      self.postMessage({ id, type: 'result', items, pages })
+      return
+    }
+    // The grouped lines are only a debugging aid; structured-cloning them would double the message size.
+    const { lines: _lines, ...result } = parseMatchReport(items, { profileId })
+    self.postMessage({ id, type: 'result', items, result })
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error?.message || 'Failed to read the PDF' })
+  } finally {
+    activeRequests.delete(id)
+  }
+}
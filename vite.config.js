@@ -1,3 +1,4 @@
+import fs from 'node:fs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
@@ -20,10 +21,28 @@ const jsxInJsPlugin = {
   },
 }
 
+// tesseract.js fetches `<langPath>/eng.traineddata.gz` by name, so the OCR data needs a stable, unhashed URL.
+const TESSDATA_FILE = 'eng.traineddata.gz'
+const TESSDATA_SOURCE = path.resolve(__dirname, 'node_modules/@tesseract.js-data/eng/4.0.0_best_int', TESSDATA_FILE)
+
+const tessdataPlugin = {
+  name: 'tessdata-assets',
+  configureServer(server) {
+    server.middlewares.use(`/tessdata/${TESSDATA_FILE}`, (req, res) => {
+      res.setHeader('Content-Type', 'application/gzip')
+      fs.createReadStream(TESSDATA_SOURCE).pipe(res)
+    })
+  },
+  generateBundle() {
+    this.emitFile({ type: 'asset', fileName: `tessdata/${TESSDATA_FILE}`, source: fs.readFileSync(TESSDATA_SOURCE) })
+  },
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     jsxInJsPlugin,
+    tessdataPlugin,
     react({
       include: '**/*.{jsx,js,tsx,ts}',
       babel: {